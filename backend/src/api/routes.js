@@ -10,10 +10,37 @@ import { config } from '../config/index.js';
 import { logger } from '../config/logger.js';
 import * as db from '../services/databaseService.js';
 import * as gamification from '../services/gamificationService.js';
-import { backgroundQueue } from '../scheduler/reminderQueue.js';
+import * as lifecycle from '../services/reminderLifecycle.js';
+import { consumeAuthCode, getInitDataUserId } from '../services/authService.js';
+import * as sessions from '../services/sessionService.js';
+import { getCurrentPolicy, needsConsent } from '../services/consentService.js';
+import { backgroundQueue, scheduleExport } from '../scheduler/reminderQueue.js';
+import { createExportRequest, getDownloadUrl, getLatestExport } from '../services/exportService.js';
+import { addDays, getUserToday, resolveTimezone, toDateString } from '../utils/time.js';
+import {
+  buildTimeFields,
+  diffSchedule,
+  getCourseEndDate,
+  getScheduleError,
+  numberSlots,
+  MAX_TIMES_PER_DAY,
+  normalizeDates,
+  parseRrule,
+  INTERVAL_UNITS,
+  MAX_CYCLE_DAYS,
+  MAX_EXDATES,
+} from '../services/scheduleService.js';
+import { getEscalationPolicyError, resolveEscalationPolicy } from '../services/escalationService.js';
+import { getPunctualityPercent } from '../services/punctualityService.js';
 
 const router = Router();
 
+/**
+ * Разделы, доступные без согласия с действующей политикой:
+ * само согласие и права на данные (экспорт, удаление, выход)
+ */
+const CONSENT_EXEMPT_PATHS = ['/consent', '/export', '/account', '/sessions'];
+
 /**
  * Middleware для валидации
  */
@@ -42,9 +69,37 @@ const authenticateToken = async (req, res, next) => {
     });
   }
 
+  let decoded;
+  try {
+    decoded = jwt.verify(token, config.jwt.secret);
+  } catch (error) {
+    // Истекший токен — 401, чтобы мини-приложение обновило его через refresh
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        success: false,
+        error: 'Токен истек',
+      });
+    }
+
+    logger.error('Ошибка верификации токена:', error);
+    return res.status(403).json({
+      success: false,
+      error: 'Недействительный токен',
+    });
+  }
+
   try {
-    const decoded = jwt.verify(token, config.jwt.secret);
+    // Токен действует, только пока его сессия не отозвана и не обновлена
+    const session = await sessions.findActiveSession(token);
+    if (!session) {
+      return res.status(401).json({
+        success: false,
+        error: 'Сессия завершена',
+      });
+    }
+
     req.userId = decoded.userId;
+    req.sessionId = session.session_id;
     req.user = await db.getUserById(decoded.userId);
     
     if (!req.user) {
@@ -53,43 +108,110 @@ const authenticateToken = async (req, res, next) => {
         error: 'Пользователь не найден',
       });
     }
+
+    // Новая редакция политики или отозванное согласие блокируют остальные разделы
+    const exempt = CONSENT_EXEMPT_PATHS.some(path => req.path === path || req.path.startsWith(`${path}/`));
+    if (!exempt && needsConsent(req.user)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Требуется согласие с политикой конфиденциальности',
+        code: 'CONSENT_REQUIRED',
+      });
+    }
     
     next();
   } catch (error) {
-    logger.error('Ошибка верификации токена:', error);
-    return res.status(403).json({
+    logger.error('Ошибка проверки сессии:', error);
+    return res.status(500).json({
       success: false,
-      error: 'Недействительный токен',
+      error: 'Внутренняя ошибка сервера',
     });
   }
 };
 
+/**
+ * Проверка RRULE (сообщение об ошибке уходит в ответ валидации)
+ * @param {string} value - Правило
+ */
+const checkRrule = (value) => {
+  parseRrule(value);
+  return true;
+};
+
+/**
+ * Проверка политики эскалации (null — сброс к политике уровнем выше)
+ * @param {Object|null} value - Политика эскалации
+ */
+const checkEscalationPolicy = (value) => {
+  if (value === null) return true;
+  const error = getEscalationPolicyError(value);
+  if (error) throw new Error(error);
+  return true;
+};
+
+/**
+ * Валидация исключенных дат расписания
+ */
+const exdatesValidators = [
+  body('schedule.exdates').optional().isArray({ max: MAX_EXDATES }).withMessage(`Не более ${MAX_EXDATES} исключенных дат`),
+  body('schedule.exdates.*').isISO8601({ strict: true }).withMessage('Даты исключений в формате YYYY-MM-DD'),
+];
+
+/**
+ * Формат расписания для ответа API
+ * @param {Object} s - Расписание из БД
+ */
+const formatSchedule = (s) => ({
+  id: s.schedule_id,
+  type: s.schedule_type,
+  timeWeekdays: s.time_weekdays,
+  timeWeekends: s.time_weekends,
+  customDays: s.custom_days,
+  specificTimes: s.specific_times,
+  endDate: toDateString(s.end_date),
+  anchorDate: toDateString(s.anchor_date),
+  intervalValue: s.interval_value,
+  intervalUnit: s.interval_unit,
+  cycleOnDays: s.cycle_on_days,
+  cycleOffDays: s.cycle_off_days,
+  rrule: s.rrule,
+  exdates: s.exdates || [],
+});
+
 // ============================================
 // АУТЕНТИФИКАЦИЯ
 // ============================================
 
 /**
  * POST /api/auth/exchange
- * Обмен кода авторизации на JWT токен
+ * Обмен одноразового кода из бота (code) или init-data Max WebApp (initData) на JWT токен
  */
 router.post(
   '/auth/exchange',
   [
-    body('code').isString().notEmpty().withMessage('Код авторизации обязателен'),
+    body('code').optional().isString().notEmpty().withMessage('Код авторизации должен быть строкой'),
+    body('initData').optional().isString().notEmpty().withMessage('initData должна быть строкой'),
+    body().custom((value) => {
+      if (!value?.code && !value?.initData) {
+        throw new Error('Код авторизации обязателен');
+      }
+      return true;
+    }),
     validate,
   ],
   async (req, res) => {
     try {
-      const { code } = req.body;
+      const { code, initData } = req.body;
 
-      // TODO: Верификация кода через Max API
-      // Пока упрощенная версия: код = userId
-      const userId = parseInt(code);
-      
-      if (isNaN(userId)) {
-        return res.status(400).json({
+      // Код гасится при первом обмене; init-data проверяется по подписи платформы
+      const userId = code
+        ? await consumeAuthCode(code)
+        : getInitDataUserId(initData);
+
+      if (!userId) {
+        return res.status(401).json({
           success: false,
-          error: 'Недействительный код',
+          error: code ? 'Код недействителен или истек' : 'Недействительные данные авторизации',
         });
       }
 
@@ -101,32 +223,17 @@ router.post(
         });
       }
 
-      // Генерируем JWT
-      const token = jwt.sign(
-        { userId: user.user_id, username: user.username },
-        config.jwt.secret,
-        { expiresIn: config.jwt.expiresIn }
-      );
-
-      const refreshToken = jwt.sign(
-        { userId: user.user_id, type: 'refresh' },
-        config.jwt.secret,
-        { expiresIn: config.jwt.refreshExpiresIn }
-      );
-
-      // Сохраняем сессию
-      await db.query(
-        `INSERT INTO sessions (user_id, token, refresh_token, expires_at, ip_address, user_agent)
-         VALUES ($1, $2, $3, NOW() + INTERVAL '7 days', $4, $5)`,
-        [userId, token, refreshToken, req.ip, req.headers['user-agent']]
-      );
+      const { token, refreshToken, expiresIn } = await sessions.createSession(user, {
+        ipAddress: req.ip,
+        userAgent: req.headers['user-agent'],
+      });
 
       res.json({
         success: true,
         data: {
           token,
           refreshToken,
-          expiresIn: 604800, // 7 дней в секундах
+          expiresIn,
           user: {
             id: user.user_id,
             username: user.username,
@@ -149,7 +256,7 @@ router.post(
 
 /**
  * POST /api/auth/refresh
- * Обновление токена
+ * Обновление токенов: refresh-токен одноразовый, в ответе приходит новый
  */
 router.post('/auth/refresh', async (req, res) => {
   try {
@@ -162,46 +269,29 @@ router.post('/auth/refresh', async (req, res) => {
       });
     }
 
-    const decoded = jwt.verify(refreshToken, config.jwt.secret);
-    
-    if (decoded.type !== 'refresh') {
-      return res.status(403).json({
-        success: false,
-        error: 'Недействительный refresh token',
-      });
-    }
-
-    // Проверяем сессию
-    const sessionResult = await db.query(
-      'SELECT * FROM sessions WHERE refresh_token = $1 AND is_revoked = false',
-      [refreshToken]
-    );
+    const result = await sessions.rotateSession(refreshToken, {
+      ipAddress: req.ip,
+      userAgent: req.headers['user-agent'],
+    });
 
-    if (sessionResult.rows.length === 0) {
+    if (result.status !== 'ok') {
+      const errors = {
+        invalid: 'Недействительный refresh token',
+        revoked: 'Сессия не найдена или отозвана',
+        reuse: 'Refresh token уже использован, сессия отозвана',
+      };
       return res.status(403).json({
         success: false,
-        error: 'Сессия не найдена или отозвана',
+        error: errors[result.status],
       });
     }
 
-    // Генерируем новый токен
-    const newToken = jwt.sign(
-      { userId: decoded.userId },
-      config.jwt.secret,
-      { expiresIn: config.jwt.expiresIn }
-    );
-
-    // Обновляем сессию
-    await db.query(
-      'UPDATE sessions SET token = $1, last_used_at = CURRENT_TIMESTAMP WHERE refresh_token = $2',
-      [newToken, refreshToken]
-    );
-
     res.json({
       success: true,
       data: {
-        token: newToken,
-        expiresIn: 604800,
+        token: result.token,
+        refreshToken: result.refreshToken,
+        expiresIn: result.expiresIn,
       },
     });
   } catch (error) {
@@ -213,6 +303,95 @@ router.post('/auth/refresh', async (req, res) => {
   }
 });
 
+// ============================================
+// СЕССИИ (УСТРОЙСТВА)
+// ============================================
+
+/**
+ * GET /api/sessions
+ * Активные сессии пользователя
+ */
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const rows = await sessions.getActiveSessions(req.userId);
+
+    res.json({
+      success: true,
+      data: rows.map(s => ({
+        id: s.session_id,
+        ipAddress: s.ip_address,
+        userAgent: s.user_agent,
+        createdAt: s.created_at,
+        lastUsedAt: s.last_used_at,
+        current: s.session_id === req.sessionId,
+      })),
+    });
+  } catch (error) {
+    logger.error('Ошибка получения сессий:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Внутренняя ошибка сервера',
+    });
+  }
+});
+
+/**
+ * DELETE /api/sessions/:id
+ * Выход на устройстве (в том числе текущем)
+ */
+router.delete(
+  '/sessions/:id',
+  authenticateToken,
+  [
+    param('id').isUUID().withMessage('Неверный ID сессии'),
+    validate,
+  ],
+  async (req, res) => {
+    try {
+      const revoked = await sessions.revokeSession(req.userId, req.params.id);
+
+      if (!revoked) {
+        return res.status(404).json({
+          success: false,
+          error: 'Сессия не найдена',
+        });
+      }
+
+      res.json({
+        success: true,
+        data: { current: req.params.id === req.sessionId },
+      });
+    } catch (error) {
+      logger.error('Ошибка завершения сессии:', error);
+      res.status(500).json({
+        success: false,
+        error: 'Внутренняя ошибка сервера',
+      });
+    }
+  }
+);
+
+/**
+ * DELETE /api/sessions
+ * Выход на всех устройствах (включая текущее)
+ */
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessions.revokeAllSessions(req.userId);
+
+    res.json({
+      success: true,
+      data: { revoked },
+    });
+  } catch (error) {
+    logger.error('Ошибка завершения всех сессий:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Внутренняя ошибка сервера',
+    });
+  }
+});
+
 // ============================================
 // РУТИНЫ
 // ============================================
@@ -237,16 +416,12 @@ router.get('/routines', authenticateToken, async (req, res) => {
           icon: routine.icon,
           dosage: routine.dosage,
           isActive: routine.is_active,
+          pausedUntil: toDateString(routine.paused_until),
           gracePeriod: routine.grace_period_minutes,
           priority: routine.priority,
-          schedules: schedules.map(s => ({
-            id: s.schedule_id,
-            type: s.schedule_type,
-            timeWeekdays: s.time_weekdays,
-            timeWeekends: s.time_weekends,
-            customDays: s.custom_days,
-            specificTimes: s.specific_times,
-          })),
+          escalationPolicy: resolveEscalationPolicy(routine, req.user.escalation_policy),
+          customEscalationPolicy: routine.escalation_policy,
+          schedules: schedules.map(formatSchedule),
         };
       })
     );
@@ -274,40 +449,125 @@ router.post(
   [
     body('type').isIn(['habit', 'medication', 'task']).withMessage('Неверный тип рутины'),
     body('title').isString().trim().isLength({ min: 1, max: 100 }).withMessage('Название обязательно (1-100 символов)'),
-    body('schedule.type').isIn(['daily', 'weekdays', 'custom']).withMessage('Неверный тип расписания'),
-    body('schedule.time').isString().matches(/^\d{2}:\d{2}$/).withMessage('Время должно быть в формате HH:MM'),
+    body('schedule.type').isIn(['daily', 'weekdays', 'weekends', 'custom', 'interval', 'cyclic', 'rrule']).withMessage('Неверный тип расписания'),
+    body('schedule.anchorDate').optional().isISO8601({ strict: true }).withMessage('Дата начала должна быть в формате YYYY-MM-DD'),
+    body('schedule.intervalValue')
+      .if(body('schedule.type').equals('interval'))
+      .isInt({ min: 1, max: MAX_CYCLE_DAYS })
+      .withMessage(`Интервал должен быть от 1 до ${MAX_CYCLE_DAYS}`),
+    body('schedule.intervalUnit').optional().isIn(INTERVAL_UNITS).withMessage('Единица интервала: day или week'),
+    body('schedule.cycleOnDays')
+      .if(body('schedule.type').equals('cyclic'))
+      .isInt({ min: 1, max: MAX_CYCLE_DAYS })
+      .withMessage('Укажите количество дней приёма'),
+    body('schedule.cycleOffDays')
+      .if(body('schedule.type').equals('cyclic'))
+      .isInt({ min: 0, max: MAX_CYCLE_DAYS })
+      .withMessage('Укажите количество дней перерыва'),
+    body('schedule.rrule')
+      .if(body('schedule.type').equals('rrule'))
+      .isString()
+      .withMessage('Укажите правило повторения (RRULE)')
+      .bail()
+      .custom(checkRrule),
+    ...exdatesValidators,
+    body('schedule.endDate').optional().isISO8601({ strict: true }).withMessage('Дата окончания должна быть в формате YYYY-MM-DD'),
+    body('schedule.courseDays').optional().isInt({ min: 1, max: MAX_CYCLE_DAYS }).withMessage(`Длительность курса от 1 до ${MAX_CYCLE_DAYS} дней`),
+    body('schedule.time').optional().isString().matches(/^\d{2}:\d{2}$/).withMessage('Время должно быть в формате HH:MM'),
+    body('schedule.weekendTime').optional().isString().matches(/^\d{2}:\d{2}$/).withMessage('Время выходных должно быть в формате HH:MM'),
+    body('schedule.times').optional().isArray({ min: 1, max: MAX_TIMES_PER_DAY }).withMessage(`От 1 до ${MAX_TIMES_PER_DAY} приёмов в день`),
+    body('schedule.times.*').isString().matches(/^\d{2}:\d{2}$/).withMessage('Время должно быть в формате HH:MM'),
+    body('schedule.customDays').optional().isArray({ min: 1, max: 7 }).withMessage('Выберите дни недели'),
+    body('schedule.customDays.*').isInt({ min: 1, max: 7 }).withMessage('Дни недели от 1 (Пн) до 7 (Вс)'),
+    body('schedule').custom((schedule, { req }) => {
+      if (!schedule?.time && !schedule?.times?.length) {
+        throw new Error('Укажите время (schedule.time или schedule.times)');
+      }
+      if (schedule.type === 'cyclic'
+        && Number(schedule.cycleOnDays) + Number(schedule.cycleOffDays) > MAX_CYCLE_DAYS) {
+        throw new Error(`Цикл не может быть длиннее ${MAX_CYCLE_DAYS} дней`);
+      }
+      if (schedule.endDate && schedule.courseDays) {
+        throw new Error('Укажите либо дату окончания, либо длительность курса');
+      }
+      if (schedule.endDate && schedule.endDate < (schedule.anchorDate || getUserToday(req.user))) {
+        throw new Error('Дата окончания не может быть раньше даты начала');
+      }
+      return true;
+    }),
     validate,
   ],
   async (req, res) => {
     try {
       const { type, title, description, icon, dosage, schedule } = req.body;
 
-      // Создаем рутину
-      const routine = await db.createRoutine({
-        user_id: req.userId,
-        type,
-        title,
-        description,
-        icon: icon || '⭐',
-        dosage,
-      });
-
-      // Создаем расписание
+      // Расписание (несколько приёмов в день хранятся в specific_times)
+      const times = schedule.times?.length ? schedule.times : [schedule.time];
       const scheduleData = {
-        routine_id: routine.routine_id,
         schedule_type: schedule.type,
-        time_weekdays: schedule.time,
+        ...buildTimeFields(times),
       };
 
-      if (schedule.type === 'weekdays') {
-        scheduleData.time_weekends = schedule.weekendTime || schedule.time;
+      // Отдельное время на выходные (по умолчанию совпадает с будними)
+      if (['weekdays', 'weekends'].includes(schedule.type)) {
+        scheduleData.time_weekends = schedule.weekendTime || scheduleData.time_weekdays;
       }
 
       if (schedule.customDays) {
         scheduleData.custom_days = schedule.customDays;
       }
 
-      await db.createSchedule(scheduleData);
+      // Интервальные и циклические расписания отсчитываются от опорной даты
+      if (schedule.type === 'interval') {
+        scheduleData.interval_value = Number(schedule.intervalValue);
+        scheduleData.interval_unit = schedule.intervalUnit || 'day';
+      }
+
+      if (schedule.type === 'cyclic') {
+        scheduleData.cycle_on_days = Number(schedule.cycleOnDays);
+        scheduleData.cycle_off_days = Number(schedule.cycleOffDays);
+      }
+
+      if (schedule.type === 'rrule') {
+        scheduleData.rrule = schedule.rrule.trim();
+      }
+
+      if (['interval', 'cyclic', 'rrule'].includes(schedule.type)) {
+        scheduleData.anchor_date = schedule.anchorDate || getUserToday(req.user);
+      }
+
+      if (schedule.exdates?.length) {
+        scheduleData.exdates = normalizeDates(schedule.exdates);
+      }
+
+      // Курс: дата окончания задается явно или считается от даты начала
+      if (schedule.endDate) {
+        scheduleData.end_date = schedule.endDate;
+      } else if (schedule.courseDays) {
+        const startDate = scheduleData.anchor_date || getUserToday(req.user);
+        scheduleData.end_date = getCourseEndDate(startDate, schedule.courseDays);
+      }
+
+      // Проверяем расписание до создания рутины (как в PATCH)
+      const scheduleError = getScheduleError(scheduleData);
+      if (scheduleError) {
+        return res.status(400).json({
+          success: false,
+          error: scheduleError,
+        });
+      }
+
+      // Создаем рутину
+      const routine = await db.createRoutine({
+        user_id: req.userId,
+        type,
+        title,
+        description,
+        icon: icon || '⭐',
+        dosage,
+      });
+
+      await db.createSchedule({ ...scheduleData, routine_id: routine.routine_id });
 
       // Генерируем напоминания в фоне
       await backgroundQueue.add('generate-reminders', {
@@ -334,32 +594,216 @@ router.post(
   }
 );
 
+/**
+ * Изменения расписания из тела запроса PATCH /api/routines/:id
+ * Передаются только указанные поля; время на выходные по умолчанию совпадает с будним
+ * @param {Object} schedule - Расписание из запроса (формат как в POST /api/routines)
+ * @param {Object} current - Текущее расписание из БД
+ * @param {Object} options - Параметры
+ * @param {string} options.today - Сегодняшняя дата пользователя
+ * @param {string} options.startDate - Дата начала рутины (для длительности курса)
+ * @returns {Object} Поля для обновления в БД
+ */
+const buildScheduleUpdates = (schedule, current, { today, startDate }) => {
+  const updates = {};
+
+  if (schedule.type !== undefined) {
+    updates.schedule_type = schedule.type;
+  } else if (schedule.rrule !== undefined) {
+    // Передача RRULE без типа переключает расписание на RRULE
+    updates.schedule_type = 'rrule';
+  }
+  const type = updates.schedule_type || current.schedule_type;
+
+  if (schedule.times?.length || schedule.time) {
+    Object.assign(updates, buildTimeFields(schedule.times?.length ? schedule.times : [schedule.time]));
+  }
+
+  if (['weekdays', 'weekends'].includes(type)
+    && (schedule.weekendTime !== undefined || updates.time_weekdays || schedule.type !== undefined)) {
+    updates.time_weekends = schedule.weekendTime
+      || updates.time_weekdays
+      || current.time_weekends
+      || current.time_weekdays;
+  }
+
+  if (schedule.customDays !== undefined) {
+    updates.custom_days = schedule.customDays;
+  }
+
+  if (schedule.intervalValue !== undefined) {
+    updates.interval_value = Number(schedule.intervalValue);
+  }
+  if (schedule.intervalUnit !== undefined) {
+    updates.interval_unit = schedule.intervalUnit;
+  } else if (type === 'interval' && !current.interval_unit) {
+    updates.interval_unit = 'day';
+  }
+
+  if (schedule.cycleOnDays !== undefined) {
+    updates.cycle_on_days = Number(schedule.cycleOnDays);
+  }
+  if (schedule.cycleOffDays !== undefined) {
+    updates.cycle_off_days = Number(schedule.cycleOffDays);
+  }
+
+  if (schedule.rrule !== undefined) {
+    updates.rrule = schedule.rrule.trim();
+  }
+
+  if (schedule.exdates !== undefined) {
+    updates.exdates = normalizeDates(schedule.exdates);
+  }
+
+  if (schedule.anchorDate !== undefined) {
+    updates.anchor_date = schedule.anchorDate;
+  } else if (['interval', 'cyclic', 'rrule'].includes(type) && !current.anchor_date) {
+    updates.anchor_date = today;
+  }
+
+  // null в endDate снимает ограничение курса
+  if (schedule.endDate !== undefined) {
+    updates.end_date = schedule.endDate;
+  } else if (schedule.courseDays) {
+    updates.end_date = getCourseEndDate(startDate, schedule.courseDays);
+  }
+
+  return updates;
+};
+
 /**
  * PATCH /api/routines/:id
- * Обновление рутины
+ * Обновление рутины и ее расписания
+ * При изменении расписания будущие напоминания перепланируются, прошедшие не меняются
  */
 router.patch(
   '/routines/:id',
   authenticateToken,
   [
     param('id').isUUID().withMessage('Неверный ID рутины'),
+    body('title').optional().isString().trim().isLength({ min: 1, max: 100 }).withMessage('Название обязательно (1-100 символов)'),
+    body('description').optional({ nullable: true }).isString().isLength({ max: 500 }).withMessage('Описание не длиннее 500 символов'),
+    body('icon').optional().isString().isLength({ min: 1, max: 10 }).withMessage('Некорректная иконка'),
+    body('dosage').optional({ nullable: true }).isString().isLength({ max: 50 }).withMessage('Дозировка не длиннее 50 символов'),
+    body('priority').optional().isInt({ min: 1, max: 3 }).withMessage('Приоритет от 1 до 3'),
+    body('gracePeriod').optional().isInt({ min: 15, max: 720 }).withMessage('Окно выполнения от 15 до 720 минут'),
+    body('is_active').optional().isBoolean().withMessage('is_active должен быть boolean'),
+    body('pausedUntil').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('Дата возобновления должна быть в формате YYYY-MM-DD'),
+    body('escalationPolicy').optional({ nullable: true }).custom(checkEscalationPolicy),
+    body('schedule').optional().isObject().withMessage('Расписание должно быть объектом'),
+    body('schedule.type').optional().isIn(['daily', 'weekdays', 'weekends', 'custom', 'interval', 'cyclic', 'rrule']).withMessage('Неверный тип расписания'),
+    body('schedule.time').optional().isString().matches(/^\d{2}:\d{2}$/).withMessage('Время должно быть в формате HH:MM'),
+    body('schedule.times').optional().isArray({ min: 1, max: MAX_TIMES_PER_DAY }).withMessage(`От 1 до ${MAX_TIMES_PER_DAY} приёмов в день`),
+    body('schedule.times.*').isString().matches(/^\d{2}:\d{2}$/).withMessage('Время должно быть в формате HH:MM'),
+    body('schedule.weekendTime').optional().isString().matches(/^\d{2}:\d{2}$/).withMessage('Время выходных должно быть в формате HH:MM'),
+    body('schedule.customDays').optional().isArray({ min: 1, max: 7 }).withMessage('Выберите дни недели'),
+    body('schedule.customDays.*').isInt({ min: 1, max: 7 }).withMessage('Дни недели от 1 (Пн) до 7 (Вс)'),
+    body('schedule.anchorDate').optional().isISO8601({ strict: true }).withMessage('Дата начала должна быть в формате YYYY-MM-DD'),
+    body('schedule.intervalValue').optional().isInt({ min: 1, max: MAX_CYCLE_DAYS }).withMessage(`Интервал должен быть от 1 до ${MAX_CYCLE_DAYS}`),
+    body('schedule.intervalUnit').optional().isIn(INTERVAL_UNITS).withMessage('Единица интервала: day или week'),
+    body('schedule.cycleOnDays').optional().isInt({ min: 1, max: MAX_CYCLE_DAYS }).withMessage('Укажите количество дней приёма'),
+    body('schedule.cycleOffDays').optional().isInt({ min: 0, max: MAX_CYCLE_DAYS }).withMessage('Укажите количество дней перерыва'),
+    body('schedule.rrule')
+      .optional()
+      .isString()
+      .withMessage('Правило повторения (RRULE) должно быть строкой')
+      .bail()
+      .custom(checkRrule),
+    ...exdatesValidators,
+    body('schedule.endDate').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('Дата окончания должна быть в формате YYYY-MM-DD'),
+    body('schedule.courseDays').optional().isInt({ min: 1, max: MAX_CYCLE_DAYS }).withMessage(`Длительность курса от 1 до ${MAX_CYCLE_DAYS} дней`),
     validate,
   ],
   async (req, res) => {
     try {
       const { id } = req.params;
-      const updates = req.body;
+      const { is_active: isActive, pausedUntil, schedule } = req.body;
+
+      if (pausedUntil && pausedUntil <= getUserToday(req.user)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Дата возобновления должна быть позже сегодняшней',
+        });
+      }
 
       // Проверяем принадлежность
       const routine = await db.getRoutineById(id);
-      if (!routine || routine.user_id !== req.userId) {
+      if (!routine || routine.user_id !== req.userId || routine.deleted_at) {
         return res.status(404).json({
           success: false,
           error: 'Рутина не найдена',
         });
       }
 
-      const updated = await db.updateRoutine(id, updates);
+      // Дата возобновления меняется у приостановленной рутины или задается вместе с паузой
+      const pausing = isActive === false
+        || (isActive === undefined && !routine.is_active && !routine.archived_at);
+      if (pausedUntil !== undefined && !pausing) {
+        return res.status(400).json({
+          success: false,
+          error: 'Дата возобновления задается только для приостановленной рутины',
+        });
+      }
+
+      // Изменение расписания: сравниваем со старым и перепланируем будущие напоминания
+      let updatedSchedule = null;
+      let rescheduled = null;
+      if (schedule && Object.keys(schedule).length > 0) {
+        const [current] = await db.getRoutineSchedules(id);
+        if (!current) {
+          return res.status(404).json({
+            success: false,
+            error: 'Расписание не найдено',
+          });
+        }
+
+        const today = getUserToday(req.user);
+        const scheduleUpdates = buildScheduleUpdates(schedule, current, {
+          today,
+          startDate: toDateString(current.anchor_date) || toDateString(routine.created_at) || today,
+        });
+
+        const scheduleError = getScheduleError({ ...current, ...scheduleUpdates });
+        if (scheduleError) {
+          return res.status(400).json({
+            success: false,
+            error: scheduleError,
+          });
+        }
+
+        const changed = diffSchedule(current, scheduleUpdates);
+        if (changed.length > 0) {
+          const updates = Object.fromEntries(changed.map(key => [key, scheduleUpdates[key]]));
+          updatedSchedule = await db.updateSchedule(current.schedule_id, updates);
+          rescheduled = await lifecycle.rescheduleRoutine(routine);
+          logger.info('Расписание рутины изменено', { routineId: id, changed });
+        } else {
+          updatedSchedule = current;
+        }
+      }
+
+      // Пауза/возобновление проходят через жизненный цикл (отмена задач, перегенерация)
+      if (pausing && (routine.is_active || pausedUntil !== undefined)) {
+        await lifecycle.pauseRoutine(id, { until: pausedUntil || null });
+      } else if (isActive === true && !routine.is_active) {
+        await lifecycle.resumeRoutine(routine);
+      }
+
+      // Поля рутины (только разрешенные)
+      const fields = {};
+      ['title', 'description', 'icon', 'dosage', 'priority'].forEach((key) => {
+        if (req.body[key] !== undefined) fields[key] = req.body[key];
+      });
+      if (req.body.gracePeriod !== undefined) {
+        fields.grace_period_minutes = req.body.gracePeriod;
+      }
+      if (req.body.escalationPolicy !== undefined) {
+        fields.escalation_policy = req.body.escalationPolicy;
+      }
+
+      const updated = Object.keys(fields).length > 0
+        ? await db.updateRoutine(id, fields)
+        : await db.getRoutineById(id);
 
       res.json({
         success: true,
@@ -367,6 +811,11 @@ router.patch(
           id: updated.routine_id,
           title: updated.title,
           isActive: updated.is_active,
+          pausedUntil: toDateString(updated.paused_until),
+          escalationPolicy: resolveEscalationPolicy(updated, req.user.escalation_policy),
+          customEscalationPolicy: updated.escalation_policy,
+          ...(updatedSchedule && { schedule: formatSchedule(updatedSchedule) }),
+          ...(rescheduled && { cancelledReminders: rescheduled.cancelled }),
         },
       });
     } catch (error) {
@@ -403,7 +852,7 @@ router.delete(
         });
       }
 
-      await db.deleteRoutine(id);
+      await lifecycle.deleteRoutine(id);
 
       res.json({
         success: true,
@@ -429,8 +878,9 @@ router.delete(
  */
 router.get('/reminders/today', authenticateToken, async (req, res) => {
   try {
-    const today = new Date().toISOString().split('T')[0];
-    const reminders = await db.getRemindersByDate(req.userId, today);
+    // "Сегодня" определяется по часовому поясу пользователя
+    const today = getUserToday(req.user);
+    const reminders = numberSlots(await db.getRemindersByDate(req.userId, today));
 
     const formatted = reminders.map(r => ({
       id: r.reminder_id,
@@ -441,7 +891,12 @@ router.get('/reminders/today', authenticateToken, async (req, res) => {
       dosage: r.dosage,
       time: r.scheduled_time,
       status: r.status,
+      completionStatus: r.completion_status,
       canPostpone: r.postpone_count < r.max_postpones,
+      slot: {
+        index: r.slot_index,
+        total: r.slot_total,
+      },
     }));
 
     res.json({
@@ -480,31 +935,26 @@ router.post(
         });
       }
 
-      // Обновляем статус
-      await db.updateReminder(id, {
-        status: 'completed',
-        completed_at: new Date(),
-        confirmation_method: 'miniapp',
-      });
+      if (lifecycle.isFinal(reminder)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Напоминание уже обработано',
+        });
+      }
 
-      // Создаем событие
-      await db.createEvent({
-        reminder_id: id,
-        user_id: req.userId,
-        routine_id: reminder.routine_id,
-        event_type: 'completed',
-        event_source: 'miniapp',
+      // Статус, событие, геймификация и отмена эскалаций
+      const result = await lifecycle.completeReminder(reminder, {
+        source: 'miniapp',
+        confirmationMethod: 'miniapp',
       });
 
-      // Обновляем геймификацию
-      const result = await gamification.handleCompletion(req.userId, id, reminder.type);
-
       res.json({
         success: true,
         data: {
           streak: result.streak.current,
           newAchievements: result.achievements.length,
           pointsEarned: result.points,
+          completionStatus: result.completionStatus,
         },
       });
     } catch (error) {
@@ -526,13 +976,15 @@ router.post(
   authenticateToken,
   [
     param('id').isUUID().withMessage('Неверный ID напоминания'),
-    body('minutes').isInt({ min: 5, max: 60 }).withMessage('Минуты должны быть от 5 до 60'),
+    body('minutes')
+      .isIn(config.business.postponeOptions)
+      .withMessage(`Минуты должны быть одним из: ${config.business.postponeOptions.join(', ')}`),
     validate,
   ],
   async (req, res) => {
     try {
       const { id } = req.params;
-      const { minutes } = req.body;
+      const minutes = parseInt(req.body.minutes, 10);
 
       const reminder = await db.getReminderById(id);
       if (!reminder || reminder.user_id !== req.userId) {
@@ -542,6 +994,13 @@ router.post(
         });
       }
 
+      if (lifecycle.isFinal(reminder)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Напоминание уже обработано',
+        });
+      }
+
       if (reminder.postpone_count >= reminder.max_postpones) {
         return res.status(400).json({
           success: false,
@@ -549,17 +1008,13 @@ router.post(
         });
       }
 
-      await db.updateReminder(id, {
-        status: 'postponed',
-        postpone_count: reminder.postpone_count + 1,
-      });
-
-      // TODO: Запланировать новое напоминание
+      const sendAt = await lifecycle.postponeReminder(reminder, minutes, { source: 'miniapp' });
 
       res.json({
         success: true,
         data: {
           postponedMinutes: minutes,
+          remindAt: sendAt,
           remainingPostpones: reminder.max_postpones - reminder.postpone_count - 1,
         },
       });
@@ -611,6 +1066,16 @@ router.get('/stats', authenticateToken, async (req, res) => {
           skipped: parseInt(stats.skipped),
           rate: stats.total > 0 ? Math.round((stats.completed / stats.total) * 100) : 0,
         },
+        punctuality: {
+          onTime: parseInt(stats.on_time),
+          late: parseInt(stats.late),
+          missed: parseInt(stats.missed),
+          rate: getPunctualityPercent({
+            on_time: parseInt(stats.on_time),
+            late: parseInt(stats.late),
+            missed: parseInt(stats.missed),
+          }),
+        },
         achievements: {
           total: stats.achievements,
         },
@@ -636,10 +1101,13 @@ async function getWeeklyStats(userId) {
        scheduled_date,
        COUNT(*) FILTER (WHERE status = 'completed') as completed,
        COUNT(*) FILTER (WHERE status = 'skipped') as skipped,
+       COUNT(*) FILTER (WHERE completion_status = 'on_time') as on_time,
+       COUNT(*) FILTER (WHERE completion_status = 'late') as late,
        COUNT(*) as total
      FROM reminders 
      WHERE user_id = $1 
-     AND scheduled_date >= CURRENT_DATE - INTERVAL '6 days'
+     AND status <> 'cancelled'
+     AND scheduled_date >= user_local_date($1) - INTERVAL '6 days'
      GROUP BY scheduled_date
      ORDER BY scheduled_date`,
     [userId]
@@ -649,6 +1117,8 @@ async function getWeeklyStats(userId) {
     date: row.scheduled_date,
     completed: parseInt(row.completed),
     skipped: parseInt(row.skipped),
+    onTime: parseInt(row.on_time),
+    late: parseInt(row.late),
     total: parseInt(row.total),
     rate: row.total > 0 ? Math.round((row.completed / row.total) * 100) : 0,
   }));
@@ -730,6 +1200,11 @@ router.get('/settings', authenticateToken, async (req, res) => {
           end: user.quiet_hours_end,
         },
         notifications: true, // TODO: Добавить поле в БД
+        vacation: {
+          enabled: user.on_vacation,
+          until: toDateString(user.vacation_until),
+        },
+        escalationPolicy: user.escalation_policy,
       },
     });
   } catch (error) {
@@ -749,17 +1224,51 @@ router.patch(
   '/settings',
   authenticateToken,
   [
-    body('timezone').optional().isString(),
+    body('timezone').optional().isString()
+      .custom(value => resolveTimezone(value) === value).withMessage('Неизвестный часовой пояс'),
+    body('timezoneMode').optional().isIn(lifecycle.TIMEZONE_MODES).withMessage('Некорректный режим смены часового пояса'),
     body('quietHours.start').optional().matches(/^\d{2}:\d{2}$/),
     body('quietHours.end').optional().matches(/^\d{2}:\d{2}$/),
+    body('vacation.enabled').optional().isBoolean().withMessage('vacation.enabled должен быть boolean'),
+    body('vacation.until').optional({ nullable: true }).isISO8601({ strict: true }).withMessage('Дата возвращения должна быть в формате YYYY-MM-DD'),
+    body('vacation.days').optional().isInt({ min: 1, max: 365 }).withMessage('Отпуск от 1 до 365 дней'),
+    body('escalationPolicy').optional({ nullable: true }).custom(checkEscalationPolicy),
     validate,
   ],
   async (req, res) => {
     try {
       const updates = {};
+      const { vacation } = req.body;
+      let rescheduledReminders = 0;
+
+      // Сначала проверяем весь запрос, чтобы не применить его частично.
+      // "Сегодня" для отпуска считается уже в новом часовом поясе
+      let vacationUntil = null;
+      if (vacation?.enabled === true) {
+        const today = getUserToday({ timezone: req.body.timezone || req.user.timezone });
+        vacationUntil = vacation.until || (vacation.days ? addDays(today, vacation.days) : null);
+        if (vacationUntil && vacationUntil <= today) {
+          return res.status(400).json({
+            success: false,
+            error: 'Дата возвращения должна быть позже сегодняшней',
+          });
+        }
+      }
 
+      // Смена часового пояса перепланирует уже поставленные в очередь напоминания
       if (req.body.timezone) {
-        updates.timezone = req.body.timezone;
+        const result = await lifecycle.changeTimezone(req.user, req.body.timezone, {
+          mode: req.body.timezoneMode || 'local',
+          source: 'miniapp',
+        });
+        rescheduledReminders = result.rescheduled;
+      }
+
+      // Режим отпуска: дата возвращения задается явно или количеством дней
+      if (vacation?.enabled === true) {
+        await lifecycle.startVacation(req.userId, { until: vacationUntil });
+      } else if (vacation?.enabled === false && req.user.on_vacation) {
+        await lifecycle.endVacation(req.userId);
       }
 
       if (req.body.quietHours) {
@@ -771,11 +1280,18 @@ router.patch(
         }
       }
 
-      await db.updateUser(req.userId, updates);
+      if (req.body.escalationPolicy !== undefined) {
+        updates.escalation_policy = req.body.escalationPolicy;
+      }
+
+      if (Object.keys(updates).length > 0) {
+        await db.updateUser(req.userId, updates);
+      }
 
       res.json({
         success: true,
         message: 'Настройки обновлены',
+        data: { rescheduledReminders },
       });
     } catch (error) {
       logger.error('Ошибка обновления настроек:', error);
@@ -825,6 +1341,175 @@ router.get('/templates', authenticateToken, async (req, res) => {
   }
 });
 
+// ============================================
+// СОГЛАСИЕ НА ОБРАБОТКУ ДАННЫХ
+// ============================================
+
+/**
+ * Состояние согласия для ответа API
+ * @param {Object} user - Пользователь из БД
+ */
+const formatConsent = (user) => {
+  const policy = getCurrentPolicy();
+  return {
+    policy: {
+      version: policy.version,
+      effectiveDate: policy.effectiveDate,
+      changes: policy.changes,
+      url: config.privacy.privacyPolicyUrl,
+    },
+    required: needsConsent(user),
+    acceptedVersion: user.gdpr_consent ? user.privacy_version : null,
+    consentedAt: user.consent_date,
+    withdrawnAt: user.consent_withdrawn_at,
+  };
+};
+
+/**
+ * GET /api/consent
+ * Действующая версия политики и состояние согласия пользователя
+ */
+router.get('/consent', authenticateToken, async (req, res) => {
+  res.json({
+    success: true,
+    data: formatConsent(req.user),
+  });
+});
+
+/**
+ * POST /api/consent
+ * Согласие с действующей версией политики
+ */
+router.post('/consent', authenticateToken, async (req, res) => {
+  try {
+    const { user } = await lifecycle.grantConsent(req.user, 'miniapp');
+
+    res.json({
+      success: true,
+      data: formatConsent(user),
+    });
+  } catch (error) {
+    logger.error('Ошибка сохранения согласия:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Внутренняя ошибка сервера',
+    });
+  }
+});
+
+/**
+ * DELETE /api/consent
+ * Отзыв согласия: напоминания отключаются, данные сохраняются
+ */
+router.delete('/consent', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.consent_withdrawn_at) {
+      await lifecycle.withdrawConsent(req.userId, 'miniapp');
+    }
+
+    res.json({
+      success: true,
+      data: formatConsent(await db.getUserById(req.userId)),
+    });
+  } catch (error) {
+    logger.error('Ошибка отзыва согласия:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Внутренняя ошибка сервера',
+    });
+  }
+});
+
+// ============================================
+// ЭКСПОРТ ДАННЫХ (GDPR / 152-ФЗ)
+// ============================================
+
+/**
+ * Формат запроса на экспорт для ответа API
+ * @param {Object} e - Запись data_exports
+ */
+const formatExport = async (e) => ({
+  id: e.export_id,
+  status: e.status,
+  requestedAt: e.requested_at,
+  completedAt: e.completed_at,
+  expiresAt: e.expires_at,
+  fileSize: e.file_size,
+  url: await getDownloadUrl(e),
+});
+
+/**
+ * POST /api/export
+ * Запрос архива со всеми данными пользователя (ссылка придет и в чат с ботом)
+ */
+router.post('/export', authenticateToken, async (req, res) => {
+  try {
+    const { request, created } = await createExportRequest(req.userId);
+
+    if (created) {
+      await scheduleExport(request.export_id);
+    }
+
+    res.status(created ? 202 : 200).json({
+      success: true,
+      data: await formatExport(request),
+    });
+  } catch (error) {
+    logger.error('Ошибка запроса экспорта:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Внутренняя ошибка сервера',
+    });
+  }
+});
+
+/**
+ * GET /api/export
+ * Статус последнего экспорта и ссылка на архив
+ */
+router.get('/export', authenticateToken, async (req, res) => {
+  try {
+    const latest = await getLatestExport(req.userId);
+
+    res.json({
+      success: true,
+      data: latest ? await formatExport(latest) : null,
+    });
+  } catch (error) {
+    logger.error('Ошибка получения экспорта:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Внутренняя ошибка сервера',
+    });
+  }
+});
+
+// ============================================
+// УДАЛЕНИЕ АККАУНТА
+// ============================================
+
+/**
+ * DELETE /api/account
+ * Удаление аккаунта: напоминания отменяются, все сессии отзываются.
+ * До purgeAt аккаунт можно восстановить через бота
+ */
+router.delete('/account', authenticateToken, async (req, res) => {
+  try {
+    const { purgeAt } = await lifecycle.deleteAccount(req.userId);
+
+    res.json({
+      success: true,
+      data: { purgeAt },
+    });
+  } catch (error) {
+    logger.error('Ошибка удаления аккаунта:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Внутренняя ошибка сервера',
+    });
+  }
+});
+
 // ============================================
 // HEALTH CHECK
 // ============================================
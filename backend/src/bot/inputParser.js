@@ -0,0 +1,137 @@
+/**
+ * Разбор текстового ввода в диалогах бота
+ * Функции возвращают нормализованное значение или null, если ввод не распознан
+ * @module bot/inputParser
+ */
+
+import { MAX_TIMES_PER_DAY } from '../services/scheduleService.js';
+
+/**
+ * Ограничения длины полей рутины (по схеме БД)
+ */
+export const MAX_TITLE_LENGTH = 100;
+export const MAX_DOSAGE_LENGTH = 50;
+export const MAX_FORM_LENGTH = 20;
+
+/**
+ * Время: "7:45", "07.45", "в 21.30", "8" (целый час)
+ */
+const TIME_PATTERN = /(?:^|[^\d])(\d{1,2})(?:[:.](\d{2}))?(?=$|[^\d])/g;
+
+/**
+ * Дни недели по первым буквам (ISO: 1 — понедельник, 7 — воскресенье)
+ */
+const WEEKDAY_PREFIXES = [
+  ['пн', 1], ['пон', 1],
+  ['вт', 2],
+  ['ср', 3],
+  ['чт', 4], ['чет', 4],
+  ['пт', 5], ['пят', 5],
+  ['сб', 6], ['суб', 6],
+  ['вс', 7], ['вос', 7],
+];
+
+/**
+ * Группы дней
+ */
+const WEEKDAY_GROUPS = {
+  будни: [1, 2, 3, 4, 5],
+  выходные: [6, 7],
+};
+
+/**
+ * Однострочный текст без лишних пробелов
+ * @param {string} text - Ввод пользователя
+ * @param {number} maxLength - Максимальная длина
+ * @returns {string|null}
+ */
+export const parseText = (text, maxLength) => {
+  const value = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!value || value.length > maxLength) return null;
+  return value;
+};
+
+/**
+ * Список времени суток
+ * @param {string} text - Ввод пользователя ("8:00, 20:00", "в 21.30")
+ * @returns {Array<string>|null} Время HH:MM по возрастанию или null
+ */
+export const parseTimes = (text) => {
+  const matches = [...String(text || '').matchAll(TIME_PATTERN)];
+  if (matches.length === 0 || matches.length > MAX_TIMES_PER_DAY) return null;
+
+  const times = [];
+  for (const [, hours, minutes = '00'] of matches) {
+    const h = Number(hours);
+    const m = Number(minutes);
+    if (h > 23 || m > 59) return null;
+    times.push(`${String(h).padStart(2, '0')}:${minutes.padStart(2, '0')}`);
+  }
+
+  return [...new Set(times)].sort();
+};
+
+/**
+ * День недели по слову или номеру
+ * @param {string} token - "пн", "среда", "3"
+ * @returns {number|null} ISO день недели
+ */
+const parseWeekday = (token) => {
+  if (/^[1-7]$/.test(token)) return Number(token);
+
+  const match = WEEKDAY_PREFIXES
+    .filter(([prefix]) => token.startsWith(prefix))
+    .sort((a, b) => b[0].length - a[0].length)[0];
+  return match ? match[1] : null;
+};
+
+/**
+ * Дни недели для расписания "Выбрать дни"
+ * Поддерживаются сокращения, полные названия, номера, диапазоны ("пн-пт", "пт-пн")
+ * и группы ("будни", "выходные")
+ * @param {string} text - Ввод пользователя
+ * @returns {Array<number>|null} ISO дни недели по возрастанию или null
+ */
+export const parseWeekdays = (text) => {
+  const tokens = String(text || '')
+    .toLowerCase()
+    .replace(/ё/g, 'е')
+    .replace(/\s*[-–—]\s*/g, '-')
+    .split(/[\s,;.]+/)
+    .filter(token => token && token !== 'и');
+
+  if (tokens.length === 0) return null;
+
+  const days = new Set();
+  for (const token of tokens) {
+    if (WEEKDAY_GROUPS[token]) {
+      WEEKDAY_GROUPS[token].forEach(day => days.add(day));
+      continue;
+    }
+
+    const [from, to, ...rest] = token.split('-').map(parseWeekday);
+    if (!from || rest.length > 0 || to === null) return null;
+
+    if (to === undefined) {
+      days.add(from);
+      continue;
+    }
+
+    // Диапазон может переходить через воскресенье
+    for (let day = from; ; day = day % 7 + 1) {
+      days.add(day);
+      if (day === to) break;
+    }
+  }
+
+  return [...days].sort((a, b) => a - b);
+};
+
+export default {
+  MAX_TITLE_LENGTH,
+  MAX_DOSAGE_LENGTH,
+  MAX_FORM_LENGTH,
+  parseText,
+  parseTimes,
+  parseWeekdays,
+};
@@ -0,0 +1,253 @@
+/**
+ * Разбор фразы на естественном языке в рутину (без внешнего ИИ)
+ * "напоминай пить магний каждый день в 21:00",
+ * "аспирин 100мг по понедельникам и средам в 9 утра"
+ * @module bot/nlParser
+ */
+
+import { MAX_TIMES_PER_DAY } from '../services/scheduleService.js';
+import { MAX_TITLE_LENGTH, parseWeekdays } from './inputParser.js';
+
+/**
+ * Граница слова для кириллицы (\b в JS работает только с латиницей)
+ */
+const WORD_END = '(?=$|[^0-9a-zа-яё])';
+
+/**
+ * Числительные, которые встречаются в расписаниях
+ */
+const NUMBER_WORDS = {
+  один: 1, одна: 1, одну: 1,
+  два: 2, две: 2,
+  три: 3,
+  четыре: 4,
+  пять: 5,
+  шесть: 6,
+  семь: 7,
+};
+
+const NUMBER = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+/**
+ * Обращение к боту в начале фразы
+ */
+const TRIGGER_PATTERN = /^\s*(?:пожалуйста[\s,]+)?(?:напомина(?:й|йте|ть)|напомни(?:те)?|добавь(?:те)?|создай(?:те)?)(?:[\s,]+мне)?(?:[\s,]+пожалуйста)?(?:[\s,]+(?:о|об|про|что\s+(?:нужно|надо)))?(?=\s|$)/i;
+
+/**
+ * Дозировка: "100мг", "0,5 мл", "2 таблетки"
+ */
+const DOSAGE_PATTERN = new RegExp(
+  `(\\d+(?:[.,]\\d+)?)\\s*(мкг|мг|г|мл|ме|капл[иья]|кап|таблет(?:ка|ки|ку|ок)|капсул[аыу]?|шт)${WORD_END}`,
+  'i'
+);
+
+/**
+ * Время с уточнением части суток: "21:00", "9.30", "9 утра"
+ */
+const TIME_TOKEN = '\\d{1,2}(?:[:.]\\d{2})?(?:\\s*(?:утра|дня|вечера|ночи))?';
+const TIME_TOKEN_PATTERN = /(\d{1,2})(?:[:.](\d{2}))?(?:\s*(утра|дня|вечера|ночи))?/gi;
+const TIMES_PATTERN = new RegExp(
+  `(?:^|\\s)(?:в|во)\\s+(${TIME_TOKEN}(?:\\s*(?:,|и)\\s*${TIME_TOKEN})*)${WORD_END}`,
+  'i'
+);
+
+/**
+ * Части суток без точного времени
+ */
+const DAY_PARTS = [
+  [/(?:^|\s)(?:каждое\s+)?утр(?:ом|о)(?=$|[^а-яё])/i, '08:00'],
+  [/(?:^|\s)(?:каждый\s+)?дн[её]м(?=$|[^а-яё])/i, '13:00'],
+  [/(?:^|\s)(?:каждый\s+)?вечер(?:ом)?(?=$|[^а-яё])/i, '20:00'],
+  [/(?:^|\s)(?:на\s+ночь|перед\s+сном)(?=$|[^а-яё])/i, '22:00'],
+];
+
+/**
+ * Время по умолчанию для "N раз в день"
+ */
+const TIMES_BY_COUNT = {
+  1: ['09:00'],
+  2: ['08:00', '20:00'],
+  3: ['08:00', '14:00', '20:00'],
+  4: ['08:00', '12:00', '16:00', '20:00'],
+};
+
+/**
+ * Дни недели: "по понедельникам и средам", "в пятницу"
+ */
+const WEEKDAY_WORD = '(?:понедельник|вторник|сред|четверг|пятниц|суббот|воскресень)[а-я]*';
+const WEEKDAYS_PATTERN = new RegExp(
+  `(?:^|\\s)(?:по|в|во)\\s+(${WEEKDAY_WORD}(?:\\s*(?:,|и|-|–)\\s*${WEEKDAY_WORD})*)`,
+  'i'
+);
+
+/**
+ * Признаки типа рутины
+ */
+const MEDICATION_PATTERN = /таблет|капсул|лекарств|витамин|магни|омег|желез|аспирин|антибиотик|капл|сироп|укол|пилюл|препарат/i;
+const TASK_PATTERN = /позвонить|оплатить|заплатить|купить|записаться|сходить|отправить|забрать|проверить/i;
+
+/**
+ * Число из цифр или слова
+ * @param {string} value - "3" или "три"
+ * @returns {number}
+ */
+const toNumber = (value) => NUMBER_WORDS[value.toLowerCase()] || parseInt(value, 10);
+
+/**
+ * Перевод времени с частью суток в HH:MM
+ * @param {string} hours - Часы
+ * @param {string} minutes - Минуты
+ * @param {string} part - утра, дня, вечера или ночи
+ * @returns {string|null}
+ */
+const toTime = (hours, minutes = '00', part = '') => {
+  let h = Number(hours);
+  const m = Number(minutes);
+  if (h > 23 || m > 59) return null;
+
+  switch (part.toLowerCase()) {
+    case 'утра':
+      if (h === 12) h = 0;
+      break;
+    case 'дня':
+    case 'вечера':
+      if (h < 12) h += 12;
+      break;
+    case 'ночи':
+      if (h === 12) h = 0;
+      else if (h >= 9) h += 12;
+      break;
+    default:
+      break;
+  }
+
+  if (h > 23) return null;
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+};
+
+/**
+ * Разбор фразы в данные рутины
+ * Распознанные фрагменты вырезаются из текста, остаток становится названием
+ * @param {string} text - Сообщение пользователя
+ * @returns {Object|null} { type, title, dosage, schedule_type, custom_days,
+ *   interval_value, interval_unit, times } или null, если это не просьба создать рутину
+ */
+export const parseRoutineRequest = (text) => {
+  let rest = ` ${String(text || '').replace(/\s+/g, ' ').trim()} `;
+  const result = {};
+
+  const cut = (pattern) => {
+    const match = pattern.exec(rest);
+    if (match) {
+      rest = `${rest.slice(0, match.index)} ${rest.slice(match.index + match[0].length)}`;
+    }
+    return match;
+  };
+
+  const hasTrigger = Boolean(cut(TRIGGER_PATTERN));
+
+  // Дозировка (до времени, чтобы "100мг" не стало временем)
+  const dosage = cut(DOSAGE_PATTERN);
+  if (dosage) {
+    result.dosage = `${dosage[1].replace('.', ',')} ${dosage[2].toLowerCase()}`;
+  }
+
+  // Интервалы (до времени, чтобы "раз в 2 недели" не стало временем)
+  if (cut(new RegExp(`(?:^|\\s)через\\s+день${WORD_END}`, 'i'))) {
+    Object.assign(result, { schedule_type: 'interval', interval_value: 2, interval_unit: 'day' });
+  } else {
+    const interval = cut(new RegExp(
+      `(?:^|\\s)(?:каждые|раз\\s+в)\\s+${NUMBER}\\s+(дн[яей]|день|недел[иьюя])${WORD_END}`,
+      'i'
+    ));
+    const weekly = !interval && cut(new RegExp(`(?:^|\\s)(?:раз\\s+в\\s+неделю|каждую\\s+неделю|еженедельно)${WORD_END}`, 'i'));
+
+    if (interval) {
+      result.schedule_type = 'interval';
+      result.interval_value = toNumber(interval[1]);
+      result.interval_unit = interval[2].toLowerCase().startsWith('нед') ? 'week' : 'day';
+    } else if (weekly) {
+      Object.assign(result, { schedule_type: 'interval', interval_value: 1, interval_unit: 'week' });
+    }
+  }
+
+  // Дни недели
+  const weekdays = cut(WEEKDAYS_PATTERN);
+  if (weekdays) {
+    const days = parseWeekdays(weekdays[1]);
+    if (days) {
+      Object.assign(result, { schedule_type: 'custom', custom_days: days });
+      delete result.interval_value;
+      delete result.interval_unit;
+    }
+  } else if (cut(new RegExp(`(?:^|\\s)по\\s+будням${WORD_END}`, 'i'))) {
+    Object.assign(result, { schedule_type: 'custom', custom_days: [1, 2, 3, 4, 5] });
+  } else if (cut(new RegExp(`(?:^|\\s)по\\s+выходным${WORD_END}`, 'i'))) {
+    result.schedule_type = 'weekends';
+  }
+
+  const daily = cut(new RegExp(`(?:^|\\s)(?:каждый\\s+день|ежедневно)${WORD_END}`, 'i'));
+
+  // Количество приёмов в день
+  const perDay = cut(new RegExp(`(?:^|\\s)${NUMBER}\\s+раз[а]?\\s+в\\s+день${WORD_END}`, 'i'));
+
+  // Точное время
+  let times = [];
+  const timesMatch = cut(TIMES_PATTERN);
+  if (timesMatch) {
+    for (const [, hours, minutes, part] of timesMatch[1].matchAll(TIME_TOKEN_PATTERN)) {
+      const time = toTime(hours, minutes, part);
+      if (time) times.push(time);
+    }
+  }
+
+  // Части суток ("утром и вечером") — и как уточнение времени, и как расписание "каждое утро"
+  let everyDayPart = false;
+  for (const [pattern, time] of DAY_PARTS) {
+    const match = cut(pattern);
+    if (!match) continue;
+    everyDayPart = everyDayPart || /кажд/i.test(match[0]);
+    if (!timesMatch) times.push(time);
+  }
+
+  if (times.length === 0 && perDay) {
+    times = TIMES_BY_COUNT[toNumber(perDay[1])] || [];
+  }
+
+  times = [...new Set(times)].sort().slice(0, MAX_TIMES_PER_DAY);
+  if (times.length > 0) {
+    result.times = times;
+  }
+
+  if (!result.schedule_type && (daily || everyDayPart || perDay || times.length > 0)) {
+    result.schedule_type = 'daily';
+  }
+
+  // Остаток — название (без висящих предлогов и знаков препинания)
+  const title = rest
+    .replace(/[.!?]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .replace(/^[\s,;:—-]*(?:(?:и|в|во|по|на|о|об|про|мне)\s+)*/i, '')
+    .replace(/(?:\s+(?:и|в|во|по|на))*[\s,;:—-]*$/i, '')
+    .trim()
+    .slice(0, MAX_TITLE_LENGTH);
+
+  if (!/[a-zа-яё]/i.test(title)) return null;
+  if (!hasTrigger && !result.schedule_type) return null;
+
+  result.title = title.charAt(0).toUpperCase() + title.slice(1);
+
+  if (result.dosage || MEDICATION_PATTERN.test(text)) {
+    result.type = 'medication';
+  } else if (TASK_PATTERN.test(text)) {
+    result.type = 'task';
+  } else {
+    result.type = 'habit';
+  }
+
+  return result;
+};
+
+export default {
+  parseRoutineRequest,
+};
@@ -0,0 +1,176 @@
+/**
+ * Хранилище состояний диалогов бота в Redis
+ * Состояние диалога переживает перезапуск процесса и доступно всем репликам;
+ * незавершенный диалог удаляется по TTL
+ * @module bot/sessionStore
+ */
+
+import { redisClient } from '../config/redis.js';
+import { logger } from '../config/logger.js';
+import { config } from '../config/index.js';
+
+/**
+ * Префикс ключей сессий
+ */
+const KEY_PREFIX = 'bot:session';
+
+/**
+ * Ключ сессии диалога пользователя
+ * @param {string} dialog - Название диалога
+ * @param {number} userId - ID пользователя
+ * @returns {string}
+ */
+const getKey = (dialog, userId) => `${KEY_PREFIX}:${dialog}:${userId}`;
+
+/**
+ * Получение сессии
+ * @param {string} dialog - Название диалога
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object|null>} { state, data, history } или null
+ */
+export const getSession = async (dialog, userId) => {
+  const raw = await redisClient.get(getKey(dialog, userId));
+  if (!raw) return null;
+
+  try {
+    return JSON.parse(raw);
+  } catch (error) {
+    logger.error('Поврежденная сессия диалога, удаляем:', { dialog, userId, error: error.message });
+    await redisClient.del(getKey(dialog, userId));
+    return null;
+  }
+};
+
+/**
+ * Сохранение сессии (TTL продлевается при каждом сохранении)
+ * @param {string} dialog - Название диалога
+ * @param {number} userId - ID пользователя
+ * @param {Object} session - { state, data, history }
+ * @param {number} ttl - Время жизни в секундах
+ */
+export const saveSession = async (dialog, userId, session, ttl = config.bot.sessionTtl) => {
+  await redisClient.setex(getKey(dialog, userId), ttl, JSON.stringify(session));
+};
+
+/**
+ * Удаление сессии
+ * @param {string} dialog - Название диалога
+ * @param {number} userId - ID пользователя
+ */
+export const deleteSession = async (dialog, userId) => {
+  await redisClient.del(getKey(dialog, userId));
+};
+
+/**
+ * Машина состояний диалога поверх хранилища сессий
+ * Допускаются только объявленные состояния; данные диалога дополняются патчами
+ * (поле со значением undefined удаляется при сериализации).
+ * Пройденные состояния запоминаются, чтобы можно было вернуться на шаг назад
+ * @param {string} name - Название диалога (часть ключа в Redis)
+ * @param {Object} options - Параметры
+ * @param {Object} options.states - Состояния диалога ({ KEY: 'VALUE' })
+ * @param {number} options.ttl - Время жизни сессии в секундах
+ * @returns {Object} Методы диалога: get, start, transition, back, update, finish
+ */
+export const createDialog = (name, { states, ttl = config.bot.sessionTtl }) => {
+  const allowed = new Set(Object.values(states));
+
+  const assertState = (state) => {
+    if (!allowed.has(state)) {
+      throw new Error(`Неизвестное состояние диалога ${name}: ${state}`);
+    }
+  };
+
+  return {
+    /**
+     * Текущая сессия пользователя
+     * @param {number} userId - ID пользователя
+     * @returns {Promise<Object|null>} { state, data, history } или null
+     */
+    get: (userId) => getSession(name, userId),
+
+    /**
+     * Начало диалога (предыдущая сессия перезаписывается)
+     * @param {number} userId - ID пользователя
+     * @param {string} state - Начальное состояние
+     * @param {Object} data - Начальные данные
+     * @returns {Promise<Object>} Новая сессия
+     */
+    start: async (userId, state, data = {}) => {
+      assertState(state);
+      const session = { state, data, history: [] };
+      await saveSession(name, userId, session, ttl);
+      return session;
+    },
+
+    /**
+     * Переход в новое состояние с дополнением данных
+     * @param {number} userId - ID пользователя
+     * @param {string} state - Новое состояние
+     * @param {Object} patch - Изменения данных
+     * @returns {Promise<Object|null>} Сессия или null, если диалог не начат (истек TTL)
+     */
+    transition: async (userId, state, patch = {}) => {
+      assertState(state);
+      const session = await getSession(name, userId);
+      if (!session) return null;
+
+      const history = session.history || [];
+      const next = {
+        state,
+        data: { ...session.data, ...patch },
+        history: state === session.state ? history : [...history, session.state],
+      };
+      await saveSession(name, userId, next, ttl);
+      return next;
+    },
+
+    /**
+     * Возврат в предыдущее состояние
+     * @param {number} userId - ID пользователя
+     * @param {Object} patch - Изменения данных
+     * @returns {Promise<Object|null>} Сессия или null, если возвращаться некуда
+     */
+    back: async (userId, patch = {}) => {
+      const session = await getSession(name, userId);
+      if (!session?.history?.length) return null;
+
+      const history = session.history.slice(0, -1);
+      const next = {
+        state: session.history[session.history.length - 1],
+        data: { ...session.data, ...patch },
+        history,
+      };
+      await saveSession(name, userId, next, ttl);
+      return next;
+    },
+
+    /**
+     * Дополнение данных без смены состояния
+     * @param {number} userId - ID пользователя
+     * @param {Object} patch - Изменения данных
+     * @returns {Promise<Object|null>} Сессия или null, если диалог не начат
+     */
+    update: async (userId, patch) => {
+      const session = await getSession(name, userId);
+      if (!session) return null;
+
+      const next = { ...session, data: { ...session.data, ...patch } };
+      await saveSession(name, userId, next, ttl);
+      return next;
+    },
+
+    /**
+     * Завершение диалога
+     * @param {number} userId - ID пользователя
+     */
+    finish: (userId) => deleteSession(name, userId),
+  };
+};
+
+export default {
+  getSession,
+  saveSession,
+  deleteSession,
+  createDialog,
+};
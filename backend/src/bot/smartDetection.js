@@ -0,0 +1,245 @@
+/**
+ * Smart Detection — распознавание фраз о выполнении, пропуске и отсрочке
+ * "выпил таблетку от давления", "пропустил витамины", "отложи на 20 минут"
+ * Правила без ИИ: глагол в начале фразы определяет действие, остаток сопоставляется
+ * с названиями сегодняшних напоминаний по основам слов
+ * @module bot/smartDetection
+ */
+
+import { config } from '../config/index.js';
+
+/**
+ * Распознаваемые действия
+ */
+export const INTENTS = ['complete', 'skip', 'postpone'];
+
+/**
+ * Отсрочка по умолчанию (в минутах), если срок не назван
+ */
+export const DEFAULT_SNOOZE_MINUTES = 15;
+
+const WORD_END = '(?=$|[^0-9a-zа-яё])';
+
+/**
+ * Фразы отсрочки: "отложи", "напомни позже", "через 20 минут"
+ */
+const POSTPONE_PATTERN = new RegExp(
+  `^(?:отложи(?:те)?|напомни(?:те)?\\s+(?:позже|попозже|потом)|напомни(?:те)?(?=\\s+через)|позже|попозже|потом)${WORD_END}`,
+  'i'
+);
+
+/**
+ * Фразы пропуска: "пропустил", "не смогу", "забыл"
+ */
+const SKIP_PATTERN = new RegExp(
+  `^(?:пропусти(?:л|ла|ли|ть|те)?|пропускаю|не\\s+(?:смог|смогла|смогу|буду|успел|успела|успею)|забыл|забыла)${WORD_END}`,
+  'i'
+);
+
+/**
+ * Общие слова выполнения — в поиске по названию не участвуют
+ */
+const GENERIC_DONE_PATTERN = new RegExp(
+  `^(?:готово|сделано|выполнено|выпил|выпила|принял|приняла|сделал|сделала|выполнил|выполнила|съел|съела)${WORD_END}`,
+  'i'
+);
+
+/**
+ * Глагол прошедшего времени в начале фразы ("позвонил маме", "полила цветы")
+ * Сам глагол остается в запросе: его основа совпадает с названием ("Позвонить маме").
+ * Такое распознавание неявное: фраза может оказаться и названием новой рутины
+ */
+const PAST_VERB_PATTERN = new RegExp(`^[а-яё]{2,}[аеиуыяё]л(?:а|и|ся|ась)?${WORD_END}`, 'i');
+
+/**
+ * Вступительные слова перед глаголом
+ */
+const LEADING_PATTERN = /^(?:(?:я|уже|всё|все|ну|вот)[\s,]+)+/i;
+
+/**
+ * Срок отсрочки
+ */
+const MINUTES_PATTERN = new RegExp(`(?:на|через)?\\s*(\\d+)\\s*(?:минут[уы]?|мин|м)${WORD_END}`, 'i');
+const HOURS_PATTERN = new RegExp(`(?:на|через)?\\s*(\\d+)\\s*час(?:а|ов)?${WORD_END}`, 'i');
+const WORD_DURATIONS = [
+  [new RegExp(`(?:на|через)?\\s*полчаса${WORD_END}`, 'i'), 30],
+  [new RegExp(`(?:на|через)?\\s*полтора\\s+часа${WORD_END}`, 'i'), 90],
+  [new RegExp(`(?:на|через)?\\s*час${WORD_END}`, 'i'), 60],
+];
+
+/**
+ * Слова, которые не помогают найти напоминание
+ */
+const STOP_WORDS = new Set([
+  'я', 'уже', 'от', 'для', 'на', 'с', 'со', 'и', 'по', 'в', 'мой', 'мою', 'мои', 'свой', 'свою', 'свои',
+  'сегодня', 'все', 'всё', 'это', 'эту', 'этот',
+]);
+
+/**
+ * Общие слова, обозначающие тип рутины ("таблетку" — любое лекарство)
+ */
+const TYPE_WORDS = {
+  medication: ['таблет', 'лекарств', 'пилюл', 'капсул'],
+  habit: ['привычк'],
+  task: ['дело', 'задач'],
+};
+
+/**
+ * Основа слова: нижний регистр, без "ё" и последних букв окончания
+ * @param {string} word - Слово
+ * @returns {string}
+ */
+const stem = (word) => {
+  const normalized = word.toLowerCase().replace(/ё/g, 'е');
+  if (normalized.length <= 3) return normalized;
+  if (normalized.length === 4) return normalized.slice(0, 3);
+  return normalized.slice(0, Math.max(4, normalized.length - 2));
+};
+
+/**
+ * Слова фразы для поиска
+ * @param {string} text - Текст
+ * @returns {Array<string>}
+ */
+const tokenize = (text) => String(text || '')
+  .toLowerCase()
+  .split(/[^0-9a-zа-яё]+/i)
+  .filter(word => word.length >= 2 && !STOP_WORDS.has(word));
+
+/**
+ * Расстояние Левенштейна (для опечаток в длинных словах)
+ * @param {string} a - Строка
+ * @param {string} b - Строка
+ * @returns {number}
+ */
+const levenshtein = (a, b) => {
+  let prev = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    prev = row;
+  }
+  return prev[b.length];
+};
+
+/**
+ * Совпадение основ слов: одна продолжает другую или отличается одной буквой
+ * @param {string} a - Основа
+ * @param {string} b - Основа
+ * @returns {boolean}
+ */
+const stemsMatch = (a, b) => {
+  if (a.startsWith(b) || b.startsWith(a)) return Math.min(a.length, b.length) >= 3;
+  return a.length >= 5 && b.length >= 5 && levenshtein(a, b) <= 1;
+};
+
+/**
+ * Срок отсрочки из фразы
+ * @param {string} text - Текст
+ * @returns {Object} { minutes, rest } — минуты (или null) и текст без срока
+ */
+const extractMinutes = (text) => {
+  const minutes = MINUTES_PATTERN.exec(text);
+  if (minutes) return { minutes: Number(minutes[1]), rest: text.replace(minutes[0], ' ') };
+
+  const hours = HOURS_PATTERN.exec(text);
+  if (hours) return { minutes: Number(hours[1]) * 60, rest: text.replace(hours[0], ' ') };
+
+  for (const [pattern, value] of WORD_DURATIONS) {
+    const match = pattern.exec(text);
+    if (match) return { minutes: value, rest: text.replace(match[0], ' ') };
+  }
+
+  return { minutes: null, rest: text };
+};
+
+/**
+ * Допустимый срок отсрочки
+ * @param {number} minutes - Минуты
+ * @returns {boolean}
+ */
+export const isValidSnooze = (minutes) => {
+  return Number.isInteger(minutes) && minutes >= 1 && minutes <= config.business.maxPostponeMinutes;
+};
+
+/**
+ * Распознавание действия во фразе
+ * @param {string} text - Сообщение пользователя
+ * @returns {Object|null} { intent, query, minutes, explicit } или null
+ */
+export const detectIntent = (text) => {
+  const phrase = String(text || '').replace(/\s+/g, ' ').trim().replace(LEADING_PATTERN, '');
+  if (!phrase) return null;
+
+  const postpone = POSTPONE_PATTERN.exec(phrase);
+  if (postpone || /^через\s/i.test(phrase)) {
+    const { minutes, rest } = extractMinutes(phrase.slice(postpone ? postpone[0].length : 0));
+    return {
+      intent: 'postpone',
+      query: rest.replace(/^\s*(?:на|через)\s*$/i, '').trim(),
+      minutes: minutes ?? DEFAULT_SNOOZE_MINUTES,
+      explicit: true,
+    };
+  }
+
+  const skip = SKIP_PATTERN.exec(phrase);
+  if (skip) {
+    return { intent: 'skip', query: phrase.slice(skip[0].length).trim(), explicit: true };
+  }
+
+  const done = GENERIC_DONE_PATTERN.exec(phrase);
+  if (done) {
+    return { intent: 'complete', query: phrase.slice(done[0].length).trim(), explicit: true };
+  }
+
+  if (PAST_VERB_PATTERN.test(phrase)) {
+    return { intent: 'complete', query: phrase, explicit: false };
+  }
+
+  return null;
+};
+
+/**
+ * Поиск напоминаний по запросу
+ * Совпадение со словом названия весит больше, чем общее слово типа ("таблетку"),
+ * поэтому "таблетку от давления" выбирает лекарство с "давлением" в названии
+ * @param {Array} reminders - Напоминания (title, type)
+ * @param {string} query - Запрос
+ * @returns {Array} Лучшие совпадения (все напоминания, если запрос пуст)
+ */
+export const matchReminders = (reminders, query) => {
+  const words = tokenize(query);
+  if (words.length === 0) return reminders;
+
+  const scored = reminders.map(reminder => {
+    const titleStems = tokenize(reminder.title).map(stem);
+    const typeWords = TYPE_WORDS[reminder.type] || [];
+
+    const score = words.reduce((sum, word) => {
+      const wordStem = stem(word);
+      if (titleStems.some(titleStem => stemsMatch(wordStem, titleStem))) return sum + 2;
+      const isTypeWord = typeWords.some(typeWord =>
+        wordStem.startsWith(typeWord) || (wordStem.length >= 4 && typeWord.startsWith(wordStem))
+      );
+      if (isTypeWord) return sum + 1;
+      return sum;
+    }, 0);
+
+    return { reminder, score };
+  });
+
+  const best = Math.max(0, ...scored.map(s => s.score));
+  if (best === 0) return [];
+
+  return scored.filter(s => s.score === best).map(s => s.reminder);
+};
+
+export default {
+  INTENTS,
+  DEFAULT_SNOOZE_MINUTES,
+  isValidSnooze,
+  detectIntent,
+  matchReminders,
+};
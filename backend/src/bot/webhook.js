@@ -3,10 +3,48 @@
  * @module bot/webhook
  */
 
+import { config } from '../config/index.js';
 import { logger, logWebhook } from '../config/logger.js';
 import * as db from '../services/databaseService.js';
 import * as maxApi from '../services/maxApi.js';
 import * as gamification from '../services/gamificationService.js';
+import {
+  buildTimeFields,
+  diffSchedule,
+  getCourseEndDate,
+  getTimesForDay,
+  normalizeTimes,
+  numberSlots,
+  MAX_TIMES_PER_DAY,
+  MAX_CYCLE_DAYS,
+} from '../services/scheduleService.js';
+import { ESCALATION_PRESETS, canAutoSkip, resolveEscalationPolicy } from '../services/escalationService.js';
+import { getPunctualityPercent } from '../services/punctualityService.js';
+import * as lifecycle from '../services/reminderLifecycle.js';
+import { AUTH_CODE_PREFIX, issueAuthCode } from '../services/authService.js';
+import { getCurrentPolicy, needsConsent } from '../services/consentService.js';
+import { backgroundQueue, scheduleExport } from '../scheduler/reminderQueue.js';
+import { createExportRequest, removeUserExports } from '../services/exportService.js';
+import { createDialog } from './sessionStore.js';
+import {
+  MAX_DOSAGE_LENGTH,
+  MAX_FORM_LENGTH,
+  MAX_TITLE_LENGTH,
+  parseText,
+  parseTimes,
+  parseWeekdays,
+} from './inputParser.js';
+import { parseRoutineRequest } from './nlParser.js';
+import { detectIntent, isValidSnooze, matchReminders } from './smartDetection.js';
+import {
+  addDays,
+  getLocalNow,
+  getTimezoneShift,
+  getUserToday,
+  normalizeTime,
+  resolveTimezone,
+  toDateString,
+} from '../utils/time.js';
 import templates from '../templates/ru.json' assert { type: 'json' };
 
 /**
@@ -29,14 +67,74 @@ const ROUTINE_CREATION_STATES = {
   SELECT_TYPE: 'SELECT_TYPE',
   SELECT_TEMPLATE: 'SELECT_TEMPLATE',
   ENTER_TITLE: 'ENTER_TITLE',
+  ENTER_DOSAGE: 'ENTER_DOSAGE',
+  SELECT_FORM: 'SELECT_FORM',
   SELECT_SCHEDULE: 'SELECT_SCHEDULE',
+  ENTER_DAYS: 'ENTER_DAYS',
+  SELECT_RULE: 'SELECT_RULE',
   SELECT_TIME: 'SELECT_TIME',
+  ENTER_TIME: 'ENTER_TIME',
+  SELECT_TIMES: 'SELECT_TIMES',
+  SELECT_WEEKEND_TIME: 'SELECT_WEEKEND_TIME',
+  SELECT_COURSE: 'SELECT_COURSE',
   CONFIRM: 'CONFIRM',
+  // Изменение отдельных полей существующей рутины (/edit)
+  EDIT_TITLE: 'EDIT_TITLE',
+  EDIT_DOSAGE: 'EDIT_DOSAGE',
 };
 
-// Временное хранилище состояний (в production использовать Redis)
-const userStates = new Map();
-const routineCreationData = new Map();
+/**
+ * Команды, доступные без согласия с действующей политикой (права на данные)
+ */
+const CONSENT_FREE_COMMANDS = ['/help', '/export', '/delete', '/withdraw'];
+
+/**
+ * Кнопки, доступные без согласия с действующей политикой:
+ * согласие, удаление и ответы на напоминания, которые продолжают приходить
+ */
+const CONSENT_FREE_ACTIONS = ['consent', 'account', 'delete', 'ok', 'p', 'p15', 'skip'];
+
+/**
+ * Варианты времени для выбора нескольких приёмов в день
+ */
+const MULTI_TIME_OPTIONS = ['07:00', '08:00', '09:00', '12:00', '14:00', '18:00', '20:00', '22:00'];
+
+/**
+ * Варианты интервального расписания: <N><d|w> (каждые N дней/недель)
+ */
+const INTERVAL_OPTIONS = ['2d', '3d', '2w'];
+
+/**
+ * Варианты циклического расписания: <дни приёма>/<дни перерыва>
+ */
+const CYCLE_OPTIONS = ['21/7', '24/4', '14/7'];
+
+/**
+ * Варианты времени на выходные для расписания "Будни / Выходные"
+ */
+const WEEKEND_TIME_OPTIONS = ['08:00', '09:00', '10:00', '11:00'];
+
+/**
+ * Варианты длительности курса лекарств (в днях)
+ */
+const COURSE_OPTIONS = [5, 7, 10, 14, 30];
+
+/**
+ * Варианты длительности паузы и отпуска (в днях, 0 — бессрочно)
+ */
+const PAUSE_OPTIONS = [3, 7, 14, 0];
+
+/**
+ * Диалоги бота (состояния хранятся в Redis и переживают перезапуск)
+ */
+const onboardingDialog = createDialog('onboarding', {
+  states: ONBOARDING_STATES,
+  ttl: config.bot.onboardingTtl,
+});
+const routineDialog = createDialog('routine', {
+  states: ROUTINE_CREATION_STATES,
+  ttl: config.bot.sessionTtl,
+});
 
 /**
  * Основной обработчик вебхука
@@ -84,6 +182,19 @@ const handleMessage = async (message) => {
   // Получаем или создаем пользователя
   const user = await db.getOrCreateUser(sender);
 
+  // Удаленный аккаунт: до восстановления бот предлагает только восстановить или начать заново
+  if (user.deleted_at) {
+    await sendRestoreOffer(userId, user);
+    return;
+  }
+
+  // Новая редакция политики или отозванное согласие: до подтверждения работают
+  // только команды по правам на данные и вход в мини-приложение (там тоже можно согласиться)
+  if (user.onboarding_completed && needsConsent(user) && !isConsentFreeCommand(text)) {
+    await sendConsentRequest(userId, user);
+    return;
+  }
+
   // Обработка команд
   if (text?.startsWith('/')) {
     await handleCommand(userId, text, user);
@@ -97,9 +208,9 @@ const handleMessage = async (message) => {
   }
 
   // Обработка создания рутины
-  const creationState = routineCreationData.get(userId);
+  const creationState = await routineDialog.get(userId);
   if (creationState && creationState.state !== ROUTINE_CREATION_STATES.IDLE) {
-    await handleRoutineCreation(userId, text, user);
+    await handleRoutineCreation(userId, text);
     return;
   }
 
@@ -120,7 +231,7 @@ const handleCommand = async (userId, text, user) => {
   switch (command) {
     case '/start':
       if (args[0]?.startsWith('app_auth')) {
-        await handleMiniAppAuth(userId, args[0]);
+        await handleMiniAppAuth(userId);
       } else {
         await handleStart(userId, user);
       }
@@ -142,6 +253,26 @@ const handleCommand = async (userId, text, user) => {
       await sendRoutinesList(userId);
       break;
 
+    case '/edit':
+      await sendEditList(userId);
+      break;
+
+    case '/pause':
+      await sendPauseList(userId);
+      break;
+
+    case '/resume':
+      await sendResumeList(userId);
+      break;
+
+    case '/vacation':
+      if (args[0]?.toLowerCase() === 'off') {
+        await handleVacationOff(userId);
+      } else {
+        await sendVacationOptions(userId);
+      }
+      break;
+
     case '/stats':
       await sendStats(userId);
       break;
@@ -162,6 +293,10 @@ const handleCommand = async (userId, text, user) => {
       await handleDeleteRequest(userId);
       break;
 
+    case '/withdraw':
+      await handleWithdrawRequest(userId);
+      break;
+
     default:
       await maxApi.sendTextMessage(
         userId,
@@ -183,7 +318,7 @@ const handleStart = async (userId, user) => {
     await maxApi.sendTextMessage(userId, msg, { parseMode: 'Markdown' });
   } else {
     // Новый пользователь - начинаем онбординг
-    userStates.set(userId, { state: ONBOARDING_STATES.START });
+    await onboardingDialog.start(userId, ONBOARDING_STATES.START);
     
     const welcome = templates.onboarding.welcome;
     await maxApi.sendMessageWithKeyboard(
@@ -203,7 +338,7 @@ const handleStart = async (userId, user) => {
  * @param {Object} user - Объект пользователя
  */
 const handleOnboarding = async (userId, text, user) => {
-  const state = userStates.get(userId)?.state || ONBOARDING_STATES.START;
+  const state = (await onboardingDialog.get(userId))?.state || ONBOARDING_STATES.START;
 
   switch (state) {
     case ONBOARDING_STATES.START:
@@ -237,6 +372,23 @@ const handleCallbackQuery = async (callbackQuery) => {
 
   logger.debug('Callback query получен', { userId, action, params });
 
+  // Кнопки старых сообщений удаленного аккаунта не работают до восстановления
+  if (action !== 'account') {
+    const deletedUser = await db.getDeletedUser(userId);
+    if (deletedUser) {
+      await sendRestoreOffer(userId, deletedUser);
+      return;
+    }
+  }
+
+  if (!CONSENT_FREE_ACTIONS.includes(action)) {
+    const user = await db.getUserById(userId);
+    if (user?.onboarding_completed && needsConsent(user)) {
+      await sendConsentRequest(userId, user);
+      return;
+    }
+  }
+
   // Обработка разных действий
   switch (action) {
     // Онбординг
@@ -265,6 +417,19 @@ const handleCallbackQuery = async (callbackQuery) => {
       await handleReminderComplete(userId, params[0]);
       break;
 
+    case 'p': {
+      // p|<reminderId>|<минуты>; неизвестное значение — стандартные 15 минут
+      // (кроме вариантов кнопок допускается срок, названный текстом)
+      const minutes = Number(params[1]);
+      await handleReminderPostpone(
+        userId,
+        params[0],
+        config.business.postponeOptions.includes(minutes) || isValidSnooze(minutes) ? minutes : 15
+      );
+      break;
+    }
+
+    // Старый формат кнопки (уже отправленные сообщения)
     case 'p15':
       await handleReminderPostpone(userId, params[0], 15);
       break;
@@ -278,31 +443,127 @@ const handleCallbackQuery = async (callbackQuery) => {
       await handleAddRoutineCallback(userId, params);
       break;
 
+    // Старый формат кнопок мастера (без префикса add)
     case 'template':
-      await handleTemplateSelect(userId, params[0]);
+    case 'schedule':
+    case 'time':
+    case 'confirm':
+      await handleAddRoutineCallback(userId, [action, params[0]]);
       break;
 
-    case 'schedule':
-      await handleScheduleSelect(userId, params[0]);
+    // Управление рутиной
+    case 'list':
+      await sendRoutinesList(userId);
       break;
 
-    case 'time':
-      await handleTimeSelect(userId, params[0]);
+    case 'routine':
+      await showRoutineActions(userId, params[0]);
       break;
 
-    case 'confirm':
-      await handleRoutineConfirm(userId, params[0]);
+    case 'redit':
+      await startRoutineFieldEdit(userId, params[0], params[1]);
+      break;
+
+    case 'rdel':
+      if (params[1] === 'yes') {
+        await handleRoutineDelete(userId, params[0]);
+      } else {
+        await confirmRoutineDelete(userId, params[0]);
+      }
+      break;
+
+    // Изменение расписания
+    case 'edit':
+      await startScheduleEdit(userId, params[0]);
+      break;
+
+    // Пауза и отпуск
+    case 'pause':
+      if (params[1] === undefined) {
+        await showPauseOptions(userId, params[0]);
+      } else {
+        await handlePauseRoutine(userId, params[0], params[1]);
+      }
+      break;
+
+    case 'resume':
+      await handleResumeRoutine(userId, params[0]);
+      break;
+
+    case 'vac':
+      if (params[0] === 'off') {
+        await handleVacationOff(userId);
+      } else {
+        await handleVacationStart(userId, params[0]);
+      }
+      break;
+
+    // Настройки
+    case 'settings':
+      if (params[0] === 'timezone') {
+        await sendTimezoneChange(userId);
+      } else if (params[0] === 'escalation') {
+        await sendEscalationSettings(userId);
+      } else if (params[0] === 'export') {
+        await handleExportRequest(userId);
+      } else if (params[0] === 'delete') {
+        await handleDeleteRequest(userId);
+      } else {
+        logger.warn('Неизвестный раздел настроек', { params });
+      }
+      break;
+
+    case 'esc':
+      // esc|routine — список рутин, esc|routine|<id> — режимы рутины,
+      // esc|<preset>[|<id>] — применение режима
+      if (params[0] === 'routine') {
+        if (params[1] === undefined) {
+          await sendEscalationRoutineList(userId);
+        } else {
+          await showRoutineEscalation(userId, params[1]);
+        }
+      } else {
+        await handleEscalationPreset(userId, params[0], params[1]);
+      }
+      break;
+
+    case 'tz':
+      if (params[1] === undefined) {
+        await showTimezoneModes(userId, params[0]);
+      } else {
+        await handleTimezoneChange(userId, params[0], params[1]);
+      }
       break;
 
     // Навигация
     case 'menu':
-      await sendMainMenu(userId);
+      if (params[0] === 'app') {
+        await handleMiniAppAuth(userId);
+      } else {
+        await sendMainMenu(userId);
+      }
       break;
 
     case 'today':
       await sendTodayReminders(userId);
       break;
 
+    // Удаление аккаунта
+    case 'delete':
+      if (params[0] === 'confirm') {
+        await handleDeleteConfirm(userId);
+      }
+      break;
+
+    // Удаленный аккаунт
+    case 'account':
+      if (params[0] === 'restore') {
+        await handleAccountRestore(userId, from);
+      } else if (params[0] === 'fresh') {
+        await handleAccountFresh(userId, from);
+      }
+      break;
+
     default:
       logger.warn('Неизвестное действие callback', { action, params });
   }
@@ -313,7 +574,7 @@ const handleCallbackQuery = async (callbackQuery) => {
  * @param {number} userId - ID пользователя
  */
 const handleOnboardingTimezone = async (userId) => {
-  userStates.set(userId, { state: ONBOARDING_STATES.TIMEZONE });
+  await onboardingDialog.start(userId, ONBOARDING_STATES.TIMEZONE);
 
   const tz = templates.onboarding.timezone;
   await maxApi.sendMessageWithKeyboard(
@@ -344,7 +605,7 @@ const handleTimezoneSelect = async (userId, timezone) => {
   }
 
   await db.updateUser(userId, { timezone });
-  userStates.set(userId, { state: ONBOARDING_STATES.QUIET_HOURS });
+  await onboardingDialog.start(userId, ONBOARDING_STATES.QUIET_HOURS);
 
   const qh = templates.onboarding.quiet_hours;
   await maxApi.sendMessageWithKeyboard(
@@ -369,7 +630,7 @@ const handleQuietHours = async (userId, choice) => {
     // TODO: Показать интерфейс изменения тихих часов
   }
 
-  userStates.set(userId, { state: ONBOARDING_STATES.CONSENT });
+  await onboardingDialog.start(userId, ONBOARDING_STATES.CONSENT);
 
   const consent = templates.onboarding.consent;
   await maxApi.sendMessageWithKeyboard(
@@ -389,6 +650,16 @@ const handleQuietHours = async (userId, choice) => {
  * @param {string} choice - Выбор пользователя
  */
 const handleConsent = async (userId, choice) => {
+  if (choice === 'decline') {
+    await handleWithdrawRequest(userId);
+    return;
+  }
+
+  if (choice === 'withdraw') {
+    await handleWithdrawConfirm(userId);
+    return;
+  }
+
   if (choice !== 'agree') {
     await maxApi.sendTextMessage(
       userId,
@@ -398,12 +669,25 @@ const handleConsent = async (userId, choice) => {
     return;
   }
 
-  await db.updateUser(userId, {
-    gdpr_consent: true,
-    consent_date: new Date(),
-  });
+  const user = await db.getUserById(userId);
+  if (!user) return;
+
+  // Повторное нажатие: согласие с действующей версией уже есть
+  if (user.onboarding_completed && !needsConsent(user)) {
+    await sendMainMenu(userId);
+    return;
+  }
 
-  userStates.set(userId, { state: ONBOARDING_STATES.TYPE_SELECT });
+  const { policy } = await lifecycle.grantConsent(user, 'bot');
+
+  // Повторное согласие (новая редакция политики или после отзыва)
+  if (user.onboarding_completed) {
+    await maxApi.sendTextMessage(userId, templates.gdpr.consent_accepted.replace('{version}', policy.version));
+    await sendMainMenu(userId);
+    return;
+  }
+
+  await onboardingDialog.start(userId, ONBOARDING_STATES.TYPE_SELECT);
 
   const typeSelect = templates.onboarding.type_select;
   await maxApi.sendMessageWithKeyboard(
@@ -432,7 +716,7 @@ const handleTypeSelect = async (userId, type) => {
     onboarding_state: ONBOARDING_STATES.COMPLETE,
   });
 
-  userStates.delete(userId);
+  await onboardingDialog.finish(userId);
 
   const complete = templates.onboarding.complete;
   await maxApi.sendMessageWithKeyboard(
@@ -455,7 +739,8 @@ const handleTypeSelect = async (userId, type) => {
  * @param {number} userId - ID пользователя
  */
 const sendTodayReminders = async (userId) => {
-  const today = new Date().toISOString().split('T')[0];
+  const user = await db.getUserById(userId);
+  const today = getUserToday(user);
   const reminders = await db.getRemindersByDate(userId, today);
 
   if (reminders.length === 0) {
@@ -470,11 +755,20 @@ const sendTodayReminders = async (userId) => {
   let message = templates.commands.today.header.replace('{date}', formatDate(today));
   
   let completed = 0;
-  reminders.forEach(reminder => {
+  numberSlots(reminders).forEach(reminder => {
     const status = getStatusEmoji(reminder.status);
-    const line = templates.commands.today[`item_${reminder.status}`]
+    // Для рутин с несколькими приёмами показываем номер приёма
+    const title = reminder.slot_total > 1
+      ? reminder.title + templates.commands.today.slot_suffix
+        .replace('{index}', reminder.slot_index)
+        .replace('{total}', reminder.slot_total)
+      : reminder.title;
+    // Неизвестный статус показываем как ожидающий, чтобы не ломать весь список
+    const itemTemplate = templates.commands.today[`item_${reminder.status}`]
+      || templates.commands.today.item_pending;
+    const line = itemTemplate
       .replace('{icon}', reminder.icon)
-      .replace('{title}', reminder.title)
+      .replace('{title}', title)
       .replace('{time}', reminder.scheduled_time.substring(0, 5));
     
     message += line + '\n';
@@ -501,6 +795,7 @@ const getStatusEmoji = (status) => {
     completed: '✅',
     skipped: '❌',
     postponed: '⏰',
+    missed: '⚠️',
   };
   return emojis[status] || '⏳';
 };
@@ -511,10 +806,18 @@ const getStatusEmoji = (status) => {
  */
 const formatDate = (dateString) => {
   const date = new Date(dateString);
-  const options = { day: 'numeric', month: 'long', weekday: 'long' };
+  // Дата уже локальная для пользователя, поэтому форматируем без сдвига пояса сервера
+  const options = { day: 'numeric', month: 'long', weekday: 'long', timeZone: 'UTC' };
   return date.toLocaleDateString('ru-RU', options);
 };
 
+/**
+ * Короткий формат даты (ДД.ММ.ГГГГ)
+ * @param {Date|string} date - Дата
+ * @returns {string}
+ */
+const formatShortDate = (date) => toDateString(date).split('-').reverse().join('.');
+
 /**
  * Отправка помощи
  * @param {number} userId - ID пользователя
@@ -551,6 +854,15 @@ const sendStats = async (userId) => {
     .replace('{completed}', stats.completed)
     .replace('{skipped}', stats.skipped)
     .replace('{rate}', rate);
+  message += templates.commands.stats.punctuality
+    .replace('{on_time}', stats.on_time)
+    .replace('{late}', stats.late)
+    .replace('{missed}', stats.missed)
+    .replace('{punctuality}', getPunctualityPercent({
+      on_time: parseInt(stats.on_time, 10),
+      late: parseInt(stats.late, 10),
+      missed: parseInt(stats.missed, 10),
+    }));
   message += templates.commands.stats.achievements
     .replace('{count}', stats.achievements);
 
@@ -573,6 +885,7 @@ const sendSettings = async (userId) => {
       ],
       [
         { type: 'callback', text: settings.buttons.notifications, payload: 'settings|notifications' },
+        { type: 'callback', text: settings.buttons.escalation, payload: 'settings|escalation' },
       ],
       [
         { type: 'callback', text: settings.buttons.export, payload: 'settings|export' },
@@ -582,16 +895,268 @@ const sendSettings = async (userId) => {
   );
 };
 
+/**
+ * Форматирование сдвига часового пояса: "+4 ч", "−1 ч 30 мин"
+ * @param {number} minutes - Сдвиг в минутах
+ * @returns {string}
+ */
+const formatShift = (minutes) => {
+  const sign = minutes < 0 ? '−' : '+';
+  const hours = Math.floor(Math.abs(minutes) / 60);
+  const rest = Math.abs(minutes) % 60;
+  return `${sign}${hours} ч${rest ? ` ${rest} мин` : ''}`;
+};
+
+/**
+ * Выбор нового часового пояса из настроек
+ * @param {number} userId - ID пользователя
+ */
+const sendTimezoneChange = async (userId) => {
+  const user = await db.getUserById(userId);
+  const tz = templates.commands.settings.timezone;
+  const zones = Object.entries(tz.zones);
+
+  const buttons = [];
+  for (let i = 0; i < zones.length; i += 2) {
+    buttons.push(zones.slice(i, i + 2).map(([zone, label]) => ({
+      type: 'callback',
+      text: label,
+      payload: `tz|${zone}`,
+    })));
+  }
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    tz.select.replace('{timezone}', tz.zones[user.timezone] || user.timezone),
+    buttons
+  );
+};
+
+/**
+ * Выбор режима переноса напоминаний при смене часового пояса
+ * @param {number} userId - ID пользователя
+ * @param {string} timezone - Новый часовой пояс
+ */
+const showTimezoneModes = async (userId, timezone) => {
+  const tz = templates.commands.settings.timezone;
+  if (!tz.zones[timezone]) {
+    await sendTimezoneChange(userId);
+    return;
+  }
+
+  const user = await db.getUserById(userId);
+  if (resolveTimezone(user.timezone) === timezone) {
+    await maxApi.sendTextMessage(userId, tz.unchanged);
+    return;
+  }
+
+  const text = tz.mode
+    .replace('{from}', tz.zones[user.timezone] || user.timezone)
+    .replace('{to}', tz.zones[timezone])
+    .replace('{shift}', formatShift(getTimezoneShift(user.timezone, timezone)));
+
+  await maxApi.sendMessageWithKeyboard(userId, text, [
+    [{ type: 'callback', text: tz.buttons.local, payload: `tz|${timezone}|local` }],
+    [{ type: 'callback', text: tz.buttons.absolute, payload: `tz|${timezone}|absolute` }],
+  ]);
+};
+
+/**
+ * Смена часового пояса с перепланированием напоминаний
+ * @param {number} userId - ID пользователя
+ * @param {string} timezone - Новый часовой пояс
+ * @param {string} mode - Режим (local, absolute)
+ */
+const handleTimezoneChange = async (userId, timezone, mode) => {
+  try {
+    const tz = templates.commands.settings.timezone;
+    if (!tz.zones[timezone] || !lifecycle.TIMEZONE_MODES.includes(mode)) {
+      await sendTimezoneChange(userId);
+      return;
+    }
+
+    const user = await db.getUserById(userId);
+    const result = await lifecycle.changeTimezone(user, timezone, { mode, source: 'bot' });
+
+    if (!result.changed) {
+      await maxApi.sendTextMessage(userId, tz.unchanged);
+      return;
+    }
+
+    const text = (mode === 'absolute' ? tz.success_absolute : tz.success_local)
+      .replace('{timezone}', tz.zones[timezone])
+      .replace('{shift}', formatShift(result.shiftMinutes));
+
+    await maxApi.sendTextMessage(userId, text, { parseMode: 'Markdown' });
+  } catch (error) {
+    logger.error('Ошибка смены часового пояса:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Описание политики эскалации для сообщений бота
+ * @param {Object} policy - Итоговая политика
+ * @param {Object|null} routine - Рутина (учитывается приоритет лекарств при автопропуске)
+ * @returns {string}
+ */
+const describeEscalationPolicy = (policy, routine = null) => {
+  const esc = templates.commands.settings.escalation;
+  const nudges = policy.intervals.length > 0
+    ? esc.policy_nudges.replace('{intervals}', policy.intervals.join(', '))
+    : esc.policy_no_nudges;
+  const autoSkip = (routine ? canAutoSkip(policy, routine) : policy.autoSkip)
+    ? esc.policy_auto_skip.replace('{minutes}', policy.autoSkipAfter)
+    : esc.policy_no_auto_skip;
+
+  return `${nudges}, ${autoSkip}`;
+};
+
+/**
+ * Кнопки режимов эскалации
+ * @param {string|null} routineId - ID рутины (null — режим для всех рутин)
+ * @returns {Array} Ряды кнопок
+ */
+const buildEscalationButtons = (routineId = null) => {
+  const esc = templates.commands.settings.escalation;
+  const suffix = routineId ? `|${routineId}` : '';
+  const label = (preset) => (preset === 'standard' && routineId ? esc.buttons.inherit : esc.buttons[preset]);
+
+  const presets = Object.keys(ESCALATION_PRESETS);
+  const buttons = [];
+  for (let i = 0; i < presets.length; i += 2) {
+    buttons.push(presets.slice(i, i + 2).map(preset => ({
+      type: 'callback',
+      text: label(preset),
+      payload: `esc|${preset}${suffix}`,
+    })));
+  }
+
+  if (!routineId) {
+    buttons.push([{ type: 'callback', text: esc.buttons.routine, payload: 'esc|routine' }]);
+  }
+
+  return buttons;
+};
+
+/**
+ * Настройка повторных напоминаний для всех рутин
+ * @param {number} userId - ID пользователя
+ */
+const sendEscalationSettings = async (userId) => {
+  const user = await db.getUserById(userId);
+  const esc = templates.commands.settings.escalation;
+
+  const policy = user.escalation_policy
+    ? describeEscalationPolicy(resolveEscalationPolicy({ type: 'medication' }, user.escalation_policy))
+    : esc.policy_default;
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    esc.text.replace('{policy}', policy),
+    buildEscalationButtons()
+  );
+};
+
+/**
+ * Выбор рутины для отдельного режима повторов
+ * @param {number} userId - ID пользователя
+ */
+const sendEscalationRoutineList = async (userId) => {
+  const routines = await db.getUserRoutines(userId);
+
+  if (routines.length === 0) {
+    await maxApi.sendTextMessage(userId, templates.commands.list.empty, { parseMode: 'Markdown' });
+    return;
+  }
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.commands.settings.escalation.routine_select,
+    routines.map(routine => [{
+      type: 'callback',
+      text: `${routine.icon} ${routine.title}`,
+      payload: `esc|routine|${routine.routine_id}`,
+    }])
+  );
+};
+
+/**
+ * Режимы повторов для рутины
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ */
+const showRoutineEscalation = async (userId, routineId) => {
+  const routine = await db.getRoutineById(routineId);
+  if (!routine || routine.user_id != userId || routine.deleted_at) {
+    await maxApi.sendTextMessage(userId, templates.errors.not_found);
+    return;
+  }
+
+  const user = await db.getUserById(userId);
+  const policy = resolveEscalationPolicy(routine, user.escalation_policy);
+
+  const text = templates.commands.settings.escalation.routine_text
+    .replace('{title}', `${routine.icon} ${routine.title}`)
+    .replace('{policy}', describeEscalationPolicy(policy, routine));
+
+  await maxApi.sendMessageWithKeyboard(userId, text, buildEscalationButtons(routineId));
+};
+
+/**
+ * Применение режима повторов
+ * @param {number} userId - ID пользователя
+ * @param {string} preset - Код режима
+ * @param {string} [routineId] - ID рутины (без него — режим для всех рутин)
+ */
+const handleEscalationPreset = async (userId, preset, routineId) => {
+  try {
+    if (!(preset in ESCALATION_PRESETS)) {
+      await sendEscalationSettings(userId);
+      return;
+    }
+
+    const esc = templates.commands.settings.escalation;
+    const user = await db.getUserById(userId);
+    let description;
+
+    if (routineId) {
+      const routine = await db.getRoutineById(routineId);
+      if (!routine || routine.user_id != userId || routine.deleted_at) {
+        await maxApi.sendTextMessage(userId, templates.errors.not_found);
+        return;
+      }
+
+      const updated = await db.updateRoutine(routineId, { escalation_policy: ESCALATION_PRESETS[preset] });
+      description = describeEscalationPolicy(resolveEscalationPolicy(updated, user.escalation_policy), updated);
+    } else {
+      const updated = await db.updateUser(userId, { escalation_policy: ESCALATION_PRESETS[preset] });
+      description = updated.escalation_policy
+        ? describeEscalationPolicy(resolveEscalationPolicy({ type: 'medication' }, updated.escalation_policy))
+        : esc.policy_default;
+    }
+
+    await maxApi.sendTextMessage(userId, esc.success.replace('{policy}', description));
+  } catch (error) {
+    logger.error('Ошибка настройки повторных напоминаний:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
 /**
  * Начало создания рутины
  * @param {number} userId - ID пользователя
  */
 const startRoutineCreation = async (userId) => {
-  routineCreationData.set(userId, {
-    state: ROUTINE_CREATION_STATES.SELECT_TYPE,
-    data: {},
-  });
+  await routineDialog.start(userId, ROUTINE_CREATION_STATES.SELECT_TYPE);
+  await showTypeOptions(userId);
+};
 
+/**
+ * Показать выбор типа рутины
+ * @param {number} userId - ID пользователя
+ */
+const showTypeOptions = async (userId) => {
   const add = templates.commands.add.select_type;
   await maxApi.sendMessageWithKeyboard(
     userId,
@@ -615,67 +1180,502 @@ const startRoutineCreation = async (userId) => {
  */
 const handleAddRoutineCallback = async (userId, params) => {
   const [field, value] = params;
-  const creation = routineCreationData.get(userId);
+  const creation = await routineDialog.get(userId);
 
   if (!creation) {
     await startRoutineCreation(userId);
     return;
   }
 
+  const { data } = creation;
+
   switch (field) {
+    case 'back': {
+      // С первого шага "Назад" завершает мастер
+      const previous = await routineDialog.back(userId);
+      if (previous) {
+        await showRoutineStep(userId, previous);
+      } else {
+        await cancelRoutineDialog(userId, data);
+      }
+      break;
+    }
+
     case 'type':
-      creation.data.type = value;
-      creation.state = ROUTINE_CREATION_STATES.SELECT_TEMPLATE;
+      await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_TEMPLATE, { type: value });
       await showTemplates(userId, value);
       break;
 
     case 'template':
       if (value === 'custom') {
-        creation.state = ROUTINE_CREATION_STATES.ENTER_TITLE;
-        await maxApi.sendTextMessage(
-          userId,
-          templates.commands.add.enter_title.text,
-          { parseMode: 'Markdown' }
-        );
+        await routineDialog.transition(userId, ROUTINE_CREATION_STATES.ENTER_TITLE, {
+          icon: undefined,
+          dosage: undefined,
+          medication_form: undefined,
+        });
+        await showTitlePrompt(userId);
       } else {
         // Выбран шаблон
         const template = await db.getRoutineTemplates().then(t => t.find(tt => tt.template_id == value));
         if (template) {
-          creation.data.title = template.title;
-          creation.data.icon = template.icon;
-          creation.data.dosage = template.dosage;
-          creation.state = ROUTINE_CREATION_STATES.SELECT_SCHEDULE;
+          await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_SCHEDULE, {
+            title: template.title,
+            icon: template.icon,
+            dosage: template.dosage,
+            medication_form: undefined,
+          });
           await showScheduleOptions(userId);
         }
       }
       break;
 
-    case 'schedule':
-      creation.data.schedule_type = value;
-      creation.state = ROUTINE_CREATION_STATES.SELECT_TIME;
-      await showTimeOptions(userId);
+    case 'dosage':
+      // Единственная кнопка шага — "Пропустить"
+      await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_FORM, { dosage: undefined });
+      await showFormOptions(userId);
       break;
 
-    case 'time':
-      creation.data.time = value;
-      creation.state = ROUTINE_CREATION_STATES.CONFIRM;
-      await showConfirmation(userId);
+    case 'form':
+      await selectMedicationForm(
+        userId,
+        templates.commands.add.select_form.forms[value] ? value : undefined
+      );
       break;
 
-    case 'confirm':
-      if (value === 'yes') {
-        await saveRoutine(userId);
+    case 'schedule': {
+      const patch = {
+        schedule_type: value,
+        custom_days: undefined,
+        weekend_time: undefined,
+        end_date: undefined,
+      };
+      if (value === 'custom') {
+        await routineDialog.transition(userId, ROUTINE_CREATION_STATES.ENTER_DAYS, patch);
+        await showDaysPrompt(userId);
+      } else if (value === 'interval') {
+        await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_RULE, patch);
+        await showIntervalOptions(userId);
+      } else if (value === 'cyclic') {
+        await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_RULE, patch);
+        await showCycleOptions(userId);
       } else {
-        routineCreationData.delete(userId);
-        await maxApi.sendTextMessage(userId, '❌ Создание отменено');
+        await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_TIME, patch);
+        await showTimeOptions(userId);
       }
       break;
-  }
-};
+    }
 
-/**
- * Показать шаблоны
- * @param {number} userId - ID пользователя
+    case 'interval': {
+      const match = /^(\d+)([dw])$/.exec(value || '');
+      if (!match) {
+        await showIntervalOptions(userId);
+        break;
+      }
+      await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_TIME, {
+        interval_value: parseInt(match[1], 10),
+        interval_unit: match[2] === 'w' ? 'week' : 'day',
+      });
+      await showTimeOptions(userId);
+      break;
+    }
+
+    case 'cycle': {
+      const [onDays, offDays] = (value || '').split('/').map(Number);
+      if (!onDays || Number.isNaN(offDays)) {
+        await showCycleOptions(userId);
+        break;
+      }
+      await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_TIME, {
+        cycle_on_days: onDays,
+        cycle_off_days: offDays,
+      });
+      await showTimeOptions(userId);
+      break;
+    }
+
+    case 'time':
+      if (value === 'custom') {
+        await routineDialog.transition(userId, ROUTINE_CREATION_STATES.ENTER_TIME);
+        await showTimePrompt(userId);
+        break;
+      }
+      await selectTimes(userId, data, [value]);
+      break;
+
+    case 'wtime':
+      if (value !== 'same' && !/^\d{2}:\d{2}$/.test(value || '')) {
+        await showWeekendTimeOptions(userId);
+        break;
+      }
+      await routineDialog.update(userId, { weekend_time: value === 'same' ? null : value });
+      await showCourseOrConfirmation(userId);
+      break;
+
+    case 'course': {
+      const days = parseInt(value, 10);
+      if (Number.isNaN(days) || days < 0 || days > MAX_CYCLE_DAYS) {
+        await showCourseOptions(userId);
+        break;
+      }
+      // Курс отсчитывается от сегодняшнего дня пользователя (0 — без срока)
+      let endDate = null;
+      if (days > 0) {
+        const user = await db.getUserById(userId);
+        endDate = getCourseEndDate(getUserToday(user), days);
+      }
+      await routineDialog.transition(userId, ROUTINE_CREATION_STATES.CONFIRM, { end_date: endDate });
+      await showConfirmation(userId);
+      break;
+    }
+
+    case 'multi':
+      await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_TIMES, { times: [] });
+      await showMultiTimeOptions(userId);
+      break;
+
+    case 'slot': {
+      if (value === 'done') {
+        if (!data.times?.length) {
+          await showMultiTimeOptions(userId);
+          break;
+        }
+        await showCourseOrConfirmation(userId);
+        break;
+      }
+
+      // Переключение выбранного времени
+      let times = data.times || [];
+      if (times.includes(value)) {
+        times = times.filter(t => t !== value);
+      } else if (times.length < MAX_TIMES_PER_DAY) {
+        times = normalizeTimes([...times, value]);
+      }
+      await routineDialog.update(userId, { times });
+      await showMultiTimeOptions(userId);
+      break;
+    }
+
+    case 'confirm':
+      if (value === 'yes') {
+        await saveRoutine(userId);
+      } else {
+        await cancelRoutineDialog(userId, data);
+      }
+      break;
+  }
+};
+
+/**
+ * Обработка текстового ввода в мастере создания рутины
+ * На шагах с кнопками текст не принимается — шаг показывается заново
+ * @param {number} userId - ID пользователя
+ * @param {string} text - Текст сообщения
+ */
+const handleRoutineCreation = async (userId, text) => {
+  const creation = await routineDialog.get(userId);
+  if (!creation) return;
+
+  const add = templates.commands.add;
+  const { data } = creation;
+
+  switch (creation.state) {
+    case ROUTINE_CREATION_STATES.ENTER_TITLE: {
+      const title = parseText(text, MAX_TITLE_LENGTH);
+      if (!title) {
+        await sendInvalidInput(userId, add.enter_title.invalid);
+        break;
+      }
+      // Для лекарств дополнительно спрашиваем дозировку и форму выпуска
+      if (data.type === 'medication') {
+        await routineDialog.transition(userId, ROUTINE_CREATION_STATES.ENTER_DOSAGE, { title });
+        await showDosagePrompt(userId);
+      } else {
+        await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_SCHEDULE, { title });
+        await showScheduleOptions(userId);
+      }
+      break;
+    }
+
+    case ROUTINE_CREATION_STATES.ENTER_DOSAGE: {
+      const dosage = parseText(text, MAX_DOSAGE_LENGTH);
+      if (!dosage) {
+        await sendInvalidInput(userId, add.enter_dosage.invalid);
+        break;
+      }
+      await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_FORM, { dosage });
+      await showFormOptions(userId);
+      break;
+    }
+
+    case ROUTINE_CREATION_STATES.SELECT_FORM: {
+      // Кроме кнопок принимается своя форма выпуска; название кнопки сводится к ее ключу
+      const form = parseText(text, MAX_FORM_LENGTH)?.toLowerCase();
+      if (!form) {
+        await sendInvalidInput(userId, add.select_form.invalid);
+        break;
+      }
+      const known = Object.entries(add.select_form.forms).find(([, label]) => label.toLowerCase() === form);
+      await selectMedicationForm(userId, known ? known[0] : form);
+      break;
+    }
+
+    case ROUTINE_CREATION_STATES.ENTER_DAYS: {
+      const days = parseWeekdays(text);
+      if (!days) {
+        await sendInvalidInput(userId, add.enter_days.invalid);
+        break;
+      }
+      await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_TIME, { custom_days: days });
+      await showTimeOptions(userId);
+      break;
+    }
+
+    case ROUTINE_CREATION_STATES.ENTER_TIME: {
+      const times = parseTimes(text);
+      if (!times) {
+        await sendInvalidInput(userId, add.enter_time.invalid.replace('{max}', MAX_TIMES_PER_DAY));
+        break;
+      }
+      await selectTimes(userId, data, times);
+      break;
+    }
+
+    case ROUTINE_CREATION_STATES.EDIT_TITLE: {
+      const title = parseText(text, MAX_TITLE_LENGTH);
+      if (!title) {
+        await sendInvalidInput(userId, add.enter_title.invalid);
+        break;
+      }
+      await saveRoutineField(userId, data.routine_id, { title });
+      break;
+    }
+
+    case ROUTINE_CREATION_STATES.EDIT_DOSAGE: {
+      const dosage = parseText(text, MAX_DOSAGE_LENGTH);
+      if (!dosage) {
+        await sendInvalidInput(userId, add.enter_dosage.invalid);
+        break;
+      }
+      await saveRoutineField(userId, data.routine_id, { dosage });
+      break;
+    }
+
+    default:
+      await maxApi.sendTextMessage(userId, add.use_buttons);
+      await showRoutineStep(userId, creation);
+  }
+};
+
+/**
+ * Показать текущий шаг мастера создания рутины
+ * Используется при возврате назад и при вводе текста на шаге с кнопками
+ * @param {number} userId - ID пользователя
+ * @param {Object} session - Сессия диалога ({ state, data })
+ */
+const showRoutineStep = async (userId, { state, data }) => {
+  switch (state) {
+    case ROUTINE_CREATION_STATES.SELECT_TYPE:
+      await showTypeOptions(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.SELECT_TEMPLATE:
+      await showTemplates(userId, data.type);
+      break;
+
+    case ROUTINE_CREATION_STATES.ENTER_TITLE:
+      await showTitlePrompt(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.ENTER_DOSAGE:
+      await showDosagePrompt(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.SELECT_FORM:
+      await showFormOptions(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.SELECT_SCHEDULE:
+      await showScheduleOptions(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.ENTER_DAYS:
+      await showDaysPrompt(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.SELECT_RULE:
+      if (data.schedule_type === 'interval') {
+        await showIntervalOptions(userId);
+      } else {
+        await showCycleOptions(userId);
+      }
+      break;
+
+    case ROUTINE_CREATION_STATES.SELECT_TIME:
+      await showTimeOptions(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.ENTER_TIME:
+      await showTimePrompt(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.SELECT_TIMES:
+      await showMultiTimeOptions(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.SELECT_WEEKEND_TIME:
+      await showWeekendTimeOptions(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.SELECT_COURSE:
+      await showCourseOptions(userId);
+      break;
+
+    case ROUTINE_CREATION_STATES.CONFIRM:
+      await showConfirmation(userId);
+      break;
+  }
+};
+
+/**
+ * Выход из мастера без сохранения
+ * @param {number} userId - ID пользователя
+ * @param {Object} data - Данные мастера
+ */
+const cancelRoutineDialog = async (userId, data) => {
+  await routineDialog.finish(userId);
+  await maxApi.sendTextMessage(
+    userId,
+    data.routine_id ? templates.commands.edit.cancelled : templates.commands.add.cancelled
+  );
+};
+
+/**
+ * Ряд с кнопкой "Назад" для шагов мастера
+ * @returns {Array<Object>}
+ */
+const backButtonRow = () => [
+  { type: 'callback', text: templates.commands.add.back, payload: 'add|back' },
+];
+
+/**
+ * Сообщение о некорректном вводе (шаг мастера не меняется)
+ * @param {number} userId - ID пользователя
+ * @param {string} text - Текст ошибки
+ */
+const sendInvalidInput = async (userId, text) => {
+  await maxApi.sendMessageWithKeyboard(userId, text, [backButtonRow()]);
+};
+
+/**
+ * Сохранение выбранного времени и переход к следующему шагу
+ * @param {number} userId - ID пользователя
+ * @param {Object} data - Данные мастера
+ * @param {Array<string>} times - Время приёмов (HH:MM)
+ */
+const selectTimes = async (userId, data, times) => {
+  // Для "Будни / Выходные" с одним приёмом отдельно спрашиваем время на выходные
+  if (data.schedule_type === 'weekdays' && times.length === 1) {
+    await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_WEEKEND_TIME, { times });
+    await showWeekendTimeOptions(userId);
+    return;
+  }
+
+  await routineDialog.update(userId, { times });
+  await showCourseOrConfirmation(userId);
+};
+
+/**
+ * Сохранение формы выпуска лекарства и переход к расписанию
+ * @param {number} userId - ID пользователя
+ * @param {string|undefined} form - Форма выпуска (undefined — пропуск шага)
+ */
+const selectMedicationForm = async (userId, form) => {
+  await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_SCHEDULE, { medication_form: form });
+  await showScheduleOptions(userId);
+};
+
+/**
+ * Запрос названия рутины
+ * @param {number} userId - ID пользователя
+ */
+const showTitlePrompt = async (userId) => {
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.commands.add.enter_title.text,
+    [backButtonRow()]
+  );
+};
+
+/**
+ * Запрос дозировки лекарства
+ * @param {number} userId - ID пользователя
+ */
+const showDosagePrompt = async (userId) => {
+  const dosage = templates.commands.add.enter_dosage;
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    dosage.text,
+    [
+      [
+        { type: 'callback', text: dosage.buttons.skip, payload: 'add|dosage|skip' },
+      ],
+      backButtonRow(),
+    ]
+  );
+};
+
+/**
+ * Показать выбор формы выпуска лекарства
+ * @param {number} userId - ID пользователя
+ */
+const showFormOptions = async (userId) => {
+  const form = templates.commands.add.select_form;
+
+  const buttons = Object.entries(form.forms).map(([key, label]) => ({
+    type: 'callback',
+    text: label,
+    payload: `add|form|${key}`,
+  }));
+
+  // Разбиваем на ряды по 3 кнопки
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 3) {
+    rows.push(buttons.slice(i, i + 3));
+  }
+
+  rows.push([{ type: 'callback', text: form.buttons.skip, payload: 'add|form|skip' }]);
+  rows.push(backButtonRow());
+
+  await maxApi.sendMessageWithKeyboard(userId, form.text, rows);
+};
+
+/**
+ * Запрос дней недели для расписания "Выбрать дни"
+ * @param {number} userId - ID пользователя
+ */
+const showDaysPrompt = async (userId) => {
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.commands.add.enter_days.text,
+    [backButtonRow()]
+  );
+};
+
+/**
+ * Запрос своего времени напоминания
+ * @param {number} userId - ID пользователя
+ */
+const showTimePrompt = async (userId) => {
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.commands.add.enter_time.text.replace('{max}', MAX_TIMES_PER_DAY),
+    [backButtonRow()]
+  );
+};
+
+/**
+ * Показать шаблоны
+ * @param {number} userId - ID пользователя
  * @param {string} type - Тип рутины
  */
 const showTemplates = async (userId, type) => {
@@ -699,6 +1699,7 @@ const showTemplates = async (userId, type) => {
     text: templates.commands.add.select_template.buttons.custom,
     payload: 'add|template|custom',
   }]);
+  rows.push(backButtonRow());
 
   await maxApi.sendMessageWithKeyboard(
     userId,
@@ -723,126 +1724,980 @@ const showScheduleOptions = async (userId) => {
       [
         { type: 'callback', text: schedule.buttons.weekdays, payload: 'add|schedule|weekdays' },
       ],
+      [
+        { type: 'callback', text: schedule.buttons.weekends, payload: 'add|schedule|weekends' },
+      ],
       [
         { type: 'callback', text: schedule.buttons.custom, payload: 'add|schedule|custom' },
       ],
+      [
+        { type: 'callback', text: schedule.buttons.interval, payload: 'add|schedule|interval' },
+      ],
+      [
+        { type: 'callback', text: schedule.buttons.cyclic, payload: 'add|schedule|cyclic' },
+      ],
+      backButtonRow(),
     ]
   );
 };
 
 /**
- * Показать опции времени
+ * Показать варианты интервального расписания
  * @param {number} userId - ID пользователя
  */
-const showTimeOptions = async (userId) => {
-  const time = templates.commands.add.select_time;
+const showIntervalOptions = async (userId) => {
+  const interval = templates.commands.add.select_interval;
   await maxApi.sendMessageWithKeyboard(
     userId,
-    time.text,
+    interval.text,
     [
-      [
-        { type: 'callback', text: time.buttons.morning, payload: 'add|time|07:00' },
-        { type: 'callback', text: time.buttons.noon, payload: 'add|time|12:00' },
-      ],
-      [
-        { type: 'callback', text: time.buttons.evening, payload: 'add|time|20:00' },
-        { type: 'callback', text: time.buttons.custom, payload: 'add|time|custom' },
-      ],
+      ...INTERVAL_OPTIONS.map(option => [
+        { type: 'callback', text: interval.buttons[option], payload: `add|interval|${option}` },
+      ]),
+      backButtonRow(),
     ]
   );
 };
 
 /**
- * Показать подтверждение
+ * Показать варианты циклического расписания (курса)
  * @param {number} userId - ID пользователя
  */
-const showConfirmation = async (userId) => {
-  const creation = routineCreationData.get(userId);
-  const data = creation.data;
-
-  const typeNames = {
-    medication: '💊 Лекарство',
-    habit: '🥤 Привычка',
-    task: '📋 Дело',
-  };
-
-  const scheduleNames = {
-    daily: 'Каждый день',
-    weekdays: 'Будни/Выходные',
-    custom: 'Выбранные дни',
-  };
-
-  let message = templates.commands.add.confirm.text
-    .replace('{type}', typeNames[data.type])
-    .replace('{title}', data.title)
-    .replace('{schedule}', scheduleNames[data.schedule_type])
-    .replace('{time}', data.time);
-
+const showCycleOptions = async (userId) => {
+  const cycle = templates.commands.add.select_cycle;
   await maxApi.sendMessageWithKeyboard(
     userId,
-    message,
+    cycle.text,
     [
-      [
-        { type: 'callback', text: templates.commands.add.confirm.buttons.confirm, payload: 'add|confirm|yes' },
-      ],
-      [
-        { type: 'callback', text: templates.commands.add.confirm.buttons.edit, payload: 'add|type|' + data.type },
-      ],
-      [
-        { type: 'callback', text: templates.commands.add.confirm.buttons.cancel, payload: 'add|confirm|no' },
-      ],
+      ...CYCLE_OPTIONS.map(option => {
+        const [onDays, offDays] = option.split('/');
+        return [{
+          type: 'callback',
+          text: cycle.option.replace('{on}', onDays).replace('{off}', offDays),
+          payload: `add|cycle|${option}`,
+        }];
+      }),
+      backButtonRow(),
     ]
   );
 };
 
 /**
- * Сохранение рутины
+ * Описание расписания для сообщений
+ * @param {Object} schedule - Поля расписания (schedule_type, custom_days, interval_*, cycle_*)
+ * @returns {string}
+ */
+const describeSchedule = (schedule) => {
+  const labels = templates.commands.add.schedule_labels;
+
+  switch (schedule.schedule_type) {
+    case 'interval':
+      return (schedule.interval_unit === 'week' ? labels.interval_week : labels.interval_day)
+        .replace('{n}', schedule.interval_value);
+
+    case 'cyclic':
+      return labels.cyclic
+        .replace('{on}', schedule.cycle_on_days)
+        .replace('{off}', schedule.cycle_off_days);
+
+    case 'custom': {
+      const names = templates.commands.add.weekday_names;
+      const days = (schedule.custom_days || []).map(day => names[day - 1]).filter(Boolean);
+      return days.length > 0 ? labels.custom_days.replace('{days}', days.join(', ')) : labels.custom;
+    }
+
+    default:
+      return labels[schedule.schedule_type] || labels.daily;
+  }
+};
+
+/**
+ * Описание расписания с датой окончания курса
+ * @param {Object} schedule - Поля расписания (включая end_date)
+ * @returns {string}
+ */
+const describeScheduleWithCourse = (schedule) => {
+  const label = describeSchedule(schedule);
+  const endDate = toDateString(schedule.end_date);
+  if (!endDate) return label;
+
+  const until = templates.commands.add.course_until.replace('{date}', formatShortDate(endDate));
+  return `${label}, ${until}`;
+};
+
+/**
+ * Описание времени напоминаний для сообщений
+ * Для "Будни / Выходные" с разным временем показываются оба варианта
+ * @param {Object} schedule - Поля расписания (schedule_type, time_weekdays, time_weekends, specific_times)
+ * @returns {string}
+ */
+const describeTimes = (schedule) => {
+  const weekdayTimes = getTimesForDay(schedule, 1).join(', ');
+  const weekendTimes = getTimesForDay(schedule, 6).join(', ');
+
+  if (schedule.schedule_type === 'weekends') {
+    return weekendTimes;
+  }
+
+  if (schedule.schedule_type !== 'weekdays' || weekdayTimes === weekendTimes) {
+    return weekdayTimes;
+  }
+
+  return templates.commands.add.split_time
+    .replace('{weekdays}', weekdayTimes)
+    .replace('{weekends}', weekendTimes);
+};
+
+/**
+ * Поля расписания из данных мастера создания рутины
+ * @param {Object} data - Данные создания рутины
+ * @returns {Object} Поля расписания для БД (без routine_id и anchor_date)
+ */
+const buildScheduleFields = (data) => {
+  // Несколько приёмов в день хранятся в specific_times
+  const scheduleData = {
+    schedule_type: data.schedule_type,
+    ...buildTimeFields(data.times),
+  };
+
+  if (['weekdays', 'weekends'].includes(data.schedule_type)) {
+    scheduleData.time_weekends = data.weekend_time || scheduleData.time_weekdays;
+  }
+
+  if (data.schedule_type === 'custom' && data.custom_days) {
+    scheduleData.custom_days = data.custom_days;
+  }
+
+  if (data.schedule_type === 'interval') {
+    scheduleData.interval_value = data.interval_value;
+    scheduleData.interval_unit = data.interval_unit;
+  }
+
+  if (data.schedule_type === 'cyclic') {
+    scheduleData.cycle_on_days = data.cycle_on_days;
+    scheduleData.cycle_off_days = data.cycle_off_days;
+  }
+
+  if (data.end_date) {
+    scheduleData.end_date = data.end_date;
+  }
+
+  return scheduleData;
+};
+
+/**
+ * Показать опции времени
+ * @param {number} userId - ID пользователя
+ */
+const showTimeOptions = async (userId) => {
+  const time = templates.commands.add.select_time;
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    time.text,
+    [
+      [
+        { type: 'callback', text: time.buttons.morning, payload: 'add|time|07:00' },
+        { type: 'callback', text: time.buttons.noon, payload: 'add|time|12:00' },
+      ],
+      [
+        { type: 'callback', text: time.buttons.evening, payload: 'add|time|20:00' },
+        { type: 'callback', text: time.buttons.custom, payload: 'add|time|custom' },
+      ],
+      [
+        { type: 'callback', text: time.buttons.multiple, payload: 'add|multi|on' },
+      ],
+      backButtonRow(),
+    ]
+  );
+};
+
+/**
+ * Показать выбор нескольких приёмов в день
+ * @param {number} userId - ID пользователя
+ */
+const showMultiTimeOptions = async (userId) => {
+  const creation = await routineDialog.get(userId);
+  const selected = creation.data.times || [];
+  const selectTimes = templates.commands.add.select_times;
+
+  const buttons = MULTI_TIME_OPTIONS.map(t => ({
+    type: 'callback',
+    text: selected.includes(t) ? `✅ ${t}` : t,
+    payload: `add|slot|${t}`,
+  }));
+
+  // Разбиваем на ряды по 4 кнопки
+  const rows = [];
+  for (let i = 0; i < buttons.length; i += 4) {
+    rows.push(buttons.slice(i, i + 4));
+  }
+
+  rows.push([{
+    type: 'callback',
+    text: selectTimes.buttons.done,
+    payload: 'add|slot|done',
+  }]);
+  rows.push(backButtonRow());
+
+  const message = selectTimes.text.replace(
+    '{times}',
+    selected.length > 0 ? selected.join(', ') : selectTimes.nothing_selected
+  );
+
+  await maxApi.sendMessageWithKeyboard(userId, message, rows);
+};
+
+/**
+ * Показать выбор времени на выходные
+ * @param {number} userId - ID пользователя
+ */
+const showWeekendTimeOptions = async (userId) => {
+  const creation = await routineDialog.get(userId);
+  const weekendTime = templates.commands.add.select_weekend_time;
+  const weekdayTime = normalizeTimes(creation.data.times)[0];
+
+  const buttons = WEEKEND_TIME_OPTIONS
+    .filter(t => t !== weekdayTime)
+    .map(t => ({ type: 'callback', text: t, payload: `add|wtime|${t}` }));
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    weekendTime.text.replace('{time}', weekdayTime),
+    [
+      [
+        { type: 'callback', text: weekendTime.buttons.same, payload: 'add|wtime|same' },
+      ],
+      buttons,
+      backButtonRow(),
+    ]
+  );
+};
+
+/**
+ * Показать выбор длительности курса
+ * @param {number} userId - ID пользователя
+ */
+const showCourseOptions = async (userId) => {
+  const course = templates.commands.add.select_course;
+
+  const buttons = COURSE_OPTIONS.map(days => ({
+    type: 'callback',
+    text: course.option.replace('{days}', days),
+    payload: `add|course|${days}`,
+  }));
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    course.text,
+    [
+      buttons,
+      [
+        { type: 'callback', text: course.buttons.none, payload: 'add|course|0' },
+      ],
+      backButtonRow(),
+    ]
+  );
+};
+
+/**
+ * Переход к шагу после выбора времени
+ * Для лекарств спрашиваем длительность курса, для остальных — сразу подтверждение
+ * @param {number} userId - ID пользователя
+ */
+const showCourseOrConfirmation = async (userId) => {
+  const { data } = await routineDialog.get(userId);
+
+  if (data.type === 'medication' && data.end_date === undefined) {
+    await routineDialog.transition(userId, ROUTINE_CREATION_STATES.SELECT_COURSE);
+    await showCourseOptions(userId);
+    return;
+  }
+
+  await routineDialog.transition(userId, ROUTINE_CREATION_STATES.CONFIRM);
+  await showConfirmation(userId);
+};
+
+/**
+ * Показать подтверждение
+ * @param {number} userId - ID пользователя
+ */
+const showConfirmation = async (userId) => {
+  const creation = await routineDialog.get(userId);
+  const data = creation.data;
+
+  const typeNames = {
+    medication: '💊 Лекарство',
+    habit: '🥤 Привычка',
+    task: '📋 Дело',
+  };
+
+  const scheduleFields = buildScheduleFields(data);
+  const scheduleLabel = describeScheduleWithCourse(scheduleFields);
+
+  let message = templates.commands.add.confirm.text
+    .replace('{type}', typeNames[data.type])
+    .replace('{title}', data.dosage ? `${data.title} (${data.dosage})` : data.title)
+    .replace('{schedule}', scheduleLabel.charAt(0).toUpperCase() + scheduleLabel.slice(1))
+    .replace('{time}', describeTimes(scheduleFields));
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    message,
+    [
+      [
+        { type: 'callback', text: templates.commands.add.confirm.buttons.confirm, payload: 'add|confirm|yes' },
+      ],
+      [
+        {
+          type: 'callback',
+          text: templates.commands.add.confirm.buttons.edit,
+          payload: data.routine_id ? `edit|${data.routine_id}` : `add|type|${data.type}`,
+        },
+      ],
+      [
+        { type: 'callback', text: templates.commands.add.confirm.buttons.cancel, payload: 'add|confirm|no' },
+      ],
+      backButtonRow(),
+    ]
+  );
+};
+
+/**
+ * Сохранение рутины
+ * @param {number} userId - ID пользователя
+ */
+const saveRoutine = async (userId) => {
+  const creation = await routineDialog.get(userId);
+  const data = creation.data;
+
+  // Мастер запущен из /edit — меняем расписание существующей рутины
+  if (data.routine_id) {
+    await saveScheduleEdit(userId);
+    return;
+  }
+
+  try {
+    // Создаем рутину
+    const routine = await db.createRoutine({
+      user_id: userId,
+      type: data.type,
+      title: data.title,
+      icon: data.icon || '⭐',
+      dosage: data.dosage,
+      medication_form: data.medication_form,
+    });
+
+    // Создаем расписание
+    const scheduleData = {
+      routine_id: routine.routine_id,
+      ...buildScheduleFields(data),
+    };
+
+    // Интервал и цикл отсчитываются от сегодняшнего дня пользователя
+    if (['interval', 'cyclic'].includes(data.schedule_type)) {
+      const user = await db.getUserById(userId);
+      scheduleData.anchor_date = getUserToday(user);
+    }
+
+    await db.createSchedule(scheduleData);
+
+    // Генерируем напоминания в фоне
+    await backgroundQueue.add('generate-reminders', {
+      type: 'generate-reminders',
+      data: { userId, routineId: routine.routine_id },
+    });
+
+    await routineDialog.finish(userId);
+
+    const successMsg = templates.commands.add.success
+      .replace('{icon}', routine.icon)
+      .replace('{title}', routine.title)
+      .replace('{schedule}', describeScheduleWithCourse(scheduleData))
+      .replace('{time}', describeTimes(scheduleData));
+
+    await maxApi.sendTextMessage(userId, successMsg, { parseMode: 'Markdown' });
+
+  } catch (error) {
+    logger.error('Ошибка сохранения рутины:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Рутины, доступные для управления (активные и на паузе)
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Array>}
+ */
+const getManageableRoutines = async (userId) => {
+  const routines = await db.getUserRoutines(userId, false);
+  return routines.filter(r => !r.deleted_at && !r.archived_at);
+};
+
+/**
+ * Кнопки выбора рутины для управления
+ * @param {Array} routines - Рутины
+ * @returns {Array} Ряды кнопок
+ */
+const buildRoutineButtons = (routines) => routines.map(routine => [{
+  type: 'callback',
+  text: `${routine.icon} ${routine.title}`,
+  payload: `routine|${routine.routine_id}`,
+}]);
+
+/**
+ * Список рутин для изменения
+ * @param {number} userId - ID пользователя
+ */
+const sendEditList = async (userId) => {
+  const routines = await getManageableRoutines(userId);
+
+  if (routines.length === 0) {
+    await maxApi.sendTextMessage(
+      userId,
+      templates.commands.list.empty,
+      { parseMode: 'Markdown' }
+    );
+    return;
+  }
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.commands.edit.select,
+    buildRoutineButtons(routines)
+  );
+};
+
+/**
+ * Получение рутины пользователя для управления
+ * Если рутина не найдена, пользователь получает сообщение об ошибке
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ * @returns {Promise<Object|null>}
+ */
+const getOwnRoutine = async (userId, routineId) => {
+  const routine = await db.getRoutineById(routineId);
+  if (!routine || routine.user_id != userId || routine.deleted_at) {
+    await maxApi.sendTextMessage(userId, templates.errors.not_found);
+    return null;
+  }
+  return routine;
+};
+
+/**
+ * Карточка рутины с кнопками управления
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ */
+const showRoutineActions = async (userId, routineId) => {
+  const routine = await getOwnRoutine(userId, routineId);
+  if (!routine) return;
+
+  const card = templates.commands.routine;
+  const buttons = card.buttons;
+  const [schedule] = await db.getRoutineSchedules(routine.routine_id);
+
+  let status = '';
+  if (!routine.is_active) {
+    status = routine.paused_until
+      ? card.paused_until.replace('{date}', formatShortDate(toDateString(routine.paused_until)))
+      : card.paused;
+  }
+
+  const text = card.text
+    .replace('{icon}', routine.icon)
+    .replace('{title}', routine.title)
+    .replace('{dosage}', routine.dosage ? card.dosage.replace('{dosage}', routine.dosage) : '')
+    .replace('{schedule}', schedule ? describeScheduleWithCourse(schedule) : '—')
+    .replace('{time}', schedule ? describeTimes(schedule) : '—')
+    .replace('{status}', status);
+
+  const id = routine.routine_id;
+  const editRow = [
+    { type: 'callback', text: buttons.schedule, payload: `edit|${id}` },
+  ];
+  if (routine.type === 'medication') {
+    editRow.push({ type: 'callback', text: buttons.dosage, payload: `redit|${id}|dosage` });
+  }
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    text,
+    [
+      [
+        { type: 'callback', text: buttons.title, payload: `redit|${id}|title` },
+        { type: 'callback', text: buttons.time, payload: `redit|${id}|time` },
+      ],
+      editRow,
+      [
+        routine.is_active
+          ? { type: 'callback', text: buttons.pause, payload: `pause|${id}` }
+          : { type: 'callback', text: buttons.resume, payload: `resume|${id}` },
+        { type: 'callback', text: buttons.delete, payload: `rdel|${id}` },
+      ],
+      [
+        { type: 'callback', text: buttons.list, payload: 'list' },
+      ],
+    ]
+  );
+};
+
+/**
+ * Начало изменения поля рутины (название, дозировка или время)
+ * Время меняется тем же мастером, что и расписание, но с текущим типом расписания
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ * @param {string} field - title, dosage или time
+ */
+const startRoutineFieldEdit = async (userId, routineId, field) => {
+  const routine = await getOwnRoutine(userId, routineId);
+  if (!routine) return;
+
+  const card = templates.commands.routine;
+  const base = {
+    routine_id: routine.routine_id,
+    type: routine.type,
+    title: routine.title,
+    icon: routine.icon,
+  };
+
+  switch (field) {
+    case 'title':
+      await routineDialog.start(userId, ROUTINE_CREATION_STATES.EDIT_TITLE, base);
+      await maxApi.sendMessageWithKeyboard(
+        userId,
+        card.enter_title.replace('{icon}', routine.icon).replace('{title}', routine.title),
+        [backButtonRow()]
+      );
+      break;
+
+    case 'dosage':
+      await routineDialog.start(userId, ROUTINE_CREATION_STATES.EDIT_DOSAGE, base);
+      await maxApi.sendMessageWithKeyboard(
+        userId,
+        card.enter_dosage.replace('{icon}', routine.icon).replace('{title}', routine.title),
+        [backButtonRow()]
+      );
+      break;
+
+    case 'time': {
+      const [schedule] = await db.getRoutineSchedules(routine.routine_id);
+      if (!schedule) {
+        await startScheduleEdit(userId, routine.routine_id);
+        break;
+      }
+
+      // Срок курса сохраняется, поэтому шаг выбора курса пропускается
+      await routineDialog.start(userId, ROUTINE_CREATION_STATES.SELECT_TIME, {
+        ...base,
+        schedule_type: schedule.schedule_type,
+        custom_days: schedule.custom_days || undefined,
+        interval_value: schedule.interval_value || undefined,
+        interval_unit: schedule.interval_unit || undefined,
+        cycle_on_days: schedule.cycle_on_days || undefined,
+        cycle_off_days: schedule.cycle_off_days || undefined,
+        end_date: toDateString(schedule.end_date),
+      });
+      await showTimeOptions(userId);
+      break;
+    }
+
+    default:
+      logger.warn('Неизвестное поле рутины', { field });
+  }
+};
+
+/**
+ * Сохранение поля рутины из диалога
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ * @param {Object} updates - Изменения (title или dosage)
+ */
+const saveRoutineField = async (userId, routineId, updates) => {
+  try {
+    await routineDialog.finish(userId);
+
+    const routine = await getOwnRoutine(userId, routineId);
+    if (!routine) return;
+
+    const updated = await db.updateRoutine(routineId, updates);
+    const card = templates.commands.routine;
+
+    const text = card.updated
+      .replace('{icon}', updated.icon)
+      .replace('{title}', updated.title)
+      .replace('{dosage}', updated.dosage ? card.dosage.replace('{dosage}', updated.dosage) : '');
+
+    await maxApi.sendTextMessage(userId, text, { parseMode: 'Markdown' });
+  } catch (error) {
+    logger.error('Ошибка изменения рутины:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Подтверждение удаления рутины
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ */
+const confirmRoutineDelete = async (userId, routineId) => {
+  const routine = await getOwnRoutine(userId, routineId);
+  if (!routine) return;
+
+  const card = templates.commands.routine;
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    card.delete_confirm.replace('{icon}', routine.icon).replace('{title}', routine.title),
+    [[
+      { type: 'callback', text: card.delete_buttons.confirm, payload: `rdel|${routineId}|yes` },
+      { type: 'callback', text: card.delete_buttons.cancel, payload: `routine|${routineId}` },
+    ]]
+  );
+};
+
+/**
+ * Удаление рутины с отменой будущих напоминаний и их задач в очереди
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ */
+const handleRoutineDelete = async (userId, routineId) => {
+  try {
+    const routine = await getOwnRoutine(userId, routineId);
+    if (!routine) return;
+
+    await lifecycle.deleteRoutine(routineId);
+
+    // Незавершенный диалог изменения удаленной рутины больше не нужен
+    const creation = await routineDialog.get(userId);
+    if (creation?.data.routine_id === routineId) {
+      await routineDialog.finish(userId);
+    }
+
+    const text = templates.commands.routine.deleted
+      .replace('{icon}', routine.icon)
+      .replace('{title}', routine.title);
+
+    await maxApi.sendTextMessage(userId, text, { parseMode: 'Markdown' });
+  } catch (error) {
+    logger.error('Ошибка удаления рутины:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Начало изменения расписания рутины
+ * Используется тот же мастер, что и при создании, начиная с выбора расписания
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ */
+const startScheduleEdit = async (userId, routineId) => {
+  const routine = await getOwnRoutine(userId, routineId);
+  if (!routine) return;
+
+  const [schedule] = await db.getRoutineSchedules(routineId);
+
+  await routineDialog.start(userId, ROUTINE_CREATION_STATES.SELECT_SCHEDULE, {
+    routine_id: routine.routine_id,
+    type: routine.type,
+    title: routine.title,
+    icon: routine.icon,
+  });
+
+  const intro = templates.commands.edit.intro
+    .replace('{icon}', routine.icon)
+    .replace('{title}', routine.title)
+    .replace('{schedule}', schedule ? describeScheduleWithCourse(schedule) : '—')
+    .replace('{time}', schedule ? describeTimes(schedule) : '—');
+
+  await maxApi.sendTextMessage(userId, intro, { parseMode: 'Markdown' });
+  await showScheduleOptions(userId);
+};
+
+/**
+ * Сохранение нового расписания рутины
+ * Меняются только отличающиеся поля; будущие напоминания перепланируются,
+ * прошедшие остаются в истории без изменений
+ * @param {number} userId - ID пользователя
+ */
+const saveScheduleEdit = async (userId) => {
+  const creation = await routineDialog.get(userId);
+  const data = creation.data;
+
+  try {
+    const routine = await db.getRoutineById(data.routine_id);
+    const [current] = routine ? await db.getRoutineSchedules(routine.routine_id) : [];
+    await routineDialog.finish(userId);
+
+    if (!routine || routine.user_id != userId || routine.deleted_at || !current) {
+      await maxApi.sendTextMessage(userId, templates.errors.not_found);
+      return;
+    }
+
+    // Поля, которые мастер не задает, сбрасываются, чтобы не влиять на новый тип расписания
+    // (правило RRULE сохраняется, если меняется только время)
+    const scheduleData = {
+      time_weekends: null,
+      custom_days: data.schedule_type === 'custom' ? current.custom_days : null,
+      rrule: data.schedule_type === 'rrule' ? current.rrule : null,
+      ...buildScheduleFields(data),
+      end_date: data.end_date === undefined ? current.end_date : data.end_date,
+    };
+
+    // Интервал и цикл продолжают отсчет от прежней опорной даты, если тип не менялся
+    if (['interval', 'cyclic'].includes(data.schedule_type)) {
+      const user = await db.getUserById(userId);
+      scheduleData.anchor_date = current.schedule_type === data.schedule_type && current.anchor_date
+        ? current.anchor_date
+        : getUserToday(user);
+    }
+
+    const changed = diffSchedule(current, scheduleData);
+    if (changed.length === 0) {
+      await maxApi.sendTextMessage(userId, templates.commands.edit.unchanged);
+      return;
+    }
+
+    const updated = await db.updateSchedule(
+      current.schedule_id,
+      Object.fromEntries(changed.map(key => [key, scheduleData[key]]))
+    );
+    await lifecycle.rescheduleRoutine(routine);
+
+    const successMsg = templates.commands.edit.success
+      .replace('{icon}', routine.icon)
+      .replace('{title}', routine.title)
+      .replace('{schedule}', describeScheduleWithCourse(updated))
+      .replace('{time}', describeTimes(updated));
+
+    await maxApi.sendTextMessage(userId, successMsg, { parseMode: 'Markdown' });
+
+  } catch (error) {
+    logger.error('Ошибка изменения расписания:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Кнопки выбора длительности паузы
+ * @param {string} prefix - Префикс payload (например, "vac" или "pause|<routineId>")
+ * @returns {Array} Ряды кнопок
+ */
+const buildPauseButtons = (prefix) => {
+  const buttons = templates.pause.buttons;
+  const label = (days) => {
+    if (days === 0) return buttons.indefinitely;
+    if (days === 7) return buttons.week;
+    if (days === 14) return buttons.two_weeks;
+    return buttons.days.replace('{days}', days);
+  };
+
+  return PAUSE_OPTIONS.map(days => [{
+    type: 'callback',
+    text: label(days),
+    payload: `${prefix}|${days}`,
+  }]);
+};
+
+/**
+ * Список рутин для паузы
+ * @param {number} userId - ID пользователя
+ */
+const sendPauseList = async (userId) => {
+  const routines = await db.getUserRoutines(userId);
+
+  if (routines.length === 0) {
+    await maxApi.sendTextMessage(
+      userId,
+      templates.commands.list.empty,
+      { parseMode: 'Markdown' }
+    );
+    return;
+  }
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.pause.select_routine,
+    routines.map(routine => [{
+      type: 'callback',
+      text: `${routine.icon} ${routine.title}`,
+      payload: `pause|${routine.routine_id}`,
+    }])
+  );
+};
+
+/**
+ * Выбор длительности паузы рутины
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ */
+const showPauseOptions = async (userId, routineId) => {
+  const routine = await getOwnRoutine(userId, routineId);
+  if (!routine) return;
+
+  const text = templates.pause.select_duration
+    .replace('{icon}', routine.icon)
+    .replace('{title}', routine.title);
+
+  await maxApi.sendMessageWithKeyboard(userId, text, buildPauseButtons(`pause|${routineId}`));
+};
+
+/**
+ * Приостановка рутины
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ * @param {string} daysParam - Количество дней паузы (0 — бессрочно)
+ */
+const handlePauseRoutine = async (userId, routineId, daysParam) => {
+  try {
+    const days = parseInt(daysParam, 10);
+    if (Number.isNaN(days) || days < 0) {
+      await maxApi.sendTextMessage(userId, templates.errors.not_found);
+      return;
+    }
+
+    const routine = await getOwnRoutine(userId, routineId);
+    if (!routine) return;
+
+    const user = await db.getUserById(userId);
+    const until = days > 0 ? addDays(getUserToday(user), days) : null;
+
+    await lifecycle.pauseRoutine(routineId, { until });
+
+    const text = (until ? templates.pause.routine_paused : templates.pause.routine_paused_indefinitely)
+      .replace('{icon}', routine.icon)
+      .replace('{title}', routine.title)
+      .replace('{date}', until ? formatShortDate(until) : '');
+
+    await maxApi.sendTextMessage(userId, text, { parseMode: 'Markdown' });
+  } catch (error) {
+    logger.error('Ошибка приостановки рутины:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Список приостановленных рутин для возобновления
+ * @param {number} userId - ID пользователя
+ */
+const sendResumeList = async (userId) => {
+  const routines = (await db.getUserRoutines(userId, false))
+    .filter(r => !r.is_active && !r.deleted_at && !r.archived_at);
+
+  if (routines.length === 0) {
+    await maxApi.sendTextMessage(userId, templates.pause.nothing_paused);
+    return;
+  }
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.pause.select_resume,
+    routines.map(routine => [{
+      type: 'callback',
+      text: `${routine.icon} ${routine.title}`,
+      payload: `resume|${routine.routine_id}`,
+    }])
+  );
+};
+
+/**
+ * Возобновление рутины
+ * @param {number} userId - ID пользователя
+ * @param {string} routineId - ID рутины
+ */
+const handleResumeRoutine = async (userId, routineId) => {
+  try {
+    const routine = await getOwnRoutine(userId, routineId);
+    if (!routine) return;
+
+    // Завершенный курс не возобновляется
+    if (routine.archived_at) {
+      await maxApi.sendTextMessage(userId, templates.errors.not_found);
+      return;
+    }
+
+    if (!routine.is_active) {
+      await lifecycle.resumeRoutine(routine);
+    }
+
+    const text = templates.pause.routine_resumed
+      .replace('{icon}', routine.icon)
+      .replace('{title}', routine.title);
+
+    await maxApi.sendTextMessage(userId, text, { parseMode: 'Markdown' });
+  } catch (error) {
+    logger.error('Ошибка возобновления рутины:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Режим отпуска: текущее состояние или выбор длительности
  * @param {number} userId - ID пользователя
  */
-const saveRoutine = async (userId) => {
-  const creation = routineCreationData.get(userId);
-  const data = creation.data;
+const sendVacationOptions = async (userId) => {
+  const user = await db.getUserById(userId);
 
-  try {
-    // Создаем рутину
-    const routine = await db.createRoutine({
-      user_id: userId,
-      type: data.type,
-      title: data.title,
-      icon: data.icon || '⭐',
-      dosage: data.dosage,
-    });
+  if (user.on_vacation) {
+    const until = user.vacation_until
+      ? templates.pause.vacation_until.replace('{date}', formatShortDate(user.vacation_until))
+      : '';
 
-    // Создаем расписание
-    const scheduleData = {
-      routine_id: routine.routine_id,
-      schedule_type: data.schedule_type,
-    };
+    await maxApi.sendMessageWithKeyboard(
+      userId,
+      templates.pause.vacation_active.replace('{until}', until),
+      [[{ type: 'callback', text: templates.pause.buttons.vacation_off, payload: 'vac|off' }]]
+    );
+    return;
+  }
 
-    if (data.schedule_type === 'weekdays') {
-      scheduleData.time_weekdays = data.time;
-      scheduleData.time_weekends = data.time;
-    } else {
-      scheduleData.time_weekdays = data.time;
+  await maxApi.sendMessageWithKeyboard(userId, templates.pause.vacation_select, buildPauseButtons('vac'));
+};
+
+/**
+ * Включение режима отпуска
+ * @param {number} userId - ID пользователя
+ * @param {string} daysParam - Количество дней отпуска (0 — бессрочно)
+ */
+const handleVacationStart = async (userId, daysParam) => {
+  try {
+    const days = parseInt(daysParam, 10);
+    if (Number.isNaN(days) || days < 0) {
+      await sendVacationOptions(userId);
+      return;
     }
 
-    await db.createSchedule(scheduleData);
+    const user = await db.getUserById(userId);
+    const until = days > 0 ? addDays(getUserToday(user), days) : null;
 
-    // Генерируем напоминания
-    // TODO: Вызвать сервис генерации напоминаний
+    await lifecycle.startVacation(userId, { until });
 
-    routineCreationData.delete(userId);
+    const text = templates.pause.vacation_started.replace(
+      '{until}',
+      until ? templates.pause.vacation_until.replace('{date}', formatShortDate(until)) : ''
+    );
 
-    const successMsg = templates.commands.add.success
-      .replace('{icon}', routine.icon)
-      .replace('{title}', routine.title)
-      .replace('{schedule}', data.schedule_type === 'daily' ? 'каждый день' : 'по расписанию')
-      .replace('{time}', data.time);
+    await maxApi.sendTextMessage(userId, text, { parseMode: 'Markdown' });
+  } catch (error) {
+    logger.error('Ошибка включения режима отпуска:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
 
-    await maxApi.sendTextMessage(userId, successMsg, { parseMode: 'Markdown' });
+/**
+ * Выключение режима отпуска
+ * @param {number} userId - ID пользователя
+ */
+const handleVacationOff = async (userId) => {
+  try {
+    const user = await db.getUserById(userId);
+    if (!user.on_vacation) {
+      await maxApi.sendTextMessage(userId, templates.pause.vacation_not_active);
+      return;
+    }
 
+    await lifecycle.endVacation(userId);
+    await maxApi.sendTextMessage(userId, templates.pause.vacation_off);
   } catch (error) {
-    logger.error('Ошибка сохранения рутины:', error);
+    logger.error('Ошибка выключения режима отпуска:', error);
     await maxApi.sendTextMessage(userId, templates.errors.general);
   }
 };
@@ -860,25 +2715,17 @@ const handleReminderComplete = async (userId, reminderId) => {
       return;
     }
 
-    // Обновляем статус
-    await db.updateReminder(reminderId, {
-      status: 'completed',
-      completed_at: new Date(),
-      confirmation_method: 'push',
-    });
+    if (lifecycle.isFinal(reminder)) {
+      await maxApi.sendTextMessage(userId, templates.errors.already_processed);
+      return;
+    }
 
-    // Создаем событие
-    await db.createEvent({
-      reminder_id: reminderId,
-      user_id: userId,
-      routine_id: reminder.routine_id,
-      event_type: 'completed',
-      event_source: 'bot',
+    // Статус, событие, геймификация и отмена эскалаций
+    const result = await lifecycle.completeReminder(reminder, {
+      source: 'bot',
+      confirmationMethod: 'push',
     });
 
-    // Обновляем геймификацию
-    const result = await gamification.handleCompletion(userId, reminderId, reminder.type);
-
     // Формируем ответ
     const template = templates.reminders.completion_success[reminder.type];
     let message = template
@@ -887,6 +2734,13 @@ const handleReminderComplete = async (userId, reminderId) => {
         ? templates.reminders.streak_text.replace('{streak}', result.streak.current)
         : '');
 
+    // Опоздание и выполнение после окна отмечаем отдельно
+    if (result.completionStatus === 'late') {
+      message += templates.reminders.completion_late;
+    } else if (result.completionStatus === 'missed') {
+      message += templates.reminders.completion_missed;
+    }
+
     await maxApi.sendTextMessage(userId, message, { parseMode: 'Markdown' });
 
     // Показываем новые достижения
@@ -920,21 +2774,21 @@ const handleReminderPostpone = async (userId, reminderId, minutes) => {
       return;
     }
 
+    if (lifecycle.isFinal(reminder)) {
+      await maxApi.sendTextMessage(userId, templates.errors.already_processed);
+      return;
+    }
+
     if (reminder.postpone_count >= reminder.max_postpones) {
       await maxApi.sendTextMessage(
         userId,
-        '⚠️ Достигнуто максимальное количество отсрочек для этого напоминания.',
+        templates.reminders.postpone_limit,
         { parseMode: 'Markdown' }
       );
       return;
     }
 
-    await db.updateReminder(reminderId, {
-      status: 'postponed',
-      postpone_count: reminder.postpone_count + 1,
-    });
-
-    // TODO: Запланировать новое напоминание через BullMQ
+    await lifecycle.postponeReminder(reminder, minutes, { source: 'bot' });
 
     const message = templates.reminders.postpone_success.replace('{minutes}', minutes);
     await maxApi.sendTextMessage(userId, message, { parseMode: 'Markdown' });
@@ -958,20 +2812,12 @@ const handleReminderSkip = async (userId, reminderId) => {
       return;
     }
 
-    await db.updateReminder(reminderId, {
-      status: 'skipped',
-    });
-
-    await db.createEvent({
-      reminder_id: reminderId,
-      user_id: userId,
-      routine_id: reminder.routine_id,
-      event_type: 'skipped',
-      event_source: 'bot',
-    });
+    if (lifecycle.isFinal(reminder)) {
+      await maxApi.sendTextMessage(userId, templates.errors.already_processed);
+      return;
+    }
 
-    // Обновляем геймификацию
-    await gamification.handleSkip(userId);
+    await lifecycle.skipReminder(reminder, { source: 'bot' });
 
     await maxApi.sendTextMessage(
       userId,
@@ -991,7 +2837,8 @@ const handleReminderSkip = async (userId, reminderId) => {
  * @param {Array} args - Аргументы команды
  */
 const handleDoneCommand = async (userId, args) => {
-  const today = new Date().toISOString().split('T')[0];
+  const user = await db.getUserById(userId);
+  const today = getUserToday(user);
   const reminders = await db.getRemindersByDate(userId, today);
   
   const pending = reminders.filter(r => r.status === 'sent' || r.status === 'pending');
@@ -1040,35 +2887,123 @@ const handleDoneCommand = async (userId, args) => {
 
 /**
  * Smart Detection - распознавание простых фраз
+ * Сначала — выполнение, пропуск или отсрочка сегодняшних напоминаний, затем — создание рутины
  * @param {number} userId - ID пользователя
  * @param {string} text - Текст сообщения
  * @param {Object} user - Объект пользователя
  */
 const handleSmartDetection = async (userId, text, user) => {
-  // Регулярки для распознавания
-  const patterns = {
-    completion: /(выпил|сделал|готово|принял|выполнил|съел).*(таблет|вод|лекарство|магний|витамин)/i,
-    skip: /(пропустил|не смог|забыл).*(таблет|вод|лекарство)/i,
-    postpone: /(отложи|напомни позже|через).*(минут|час)/i,
-  };
+  const detected = detectIntent(text);
+  if (detected && await handleDetectedIntent(userId, detected, user)) {
+    return;
+  }
 
-  if (patterns.completion.test(text)) {
-    // Ищем последнее активное напоминание
-    const today = new Date().toISOString().split('T')[0];
-    const reminders = await db.getRemindersByDate(userId, today);
-    const sent = reminders.find(r => r.status === 'sent');
+  // Создание рутины одной фразой
+  const request = parseRoutineRequest(text);
+  if (request) {
+    await startRoutineFromText(userId, request);
+    return;
+  }
 
-    if (sent) {
-      await maxApi.sendMessageWithKeyboard(
-        userId,
-        `Вы имели в виду *${sent.title}*?`,
-        [[
-          { type: 'callback', text: '✅ Да, отметить', payload: `ok|${sent.reminder_id}` },
-          { type: 'callback', text: '❌ Нет', payload: 'menu|cancel' },
-        ]]
-      );
+  if (detected) {
+    await maxApi.sendTextMessage(userId, templates.reminders.smart.not_found);
+  }
+};
+
+/**
+ * Выполнение распознанного действия над сегодняшними напоминаниями
+ * Отсрочка без названия относится к последнему отправленному напоминанию;
+ * если подходят несколько напоминаний, пользователь выбирает кнопкой
+ * @param {number} userId - ID пользователя
+ * @param {Object} detected - Результат detectIntent ({ intent, query, minutes, explicit })
+ * @param {Object} user - Объект пользователя
+ * @returns {Promise<boolean>} false, если подходящих напоминаний нет
+ *   и фразу стоит разобрать как создание рутины
+ */
+const handleDetectedIntent = async (userId, { intent, query, minutes, explicit }, user) => {
+  const smart = templates.reminders.smart;
+
+  if (intent === 'postpone' && !isValidSnooze(minutes)) {
+    await maxApi.sendTextMessage(
+      userId,
+      smart.invalid_minutes.replace('{max}', config.business.maxPostponeMinutes)
+    );
+    return true;
+  }
+
+  const reminders = await db.getRemindersByDate(userId, getUserToday(user));
+  const active = reminders.filter(r => (intent === 'postpone' ? r.status === 'sent' : !lifecycle.isFinal(r)));
+
+  if (active.length === 0) {
+    if (!explicit) return false;
+    await maxApi.sendTextMessage(userId, smart.nothing_active);
+    return true;
+  }
+
+  let candidates = matchReminders(active, query);
+  if (intent === 'postpone' && !query) {
+    candidates = candidates.slice(-1);
+  }
+
+  if (candidates.length === 0) return false;
+
+  if (candidates.length === 1) {
+    const [reminder] = candidates;
+    if (intent === 'complete') {
+      await handleReminderComplete(userId, reminder.reminder_id);
+    } else if (intent === 'skip') {
+      await handleReminderSkip(userId, reminder.reminder_id);
+    } else {
+      await handleReminderPostpone(userId, reminder.reminder_id, minutes);
     }
+    return true;
+  }
+
+  const payload = (reminder) => {
+    if (intent === 'complete') return `ok|${reminder.reminder_id}`;
+    if (intent === 'skip') return `skip|${reminder.reminder_id}`;
+    return `p|${reminder.reminder_id}|${minutes}`;
+  };
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    smart[`which_${intent}`].replace('{minutes}', minutes),
+    candidates.map(reminder => [{
+      type: 'callback',
+      text: `${reminder.icon} ${reminder.title} (${normalizeTime(reminder.scheduled_time)})`,
+      payload: payload(reminder),
+    }])
+  );
+  return true;
+};
+
+/**
+ * Создание рутины из распознанной фразы
+ * Распознанные поля попадают в мастер; недостающие шаги (расписание, время)
+ * пользователь выбирает кнопками, затем — обычное подтверждение
+ * @param {number} userId - ID пользователя
+ * @param {Object} request - Результат parseRoutineRequest
+ */
+const startRoutineFromText = async (userId, request) => {
+  const recognized = templates.commands.add.recognized
+    .replace('{title}', request.dosage ? `${request.title} (${request.dosage})` : request.title);
+
+  if (!request.schedule_type) {
+    await routineDialog.start(userId, ROUTINE_CREATION_STATES.SELECT_SCHEDULE, request);
+    await maxApi.sendTextMessage(userId, recognized, { parseMode: 'Markdown' });
+    await showScheduleOptions(userId);
+    return;
   }
+
+  await routineDialog.start(userId, ROUTINE_CREATION_STATES.SELECT_TIME, request);
+
+  if (!request.times) {
+    await maxApi.sendTextMessage(userId, recognized, { parseMode: 'Markdown' });
+    await showTimeOptions(userId);
+    return;
+  }
+
+  await showCourseOrConfirmation(userId);
 };
 
 /**
@@ -1076,7 +3011,7 @@ const handleSmartDetection = async (userId, text, user) => {
  * @param {number} userId - ID пользователя
  */
 const sendRoutinesList = async (userId) => {
-  const routines = await db.getUserRoutines(userId);
+  const routines = await getManageableRoutines(userId);
 
   if (routines.length === 0) {
     await maxApi.sendTextMessage(
@@ -1088,22 +3023,24 @@ const sendRoutinesList = async (userId) => {
   }
 
   let message = templates.commands.list.header;
-  
-  routines.forEach(routine => {
+
+  for (const routine of routines) {
     const line = routine.is_active
       ? templates.commands.list.item_active
       : templates.commands.list.item_inactive;
-    
+
+    const [schedule] = await db.getRoutineSchedules(routine.routine_id);
+
     message += line
       .replace('{icon}', routine.icon)
       .replace('{title}', routine.title)
-      .replace('{schedule}', 'ежедневно') // TODO: Получать реальное расписание
-      .replace('{time}', '08:00') + '\n';
-  });
+      .replace('{schedule}', schedule ? describeScheduleWithCourse(schedule) : '—')
+      .replace('{time}', schedule ? describeTimes(schedule) : '—') + '\n';
+  }
 
   message += templates.commands.list.footer;
 
-  await maxApi.sendTextMessage(userId, message, { parseMode: 'Markdown' });
+  await maxApi.sendMessageWithKeyboard(userId, message, buildRoutineButtons(routines));
 };
 
 /**
@@ -1111,12 +3048,24 @@ const sendRoutinesList = async (userId) => {
  * @param {number} userId - ID пользователя
  */
 const handleExportRequest = async (userId) => {
-  await maxApi.sendTextMessage(
-    userId,
-    templates.gdpr.export_request,
-    { parseMode: 'Markdown' }
-  );
-  // TODO: Создать задачу на экспорт через BullMQ
+  try {
+    const { request, created } = await createExportRequest(userId);
+
+    if (!created) {
+      await maxApi.sendTextMessage(userId, templates.gdpr.export_in_progress);
+      return;
+    }
+
+    await scheduleExport(request.export_id);
+    await maxApi.sendTextMessage(
+      userId,
+      templates.gdpr.export_request,
+      { parseMode: 'Markdown' }
+    );
+  } catch (error) {
+    logger.error('Ошибка запроса экспорта:', error);
+    await maxApi.sendTextMessage(userId, templates.gdpr.export_error);
+  }
 };
 
 /**
@@ -1126,7 +3075,7 @@ const handleExportRequest = async (userId) => {
 const handleDeleteRequest = async (userId) => {
   await maxApi.sendMessageWithKeyboard(
     userId,
-    templates.gdpr.delete_confirm,
+    templates.gdpr.delete_confirm.replace('{days}', config.privacy.dataRetentionDays),
     [[
       { type: 'callback', text: templates.gdpr.delete_buttons.confirm, payload: 'delete|confirm' },
       { type: 'callback', text: templates.gdpr.delete_buttons.cancel, payload: 'menu|cancel' },
@@ -1134,6 +3083,195 @@ const handleDeleteRequest = async (userId) => {
   );
 };
 
+/**
+ * Подтверждение удаления аккаунта
+ * @param {number} userId - ID пользователя
+ */
+const handleDeleteConfirm = async (userId) => {
+  try {
+    const user = await db.getUserById(userId);
+    if (!user) return;
+
+    // Удаление аккаунта отменяет все будущие напоминания, их задачи и сессии мини-приложения
+    const { purgeAt } = await lifecycle.deleteAccount(userId);
+    await onboardingDialog.finish(userId);
+    await routineDialog.finish(userId);
+
+    const text = templates.gdpr.delete_success
+      .replace('{date}', getLocalNow(user.timezone, purgeAt).format('DD.MM.YYYY'));
+    await maxApi.sendTextMessage(userId, text, { parseMode: 'Markdown' });
+  } catch (error) {
+    logger.error('Ошибка удаления аккаунта:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Предложение восстановить удаленный аккаунт
+ * @param {number} userId - ID пользователя
+ * @param {Object} user - Пользователь из БД (удаленный)
+ */
+const sendRestoreOffer = async (userId, user) => {
+  const purgeAt = new Date(
+    new Date(user.deleted_at).getTime() + config.privacy.dataRetentionDays * 24 * 60 * 60 * 1000
+  );
+  const buttons = templates.gdpr.restore_buttons;
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.gdpr.restore_offer.replace('{date}', getLocalNow(user.timezone, purgeAt).format('DD.MM.YYYY')),
+    [[
+      { type: 'callback', text: buttons.restore, payload: 'account|restore' },
+      { type: 'callback', text: buttons.fresh, payload: 'account|fresh' },
+    ]]
+  );
+};
+
+/**
+ * Восстановление удаленного аккаунта
+ * @param {number} userId - ID пользователя
+ * @param {Object} sender - Данные пользователя от Max API
+ */
+const handleAccountRestore = async (userId, sender) => {
+  try {
+    const result = await lifecycle.restoreAccount(sender);
+
+    if (!result) {
+      // Повторное нажатие после восстановления — просто показываем меню
+      if (await db.getUserById(userId)) {
+        await sendMainMenu(userId);
+      } else {
+        await maxApi.sendTextMessage(userId, templates.gdpr.restore_expired);
+      }
+      return;
+    }
+
+    await maxApi.sendTextMessage(userId, templates.gdpr.restore_success);
+    await sendMainMenu(userId);
+  } catch (error) {
+    logger.error('Ошибка восстановления аккаунта:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Новый аккаунт вместо удаленного
+ * Старые данные удаляются сразу, не дожидаясь конца срока хранения
+ * @param {number} userId - ID пользователя
+ * @param {Object} sender - Данные пользователя от Max API
+ */
+const handleAccountFresh = async (userId, sender) => {
+  try {
+    await removeUserExports(userId);
+    await db.purgeUser(userId);
+
+    const user = await db.getOrCreateUser(sender);
+    await handleStart(userId, user);
+  } catch (error) {
+    logger.error('Ошибка создания нового аккаунта:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
+/**
+ * Команда, доступная без согласия с действующей политикой
+ * @param {string} text - Текст сообщения
+ * @returns {boolean}
+ */
+const isConsentFreeCommand = (text) => {
+  if (!text?.startsWith('/')) return false;
+
+  const [command, arg] = text.split(' ');
+  if (command.toLowerCase() === '/start') {
+    return Boolean(arg?.startsWith('app_auth'));
+  }
+  return CONSENT_FREE_COMMANDS.includes(command.toLowerCase());
+};
+
+/**
+ * Запрос согласия с действующей редакцией политики
+ * @param {number} userId - ID пользователя
+ * @param {Object} user - Пользователь из БД
+ */
+const sendConsentRequest = async (userId, user) => {
+  const buttons = templates.gdpr.consent_buttons;
+
+  if (user.consent_withdrawn_at) {
+    await maxApi.sendMessageWithKeyboard(
+      userId,
+      templates.gdpr.consent_withdrawn,
+      [[{ type: 'callback', text: buttons.agree, payload: 'consent|agree' }]]
+    );
+    return;
+  }
+
+  const policy = getCurrentPolicy();
+  const text = templates.gdpr.consent_update
+    .replace('{date}', formatShortDate(policy.effectiveDate))
+    .replace('{version}', policy.version)
+    .replace('{changes}', policy.changes.map(change => `• ${change}`).join('\n'))
+    .replace('{url}', config.privacy.privacyPolicyUrl);
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    text,
+    [
+      [{ type: 'callback', text: buttons.agree, payload: 'consent|agree' }],
+      [{ type: 'callback', text: buttons.decline, payload: 'consent|decline' }],
+    ]
+  );
+};
+
+/**
+ * Запрос на отзыв согласия
+ * @param {number} userId - ID пользователя
+ */
+const handleWithdrawRequest = async (userId) => {
+  const user = await db.getUserById(userId);
+  if (!user) return;
+
+  // Согласие уже отозвано — предлагаем дать его снова
+  if (user.consent_withdrawn_at) {
+    await sendConsentRequest(userId, user);
+    return;
+  }
+
+  await maxApi.sendMessageWithKeyboard(
+    userId,
+    templates.gdpr.withdraw_confirm,
+    [[
+      { type: 'callback', text: templates.gdpr.withdraw_buttons.confirm, payload: 'consent|withdraw' },
+      { type: 'callback', text: templates.gdpr.withdraw_buttons.cancel, payload: 'menu|cancel' },
+    ]]
+  );
+};
+
+/**
+ * Подтверждение отзыва согласия
+ * @param {number} userId - ID пользователя
+ */
+const handleWithdrawConfirm = async (userId) => {
+  try {
+    const user = await db.getUserById(userId);
+    if (!user) return;
+
+    // Отзыв отменяет будущие напоминания и их задачи, данные остаются
+    if (!user.consent_withdrawn_at) {
+      await lifecycle.withdrawConsent(userId, 'bot');
+      await routineDialog.finish(userId);
+    }
+
+    await maxApi.sendMessageWithKeyboard(
+      userId,
+      templates.gdpr.withdraw_success,
+      [[{ type: 'callback', text: templates.gdpr.consent_buttons.agree, payload: 'consent|agree' }]]
+    );
+  } catch (error) {
+    logger.error('Ошибка отзыва согласия:', error);
+    await maxApi.sendTextMessage(userId, templates.errors.general);
+  }
+};
+
 /**
  * Отправка главного меню
  * @param {number} userId - ID пользователя
@@ -1159,15 +3297,34 @@ const sendMainMenu = async (userId) => {
 };
 
 /**
- * Обработка авторизации мини-приложения
+ * Выдача одноразового кода для входа в мини-приложение
+ * Код передается в ссылке app_auth_<код> и гасится при обмене на JWT
  * @param {number} userId - ID пользователя
- * @param {string} code - Код авторизации
  */
-const handleMiniAppAuth = async (userId, code) => {
-  // TODO: Реализовать обмен кода на JWT
-  await maxApi.sendTextMessage(
+const handleMiniAppAuth = async (userId) => {
+  let code;
+  try {
+    code = await issueAuthCode(userId);
+  } catch (error) {
+    logger.error('Ошибка выдачи кода авторизации:', error);
+    await maxApi.sendTextMessage(userId, templates.mini_app.auth_error);
+    return;
+  }
+
+  const message = templates.mini_app.auth_code
+    .replace('{code}', code)
+    .replace('{minutes}', Math.ceil(config.auth.codeTtl / 60));
+
+  if (!config.auth.miniAppUrl) {
+    await maxApi.sendTextMessage(userId, message, { parseMode: 'Markdown' });
+    return;
+  }
+
+  const url = `${config.auth.miniAppUrl.replace(/\/+$/, '')}/auth?code=${AUTH_CODE_PREFIX}${code}`;
+  await maxApi.sendMessageWithKeyboard(
     userId,
-    templates.mini_app.auth_success,
+    message,
+    [[{ type: 'link', text: templates.mini_app.open_button, url }]],
     { parseMode: 'Markdown' }
   );
 };
@@ -38,6 +38,14 @@ export const config = {
     }
   },
 
+  // Диалоги бота (состояния хранятся в Redis)
+  bot: {
+    // Время жизни незавершенного диалога (в секундах)
+    sessionTtl: parseInt(process.env.BOT_SESSION_TTL || '86400'),
+    // Онбординг живет дольше: пользователь может вернуться через несколько дней
+    onboardingTtl: parseInt(process.env.BOT_ONBOARDING_TTL || '604800'),
+  },
+
   // База данных (поддержка DATABASE_URL для Render)
   database: (() => {
     if (process.env.DATABASE_URL) {
@@ -98,6 +106,9 @@ export const config = {
     accessKey: process.env.MINIO_ACCESS_KEY || 'minioadmin',
     secretKey: process.env.MINIO_SECRET_KEY || 'minioadmin',
     bucketName: process.env.MINIO_BUCKET || 'habitmax-exports',
+    region: process.env.MINIO_REGION || 'us-east-1',
+    // Адрес, по которому хранилище доступно пользователям (для ссылок на скачивание)
+    publicUrl: process.env.MINIO_PUBLIC_URL || '',
   },
 
   // JWT для мини-приложения
@@ -107,6 +118,18 @@ export const config = {
     refreshExpiresIn: '30d',
   },
 
+  // Вход в мини-приложение
+  auth: {
+    // Адрес мини-приложения (бот отправляет ссылку с одноразовым кодом)
+    miniAppUrl: process.env.MINI_APP_URL || '',
+    // Время жизни одноразового кода (в секундах)
+    codeTtl: parseInt(process.env.AUTH_CODE_TTL || '300'),
+    // Максимальный возраст init-data из Max WebApp (в секундах)
+    initDataMaxAge: parseInt(process.env.AUTH_INIT_DATA_MAX_AGE || '86400'),
+    // Сколько секунд после обновления принимается предыдущий refresh-токен (параллельные запросы)
+    refreshReuseGrace: parseInt(process.env.AUTH_REFRESH_REUSE_GRACE || '30'),
+  },
+
   // Настройки бизнес-логики
   business: {
     // Эскалация напоминаний (в минутах)
@@ -115,13 +138,29 @@ export const config = {
       firstReminder: 15,
       secondReminder: 45,
       autoSkip: 60,
+      // Максимум повторных напоминаний в политике рутины
+      maxNudges: 5,
     },
     // Максимальное количество отсрочек
     maxPostpones: 2,
+    // Варианты отсрочки (в минутах)
+    postponeOptions: [5, 15, 30, 60],
+    // Максимальная отсрочка текстом ("отложи на 2 часа"), в минутах
+    maxPostponeMinutes: 240,
     // Период благодати (в минутах)
     gracePeriod: 120,
+    // Выполнение в первые N минут считается вовремя (дальше — опоздание до конца периода благодати)
+    onTimeWindow: 30,
     // Генерация напоминаний на N дней вперед
     reminderDaysAhead: 30,
+    // Ежедневное пополнение горизонта напоминаний (cron, UTC)
+    reminderTopUpCron: process.env.REMINDER_TOPUP_CRON || '0 3 * * *',
+    // Сверка неотправленных напоминаний после простоя (cron, UTC)
+    reminderRecoveryCron: process.env.REMINDER_RECOVERY_CRON || '*/10 * * * *',
+    // Завершение курсов с прошедшей датой окончания (cron, UTC)
+    courseFinishCron: process.env.COURSE_FINISH_CRON || '0 * * * *',
+    // Возобновление рутин после паузы и отпуска (cron, UTC)
+    pauseResumeCron: process.env.PAUSE_RESUME_CRON || '*/15 * * * *',
     // Тихие часы по умолчанию
     defaultQuietHours: {
       start: '23:00',
@@ -133,12 +172,18 @@ export const config = {
 
   // GDPR / 152-ФЗ
   privacy: {
-    // Время хранения данных после удаления аккаунта (дней)
-    dataRetentionDays: 30,
+    // Время хранения данных после удаления аккаунта (дней), в течение него аккаунт можно восстановить
+    dataRetentionDays: parseInt(process.env.DATA_RETENTION_DAYS || '30'),
+    // Окончательное удаление аккаунтов с истекшим сроком хранения (cron, UTC)
+    purgeCron: process.env.ACCOUNT_PURGE_CRON || '0 3 * * *',
     // Email для запросов на удаление
     privacyEmail: 'privacy@habitmax.ru',
     // Ссылка на политику конфиденциальности
     privacyPolicyUrl: 'https://habitmax.ru/privacy',
+    // Срок действия ссылки на архив экспорта (дней, не больше 7 — ограничение S3)
+    exportTtlDays: Math.min(7, parseInt(process.env.EXPORT_TTL_DAYS || '7')),
+    // Удаление архивов с истекшей ссылкой (cron, UTC)
+    exportExpiryCron: process.env.EXPORT_EXPIRY_CRON || '30 * * * *',
   },
 
   // Логирование
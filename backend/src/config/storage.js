@@ -0,0 +1,78 @@
+/**
+ * Конфигурация S3-совместимого хранилища (MinIO)
+ * Используется для архивов экспорта данных
+ * @module config/storage
+ */
+
+import { Client } from 'minio';
+import { config } from './index.js';
+import { logger } from './logger.js';
+
+/**
+ * Параметры клиента для адреса хранилища
+ * Регион задается явно, чтобы подпись ссылок не требовала запроса к серверу
+ * @param {Object} endpoint - { endPoint, port, useSSL }
+ * @returns {Object}
+ */
+const getClientOptions = (endpoint) => ({
+  ...endpoint,
+  accessKey: config.minio.accessKey,
+  secretKey: config.minio.secretKey,
+  region: config.minio.region,
+});
+
+/**
+ * Публичный адрес хранилища (ссылки на скачивание подписываются для него)
+ * @returns {Object|null} { endPoint, port, useSSL } или null
+ */
+const getPublicEndpoint = () => {
+  if (!config.minio.publicUrl) return null;
+
+  try {
+    const parsed = new URL(config.minio.publicUrl);
+    const useSSL = parsed.protocol === 'https:';
+    return {
+      endPoint: parsed.hostname,
+      port: parseInt(parsed.port) || (useSSL ? 443 : 80),
+      useSSL,
+    };
+  } catch (error) {
+    logger.warn('Не удалось распарсить MINIO_PUBLIC_URL, ссылки будут на внутренний адрес');
+    return null;
+  }
+};
+
+/**
+ * Клиент хранилища (внутренний адрес)
+ */
+export const storageClient = new Client(getClientOptions({
+  endPoint: config.minio.endpoint,
+  port: config.minio.port,
+  useSSL: config.minio.useSSL,
+}));
+
+/**
+ * Клиент для подписи ссылок, доступных пользователю
+ */
+const publicEndpoint = getPublicEndpoint();
+export const publicStorageClient = publicEndpoint
+  ? new Client(getClientOptions(publicEndpoint))
+  : storageClient;
+
+/**
+ * Создание бакета, если его еще нет
+ * @param {string} bucketName - Название бакета
+ */
+export const ensureBucket = async (bucketName = config.minio.bucketName) => {
+  const exists = await storageClient.bucketExists(bucketName);
+  if (!exists) {
+    await storageClient.makeBucket(bucketName, config.minio.region);
+    logger.info('Бакет создан', { bucketName });
+  }
+};
+
+export default {
+  storageClient,
+  publicStorageClient,
+  ensureBucket,
+};
@@ -0,0 +1,64 @@
+-- HabitMax: расчет дат в часовом поясе пользователя
+-- "Сегодня", серии и недельная статистика считаются по локальному календарю
+-- пользователя (users.timezone), а не по часовому поясу сервера БД
+
+-- ============================================
+-- ЛОКАЛЬНАЯ ДАТА ПОЛЬЗОВАТЕЛЯ
+-- ============================================
+CREATE OR REPLACE FUNCTION user_local_date(p_user_id BIGINT)
+RETURNS DATE AS $$
+    SELECT (NOW() AT TIME ZONE COALESCE(
+        (SELECT timezone FROM users WHERE user_id = p_user_id),
+        'Europe/Moscow'
+    ))::DATE;
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- ФУНКЦИЯ РАСЧЕТА STREAK (граница дня по часовому поясу пользователя)
+-- ============================================
+CREATE OR REPLACE FUNCTION calculate_streak(p_user_id BIGINT)
+RETURNS TABLE(current_streak INT, max_streak INT) AS $$
+DECLARE
+    v_current_streak INT := 0;
+    v_max_streak INT := 0;
+    v_today DATE := user_local_date(p_user_id);
+    v_last_date DATE := v_today;
+    rec RECORD;
+BEGIN
+    -- Подсчет текущей серии (последовательных дней с выполнением)
+    FOR rec IN 
+        SELECT DISTINCT scheduled_date
+        FROM reminders
+        WHERE user_id = p_user_id 
+          AND status = 'completed'
+          AND scheduled_date <= v_today
+        ORDER BY scheduled_date DESC
+    LOOP
+        IF rec.scheduled_date = v_last_date OR 
+           rec.scheduled_date = v_last_date - INTERVAL '1 day' THEN
+            v_current_streak := v_current_streak + 1;
+            v_last_date := rec.scheduled_date;
+        ELSE
+            EXIT;
+        END IF;
+    END LOOP;
+    
+    -- Подсчет максимальной серии
+    SELECT COALESCE(MAX(streak), 0) INTO v_max_streak
+    FROM (
+        SELECT COUNT(*) as streak
+        FROM (
+            SELECT scheduled_date,
+                   scheduled_date - (ROW_NUMBER() OVER (ORDER BY scheduled_date))::int AS grp
+            FROM (
+                SELECT DISTINCT scheduled_date
+                FROM reminders
+                WHERE user_id = p_user_id AND status = 'completed'
+            ) s
+        ) grouped
+        GROUP BY grp
+    ) streaks;
+    
+    RETURN QUERY SELECT v_current_streak, v_max_streak;
+END;
+$$ LANGUAGE plpgsql;
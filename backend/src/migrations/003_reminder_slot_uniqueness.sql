@@ -0,0 +1,9 @@
+-- HabitMax: уникальность слота напоминания
+-- Генератор напоминаний запускается повторно (ежедневное пополнение горизонта)
+-- и опирается на ON CONFLICT (routine_id, scheduled_date, scheduled_time) DO NOTHING
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_reminders_slot
+    ON reminders(routine_id, scheduled_date, scheduled_time);
+
+-- Поиск расписаний с датой окончания
+CREATE INDEX IF NOT EXISTS idx_schedules_end_date ON schedules(end_date) WHERE end_date IS NOT NULL;
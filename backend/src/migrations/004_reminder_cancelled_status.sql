@@ -0,0 +1,7 @@
+-- HabitMax: статус 'cancelled' для напоминаний
+-- Напоминания удаленных/приостановленных рутин и удаленных аккаунтов отменяются,
+-- а соответствующие задачи снимаются из очередей (services/reminderLifecycle)
+
+ALTER TABLE reminders DROP CONSTRAINT IF EXISTS reminders_status_check;
+ALTER TABLE reminders ADD CONSTRAINT reminders_status_check
+    CHECK (status IN ('pending', 'sent', 'completed', 'skipped', 'postponed', 'cancelled'));
@@ -0,0 +1,11 @@
+-- HabitMax: статус 'missed' для напоминаний
+-- Напоминания, не отправленные из-за простоя воркера или потери очереди,
+-- после окна grace_period_minutes помечаются как пропущенные системой
+
+ALTER TABLE reminders DROP CONSTRAINT IF EXISTS reminders_status_check;
+ALTER TABLE reminders ADD CONSTRAINT reminders_status_check
+    CHECK (status IN ('pending', 'sent', 'completed', 'skipped', 'postponed', 'cancelled', 'missed'));
+
+-- Поиск неотправленных напоминаний при восстановлении
+CREATE INDEX IF NOT EXISTS idx_reminders_open ON reminders(scheduled_date)
+    WHERE status IN ('pending', 'postponed');
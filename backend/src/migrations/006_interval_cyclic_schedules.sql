@@ -0,0 +1,30 @@
+-- HabitMax: интервальные и циклические расписания
+-- interval: каждые N дней/недель от опорной даты ("через день", "раз в 2 недели по понедельникам")
+-- cyclic:   X дней приём / Y дней перерыв от опорной даты ("21/7")
+
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS anchor_date DATE;
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS interval_value INT;
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS interval_unit VARCHAR(10);
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS cycle_on_days INT;
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS cycle_off_days INT;
+
+ALTER TABLE schedules DROP CONSTRAINT IF EXISTS schedules_schedule_type_check;
+ALTER TABLE schedules ADD CONSTRAINT schedules_schedule_type_check
+    CHECK (schedule_type IN ('daily', 'weekdays', 'weekends', 'custom', 'interval', 'cyclic'));
+
+ALTER TABLE schedules DROP CONSTRAINT IF EXISTS schedules_interval_check;
+ALTER TABLE schedules ADD CONSTRAINT schedules_interval_check
+    CHECK (schedule_type <> 'interval' OR (
+        anchor_date IS NOT NULL
+        AND interval_value BETWEEN 1 AND 365
+        AND interval_unit IN ('day', 'week')
+    ));
+
+ALTER TABLE schedules DROP CONSTRAINT IF EXISTS schedules_cycle_check;
+ALTER TABLE schedules ADD CONSTRAINT schedules_cycle_check
+    CHECK (schedule_type <> 'cyclic' OR (
+        anchor_date IS NOT NULL
+        AND cycle_on_days >= 1
+        AND cycle_off_days >= 0
+        AND cycle_on_days + cycle_off_days <= 365
+    ));
@@ -0,0 +1,14 @@
+-- HabitMax: произвольные правила повторения (RFC 5545 RRULE)
+-- rrule:   правило без времени ("FREQ=MONTHLY;BYDAY=1SA"), даты трактуются как локальные даты пользователя
+-- exdates: исключенные даты ["2026-05-01", ...] (праздники и т.п.)
+
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS rrule TEXT;
+ALTER TABLE schedules ADD COLUMN IF NOT EXISTS exdates JSONB;
+
+ALTER TABLE schedules DROP CONSTRAINT IF EXISTS schedules_schedule_type_check;
+ALTER TABLE schedules ADD CONSTRAINT schedules_schedule_type_check
+    CHECK (schedule_type IN ('daily', 'weekdays', 'weekends', 'custom', 'interval', 'cyclic', 'rrule'));
+
+ALTER TABLE schedules DROP CONSTRAINT IF EXISTS schedules_rrule_check;
+ALTER TABLE schedules ADD CONSTRAINT schedules_rrule_check
+    CHECK (schedule_type <> 'rrule' OR rrule IS NOT NULL);
@@ -0,0 +1,9 @@
+-- HabitMax: архив рутин
+-- Курсы с датой окончания (schedules.end_date) после завершения переносятся в архив:
+-- рутина выключается, напоминания больше не создаются, история сохраняется
+
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+
+-- Поиск завершившихся курсов
+CREATE INDEX IF NOT EXISTS idx_routines_not_archived ON routines(routine_id)
+    WHERE archived_at IS NULL AND deleted_at IS NULL;
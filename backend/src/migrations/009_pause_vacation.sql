@@ -0,0 +1,119 @@
+-- HabitMax: пауза рутин и режим отпуска
+-- Рутину можно приостановить до даты, аккаунт — перевести в отпуск.
+-- Периоды пауз хранятся отдельно: дни паузы не прерывают серию (streak)
+
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS paused_until DATE;   -- дата автоматического возобновления
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS on_vacation BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS vacation_until DATE;   -- дата возвращения (NULL — бессрочно)
+
+-- ============================================
+-- ПЕРИОДЫ ПАУЗ
+-- ============================================
+CREATE TABLE IF NOT EXISTS pause_periods (
+    period_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id BIGINT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    routine_id UUID REFERENCES routines(routine_id) ON DELETE CASCADE,  -- NULL — отпуск всего аккаунта
+    
+    start_date DATE NOT NULL,
+    end_date DATE,                                 -- последний день паузы включительно (NULL — пауза идет)
+    
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (end_date IS NULL OR end_date >= start_date)
+);
+
+CREATE INDEX IF NOT EXISTS idx_pause_periods_user ON pause_periods(user_id, start_date);
+CREATE INDEX IF NOT EXISTS idx_pause_periods_open ON pause_periods(user_id) WHERE end_date IS NULL;
+
+-- Поиск пауз и отпусков, которые пора завершить
+CREATE INDEX IF NOT EXISTS idx_routines_paused_until ON routines(paused_until) WHERE paused_until IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_users_vacation ON users(vacation_until) WHERE on_vacation = true;
+
+COMMENT ON TABLE pause_periods IS 'Периоды пауз рутин и отпусков (не прерывают серию)';
+
+-- ============================================
+-- ДЕНЬ ПАУЗЫ
+-- ============================================
+-- День не прерывает серию, если пользователь был в отпуске
+-- или у него были приостановлены рутины и в этот день не было ни одного напоминания
+CREATE OR REPLACE FUNCTION is_paused_day(p_user_id BIGINT, p_date DATE)
+RETURNS BOOLEAN AS $$
+    SELECT EXISTS (
+        SELECT 1 FROM pause_periods
+        WHERE user_id = p_user_id
+          AND routine_id IS NULL
+          AND p_date BETWEEN start_date AND COALESCE(end_date, p_date)
+    ) OR (
+        EXISTS (
+            SELECT 1 FROM pause_periods
+            WHERE user_id = p_user_id
+              AND routine_id IS NOT NULL
+              AND p_date BETWEEN start_date AND COALESCE(end_date, p_date)
+        )
+        AND NOT EXISTS (
+            SELECT 1 FROM reminders
+            WHERE user_id = p_user_id
+              AND scheduled_date = p_date
+              AND status <> 'cancelled'
+        )
+    );
+$$ LANGUAGE sql STABLE;
+
+-- ============================================
+-- ФУНКЦИЯ РАСЧЕТА STREAK (дни паузы не прерывают серию)
+-- ============================================
+CREATE OR REPLACE FUNCTION calculate_streak(p_user_id BIGINT)
+RETURNS TABLE(current_streak INT, max_streak INT) AS $$
+DECLARE
+    v_current_streak INT := 0;
+    v_max_streak INT := 0;
+    v_streak INT := 0;
+    v_today DATE := user_local_date(p_user_id);
+    v_last_date DATE := v_today;
+    v_prev_date DATE := NULL;
+    rec RECORD;
+BEGIN
+    -- Подсчет текущей серии (последовательных дней с выполнением)
+    FOR rec IN 
+        SELECT DISTINCT scheduled_date
+        FROM reminders
+        WHERE user_id = p_user_id 
+          AND status = 'completed'
+          AND scheduled_date <= v_today
+        ORDER BY scheduled_date DESC
+    LOOP
+        IF rec.scheduled_date >= v_last_date - 1 OR NOT EXISTS (
+            SELECT 1
+            FROM generate_series(rec.scheduled_date + 1, v_last_date - 1, INTERVAL '1 day') AS d
+            WHERE NOT is_paused_day(p_user_id, d::DATE)
+        ) THEN
+            v_current_streak := v_current_streak + 1;
+            v_last_date := rec.scheduled_date;
+        ELSE
+            EXIT;
+        END IF;
+    END LOOP;
+    
+    -- Подсчет максимальной серии
+    FOR rec IN 
+        SELECT DISTINCT scheduled_date
+        FROM reminders
+        WHERE user_id = p_user_id AND status = 'completed'
+        ORDER BY scheduled_date
+    LOOP
+        IF v_prev_date IS NOT NULL AND (rec.scheduled_date = v_prev_date + 1 OR NOT EXISTS (
+            SELECT 1
+            FROM generate_series(v_prev_date + 1, rec.scheduled_date - 1, INTERVAL '1 day') AS d
+            WHERE NOT is_paused_day(p_user_id, d::DATE)
+        )) THEN
+            v_streak := v_streak + 1;
+        ELSE
+            v_streak := 1;
+        END IF;
+        v_max_streak := GREATEST(v_max_streak, v_streak);
+        v_prev_date := rec.scheduled_date;
+    END LOOP;
+    
+    RETURN QUERY SELECT v_current_streak, v_max_streak;
+END;
+$$ LANGUAGE plpgsql;
@@ -0,0 +1,7 @@
+-- HabitMax: настраиваемые политики эскалации
+-- Политика задается для пользователя (на все рутины) и для отдельной рутины.
+-- NULL — используются значения по умолчанию для типа рутины.
+-- Формат: {"intervals": [15, 30], "autoSkip": true, "autoSkipAfter": 15, "autoSkipHighPriority": true}
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS escalation_policy JSONB;
+ALTER TABLE routines ADD COLUMN IF NOT EXISTS escalation_policy JSONB;
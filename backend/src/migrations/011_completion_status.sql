@@ -0,0 +1,102 @@
+-- HabitMax: пунктуальность выполнения
+-- on_time — вовремя, late — с опозданием в пределах grace_period_minutes,
+-- missed — не выполнено или выполнено после окна (не продлевает серию)
+
+ALTER TABLE reminders ADD COLUMN IF NOT EXISTS completion_status VARCHAR(10)
+    CHECK (completion_status IN ('on_time', 'late', 'missed'));
+
+CREATE INDEX IF NOT EXISTS idx_reminders_completion_status
+    ON reminders(user_id, completion_status)
+    WHERE completion_status IS NOT NULL;
+
+-- ============================================
+-- ЗАПОЛНЕНИЕ ДЛЯ СУЩЕСТВУЮЩИХ НАПОМИНАНИЙ
+-- 30 минут — config.business.onTimeWindow на момент миграции
+-- ============================================
+UPDATE reminders r
+SET completion_status = CASE
+        WHEN r.completed_at <= due.due_at + LEAST(30, due.grace) * INTERVAL '1 minute' THEN 'on_time'
+        WHEN r.completed_at <= due.due_at + due.grace * INTERVAL '1 minute' THEN 'late'
+        ELSE 'missed'
+    END
+FROM (
+    SELECT c.reminder_id,
+           (c.scheduled_date + c.scheduled_time) AT TIME ZONE COALESCE(u.timezone, 'Europe/Moscow') AS due_at,
+           COALESCE(rt.grace_period_minutes, 120) AS grace
+    FROM reminders c
+    JOIN routines rt ON c.routine_id = rt.routine_id
+    JOIN users u ON c.user_id = u.user_id
+    WHERE c.status = 'completed'
+      AND c.completed_at IS NOT NULL
+      AND c.completion_status IS NULL
+) due
+WHERE r.reminder_id = due.reminder_id;
+
+UPDATE reminders
+SET completion_status = 'missed'
+WHERE status = 'missed'
+  AND completion_status IS NULL;
+
+-- ============================================
+-- ФУНКЦИЯ РАСЧЕТА STREAK
+-- Серию продлевают только выполнения в пределах окна (on_time, late);
+-- дни паузы по-прежнему не прерывают серию
+-- ============================================
+CREATE OR REPLACE FUNCTION calculate_streak(p_user_id BIGINT)
+RETURNS TABLE(current_streak INT, max_streak INT) AS $$
+DECLARE
+    v_current_streak INT := 0;
+    v_max_streak INT := 0;
+    v_streak INT := 0;
+    v_today DATE := user_local_date(p_user_id);
+    v_last_date DATE := v_today;
+    v_prev_date DATE := NULL;
+    rec RECORD;
+BEGIN
+    -- Подсчет текущей серии (последовательных дней с выполнением)
+    FOR rec IN
+        SELECT DISTINCT scheduled_date
+        FROM reminders
+        WHERE user_id = p_user_id
+          AND status = 'completed'
+          AND COALESCE(completion_status, 'on_time') <> 'missed'
+          AND scheduled_date <= v_today
+        ORDER BY scheduled_date DESC
+    LOOP
+        IF rec.scheduled_date >= v_last_date - 1 OR NOT EXISTS (
+            SELECT 1
+            FROM generate_series(rec.scheduled_date + 1, v_last_date - 1, INTERVAL '1 day') AS d
+            WHERE NOT is_paused_day(p_user_id, d::DATE)
+        ) THEN
+            v_current_streak := v_current_streak + 1;
+            v_last_date := rec.scheduled_date;
+        ELSE
+            EXIT;
+        END IF;
+    END LOOP;
+
+    -- Подсчет максимальной серии
+    FOR rec IN
+        SELECT DISTINCT scheduled_date
+        FROM reminders
+        WHERE user_id = p_user_id
+          AND status = 'completed'
+          AND COALESCE(completion_status, 'on_time') <> 'missed'
+        ORDER BY scheduled_date
+    LOOP
+        IF v_prev_date IS NOT NULL AND (rec.scheduled_date = v_prev_date + 1 OR NOT EXISTS (
+            SELECT 1
+            FROM generate_series(v_prev_date + 1, rec.scheduled_date - 1, INTERVAL '1 day') AS d
+            WHERE NOT is_paused_day(p_user_id, d::DATE)
+        )) THEN
+            v_streak := v_streak + 1;
+        ELSE
+            v_streak := 1;
+        END IF;
+        v_max_streak := GREATEST(v_max_streak, v_streak);
+        v_prev_date := rec.scheduled_date;
+    END LOOP;
+
+    RETURN QUERY SELECT v_current_streak, v_max_streak;
+END;
+$$ LANGUAGE plpgsql;
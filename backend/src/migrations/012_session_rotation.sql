@@ -0,0 +1,20 @@
+-- HabitMax: сессии мини-приложения с ротацией refresh-токена
+-- При каждом обновлении выдается новый refresh-токен, старый запоминается:
+-- повторное предъявление старого токена (после короткого окна на гонку запросов)
+-- считается кражей и отзывает сессию
+
+-- JWT с ID сессии не помещается в 255 символов
+ALTER TABLE sessions ALTER COLUMN token TYPE TEXT;
+ALTER TABLE sessions ALTER COLUMN refresh_token TYPE TEXT;
+
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS previous_refresh_token TEXT;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS rotated_at TIMESTAMP;
+ALTER TABLE sessions ADD COLUMN IF NOT EXISTS revoke_reason VARCHAR(20)
+    CHECK (revoke_reason IN ('logout', 'logout_all', 'reuse', 'account_deleted'));
+
+-- Сессии, созданные до миграции, живут столько же, сколько их refresh-токен
+UPDATE sessions
+SET refresh_expires_at = created_at + INTERVAL '30 days'
+WHERE refresh_expires_at IS NULL;
+
+CREATE INDEX IF NOT EXISTS idx_sessions_refresh_token ON sessions(refresh_token);
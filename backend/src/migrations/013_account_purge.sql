@@ -0,0 +1,18 @@
+-- HabitMax: окончательное удаление аккаунтов
+-- Удаленный аккаунт можно восстановить в течение config.privacy.dataRetentionDays,
+-- после этого фоновая задача cleanup-old-data удаляет пользователя целиком.
+-- События ссылались на пользователя, рутину и напоминание без каскада и блокировали удаление
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_user_id_fkey;
+ALTER TABLE events ADD CONSTRAINT events_user_id_fkey
+    FOREIGN KEY (user_id) REFERENCES users(user_id) ON DELETE CASCADE;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_routine_id_fkey;
+ALTER TABLE events ADD CONSTRAINT events_routine_id_fkey
+    FOREIGN KEY (routine_id) REFERENCES routines(routine_id) ON DELETE CASCADE;
+
+ALTER TABLE events DROP CONSTRAINT IF EXISTS events_reminder_id_fkey;
+ALTER TABLE events ADD CONSTRAINT events_reminder_id_fkey
+    FOREIGN KEY (reminder_id) REFERENCES reminders(reminder_id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_users_deleted ON users(deleted_at) WHERE deleted_at IS NOT NULL;
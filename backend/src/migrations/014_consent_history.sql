@@ -0,0 +1,24 @@
+-- HabitMax: журнал согласий на обработку данных
+-- Версии политики конфиденциальности описаны в services/consentService (номер, дата вступления
+-- в силу, хеш текста). Каждое согласие и его отзыв записываются для аудита;
+-- после отзыва напоминания не генерируются, пока пользователь не даст согласие снова
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS consent_withdrawn_at TIMESTAMP;
+
+CREATE TABLE IF NOT EXISTS consent_history (
+    consent_id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    user_id BIGINT NOT NULL REFERENCES users(user_id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL CHECK (action IN ('granted', 'withdrawn')),
+    policy_version VARCHAR(10) NOT NULL,
+    policy_hash CHAR(64),                          -- NULL для согласий, данных до появления журнала
+    source VARCHAR(20) NOT NULL CHECK (source IN ('bot', 'miniapp', 'migration')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_consent_history_user ON consent_history(user_id, created_at);
+
+-- Согласия, данные до появления журнала
+INSERT INTO consent_history (user_id, action, policy_version, source, created_at)
+SELECT user_id, 'granted', COALESCE(privacy_version, '1.0'), 'migration', COALESCE(consent_date, created_at)
+FROM users
+WHERE gdpr_consent = true;
@@ -9,7 +9,15 @@ import { logger } from '../config/logger.js';
 import { config } from '../config/index.js';
 import * as db from '../services/databaseService.js';
 import * as maxApi from '../services/maxApi.js';
-import * as gamification from '../services/gamificationService.js';
+import { getSlotsForDate, getAdherencePercent } from '../services/scheduleService.js';
+import {
+  resolveEscalationPolicy,
+  getEscalationStep,
+  getElapsedMinutes,
+} from '../services/escalationService.js';
+import { expireExports, removeUserExports, runExport } from '../services/exportService.js';
+import { allowsReminders } from '../services/consentService.js';
+import { getLocalNow, toUtcDate, isQuietHours, getEndOfQuietHours } from '../utils/time.js';
 import templates from '../templates/ru.json' assert { type: 'json' };
 
 /**
@@ -58,9 +66,12 @@ export const backgroundQueue = new Queue('background', {
  * Добавление задачи отправки напоминания
  * @param {Object} reminder - Данные напоминания
  * @param {Date} scheduledTime - Запланированное время
+ * @param {string} jobSuffix - Суффикс ID задачи для повторных отправок (например, 'quiet')
  */
-export const scheduleReminder = async (reminder, scheduledTime) => {
-  const jobId = `reminder:${reminder.reminder_id}`;
+export const scheduleReminder = async (reminder, scheduledTime, jobSuffix = null) => {
+  const jobId = jobSuffix
+    ? `reminder:${reminder.reminder_id}:${jobSuffix}`
+    : `reminder:${reminder.reminder_id}`;
   
   const job = await reminderQueue.add(
     'send-reminder',
@@ -93,7 +104,7 @@ export const scheduleReminder = async (reminder, scheduledTime) => {
 /**
  * Добавление задачи эскалации
  * @param {string} reminderId - ID напоминания
- * @param {number} level - Уровень эскалации (1, 2, 3)
+ * @param {number} level - Уровень эскалации (1..N — повторы, N+1 — автопропуск)
  * @param {number} delayMinutes - Задержка в минутах
  */
 export const scheduleEscalation = async (reminderId, level, delayMinutes) => {
@@ -121,22 +132,88 @@ export const scheduleEscalation = async (reminderId, level, delayMinutes) => {
   return job;
 };
 
+/**
+ * Планирование следующего шага эскалации по политике рутины
+ * @param {Object} reminder - Напоминание из БД (с полями рутины и политиками)
+ * @param {number} level - Текущий уровень (0 — сразу после отправки)
+ * @returns {Promise<Object|null>} Запланированный шаг или null, если эскалация закончена
+ */
+const scheduleNextEscalation = async (reminder, level) => {
+  const policy = resolveEscalationPolicy(reminder, reminder.user_escalation_policy);
+  const step = getEscalationStep(policy, reminder, level + 1);
+
+  if (step) {
+    await scheduleEscalation(reminder.reminder_id, step.level, step.delay);
+  }
+
+  return step;
+};
+
+/**
+ * Все ID задач отправки одного напоминания
+ * @param {string} reminderId - ID напоминания
+ * @returns {Array<string>}
+ */
+const getReminderJobIds = (reminderId) => [
+  `reminder:${reminderId}`,
+  `reminder:${reminderId}:quiet`,
+  `reminder:${reminderId}:postponed`,
+  `reminder:${reminderId}:recovery`,
+];
+
 /**
  * Отмена запланированных задач для напоминания
  * @param {string} reminderId - ID напоминания
  */
 export const cancelReminderJobs = async (reminderId) => {
-  // Отменяем основное напоминание
-  await reminderQueue.remove(`reminder:${reminderId}`);
+  // Отменяем основное напоминание, перенос после тихих часов, отсрочку и восстановление
+  for (const jobId of getReminderJobIds(reminderId)) {
+    await reminderQueue.remove(jobId);
+  }
   
-  // Отменяем все эскалации
-  for (let level = 1; level <= 3; level++) {
+  // Отменяем все эскалации (повторы и автопропуск)
+  for (let level = 1; level <= config.business.escalation.maxNudges + 1; level++) {
     await escalationQueue.remove(`escalation:${reminderId}:${level}`);
   }
 
   logger.debug('Задачи отменены', { reminderId });
 };
 
+/**
+ * Повторная отправка отложенного напоминания
+ * Снимает текущие задачи (включая эскалации) и ставит отправку через N минут
+ * @param {Object} reminder - Напоминание из БД (с полями рутины)
+ * @param {number} minutes - Минуты отсрочки
+ * @returns {Promise<Date>} Время повторной отправки
+ */
+export const postponeReminder = async (reminder, minutes) => {
+  await cancelReminderJobs(reminder.reminder_id);
+
+  const sendAt = new Date(Date.now() + minutes * 60 * 1000);
+  await scheduleReminder(reminder, sendAt, 'postponed');
+
+  logger.info('Напоминание отложено', {
+    reminderId: reminder.reminder_id,
+    minutes,
+    sendAt,
+  });
+
+  return sendAt;
+};
+
+/**
+ * Кнопки выбора отсрочки (5/15/30/60 минут)
+ * @param {string} reminderId - ID напоминания
+ * @returns {Array} Ряд кнопок
+ */
+const buildPostponeButtons = (reminderId) => {
+  return config.business.postponeOptions.map(minutes => ({
+    type: 'callback',
+    text: templates.reminders.postpone_option.replace('{minutes}', minutes),
+    payload: maxApi.createPayload('p', { r: reminderId, m: minutes }),
+  }));
+};
+
 /**
  * Worker для отправки напоминаний
  */
@@ -148,20 +225,37 @@ const reminderWorker = new Worker(
     logger.info('Отправка напоминания', { reminderId, userId, title });
 
     try {
-      // Проверяем, не выполнено ли уже
+      // Проверяем, не выполнено ли уже (отложенное напоминание отправляется повторно)
       const reminder = await db.getReminderById(reminderId);
-      if (!reminder || reminder.status !== 'pending') {
+      if (!reminder || !['pending', 'postponed'].includes(reminder.status)) {
         logger.debug('Напоминание уже обработано', { reminderId, status: reminder?.status });
         return { skipped: true, reason: 'already_processed' };
       }
 
-      // Проверяем тихие часы
+      // В режиме отпуска напоминания не отправляются
       const user = await db.getUserById(userId);
+      if (!user) {
+        logger.debug('Пользователь не найден, пропускаем', { userId, reminderId });
+        return { skipped: true, reason: 'user_not_found' };
+      }
+
+      if (user.on_vacation) {
+        logger.debug('Режим отпуска, пропускаем', { userId, reminderId });
+        return { skipped: true, reason: 'vacation' };
+      }
+
+      // Задачи, поставленные до отзыва согласия, не отправляются
+      if (!allowsReminders(user)) {
+        logger.debug('Согласие отозвано, пропускаем', { userId, reminderId });
+        return { skipped: true, reason: 'consent_withdrawn' };
+      }
+
+      // Проверяем тихие часы
       if (isQuietHours(user)) {
         logger.debug('Тихие часы, откладываем', { userId });
-        // Перепланируем на конец тихих часов
+        // Перепланируем на конец тихих часов (в часовом поясе пользователя)
         const nextTime = getEndOfQuietHours(user);
-        await scheduleReminder(reminder, nextTime);
+        await scheduleReminder(reminder, nextTime, 'quiet');
         return { postponed: true, reason: 'quiet_hours' };
       }
 
@@ -183,12 +277,8 @@ const reminderWorker = new Worker(
             payload: maxApi.createPayload('ok', { r: reminderId })
           },
         ],
+        buildPostponeButtons(reminderId),
         [
-          { 
-            type: 'callback', 
-            text: template.buttons.postpone_15, 
-            payload: maxApi.createPayload('p15', { r: reminderId })
-          },
           { 
             type: 'callback', 
             text: template.buttons.skip, 
@@ -206,8 +296,8 @@ const reminderWorker = new Worker(
         sent_at: new Date(),
       });
 
-      // Запланируем первую эскалацию
-      await scheduleEscalation(reminderId, 1, config.business.escalation.firstReminder);
+      // Запланируем первую эскалацию по политике рутины
+      await scheduleNextEscalation(reminder, 0);
 
       return { sent: true };
 
@@ -239,79 +329,73 @@ const escalationWorker = new Worker(
         return { skipped: true, reason: 'not_found' };
       }
 
-      // Если уже выполнено или пропущено - отменяем эскалацию
-      if (reminder.status === 'completed' || reminder.status === 'skipped') {
+      // Эскалация актуальна только для отправленного и не отмеченного напоминания
+      // (выполнено, пропущено, отменено или отложено - задача устарела)
+      if (reminder.status !== 'sent') {
         return { skipped: true, reason: `status_${reminder.status}` };
       }
 
-      // Обновляем уровень эскалации
-      await db.updateReminder(reminderId, { escalation_level: level });
+      // Шаг берем из актуальной политики: ее могли изменить после планирования
+      const policy = resolveEscalationPolicy(reminder, reminder.user_escalation_policy);
+      const step = getEscalationStep(policy, reminder, level);
 
-      const template = templates.reminders[reminder.type];
-      const escalationTemplate = template[`escalation_${level}`];
+      if (!step) {
+        return { skipped: true, reason: 'policy' };
+      }
 
-      if (!escalationTemplate) {
-        // Автоматический пропуск на уровне 3
-        if (level >= 3) {
-          await handleAutoSkip(reminder);
-          return { autoSkipped: true };
-        }
-        return { skipped: true, reason: 'no_template' };
+      if (step.autoSkip) {
+        await handleAutoSkip(reminder);
+        return { autoSkipped: true };
       }
 
+      // Обновляем уровень эскалации
+      await db.updateReminder(reminderId, { escalation_level: level });
+
+      // Повторы сверх шаблонов типа используют последний шаблон
+      const template = templates.reminders[reminder.type] || templates.reminders.habit;
+      const escalationTemplate = template[`escalation_${level}`]
+        || template.escalation_2
+        || template.escalation_1
+        || templates.reminders.habit.escalation_1;
+
       // Формируем сообщение эскалации
       const messageText = escalationTemplate.text
         .replace('{title}', reminder.title)
-        .replace('{dosage}', reminder.dosage ? ` (${reminder.dosage})` : '');
-
-      // Кнопки для эскалации
-      let buttons;
-      if (level === 1) {
-        buttons = [
+        .replace('{dosage}', reminder.dosage ? ` (${reminder.dosage})` : '')
+        .replace('{minutes}', getElapsedMinutes(policy, level));
+
+      const doneButton = {
+        type: 'callback',
+        text: escalationTemplate.buttons.taken || escalationTemplate.buttons.done,
+        payload: maxApi.createPayload('ok', { r: reminderId }),
+      };
+
+      // Первый повтор предлагает отложить, последующие — отметить пропуск
+      const buttons = escalationTemplate.buttons.remind_again
+        ? [
+          [doneButton],
+          [{
+            type: 'callback',
+            text: escalationTemplate.buttons.remind_again,
+            payload: maxApi.createPayload('p', { r: reminderId, m: 15 }),
+          }],
+        ]
+        : [
           [
-            { 
-              type: 'callback', 
-              text: escalationTemplate.buttons.taken, 
-              payload: maxApi.createPayload('ok', { r: reminderId })
-            },
-          ],
-          [
-            { 
-              type: 'callback', 
-              text: escalationTemplate.buttons.remind_again, 
-              payload: maxApi.createPayload('p15', { r: reminderId })
-            },
-          ],
-        ];
-      } else {
-        buttons = [
-          [
-            { 
-              type: 'callback', 
-              text: escalationTemplate.buttons.taken, 
-              payload: maxApi.createPayload('ok', { r: reminderId })
-            },
-            { 
-              type: 'callback', 
-              text: escalationTemplate.buttons.skip, 
-              payload: maxApi.createPayload('skip', { r: reminderId })
+            doneButton,
+            {
+              type: 'callback',
+              text: escalationTemplate.buttons.skip,
+              payload: maxApi.createPayload('skip', { r: reminderId }),
             },
           ],
         ];
-      }
 
       // Отправляем
       await maxApi.sendMessageWithKeyboard(reminder.user_id, messageText, buttons);
 
-      // Запланируем следующую эскалацию
-      const nextLevel = level + 1;
-      const nextDelay = level === 1 
-        ? config.business.escalation.secondReminder - config.business.escalation.firstReminder
-        : config.business.escalation.autoSkip - config.business.escalation.secondReminder;
-
-      if (nextLevel <= 3) {
-        await scheduleEscalation(reminderId, nextLevel, nextDelay);
-      }
+      // Запланируем следующий повтор или автопропуск
+      await scheduleNextEscalation(reminder, level);
 
       return { escalated: true, level };
 
@@ -340,8 +424,26 @@ const backgroundWorker = new Worker(
       case 'generate-reminders':
         return await generateReminders(data.userId, data.routineId);
       
+      case 'top-up-reminders':
+        return await topUpReminders();
+      
+      case 'recover-reminders':
+        return await recoverReminders();
+      
+      case 'finish-courses':
+        return await finishCourses();
+      
+      case 'resume-paused':
+        return await resumePaused();
+      
+      case 'notify':
+        return await maxApi.sendTextMessage(data.userId, data.text, { parseMode: 'Markdown' });
+      
       case 'export-data':
-        return await exportUserData(data.userId, data.format);
+        return await exportUserData(data.exportId);
+
+      case 'expire-exports':
+        return await expireExports();
       
       case 'cleanup-old-data':
         return await cleanupOldData();
@@ -359,20 +461,13 @@ const backgroundWorker = new Worker(
 
 /**
  * Автоматический пропуск напоминания
+ * Переход выполняет сервис жизненного цикла (статус, событие, задачи, геймификация).
+ * Сервис сам импортирует очередь, поэтому загружается лениво
  * @param {Object} reminder - Данные напоминания
  */
 const handleAutoSkip = async (reminder) => {
-  await db.updateReminder(reminder.reminder_id, {
-    status: 'skipped',
-  });
-
-  await db.createEvent({
-    reminder_id: reminder.reminder_id,
-    user_id: reminder.user_id,
-    routine_id: reminder.routine_id,
-    event_type: 'auto_skipped',
-    event_source: 'system',
-  });
+  const { skipReminder } = await import('../services/reminderLifecycle.js');
+  await skipReminder(reminder, { source: 'system', eventType: 'auto_skipped' });
 
   // Уведомляем пользователя
   const template = templates.reminders[reminder.type]?.auto_skip;
@@ -380,44 +475,6 @@ const handleAutoSkip = async (reminder) => {
     const message = template.text.replace('{title}', reminder.title);
     await maxApi.sendTextMessage(reminder.user_id, message, { parseMode: 'Markdown' });
   }
-
-  // Обновляем геймификацию
-  await gamification.handleSkip(reminder.user_id);
-};
-
-/**
- * Проверка тихих часов
- * @param {Object} user - Данные пользователя
- */
-const isQuietHours = (user) => {
-  if (!user.quiet_hours_start || !user.quiet_hours_end) return false;
-
-  const now = new Date();
-  const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-  
-  if (user.quiet_hours_start <= user.quiet_hours_end) {
-    return currentTime >= user.quiet_hours_start && currentTime <= user.quiet_hours_end;
-  } else {
-    // Переход через полночь
-    return currentTime >= user.quiet_hours_start || currentTime <= user.quiet_hours_end;
-  }
-};
-
-/**
- * Получение времени окончания тихих часов
- * @param {Object} user - Данные пользователя
- */
-const getEndOfQuietHours = (user) => {
-  const now = new Date();
-  const [hours, minutes] = user.quiet_hours_end.split(':');
-  const endTime = new Date(now);
-  endTime.setHours(parseInt(hours), parseInt(minutes), 0, 0);
-  
-  if (endTime <= now) {
-    endTime.setDate(endTime.getDate() + 1);
-  }
-  
-  return endTime;
 };
 
 /**
@@ -451,51 +508,45 @@ const generateReminders = async (userId, routineId) => {
   try {
     const routine = await db.getRoutineById(routineId);
     const schedules = await db.getRoutineSchedules(routineId);
+    const user = await db.getUserById(userId);
     
-    if (!routine || !schedules.length) {
+    if (!routine || !schedules.length || !user) {
       return { error: 'Routine or schedules not found' };
     }
 
+    if (!routine.is_active || routine.deleted_at) {
+      return { generated: 0, reason: 'routine_inactive' };
+    }
+
+    if (user.on_vacation) {
+      return { generated: 0, reason: 'vacation' };
+    }
+
+    if (!allowsReminders(user)) {
+      return { generated: 0, reason: 'consent_withdrawn' };
+    }
+
     const daysAhead = config.business.reminderDaysAhead;
     const generated = [];
+    const now = new Date();
+    // Дни считаем по календарю пользователя, а не сервера
+    const localToday = getLocalNow(user.timezone, now).startOf('day');
 
     for (const schedule of schedules) {
       for (let i = 0; i < daysAhead; i++) {
-        const date = new Date();
-        date.setDate(date.getDate() + i);
-        const dateStr = date.toISOString().split('T')[0];
-        const dayOfWeek = date.getDay() || 7; // 1=Пн, 7=Вс
-
-        // Определяем время и нужно ли создавать напоминание
-        let time = null;
-        let shouldCreate = false;
-
-        switch (schedule.schedule_type) {
-          case 'daily':
-            time = schedule.time_weekdays;
-            shouldCreate = true;
-            break;
-          
-          case 'weekdays':
-            if (dayOfWeek <= 5) {
-              time = schedule.time_weekdays;
-              shouldCreate = true;
-            } else {
-              time = schedule.time_weekends;
-              shouldCreate = true;
-            }
-            break;
-          
-          case 'custom':
-            const customDays = schedule.custom_days || [];
-            if (customDays.includes(dayOfWeek)) {
-              time = schedule.time_weekdays;
-              shouldCreate = true;
-            }
-            break;
-        }
+        const date = localToday.clone().add(i, 'days');
+        const dateStr = date.format('YYYY-MM-DD');
+
+        // Один день может содержать несколько приёмов (specific_times);
+        // после end_date слотов нет
+        const slots = getSlotsForDate(schedule, date);
+
+        for (const time of slots) {
+          // Локальное время пользователя -> абсолютный момент;
+          // уже прошедшие сегодня слоты не создаем
+          const scheduledDateTime = toUtcDate(dateStr, time, user.timezone);
+          if (scheduledDateTime <= now) continue;
 
-        if (shouldCreate && time) {
           const reminder = await db.createReminder({
             routine_id: routineId,
             user_id: userId,
@@ -505,12 +556,10 @@ const generateReminders = async (userId, routineId) => {
 
           if (reminder) {
             generated.push(reminder);
-            
-            // Запланируем отправку
-            const scheduledDateTime = new Date(dateStr + 'T' + time);
-            if (scheduledDateTime > new Date()) {
-              await scheduleReminder(reminder, scheduledDateTime);
-            }
+            await scheduleReminder(
+              { ...reminder, title: routine.title, type: routine.type, icon: routine.icon, dosage: routine.dosage },
+              scheduledDateTime
+            );
           }
         }
       }
@@ -519,6 +568,7 @@ const generateReminders = async (userId, routineId) => {
     logger.info('Напоминания сгенерированы', {
       userId,
       routineId,
+      timezone: user.timezone,
       count: generated.length,
     });
 
@@ -531,23 +581,310 @@ const generateReminders = async (userId, routineId) => {
 };
 
 /**
- * Экспорт данных пользователя
- * @param {number} userId - ID пользователя
- * @param {string} format - Формат (json, csv)
+ * Пополнение горизонта напоминаний для всех активных рутин
+ * Идемпотентно: уже созданные напоминания пропускаются (ON CONFLICT DO NOTHING),
+ * поэтому задачи в очередь ставятся только для новых слотов
  */
-const exportUserData = async (userId, format) => {
-  // TODO: Реализовать экспорт данных
-  logger.info('Экспорт данных', { userId, format });
+const topUpReminders = async () => {
+  const routines = await db.getRoutinesForReminderGeneration();
+  let generated = 0;
+  let failed = 0;
+
+  for (const { routine_id, user_id } of routines) {
+    try {
+      const result = await generateReminders(user_id, routine_id);
+      generated += result.generated || 0;
+    } catch (error) {
+      // Ошибка одной рутины не должна останавливать остальные
+      failed++;
+      logger.error('Ошибка пополнения напоминаний рутины:', { routineId: routine_id, error: error.message });
+    }
+  }
+
+  logger.info('Горизонт напоминаний пополнен', {
+    routines: routines.length,
+    generated,
+    failed,
+  });
+
+  return { routines: routines.length, generated, failed };
+};
+
+/**
+ * Проверка, есть ли у напоминания живая задача отправки в очереди
+ * @param {string} reminderId - ID напоминания
+ * @returns {Promise<boolean>}
+ */
+const hasLiveReminderJob = async (reminderId) => {
+  for (const jobId of getReminderJobIds(reminderId)) {
+    const job = await reminderQueue.getJob(jobId);
+    if (!job) continue;
+
+    const state = await job.getState();
+    if (!['completed', 'failed', 'unknown'].includes(state)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+/**
+ * Событие об упущенном напоминании (истекло окно выполнения)
+ * @param {Object} reminder - Напоминание (с due_at)
+ * @param {number} graceMinutes - Окно выполнения
+ */
+const logMissedReminder = async (reminder, graceMinutes) => {
+  await db.createEvent({
+    reminder_id: reminder.reminder_id,
+    user_id: reminder.user_id,
+    routine_id: reminder.routine_id,
+    event_type: 'missed',
+    event_source: 'system',
+    metadata: { due_at: reminder.due_at, grace_period_minutes: graceMinutes },
+  });
+};
+
+/**
+ * Сверка неотправленных напоминаний с очередью (после простоя воркера или сброса Redis)
+ * Напоминания с живой задачей (тихие часы, отсрочка) не трогаем; для остальных
+ * в пределах grace_period_minutes задача ставится заново, за пределами окна — статус missed.
+ * Отправленные, но не отмеченные до конца окна напоминания тоже становятся missed
+ */
+const recoverReminders = async () => {
+  const now = new Date();
+  const reminders = await db.getPendingReminders(now);
+  let requeued = 0;
+  let missed = 0;
+
+  for (const reminder of reminders) {
+    try {
+      if (await hasLiveReminderJob(reminder.reminder_id)) {
+        continue;
+      }
+
+      const graceMinutes = reminder.grace_period_minutes ?? config.business.gracePeriod;
+      const deadline = new Date(new Date(reminder.due_at).getTime() + graceMinutes * 60 * 1000);
+
+      if (now > deadline) {
+        await db.updateReminder(reminder.reminder_id, { status: 'missed', completion_status: 'missed' });
+        await logMissedReminder(reminder, graceMinutes);
+        missed++;
+        continue;
+      }
+
+      // Снимаем завершенные/упавшие задачи, иначе BullMQ не примет тот же jobId
+      await cancelReminderJobs(reminder.reminder_id);
+      await scheduleReminder(reminder, now, 'recovery');
+      requeued++;
+    } catch (error) {
+      logger.error('Ошибка восстановления напоминания:', { reminderId: reminder.reminder_id, error: error.message });
+    }
+  }
+
+  // Отправленные напоминания без отметки: оставшиеся эскалации больше не нужны
+  const expired = await db.markExpiredSentReminders(now, config.business.gracePeriod);
+  for (const reminder of expired) {
+    try {
+      await cancelReminderJobs(reminder.reminder_id);
+      await logMissedReminder(reminder, reminder.grace_period_minutes);
+      missed++;
+    } catch (error) {
+      logger.error('Ошибка отметки упущенного напоминания:', { reminderId: reminder.reminder_id, error: error.message });
+    }
+  }
+
+  if (requeued > 0 || missed > 0) {
+    logger.warn('Восстановлены неотправленные напоминания', { requeued, missed });
+  }
+
+  return { checked: reminders.length + expired.length, requeued, missed };
+};
+
+/**
+ * Завершение курсов с прошедшей датой окончания
+ * Пользователю отправляются итоги курса, рутина переносится в архив.
+ * В тихие часы курс не трогаем — итоги уйдут при следующем запуске
+ */
+const finishCourses = async () => {
+  const routines = await db.getFinishedCourses();
+  let finished = 0;
+
+  for (const routine of routines) {
+    try {
+      if (isQuietHours(routine)) {
+        continue;
+      }
+
+      const stats = await db.getRoutineAdherence(routine.routine_id);
+      const percent = getAdherencePercent(stats);
+
+      const { cancelledReminderIds } = await db.archiveRoutine(routine.routine_id);
+      for (const reminderId of cancelledReminderIds) {
+        await cancelReminderJobs(reminderId);
+      }
+
+      await db.createEvent({
+        user_id: routine.user_id,
+        routine_id: routine.routine_id,
+        event_type: 'course_finished',
+        event_source: 'system',
+        metadata: { ...stats, percent, end_date: routine.end_date },
+      });
+
+      const texts = templates.reminders.course_finished;
+      let comment = texts.comment_low;
+      if (percent >= 90) {
+        comment = texts.comment_high;
+      } else if (percent >= 70) {
+        comment = texts.comment_medium;
+      }
+
+      const message = texts.text
+        .replace('{icon}', routine.icon)
+        .replace('{title}', routine.title)
+        .replace('{completed}', stats.completed)
+        .replace('{total}', stats.total)
+        .replace('{percent}', percent)
+        .replace('{comment}', comment);
+
+      await maxApi.sendTextMessage(routine.user_id, message, { parseMode: 'Markdown' });
+      finished++;
+    } catch (error) {
+      logger.error('Ошибка завершения курса:', { routineId: routine.routine_id, error: error.message });
+    }
+  }
+
+  if (finished > 0) {
+    logger.info('Курсы завершены', { finished });
+  }
+
+  return { checked: routines.length, finished };
+};
+
+/**
+ * Отправка уведомления вне тихих часов
+ * В тихие часы сообщение откладывается до их окончания
+ * @param {Object} user - Пользователь (часовой пояс, тихие часы)
+ * @param {string} text - Текст сообщения
+ */
+const notifyOutsideQuietHours = async (user, text) => {
+  if (!isQuietHours(user)) {
+    await maxApi.sendTextMessage(user.user_id, text, { parseMode: 'Markdown' });
+    return;
+  }
+
+  const delay = Math.max(0, getEndOfQuietHours(user).getTime() - Date.now());
+  await backgroundQueue.add(
+    'notify',
+    { type: 'notify', data: { userId: user.user_id, text } },
+    { delay }
+  );
+};
+
+/**
+ * Автоматическое завершение отпусков и пауз рутин с наступившей датой возобновления
+ * Напоминания генерируются сразу, приветственное сообщение уходит вне тихих часов
+ */
+const resumePaused = async () => {
+  let vacations = 0;
+  let routines = 0;
+
+  for (const user of await db.getExpiredVacations()) {
+    try {
+      await db.endVacation(user.user_id);
+
+      const userRoutines = await db.getUserRoutines(user.user_id);
+      for (const routine of userRoutines) {
+        await generateReminders(user.user_id, routine.routine_id);
+      }
+
+      await db.createEvent({
+        user_id: user.user_id,
+        event_type: 'vacation_ended',
+        event_source: 'system',
+      });
+
+      await notifyOutsideQuietHours(user, templates.pause.vacation_finished);
+      vacations++;
+    } catch (error) {
+      logger.error('Ошибка завершения отпуска:', { userId: user.user_id, error: error.message });
+    }
+  }
+
+  for (const routine of await db.getExpiredPauses()) {
+    try {
+      await db.resumeRoutine(routine.routine_id);
+      await generateReminders(routine.user_id, routine.routine_id);
+
+      await db.createEvent({
+        user_id: routine.user_id,
+        routine_id: routine.routine_id,
+        event_type: 'resumed',
+        event_source: 'system',
+      });
+
+      // Во время отпуска о возобновлении отдельной рутины не пишем
+      if (!routine.on_vacation) {
+        const text = templates.pause.routine_resumed
+          .replace('{icon}', routine.icon)
+          .replace('{title}', routine.title);
+        await notifyOutsideQuietHours(routine, text);
+      }
+      routines++;
+    } catch (error) {
+      logger.error('Ошибка возобновления рутины:', { routineId: routine.routine_id, error: error.message });
+    }
+  }
+
+  if (vacations > 0 || routines > 0) {
+    logger.info('Паузы завершены', { vacations, routines });
+  }
+
+  return { vacations, routines };
+};
+
+/**
+ * Экспорт данных пользователя и отправка ссылки на архив
+ * @param {string} exportId - ID запроса в data_exports
+ */
+const exportUserData = async (exportId) => {
+  const result = await runExport(exportId);
+  if (result.skipped) return result;
+
+  const user = await db.getUserById(result.userId);
+  if (!user) return { exported: true, notified: false };
+
+  const text = templates.gdpr.export_ready
+    .replace('{link}', result.url)
+    .replace('{date}', getLocalNow(user.timezone, result.expiresAt).format('DD.MM.YYYY HH:mm'));
+  await maxApi.sendTextMessage(result.userId, text, { parseMode: 'Markdown' });
+
   return { exported: true };
 };
 
 /**
- * Очистка старых данных
+ * Окончательное удаление аккаунтов с истекшим сроком хранения
+ * Связанные данные удаляются каскадно, оставшиеся архивы экспорта — из хранилища
  */
 const cleanupOldData = async () => {
-  // TODO: Реализовать очистку старых данных
-  logger.info('Очистка старых данных');
-  return { cleaned: true };
+  let purged = 0;
+
+  for (const userId of await db.getUsersToPurge(config.privacy.dataRetentionDays)) {
+    try {
+      await removeUserExports(userId);
+      if (await db.purgeUser(userId)) {
+        purged++;
+      }
+    } catch (error) {
+      logger.error('Ошибка окончательного удаления аккаунта:', { userId, error: error.message });
+    }
+  }
+
+  if (purged > 0) {
+    logger.info('Удаленные аккаунты очищены', { purged });
+  }
+
+  return { purged };
 };
 
 // Обработка событий workers
@@ -576,11 +913,93 @@ backgroundWorker.on('failed', (job, err) => {
   logger.error('Ошибка фоновой задачи:', { jobId: job.id, error: err.message });
 });
 
+/**
+ * Постановка экспорта данных в очередь
+ * @param {string} exportId - ID запроса в data_exports
+ */
+export const scheduleExport = async (exportId) => {
+  await backgroundQueue.add(
+    'export-data',
+    { type: 'export-data', data: { exportId } },
+    { jobId: `export:${exportId}` }
+  );
+};
+
 /**
  * Инициализация очередей
  */
 export const initQueues = async () => {
-  logger.info('Очереди инициализированы');
+  // Ежедневное пополнение горизонта напоминаний (повторяющаяся задача)
+  await backgroundQueue.add(
+    'top-up-reminders',
+    { type: 'top-up-reminders', data: {} },
+    {
+      repeat: { pattern: config.business.reminderTopUpCron },
+      jobId: 'top-up-reminders',
+    }
+  );
+
+  // Периодическая сверка неотправленных напоминаний
+  await backgroundQueue.add(
+    'recover-reminders',
+    { type: 'recover-reminders', data: {} },
+    {
+      repeat: { pattern: config.business.reminderRecoveryCron },
+      jobId: 'recover-reminders',
+    }
+  );
+
+  // Сверка при старте: за время простоя напоминания могли не отправиться
+  await backgroundQueue.add('recover-reminders', { type: 'recover-reminders', data: {} });
+
+  // Завершение курсов (запуск каждый час, чтобы итоги пришли после тихих часов)
+  await backgroundQueue.add(
+    'finish-courses',
+    { type: 'finish-courses', data: {} },
+    {
+      repeat: { pattern: config.business.courseFinishCron },
+      jobId: 'finish-courses',
+    }
+  );
+
+  // Автоматическое возобновление после паузы и отпуска
+  await backgroundQueue.add(
+    'resume-paused',
+    { type: 'resume-paused', data: {} },
+    {
+      repeat: { pattern: config.business.pauseResumeCron },
+      jobId: 'resume-paused',
+    }
+  );
+
+  // Удаление архивов экспорта с истекшей ссылкой
+  await backgroundQueue.add(
+    'expire-exports',
+    { type: 'expire-exports', data: {} },
+    {
+      repeat: { pattern: config.privacy.exportExpiryCron },
+      jobId: 'expire-exports',
+    }
+  );
+
+  // Окончательное удаление аккаунтов после срока хранения
+  await backgroundQueue.add(
+    'cleanup-old-data',
+    { type: 'cleanup-old-data', data: {} },
+    {
+      repeat: { pattern: config.privacy.purgeCron },
+      jobId: 'cleanup-old-data',
+    }
+  );
+
+  logger.info('Очереди инициализированы', {
+    reminderTopUpCron: config.business.reminderTopUpCron,
+    reminderRecoveryCron: config.business.reminderRecoveryCron,
+    courseFinishCron: config.business.courseFinishCron,
+    pauseResumeCron: config.business.pauseResumeCron,
+    exportExpiryCron: config.privacy.exportExpiryCron,
+    purgeCron: config.privacy.purgeCron,
+  });
 };
 
 /**
@@ -620,6 +1039,8 @@ export default {
   scheduleReminder,
   scheduleEscalation,
   cancelReminderJobs,
+  postponeReminder,
+  scheduleExport,
   initQueues,
   closeQueues,
   getQueueStats,
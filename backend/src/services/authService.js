@@ -0,0 +1,79 @@
+/**
+ * Авторизация мини-приложения
+ * Бот выдает короткоживущий одноразовый код (ссылка app_auth_<код>), мини-приложение
+ * обменивает его на JWT; при открытии из Max код не нужен — проверяется init-data платформы
+ * @module services/authService
+ */
+
+import { redisClient } from '../config/redis.js';
+import { config } from '../config/index.js';
+import { createSignedCode, verifySignedCode, verifyInitData } from '../utils/signature.js';
+
+/**
+ * Префикс кода в ссылке /start app_auth_<код>
+ */
+export const AUTH_CODE_PREFIX = 'app_auth_';
+
+/**
+ * Префикс ключей кодов в Redis
+ */
+const KEY_PREFIX = 'auth:code';
+
+/**
+ * Ключ кода в Redis
+ * @param {string} code - Код
+ * @returns {string}
+ */
+const getKey = (code) => `${KEY_PREFIX}:${code}`;
+
+/**
+ * Код без префикса ссылки
+ * @param {string} code - "app_auth_<код>" или "<код>"
+ * @returns {string}
+ */
+const stripPrefix = (code) => {
+  const value = String(code || '').trim();
+  return value.startsWith(AUTH_CODE_PREFIX) ? value.slice(AUTH_CODE_PREFIX.length) : value;
+};
+
+/**
+ * Выдача одноразового кода пользователю
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<string>} Код (без префикса)
+ */
+export const issueAuthCode = async (userId) => {
+  const code = createSignedCode(config.jwt.secret);
+  await redisClient.setex(getKey(code), config.auth.codeTtl, String(userId));
+  return code;
+};
+
+/**
+ * Погашение одноразового кода
+ * Код удаляется при первом же обмене, даже если дальше вход не удастся
+ * @param {string} code - Код (с префиксом ссылки или без)
+ * @returns {Promise<number|null>} ID пользователя или null, если код недействителен или истек
+ */
+export const consumeAuthCode = async (code) => {
+  const value = stripPrefix(code);
+  if (!verifySignedCode(value, config.jwt.secret)) return null;
+
+  const [[, userId]] = await redisClient.multi().get(getKey(value)).del(getKey(value)).exec();
+  return userId ? Number(userId) : null;
+};
+
+/**
+ * Проверка init-data Max WebApp
+ * @param {string} initData - Строка init-data
+ * @returns {number|null} ID пользователя или null, если подпись неверна или данные устарели
+ */
+export const getInitDataUserId = (initData) => {
+  const result = verifyInitData(initData, config.max.token, { maxAge: config.auth.initDataMaxAge });
+  return result ? result.userId : null;
+};
+
+export default {
+  AUTH_CODE_PREFIX,
+  issueAuthCode,
+  consumeAuthCode,
+  getInitDataUserId,
+};
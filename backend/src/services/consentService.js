@@ -0,0 +1,101 @@
+/**
+ * Реестр версий политики конфиденциальности и проверка согласия (GDPR / 152-ФЗ)
+ * Каждая редакция docs/privacy-policy.md регистрируется здесь с датой вступления в силу
+ * и хешем текста; пользователь, принявший более раннюю версию, должен подтвердить согласие заново
+ * @module services/consentService
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Версии политики (по возрастанию даты вступления в силу)
+ * hash — SHA-256 текста docs/privacy-policy.md, тест сверяет его с последней версией
+ */
+export const PRIVACY_POLICIES = [
+  {
+    version: '1.0',
+    effectiveDate: '2026-02-12',
+    hash: '3e8904d28df63a0f71cc30f1c5553932404f0c4556a25920e5633351a25104f3',
+    changes: [],
+  },
+  {
+    version: '1.1',
+    effectiveDate: '2026-10-19',
+    hash: 'cfb74b6642384b56a729ba1b8977eaa6005a32b335650d822b893e39e5cb8539',
+    changes: [
+      'удаленный аккаунт можно восстановить, пока не истек срок хранения данных',
+      'согласие можно отозвать командой /withdraw, не удаляя аккаунт',
+      'при изменении политики мы попросим подтвердить согласие заново',
+    ],
+  },
+];
+
+/**
+ * Действия в журнале согласий
+ */
+export const CONSENT_ACTIONS = ['granted', 'withdrawn'];
+
+/**
+ * Хеш текста политики
+ * Переводы строк нормализуются, чтобы хеш не зависел от ОС
+ * @param {string} text - Текст политики
+ * @returns {string} SHA-256 (hex)
+ */
+export const hashPolicyText = (text) => {
+  return crypto.createHash('sha256').update(text.replace(/\r\n/g, '\n')).digest('hex');
+};
+
+/**
+ * Действующая версия политики
+ * Версия с будущей датой вступления в силу начинает действовать в этот день (UTC)
+ * @param {Date} now - Текущий момент
+ * @param {Array<Object>} policies - Реестр версий
+ * @returns {Object} Версия политики
+ */
+export const getCurrentPolicy = (now = new Date(), policies = PRIVACY_POLICIES) => {
+  const today = now.toISOString().slice(0, 10);
+  const effective = policies.filter(policy => policy.effectiveDate <= today);
+  return effective[effective.length - 1] || policies[0];
+};
+
+/**
+ * Версия политики по номеру
+ * @param {string} version - Номер версии
+ * @returns {Object|null}
+ */
+export const getPolicy = (version) => {
+  return PRIVACY_POLICIES.find(policy => policy.version === version) || null;
+};
+
+/**
+ * Нужно ли (повторное) согласие пользователя
+ * @param {Object} user - Пользователь из БД
+ * @param {Date} now - Текущий момент
+ * @returns {boolean} true, если согласия нет, оно отозвано или дано на устаревшую версию
+ */
+export const needsConsent = (user, now = new Date()) => {
+  if (!user.gdpr_consent) return true;
+  return user.privacy_version !== getCurrentPolicy(now).version;
+};
+
+/**
+ * Можно ли генерировать и отправлять напоминания пользователю
+ * Напоминания — основная услуга, ради которой пользователь дал согласие, поэтому
+ * при выходе новой версии политики они продолжают работать по ранее принятой версии,
+ * пока пользователь не подтвердит новую. Останавливает их только отзыв согласия
+ * @param {Object} user - Пользователь из БД
+ * @returns {boolean}
+ */
+export const allowsReminders = (user) => {
+  return !user.consent_withdrawn_at;
+};
+
+export default {
+  PRIVACY_POLICIES,
+  CONSENT_ACTIONS,
+  hashPolicyText,
+  getCurrentPolicy,
+  getPolicy,
+  needsConsent,
+  allowsReminders,
+};
@@ -8,6 +8,11 @@ import { query, getClient } from '../config/database.js';
 import { logger } from '../config/logger.js';
 import { v4 as uuidv4 } from 'uuid';
 
+/**
+ * Произвольный SQL-запрос (для сервисов без отдельных CRUD-функций: сессии, статистика)
+ */
+export { query };
+
 // ============================================
 // ПОЛЬЗОВАТЕЛИ
 // ============================================
@@ -24,14 +29,15 @@ export const getOrCreateUser = async (userData) => {
   // Если first_name пустой, но есть name — используем name
   const finalFirstName = first_name || name || '';
   
+  // Имена удаленного аккаунта не сохраняются, пока он не восстановлен
   const result = await query(
     `INSERT INTO users (user_id, username, first_name, last_name)
      VALUES ($1, $2, $3, $4)
      ON CONFLICT (user_id) 
      DO UPDATE SET 
-       username = EXCLUDED.username,
-       first_name = EXCLUDED.first_name,
-       last_name = EXCLUDED.last_name,
+       username = CASE WHEN users.deleted_at IS NULL THEN EXCLUDED.username END,
+       first_name = CASE WHEN users.deleted_at IS NULL THEN EXCLUDED.first_name END,
+       last_name = CASE WHEN users.deleted_at IS NULL THEN EXCLUDED.last_name END,
        last_active = CURRENT_TIMESTAMP
      RETURNING *`,
     [userId, username || '', finalFirstName, last_name || '']
@@ -62,8 +68,9 @@ export const updateUser = async (userId, updates) => {
     'timezone', 'quiet_hours_start', 'quiet_hours_end',
     'gdpr_consent', 'consent_date', 'onboarding_state',
     'onboarding_completed', 'current_streak', 'max_streak',
-    'total_completed', 'level', 'points', 'is_active'
+    'total_completed', 'level', 'points', 'is_active', 'escalation_policy'
   ];
+  const jsonFields = ['escalation_policy'];
   
   const setClauses = [];
   const values = [];
@@ -72,7 +79,7 @@ export const updateUser = async (userId, updates) => {
   Object.entries(updates).forEach(([key, value]) => {
     if (allowedFields.includes(key)) {
       setClauses.push(`${key} = $${paramIndex}`);
-      values.push(value);
+      values.push(jsonFields.includes(key) && value !== null ? JSON.stringify(value) : value);
       paramIndex++;
     }
   });
@@ -93,9 +100,158 @@ export const updateUser = async (userId, updates) => {
   return result.rows[0];
 };
 
+/**
+ * Отмена незавершенных напоминаний начиная с сегодняшнего дня пользователя
+ * @param {Object} client - Клиент транзакции
+ * @param {string} column - Колонка фильтра (user_id или routine_id)
+ * @param {number|string} id - Значение фильтра
+ * @returns {Promise<Array<string>>} ID отмененных напоминаний (для снятия задач из очереди)
+ */
+const cancelOpenReminders = async (client, column, id) => {
+  const result = await client.query(
+    `UPDATE reminders 
+     SET status = 'cancelled' 
+     WHERE ${column} = $1 
+     AND scheduled_date >= user_local_date(user_id)
+     AND status IN ('pending', 'sent', 'postponed')
+     RETURNING reminder_id`,
+    [id]
+  );
+  return result.rows.map(r => r.reminder_id);
+};
+
+/**
+ * Открытие периода паузы с сегодняшнего дня пользователя
+ * @param {Object} client - Клиент транзакции
+ * @param {number} userId - ID пользователя
+ * @param {string|null} routineId - ID рутины (NULL — отпуск всего аккаунта)
+ * @param {string|null} resumeDate - Дата возобновления (последний день паузы — накануне)
+ */
+const openPausePeriod = async (client, userId, routineId, resumeDate) => {
+  await client.query(
+    `INSERT INTO pause_periods (user_id, routine_id, start_date, end_date)
+     VALUES ($1, $2, user_local_date($1), $3::date - 1)`,
+    [userId, routineId, resumeDate]
+  );
+};
+
+/**
+ * Закрытие периодов паузы: последним днем паузы становится вчерашний день пользователя
+ * Периоды, начавшиеся сегодня, удаляются (пауза не успела начаться)
+ * @param {Object} client - Клиент транзакции
+ * @param {number} userId - ID пользователя
+ * @param {string|null} routineId - ID рутины (NULL — отпуск всего аккаунта)
+ */
+const closePausePeriods = async (client, userId, routineId) => {
+  const routineFilter = routineId ? 'routine_id = $2' : 'routine_id IS NULL';
+  const params = routineId ? [userId, routineId] : [userId];
+
+  await client.query(
+    `DELETE FROM pause_periods
+     WHERE user_id = $1 AND ${routineFilter}
+     AND start_date >= user_local_date($1)`,
+    params
+  );
+
+  await client.query(
+    `UPDATE pause_periods
+     SET end_date = user_local_date($1) - 1
+     WHERE user_id = $1 AND ${routineFilter}
+     AND (end_date IS NULL OR end_date >= user_local_date($1))`,
+    params
+  );
+};
+
+/**
+ * Включение режима отпуска
+ * Генерация и отправка напоминаний приостанавливаются, будущие напоминания отменяются
+ * @param {number} userId - ID пользователя
+ * @param {string|null} until - Дата возвращения (YYYY-MM-DD), NULL — бессрочно
+ * @returns {Promise<Object>} Результат с ID отмененных напоминаний
+ */
+export const startVacation = async (userId, until = null) => {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    await client.query(
+      `UPDATE users 
+       SET on_vacation = true, vacation_until = $2, updated_at = CURRENT_TIMESTAMP 
+       WHERE user_id = $1`,
+      [userId, until]
+    );
+    
+    // Повторное включение меняет дату возвращения, а не открывает новый период
+    await closePausePeriods(client, userId, null);
+    await openPausePeriod(client, userId, null, until);
+    
+    const cancelledReminderIds = await cancelOpenReminders(client, 'user_id', userId);
+    
+    await client.query('COMMIT');
+    
+    logger.info('Режим отпуска включен', { userId, until });
+    return { success: true, cancelledReminderIds };
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Выключение режима отпуска
+ * @param {number} userId - ID пользователя
+ */
+export const endVacation = async (userId) => {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    await client.query(
+      `UPDATE users 
+       SET on_vacation = false, vacation_until = NULL, updated_at = CURRENT_TIMESTAMP 
+       WHERE user_id = $1`,
+      [userId]
+    );
+    
+    await closePausePeriods(client, userId, null);
+    
+    await client.query('COMMIT');
+    
+    logger.info('Режим отпуска выключен', { userId });
+    return { success: true };
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Получение пользователей, у которых закончился отпуск
+ * @returns {Promise<Array>} Пользователи (дата возвращения наступила по их локальному календарю)
+ */
+export const getExpiredVacations = async () => {
+  const result = await query(
+    `SELECT * FROM users
+     WHERE on_vacation = true
+     AND vacation_until IS NOT NULL
+     AND vacation_until <= user_local_date(user_id)
+     AND is_active = true`
+  );
+  return result.rows;
+};
+
 /**
  * Мягкое удаление пользователя (GDPR)
  * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>} Результат с ID отмененных напоминаний
  */
 export const softDeleteUser = async (userId) => {
   const client = await getClient();
@@ -116,25 +272,19 @@ export const softDeleteUser = async (userId) => {
     );
     
     // Отменяем все будущие напоминания
-    await client.query(
-      `UPDATE reminders 
-       SET status = 'cancelled' 
-       WHERE user_id = $1 
-       AND scheduled_date >= CURRENT_DATE
-       AND status = 'pending'`,
-      [userId]
-    );
+    const cancelledReminderIds = await cancelOpenReminders(client, 'user_id', userId);
     
     // Отзываем все сессии
     await client.query(
-      'UPDATE sessions SET is_revoked = true, revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1',
+      `UPDATE sessions SET is_revoked = true, revoked_at = CURRENT_TIMESTAMP, revoke_reason = 'account_deleted'
+       WHERE user_id = $1 AND is_revoked = false`,
       [userId]
     );
     
     await client.query('COMMIT');
     
     logger.info('Пользователь мягко удален', { userId });
-    return { success: true };
+    return { success: true, cancelledReminderIds };
     
   } catch (error) {
     await client.query('ROLLBACK');
@@ -144,6 +294,184 @@ export const softDeleteUser = async (userId) => {
   }
 };
 
+/**
+ * Согласие на обработку данных с записью в журнал
+ * @param {number} userId - ID пользователя
+ * @param {Object} policy - Версия политики { version, hash }
+ * @param {string} source - Источник (bot, miniapp)
+ * @returns {Promise<Object>} Обновленный пользователь
+ */
+export const grantConsent = async (userId, policy, source) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users
+       SET gdpr_consent = true,
+           consent_date = CURRENT_TIMESTAMP,
+           privacy_version = $2,
+           consent_withdrawn_at = NULL,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1
+       RETURNING *`,
+      [userId, policy.version]
+    );
+
+    await client.query(
+      `INSERT INTO consent_history (user_id, action, policy_version, policy_hash, source)
+       VALUES ($1, 'granted', $2, $3, $4)`,
+      [userId, policy.version, policy.hash, source]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info('Согласие на обработку данных получено', { userId, version: policy.version, source });
+    return result.rows[0];
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Отзыв согласия: будущие напоминания отменяются, новые не генерируются
+ * @param {number} userId - ID пользователя
+ * @param {string} source - Источник (bot, miniapp)
+ * @returns {Promise<Object>} Результат с ID отмененных напоминаний
+ */
+export const withdrawConsent = async (userId, source) => {
+  const client = await getClient();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE users
+       SET gdpr_consent = false,
+           consent_withdrawn_at = CURRENT_TIMESTAMP,
+           updated_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1
+       RETURNING privacy_version`,
+      [userId]
+    );
+
+    const cancelledReminderIds = await cancelOpenReminders(client, 'user_id', userId);
+
+    await client.query(
+      `INSERT INTO consent_history (user_id, action, policy_version, source)
+       VALUES ($1, 'withdrawn', $2, $3)`,
+      [userId, result.rows[0]?.privacy_version || '1.0', source]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info('Согласие на обработку данных отозвано', { userId, source });
+    return { success: true, cancelledReminderIds };
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Журнал согласий пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Array>}
+ */
+export const getConsentHistory = async (userId) => {
+  const result = await query(
+    'SELECT * FROM consent_history WHERE user_id = $1 ORDER BY created_at DESC',
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Получение удаленного (но еще не стертого) пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object|null>}
+ */
+export const getDeletedUser = async (userId) => {
+  const result = await query(
+    'SELECT * FROM users WHERE user_id = $1 AND deleted_at IS NOT NULL',
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Восстановление удаленного аккаунта (в пределах срока хранения)
+ * @param {Object} userData - Данные пользователя от Max API
+ * @param {number} retentionDays - Срок хранения после удаления (дней)
+ * @returns {Promise<Object|null>} Пользователь или null, если восстанавливать нечего
+ */
+export const restoreUser = async (userData, retentionDays) => {
+  const userId = userData.user_id || userData.id;
+  const { username, first_name, last_name, name } = userData;
+
+  const result = await query(
+    `UPDATE users
+     SET is_active = true,
+         deleted_at = NULL,
+         username = $2,
+         first_name = $3,
+         last_name = $4,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1
+     AND deleted_at IS NOT NULL
+     AND deleted_at > CURRENT_TIMESTAMP - $5 * INTERVAL '1 day'
+     RETURNING *`,
+    [userId, username || '', first_name || name || '', last_name || '', retentionDays]
+  );
+
+  if (result.rows[0]) {
+    logger.info('Аккаунт восстановлен', { userId });
+  }
+  return result.rows[0] || null;
+};
+
+/**
+ * Удаленные аккаунты с истекшим сроком хранения
+ * @param {number} retentionDays - Срок хранения после удаления (дней)
+ * @returns {Promise<Array<number>>} ID пользователей
+ */
+export const getUsersToPurge = async (retentionDays) => {
+  const result = await query(
+    `SELECT user_id FROM users
+     WHERE is_active = false
+     AND deleted_at IS NOT NULL
+     AND deleted_at <= CURRENT_TIMESTAMP - $1 * INTERVAL '1 day'`,
+    [retentionDays]
+  );
+  return result.rows.map(row => row.user_id);
+};
+
+/**
+ * Окончательное удаление пользователя со всеми данными
+ * Рутины, напоминания, события, сессии и запросы экспорта удаляются каскадно
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<boolean>} Был ли пользователь удален
+ */
+export const purgeUser = async (userId) => {
+  const result = await query(
+    'DELETE FROM users WHERE user_id = $1 AND deleted_at IS NOT NULL',
+    [userId]
+  );
+
+  if (result.rowCount > 0) {
+    logger.info('Пользователь удален окончательно', { userId });
+  }
+  return result.rowCount > 0;
+};
+
 // ============================================
 // РУТИНЫ
 // ============================================
@@ -208,6 +536,25 @@ export const getRoutineById = async (routineId) => {
   return result.rows[0] || null;
 };
 
+/**
+ * Получение активных рутин для пополнения горизонта напоминаний
+ * @returns {Promise<Array>} Пары routine_id / user_id
+ */
+export const getRoutinesForReminderGeneration = async () => {
+  const result = await query(
+    `SELECT rt.routine_id, rt.user_id
+     FROM routines rt
+     JOIN users u ON rt.user_id = u.user_id
+     WHERE rt.is_active = true
+     AND rt.deleted_at IS NULL
+     AND u.is_active = true
+     AND u.on_vacation = false
+     AND u.consent_withdrawn_at IS NULL
+     ORDER BY rt.user_id`
+  );
+  return result.rows;
+};
+
 /**
  * Обновление рутины
  * @param {string} routineId - ID рутины
@@ -216,8 +563,9 @@ export const getRoutineById = async (routineId) => {
 export const updateRoutine = async (routineId, updates) => {
   const allowedFields = [
     'title', 'description', 'icon', 'dosage', 'medication_form',
-    'is_active', 'grace_period_minutes', 'priority'
+    'is_active', 'grace_period_minutes', 'priority', 'escalation_policy'
   ];
+  const jsonFields = ['escalation_policy'];
   
   const setClauses = [];
   const values = [];
@@ -226,7 +574,7 @@ export const updateRoutine = async (routineId, updates) => {
   Object.entries(updates).forEach(([key, value]) => {
     if (allowedFields.includes(key)) {
       setClauses.push(`${key} = $${paramIndex}`);
-      values.push(value);
+      values.push(jsonFields.includes(key) && value !== null ? JSON.stringify(value) : value);
       paramIndex++;
     }
   });
@@ -250,6 +598,7 @@ export const updateRoutine = async (routineId, updates) => {
 /**
  * Удаление рутины (мягкое)
  * @param {string} routineId - ID рутины
+ * @returns {Promise<Object>} Результат с ID отмененных напоминаний
  */
 export const deleteRoutine = async (routineId) => {
   const client = await getClient();
@@ -264,19 +613,173 @@ export const deleteRoutine = async (routineId) => {
     );
     
     // Отмена будущих напоминаний
+    const cancelledReminderIds = await cancelOpenReminders(client, 'routine_id', routineId);
+    
+    await client.query('COMMIT');
+    
+    logger.info('Рутина удалена', { routineId });
+    return { success: true, cancelledReminderIds };
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Приостановка рутины
+ * @param {string} routineId - ID рутины
+ * @param {string|null} pausedUntil - Дата автоматического возобновления (NULL — до ручного)
+ * @returns {Promise<Object>} Результат с ID отмененных напоминаний
+ */
+export const pauseRoutine = async (routineId, pausedUntil = null) => {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      `UPDATE routines 
+       SET is_active = false, paused_until = $2, updated_at = CURRENT_TIMESTAMP 
+       WHERE routine_id = $1 
+       RETURNING user_id`,
+      [routineId, pausedUntil]
+    );
+    
+    const userId = result.rows[0]?.user_id;
+    if (userId) {
+      await closePausePeriods(client, userId, routineId);
+      await openPausePeriod(client, userId, routineId, pausedUntil);
+    }
+    
+    const cancelledReminderIds = await cancelOpenReminders(client, 'routine_id', routineId);
+    
+    await client.query('COMMIT');
+    
+    logger.info('Рутина приостановлена', { routineId, pausedUntil });
+    return { success: true, cancelledReminderIds };
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Перенос рутины в архив (завершенный курс)
+ * @param {string} routineId - ID рутины
+ * @returns {Promise<Object>} Результат с ID отмененных напоминаний
+ */
+export const archiveRoutine = async (routineId) => {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
     await client.query(
-      `UPDATE reminders 
-       SET status = 'cancelled' 
+      `UPDATE routines 
+       SET is_active = false, archived_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP 
+       WHERE routine_id = $1`,
+      [routineId]
+    );
+    
+    const cancelledReminderIds = await cancelOpenReminders(client, 'routine_id', routineId);
+    
+    await client.query('COMMIT');
+    
+    logger.info('Рутина перенесена в архив', { routineId });
+    return { success: true, cancelledReminderIds };
+    
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Получение активных рутин, у которых закончился курс
+ * Курс считается завершенным, когда дата окончания расписания уже прошла
+ * по локальной дате пользователя
+ * @returns {Promise<Array>} Рутины с настройками пользователя (часовой пояс, тихие часы)
+ */
+export const getFinishedCourses = async () => {
+  const result = await query(
+    `SELECT rt.*, u.timezone, u.quiet_hours_start, u.quiet_hours_end,
+            MAX(s.end_date) AS end_date
+     FROM routines rt
+     JOIN schedules s ON s.routine_id = rt.routine_id
+     JOIN users u ON rt.user_id = u.user_id
+     WHERE rt.is_active = true
+     AND rt.deleted_at IS NULL
+     AND rt.archived_at IS NULL
+     AND u.is_active = true
+     GROUP BY rt.routine_id, u.user_id
+     HAVING BOOL_AND(s.end_date IS NOT NULL)
+     AND MAX(s.end_date) < user_local_date(rt.user_id)`
+  );
+  return result.rows;
+};
+
+/**
+ * Статистика выполнения рутины за все время
+ * Отмененные напоминания не учитываются
+ * @param {string} routineId - ID рутины
+ * @returns {Promise<Object>} { total, completed, skipped, missed }
+ */
+export const getRoutineAdherence = async (routineId) => {
+  const result = await query(
+    `SELECT 
+       COUNT(*) FILTER (WHERE status <> 'cancelled') as total,
+       COUNT(*) FILTER (WHERE status = 'completed') as completed,
+       COUNT(*) FILTER (WHERE status = 'skipped') as skipped,
+       COUNT(*) FILTER (WHERE status = 'missed') as missed
+     FROM reminders
+     WHERE routine_id = $1`,
+    [routineId]
+  );
+  const row = result.rows[0];
+  return {
+    total: parseInt(row.total, 10),
+    completed: parseInt(row.completed, 10),
+    skipped: parseInt(row.skipped, 10),
+    missed: parseInt(row.missed, 10),
+  };
+};
+
+/**
+ * Возобновление рутины после паузы
+ * @param {string} routineId - ID рутины
+ * @returns {Promise<Object>} Обновленная рутина
+ */
+export const resumeRoutine = async (routineId) => {
+  const client = await getClient();
+  
+  try {
+    await client.query('BEGIN');
+    
+    const result = await client.query(
+      `UPDATE routines 
+       SET is_active = true, paused_until = NULL, updated_at = CURRENT_TIMESTAMP 
        WHERE routine_id = $1 
-       AND scheduled_date >= CURRENT_DATE
-       AND status = 'pending'`,
+       RETURNING *`,
       [routineId]
     );
     
+    const routine = result.rows[0];
+    if (routine) {
+      await closePausePeriods(client, routine.user_id, routineId);
+    }
+    
     await client.query('COMMIT');
     
-    logger.info('Рутина удалена', { routineId });
-    return { success: true };
+    logger.info('Рутина возобновлена', { routineId });
+    return routine || null;
     
   } catch (error) {
     await client.query('ROLLBACK');
@@ -286,6 +789,25 @@ export const deleteRoutine = async (routineId) => {
   }
 };
 
+/**
+ * Получение приостановленных рутин, которые пора возобновить
+ * @returns {Promise<Array>} Рутины с настройками пользователя (часовой пояс, тихие часы, отпуск)
+ */
+export const getExpiredPauses = async () => {
+  const result = await query(
+    `SELECT rt.*, u.timezone, u.quiet_hours_start, u.quiet_hours_end, u.on_vacation
+     FROM routines rt
+     JOIN users u ON rt.user_id = u.user_id
+     WHERE rt.is_active = false
+     AND rt.paused_until IS NOT NULL
+     AND rt.paused_until <= user_local_date(rt.user_id)
+     AND rt.deleted_at IS NULL
+     AND rt.archived_at IS NULL
+     AND u.is_active = true`
+  );
+  return result.rows;
+};
+
 // ============================================
 // РАСПИСАНИЯ
 // ============================================
@@ -303,15 +825,66 @@ export const createSchedule = async (scheduleData) => {
     custom_days,
     specific_times,
     end_date,
+    anchor_date = null,
+    interval_value = null,
+    interval_unit = null,
+    cycle_on_days = null,
+    cycle_off_days = null,
+    rrule = null,
+    exdates = null,
   } = scheduleData;
   
   const result = await query(
     `INSERT INTO schedules 
-     (routine_id, schedule_type, time_weekdays, time_weekends, custom_days, specific_times, end_date)
-     VALUES ($1, $2, $3, $4, $5, $6, $7)
+     (routine_id, schedule_type, time_weekdays, time_weekends, custom_days, specific_times, end_date,
+      anchor_date, interval_value, interval_unit, cycle_on_days, cycle_off_days, rrule, exdates)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14)
      RETURNING *`,
     [routine_id, schedule_type, time_weekdays, time_weekends, 
-     JSON.stringify(custom_days), JSON.stringify(specific_times), end_date]
+     JSON.stringify(custom_days), JSON.stringify(specific_times), end_date,
+     anchor_date, interval_value, interval_unit, cycle_on_days, cycle_off_days,
+     rrule, JSON.stringify(exdates)]
+  );
+  
+  return result.rows[0];
+};
+
+/**
+ * Обновление расписания
+ * @param {string} scheduleId - ID расписания
+ * @param {Object} updates - Поля для обновления
+ */
+export const updateSchedule = async (scheduleId, updates) => {
+  const allowedFields = [
+    'schedule_type', 'time_weekdays', 'time_weekends', 'custom_days', 'specific_times',
+    'end_date', 'anchor_date', 'interval_value', 'interval_unit',
+    'cycle_on_days', 'cycle_off_days', 'rrule', 'exdates'
+  ];
+  const jsonFields = ['custom_days', 'specific_times', 'exdates'];
+  
+  const setClauses = [];
+  const values = [];
+  let paramIndex = 1;
+  
+  Object.entries(updates).forEach(([key, value]) => {
+    if (allowedFields.includes(key)) {
+      setClauses.push(`${key} = $${paramIndex}`);
+      values.push(jsonFields.includes(key) ? JSON.stringify(value) : value);
+      paramIndex++;
+    }
+  });
+  
+  if (setClauses.length === 0) {
+    throw new Error('No valid fields to update');
+  }
+  
+  values.push(scheduleId);
+  
+  const result = await query(
+    `UPDATE schedules SET ${setClauses.join(', ')}, updated_at = CURRENT_TIMESTAMP 
+     WHERE schedule_id = $${paramIndex} 
+     RETURNING *`,
+    values
   );
   
   return result.rows[0];
@@ -335,7 +908,9 @@ export const getRoutineSchedules = async (routineId) => {
 
 /**
  * Создание напоминания
+ * Существующий слот не дублируется; отмененный (например, после паузы рутины) возвращается в pending
  * @param {Object} reminderData - Данные напоминания
+ * @returns {Promise<Object|undefined>} Новое напоминание или undefined, если слот уже занят
  */
 export const createReminder = async (reminderData) => {
   const {
@@ -350,7 +925,9 @@ export const createReminder = async (reminderData) => {
     `INSERT INTO reminders 
      (routine_id, user_id, scheduled_date, scheduled_time, max_postpones)
      VALUES ($1, $2, $3, $4, $5)
-     ON CONFLICT (routine_id, scheduled_date, scheduled_time) DO NOTHING
+     ON CONFLICT (routine_id, scheduled_date, scheduled_time) DO UPDATE
+       SET status = 'pending', postpone_count = 0, escalation_level = 0
+       WHERE reminders.status = 'cancelled'
      RETURNING *`,
     [routine_id, user_id, scheduled_date, scheduled_time, max_postpones]
   );
@@ -370,6 +947,7 @@ export const getRemindersByDate = async (userId, date) => {
      JOIN routines rt ON r.routine_id = rt.routine_id
      WHERE r.user_id = $1 
      AND r.scheduled_date = $2
+     AND r.status <> 'cancelled'
      AND rt.is_active = true
      ORDER BY r.scheduled_time`,
     [userId, date]
@@ -378,24 +956,89 @@ export const getRemindersByDate = async (userId, date) => {
 };
 
 /**
- * Получение ожидающих напоминаний для отправки
- * @param {string} time - Время (HH:MM)
- * @param {string} date - Дата (YYYY-MM-DD)
+ * Получение еще не наступивших напоминаний рутины (для перепланирования)
+ * Отправленные и обработанные напоминания не возвращаются — история не меняется
+ * @param {string} routineId - ID рутины
+ * @returns {Promise<Array>} Напоминания в статусе pending
  */
-export const getPendingReminders = async (time, date) => {
+export const getUpcomingReminders = async (routineId) => {
   const result = await query(
-    `SELECT r.*, rt.title, rt.type, rt.icon, rt.dosage, rt.grace_period_minutes,
-             u.timezone, u.quiet_hours_start, u.quiet_hours_end
+    `SELECT r.reminder_id, r.scheduled_date, r.scheduled_time
      FROM reminders r
-     JOIN routines rt ON r.routine_id = rt.routine_id
      JOIN users u ON r.user_id = u.user_id
-     WHERE r.status = 'pending'
-     AND r.scheduled_date = $1
-     AND r.scheduled_time <= $2
-     AND rt.is_active = true
-     AND u.is_active = true
-     AND u.onboarding_completed = true`,
-    [date, time]
+     WHERE r.routine_id = $1
+     AND r.status = 'pending'
+     AND (r.scheduled_date + r.scheduled_time) AT TIME ZONE COALESCE(u.timezone, 'Europe/Moscow') > NOW()
+     ORDER BY r.scheduled_date, r.scheduled_time`,
+    [routineId]
+  );
+  return result.rows;
+};
+
+/**
+ * Получение еще не наступивших напоминаний пользователя по всем рутинам
+ * Момент напоминания считается в текущем часовом поясе пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Array>} Напоминания в статусе pending
+ */
+export const getUpcomingUserReminders = async (userId) => {
+  const result = await query(
+    `SELECT r.reminder_id, r.routine_id, r.scheduled_date, r.scheduled_time
+     FROM reminders r
+     JOIN users u ON r.user_id = u.user_id
+     WHERE r.user_id = $1
+     AND r.status = 'pending'
+     AND (r.scheduled_date + r.scheduled_time) AT TIME ZONE COALESCE(u.timezone, 'Europe/Moscow') > NOW()
+     ORDER BY r.scheduled_date, r.scheduled_time`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Отмена напоминаний по списку ID
+ * Отменяются только напоминания, которые все еще в статусе pending
+ * @param {Array<string>} reminderIds - ID напоминаний
+ * @returns {Promise<Array<string>>} ID отмененных напоминаний
+ */
+export const cancelReminders = async (reminderIds) => {
+  if (reminderIds.length === 0) return [];
+
+  const result = await query(
+    `UPDATE reminders
+     SET status = 'cancelled'
+     WHERE reminder_id = ANY($1::uuid[])
+     AND status = 'pending'
+     RETURNING reminder_id`,
+    [reminderIds]
+  );
+  return result.rows.map(r => r.reminder_id);
+};
+
+/**
+ * Получение неотправленных напоминаний, время которых уже наступило
+ * Время напоминания локальное, поэтому сравнение идет в часовом поясе пользователя;
+ * due_at — абсолютный момент срабатывания
+ * @param {Date} now - Точка отсчета
+ */
+export const getPendingReminders = async (now = new Date()) => {
+  const result = await query(
+    `SELECT * FROM (
+       SELECT r.*, rt.title, rt.type, rt.icon, rt.dosage, rt.grace_period_minutes,
+              u.timezone, u.quiet_hours_start, u.quiet_hours_end,
+              (r.scheduled_date + r.scheduled_time) AT TIME ZONE COALESCE(u.timezone, 'Europe/Moscow') AS due_at
+       FROM reminders r
+       JOIN routines rt ON r.routine_id = rt.routine_id
+       JOIN users u ON r.user_id = u.user_id
+       WHERE r.status IN ('pending', 'postponed')
+       AND r.scheduled_date <= user_local_date(r.user_id)
+       AND rt.is_active = true
+       AND u.is_active = true
+       AND u.onboarding_completed = true
+     ) due
+     WHERE due_at <= $1
+     ORDER BY due_at`,
+    [now]
   );
   return result.rows;
 };
@@ -408,7 +1051,7 @@ export const getPendingReminders = async (time, date) => {
 export const updateReminder = async (reminderId, updates) => {
   const allowedFields = [
     'status', 'postpone_count', 'sent_at', 'completed_at',
-    'confirmation_method', 'escalation_level', 'metadata'
+    'confirmation_method', 'escalation_level', 'metadata', 'completion_status'
   ];
   
   const setClauses = [];
@@ -439,15 +1082,47 @@ export const updateReminder = async (reminderId, updates) => {
   return result.rows[0];
 };
 
+/**
+ * Отметка отправленных напоминаний, у которых истекло окно выполнения, как упущенных
+ * Обновление условное (status = 'sent'), чтобы не перезаписать одновременное выполнение
+ * @param {Date} now - Точка отсчета
+ * @param {number} defaultGrace - Окно выполнения по умолчанию (в минутах)
+ * @returns {Promise<Array>} Отмеченные напоминания (с due_at и grace_period_minutes)
+ */
+export const markExpiredSentReminders = async (now, defaultGrace) => {
+  const result = await query(
+    `UPDATE reminders r
+     SET status = 'missed', completion_status = 'missed'
+     FROM (
+       SELECT c.reminder_id,
+              (c.scheduled_date + c.scheduled_time) AT TIME ZONE COALESCE(u.timezone, 'Europe/Moscow') AS due_at,
+              COALESCE(rt.grace_period_minutes, $2) AS grace_period_minutes
+       FROM reminders c
+       JOIN routines rt ON c.routine_id = rt.routine_id
+       JOIN users u ON c.user_id = u.user_id
+       WHERE c.status = 'sent'
+     ) expired
+     WHERE r.reminder_id = expired.reminder_id
+     AND r.status = 'sent'
+     AND expired.due_at + expired.grace_period_minutes * INTERVAL '1 minute' < $1
+     RETURNING r.reminder_id, r.user_id, r.routine_id, expired.due_at, expired.grace_period_minutes`,
+    [now, defaultGrace]
+  );
+  return result.rows;
+};
+
 /**
  * Получение напоминания по ID
+ * Вместе с полями рутины, часовым поясом и политиками эскалации рутины и пользователя
  * @param {string} reminderId - ID напоминания
  */
 export const getReminderById = async (reminderId) => {
   const result = await query(
-    `SELECT r.*, rt.title, rt.type, rt.icon, rt.dosage
+    `SELECT r.*, rt.title, rt.type, rt.icon, rt.dosage, rt.priority, rt.escalation_policy,
+            rt.grace_period_minutes, u.timezone, u.escalation_policy AS user_escalation_policy
      FROM reminders r
      JOIN routines rt ON r.routine_id = rt.routine_id
+     JOIN users u ON r.user_id = u.user_id
      WHERE r.reminder_id = $1`,
     [reminderId]
   );
@@ -596,9 +1271,13 @@ export const getUserStats = async (userId) => {
     `SELECT 
        COUNT(*) FILTER (WHERE status = 'completed') as completed,
        COUNT(*) FILTER (WHERE status = 'skipped') as skipped,
+       COUNT(*) FILTER (WHERE completion_status = 'on_time') as on_time,
+       COUNT(*) FILTER (WHERE completion_status = 'late') as late,
+       COUNT(*) FILTER (WHERE completion_status = 'missed') as missed,
        COUNT(*) as total
      FROM reminders 
-     WHERE user_id = $1`,
+     WHERE user_id = $1
+     AND status <> 'cancelled'`,
     [userId]
   );
   
@@ -622,25 +1301,48 @@ export const getUserStats = async (userId) => {
 };
 
 export default {
+  query,
   // Пользователи
   getOrCreateUser,
   getUserById,
   updateUser,
+  startVacation,
+  endVacation,
+  getExpiredVacations,
   softDeleteUser,
+  grantConsent,
+  withdrawConsent,
+  getConsentHistory,
+  getDeletedUser,
+  restoreUser,
+  getUsersToPurge,
+  purgeUser,
   // Рутины
   createRoutine,
   getUserRoutines,
   getRoutineById,
+  getRoutinesForReminderGeneration,
   updateRoutine,
   deleteRoutine,
+  pauseRoutine,
+  resumeRoutine,
+  getExpiredPauses,
+  archiveRoutine,
+  getFinishedCourses,
+  getRoutineAdherence,
   // Расписания
   createSchedule,
+  updateSchedule,
   getRoutineSchedules,
   // Напоминания
   createReminder,
+  getUpcomingReminders,
+  getUpcomingUserReminders,
+  cancelReminders,
   getRemindersByDate,
   getPendingReminders,
   updateReminder,
+  markExpiredSentReminders,
   getReminderById,
   // События
   createEvent,
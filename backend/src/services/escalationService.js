@@ -0,0 +1,172 @@
+/**
+ * Политики эскалации напоминаний
+ * Политика определяет, сколько раз и с какими интервалами повторять
+ * неотмеченное напоминание и пропускать ли его автоматически.
+ * Итоговая политика: значения по умолчанию для типа рутины,
+ * поверх них — политика пользователя, затем — политика рутины
+ * @module services/escalationService
+ */
+
+import { config } from '../config/index.js';
+
+/**
+ * Максимальный интервал между повторами (в минутах)
+ */
+export const MAX_ESCALATION_INTERVAL = 720;
+
+/**
+ * Поля политики эскалации
+ */
+const POLICY_FIELDS = ['intervals', 'autoSkip', 'autoSkipAfter', 'autoSkipHighPriority'];
+
+/**
+ * Высокий приоритет рутины (1=низкий, 2=средний, 3=высокий)
+ */
+const HIGH_PRIORITY = 3;
+
+/**
+ * Готовые политики для бота (null — сброс к значениям по умолчанию)
+ */
+export const ESCALATION_PRESETS = {
+  standard: null,
+  soft: { intervals: [30], autoSkip: false },
+  strict: { intervals: [10, 20, 30], autoSkip: true, autoSkipAfter: 30, autoSkipHighPriority: false },
+  off: { intervals: [], autoSkip: false },
+};
+
+/**
+ * Политика по умолчанию для типа рутины
+ * Лекарства: два повтора и автопропуск (таймингами из config.business.escalation),
+ * привычки: один повтор, дела: без повторов
+ * @param {string} type - Тип рутины
+ * @returns {Object} Политика эскалации
+ */
+export const getDefaultPolicy = (type) => {
+  const { firstReminder, secondReminder, autoSkip } = config.business.escalation;
+
+  if (type === 'medication') {
+    return {
+      intervals: [firstReminder, secondReminder - firstReminder],
+      autoSkip: true,
+      autoSkipAfter: autoSkip - secondReminder,
+      autoSkipHighPriority: true,
+    };
+  }
+
+  return {
+    intervals: type === 'habit' ? [firstReminder] : [],
+    autoSkip: false,
+    autoSkipAfter: autoSkip - secondReminder,
+    autoSkipHighPriority: true,
+  };
+};
+
+/**
+ * Итоговая политика эскалации для рутины
+ * @param {Object} routine - Рутина или напоминание с полями рутины (type, escalation_policy)
+ * @param {Object|null} userPolicy - Политика пользователя
+ * @returns {Object} Политика эскалации
+ */
+export const resolveEscalationPolicy = (routine, userPolicy = null) => ({
+  ...getDefaultPolicy(routine.type),
+  ...(userPolicy || {}),
+  ...(routine.escalation_policy || {}),
+});
+
+/**
+ * Разрешен ли автопропуск для рутины
+ * Высокоприоритетные лекарства пропускаются, только если это явно разрешено политикой
+ * @param {Object} policy - Итоговая политика
+ * @param {Object} routine - Рутина (type, priority)
+ * @returns {boolean}
+ */
+export const canAutoSkip = (policy, routine) => {
+  if (!policy.autoSkip) return false;
+  if (routine.type === 'medication' && routine.priority >= HIGH_PRIORITY) {
+    return Boolean(policy.autoSkipHighPriority);
+  }
+  return true;
+};
+
+/**
+ * Шаг эскалации для уровня
+ * Уровни 1..N — повторные напоминания, уровень N+1 — автопропуск
+ * @param {Object} policy - Итоговая политика
+ * @param {Object} routine - Рутина (type, priority)
+ * @param {number} level - Уровень эскалации
+ * @returns {Object|null} { level, delay, autoSkip } или null, если шага нет
+ */
+export const getEscalationStep = (policy, routine, level) => {
+  const intervals = policy.intervals || [];
+
+  if (level >= 1 && level <= intervals.length) {
+    return { level, delay: intervals[level - 1], autoSkip: false };
+  }
+
+  if (level === intervals.length + 1 && canAutoSkip(policy, routine)) {
+    return { level, delay: policy.autoSkipAfter, autoSkip: true };
+  }
+
+  return null;
+};
+
+/**
+ * Минуты с момента отправки напоминания до повтора заданного уровня
+ * @param {Object} policy - Итоговая политика
+ * @param {number} level - Уровень эскалации
+ * @returns {number}
+ */
+export const getElapsedMinutes = (policy, level) => {
+  return (policy.intervals || []).slice(0, level).reduce((sum, minutes) => sum + minutes, 0);
+};
+
+/**
+ * Проверка политики эскалации, присланной пользователем
+ * Политика может быть частичной: недостающие поля берутся из политики уровнем выше
+ * @param {Object} policy - Политика эскалации
+ * @returns {string|null} Текст ошибки или null
+ */
+export const getEscalationPolicyError = (policy) => {
+  if (!policy || typeof policy !== 'object' || Array.isArray(policy)) {
+    return 'Политика эскалации должна быть объектом';
+  }
+
+  const unknown = Object.keys(policy).filter(key => !POLICY_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    return `Неизвестные поля политики: ${unknown.join(', ')}`;
+  }
+
+  const isMinutes = (value) => Number.isInteger(value) && value >= 1 && value <= MAX_ESCALATION_INTERVAL;
+
+  if (policy.intervals !== undefined) {
+    if (!Array.isArray(policy.intervals) || policy.intervals.length > config.business.escalation.maxNudges) {
+      return `Не более ${config.business.escalation.maxNudges} повторных напоминаний`;
+    }
+    if (!policy.intervals.every(isMinutes)) {
+      return `Интервал повтора от 1 до ${MAX_ESCALATION_INTERVAL} минут`;
+    }
+  }
+
+  if (policy.autoSkipAfter !== undefined && !isMinutes(policy.autoSkipAfter)) {
+    return `Автопропуск через 1–${MAX_ESCALATION_INTERVAL} минут`;
+  }
+
+  for (const key of ['autoSkip', 'autoSkipHighPriority']) {
+    if (policy[key] !== undefined && typeof policy[key] !== 'boolean') {
+      return `${key} должен быть boolean`;
+    }
+  }
+
+  return null;
+};
+
+export default {
+  MAX_ESCALATION_INTERVAL,
+  ESCALATION_PRESETS,
+  getDefaultPolicy,
+  resolveEscalationPolicy,
+  canAutoSkip,
+  getEscalationStep,
+  getElapsedMinutes,
+  getEscalationPolicyError,
+};
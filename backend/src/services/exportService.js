@@ -0,0 +1,289 @@
+/**
+ * Экспорт данных пользователя (GDPR / 152-ФЗ)
+ * Запрос фиксируется в data_exports, фоновая задача собирает ZIP-архив (JSON + CSV по разделам),
+ * кладет его в S3-совместимое хранилище и выдает ссылку на скачивание с ограниченным сроком
+ * @module services/exportService
+ */
+
+import { createObjectCsvStringifier } from 'csv-writer';
+import { config } from '../config/index.js';
+import { logger } from '../config/logger.js';
+import { storageClient, publicStorageClient, ensureBucket } from '../config/storage.js';
+import * as db from './databaseService.js';
+import { toDateString } from '../utils/time.js';
+import { createZip } from '../utils/zip.js';
+
+/**
+ * Разделы архива в порядке следования
+ */
+export const EXPORT_SECTIONS = [
+  'profile',
+  'routines',
+  'schedules',
+  'reminders',
+  'pause_periods',
+  'events',
+  'achievements',
+  'consent_history',
+];
+
+/**
+ * Статусы, при которых новый запрос не создается
+ */
+const ACTIVE_STATUSES = ['pending', 'processing'];
+
+/**
+ * Запросы данных по разделам (все строки пользователя, включая удаленные рутины)
+ */
+const SECTION_QUERIES = {
+  profile: 'SELECT * FROM users WHERE user_id = $1',
+  routines: 'SELECT * FROM routines WHERE user_id = $1 ORDER BY created_at',
+  schedules: `SELECT s.* FROM schedules s
+              JOIN routines r ON s.routine_id = r.routine_id
+              WHERE r.user_id = $1
+              ORDER BY s.created_at`,
+  reminders: 'SELECT * FROM reminders WHERE user_id = $1 ORDER BY scheduled_date, scheduled_time',
+  pause_periods: 'SELECT * FROM pause_periods WHERE user_id = $1 ORDER BY start_date',
+  events: 'SELECT * FROM events WHERE user_id = $1 ORDER BY created_at',
+  achievements: 'SELECT * FROM achievements WHERE user_id = $1 ORDER BY achieved_at',
+  consent_history: 'SELECT * FROM consent_history WHERE user_id = $1 ORDER BY created_at',
+};
+
+/**
+ * Значение ячейки CSV
+ * @param {*} value - Значение из БД
+ * @returns {string}
+ */
+const toCsvValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString();
+  if (typeof value === 'object') return JSON.stringify(value);
+  return String(value);
+};
+
+/**
+ * Таблица в CSV (колонки — все поля строк в порядке появления)
+ * Файл начинается с BOM, чтобы Excel правильно открыл кириллицу
+ * @param {Array<Object>} rows - Строки
+ * @returns {string}
+ */
+export const toCsv = (rows) => {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  const stringifier = createObjectCsvStringifier({
+    header: columns.map(column => ({ id: column, title: column })),
+  });
+
+  const records = rows.map(row =>
+    Object.fromEntries(columns.map(column => [column, toCsvValue(row[column])]))
+  );
+
+  return `\uFEFF${stringifier.getHeaderString()}${stringifier.stringifyRecords(records)}`;
+};
+
+/**
+ * Сборка архива экспорта
+ * @param {Object} data - Данные по разделам ({ profile: [...], routines: [...], ... })
+ * @param {Date} generatedAt - Время формирования
+ * @returns {Buffer} ZIP-архив: data.json и CSV для непустых разделов
+ */
+export const buildExportArchive = (data, generatedAt = new Date()) => {
+  const json = {
+    generated_at: generatedAt.toISOString(),
+    profile: data.profile?.[0] || null,
+    ...Object.fromEntries(
+      EXPORT_SECTIONS.filter(section => section !== 'profile').map(section => [section, data[section] || []])
+    ),
+  };
+
+  const files = [{ name: 'data.json', content: JSON.stringify(json, null, 2) }];
+  for (const section of EXPORT_SECTIONS) {
+    if (data[section]?.length) {
+      files.push({ name: `${section}.csv`, content: toCsv(data[section]) });
+    }
+  }
+
+  return createZip(files, generatedAt);
+};
+
+/**
+ * Сбор данных пользователя по разделам
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>}
+ */
+const collectUserData = async (userId) => {
+  const data = {};
+  for (const section of EXPORT_SECTIONS) {
+    const result = await db.query(SECTION_QUERIES[section], [userId]);
+    data[section] = result.rows;
+  }
+  return data;
+};
+
+/**
+ * Создание запроса на экспорт
+ * Пока предыдущий запрос в работе, новый не создается (зависший дольше суток не мешает)
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>} { request, created }
+ */
+export const createExportRequest = async (userId) => {
+  const active = await db.query(
+    `SELECT * FROM data_exports
+     WHERE user_id = $1 AND status = ANY($2) AND requested_at > CURRENT_TIMESTAMP - INTERVAL '1 day'
+     ORDER BY requested_at DESC
+     LIMIT 1`,
+    [userId, ACTIVE_STATUSES]
+  );
+  if (active.rows[0]) {
+    return { request: active.rows[0], created: false };
+  }
+
+  const result = await db.query(
+    `INSERT INTO data_exports (user_id, format, status)
+     VALUES ($1, 'zip', 'pending')
+     RETURNING *`,
+    [userId]
+  );
+
+  logger.info('Запрос на экспорт данных создан', { userId, exportId: result.rows[0].export_id });
+  return { request: result.rows[0], created: true };
+};
+
+/**
+ * Последний запрос на экспорт пользователя
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object|null>}
+ */
+export const getLatestExport = async (userId) => {
+  const result = await db.query(
+    'SELECT * FROM data_exports WHERE user_id = $1 ORDER BY requested_at DESC LIMIT 1',
+    [userId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Ссылка на скачивание готового архива
+ * Подпись ссылки истекает вместе с архивом
+ * @param {Object} request - Запись data_exports
+ * @returns {Promise<string|null>} Ссылка или null, если архив не готов или истек
+ */
+export const getDownloadUrl = async (request) => {
+  if (request.status !== 'ready' || !request.file_path) return null;
+
+  const seconds = Math.floor((new Date(request.expires_at).getTime() - Date.now()) / 1000);
+  if (seconds <= 0) return null;
+
+  const fileName = `habitmax-export-${toDateString(request.completed_at || new Date())}.zip`;
+  return publicStorageClient.presignedGetObject(
+    config.minio.bucketName,
+    request.file_path,
+    seconds,
+    { 'response-content-disposition': `attachment; filename="${fileName}"` }
+  );
+};
+
+/**
+ * Выполнение экспорта (фоновая задача)
+ * Неудачная попытка помечается failed и может быть повторена очередью
+ * @param {string} exportId - ID запроса
+ * @returns {Promise<Object>} { userId, url, expiresAt } или { skipped: true }
+ */
+export const runExport = async (exportId) => {
+  const claimed = await db.query(
+    `UPDATE data_exports SET status = 'processing'
+     WHERE export_id = $1 AND status IN ('pending', 'failed')
+     RETURNING *`,
+    [exportId]
+  );
+  const request = claimed.rows[0];
+  if (!request) return { skipped: true };
+
+  try {
+    const archive = buildExportArchive(await collectUserData(request.user_id));
+    const filePath = `exports/${request.user_id}/${request.export_id}.zip`;
+
+    await ensureBucket();
+    await storageClient.putObject(config.minio.bucketName, filePath, archive, archive.length, {
+      'Content-Type': 'application/zip',
+    });
+
+    const expiresAt = new Date(Date.now() + config.privacy.exportTtlDays * 24 * 60 * 60 * 1000);
+    const ready = await db.query(
+      `UPDATE data_exports
+       SET status = 'ready', file_path = $2, file_size = $3, expires_at = $4, completed_at = CURRENT_TIMESTAMP
+       WHERE export_id = $1
+       RETURNING *`,
+      [request.export_id, filePath, archive.length, expiresAt]
+    );
+
+    logger.info('Экспорт данных готов', { userId: request.user_id, exportId, size: archive.length });
+    return { userId: request.user_id, url: await getDownloadUrl(ready.rows[0]), expiresAt };
+  } catch (error) {
+    await db.query("UPDATE data_exports SET status = 'failed' WHERE export_id = $1", [exportId]);
+    throw error;
+  }
+};
+
+/**
+ * Удаление архивов с истекшим сроком (периодическая задача)
+ * @returns {Promise<Object>} { expired }
+ */
+export const expireExports = async () => {
+  const result = await db.query(
+    `SELECT export_id, file_path FROM data_exports
+     WHERE status = 'ready' AND expires_at < CURRENT_TIMESTAMP`
+  );
+
+  let expired = 0;
+  for (const request of result.rows) {
+    try {
+      await storageClient.removeObject(config.minio.bucketName, request.file_path);
+      await db.query("UPDATE data_exports SET status = 'expired' WHERE export_id = $1", [request.export_id]);
+      expired++;
+    } catch (error) {
+      logger.error('Ошибка удаления архива экспорта:', { exportId: request.export_id, error: error.message });
+    }
+  }
+
+  if (expired > 0) {
+    logger.info('Архивы экспорта удалены', { expired });
+  }
+  return { expired };
+};
+
+/**
+ * Удаление всех архивов пользователя (при удалении аккаунта)
+ * Незавершенные запросы тоже помечаются expired, поэтому задача в очереди их пропустит
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>} { removed }
+ */
+export const removeUserExports = async (userId) => {
+  const result = await db.query(
+    `SELECT export_id, file_path FROM data_exports
+     WHERE user_id = $1 AND status = 'ready' AND file_path IS NOT NULL`,
+    [userId]
+  );
+
+  for (const request of result.rows) {
+    await storageClient.removeObject(config.minio.bucketName, request.file_path);
+  }
+
+  await db.query(
+    "UPDATE data_exports SET status = 'expired' WHERE user_id = $1 AND status <> 'expired'",
+    [userId]
+  );
+
+  return { removed: result.rows.length };
+};
+
+export default {
+  EXPORT_SECTIONS,
+  toCsv,
+  buildExportArchive,
+  createExportRequest,
+  getLatestExport,
+  getDownloadUrl,
+  runExport,
+  expireExports,
+  removeUserExports,
+};
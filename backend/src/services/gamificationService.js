@@ -7,6 +7,8 @@
 import { query } from '../config/database.js';
 import { logger } from '../config/logger.js';
 import * as db from './databaseService.js';
+import { getCompletionPoints } from './punctualityService.js';
+import { getLocalNow } from '../utils/time.js';
 
 /**
  * Уровни пользователей
@@ -39,6 +41,7 @@ export const getLevelInfo = (levelCode) => {
 
 /**
  * Расчет текущей серии (streak) пользователя
+ * Дни паузы рутин и отпуска (pause_periods) не прерывают серию
  * @param {number} userId - ID пользователя
  */
 export const calculateStreak = async (userId) => {
@@ -248,8 +251,9 @@ const checkPerfectWeek = async (userId) => {
          COUNT(*) as total
        FROM reminders 
        WHERE user_id = $1 
-       AND scheduled_date >= CURRENT_DATE - INTERVAL '7 days'
-       AND scheduled_date < CURRENT_DATE`,
+       AND status <> 'cancelled'
+       AND scheduled_date >= user_local_date($1) - INTERVAL '7 days'
+       AND scheduled_date < user_local_date($1)`,
       [userId]
     );
     
@@ -274,7 +278,7 @@ const checkMedicationStreak = async (userId) => {
        WHERE r.user_id = $1 
        AND rt.type = 'medication'
        AND r.status = 'completed'
-       AND r.scheduled_date > CURRENT_DATE - INTERVAL '60 days'`,
+       AND r.scheduled_date > user_local_date($1) - INTERVAL '60 days'`,
       [userId]
     );
     
@@ -318,39 +322,44 @@ export const addPoints = async (userId, points) => {
 
 /**
  * Обновление статистики при выполнении рутины
+ * Очки зависят от пунктуальности; выполнение после окна не продлевает серию (см. calculate_streak)
  * @param {number} userId - ID пользователя
  * @param {string} reminderId - ID напоминания
  * @param {string} routineType - Тип рутины
+ * @param {string} completionStatus - Статус выполнения (on_time, late, missed)
  */
-export const handleCompletion = async (userId, reminderId, routineType) => {
+export const handleCompletion = async (userId, reminderId, routineType, completionStatus = 'on_time') => {
   try {
     // Увеличиваем счетчик выполнений
-    await query(
+    const userResult = await query(
       `UPDATE users 
        SET total_completed = total_completed + 1,
            last_active = CURRENT_TIMESTAMP
-       WHERE user_id = $1`,
+       WHERE user_id = $1
+       RETURNING timezone`,
       [userId]
     );
     
     // Обновляем streak
     const streak = await updateUserStreak(userId);
     
-    // Проверяем достижения
-    const now = new Date();
+    // Проверяем достижения (час считаем по локальному времени пользователя)
+    const localNow = getLocalNow(userResult.rows[0]?.timezone);
     const achievements = await checkAchievements(userId, 'completed', {
       routineType,
-      hour: now.getHours(),
+      hour: localNow.hour(),
     });
     
-    // Начисляем базовые очки за выполнение
-    const basePoints = routineType === 'medication' ? 5 : 3;
-    await addPoints(userId, basePoints);
+    // Начисляем очки за выполнение с учетом пунктуальности
+    const points = getCompletionPoints(routineType, completionStatus);
+    if (points > 0) {
+      await addPoints(userId, points);
+    }
     
     return {
       streak,
       achievements,
-      points: basePoints,
+      points,
     };
   } catch (error) {
     logger.error('Ошибка обработки выполнения:', error);
@@ -368,7 +377,7 @@ export const handleSkip = async (userId) => {
     await query(
       `UPDATE users 
        SET total_skipped = total_skipped + 1,
-           current_streak = 0,  // Сбрасываем streak
+           current_streak = 0,  -- Сбрасываем streak
            last_active = CURRENT_TIMESTAMP
        WHERE user_id = $1`,
       [userId]
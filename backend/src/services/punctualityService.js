@@ -0,0 +1,82 @@
+/**
+ * Пунктуальность выполнения напоминаний
+ * Выполнение классифицируется относительно запланированного момента:
+ * вовремя (on_time), с опозданием в пределах окна выполнения (late)
+ * или после окна (missed) — такое выполнение не продлевает серию и не приносит очков
+ * @module services/punctualityService
+ */
+
+import { config } from '../config/index.js';
+
+/**
+ * Статусы выполнения
+ */
+export const COMPLETION_STATUSES = ['on_time', 'late', 'missed'];
+
+/**
+ * Базовые очки за выполнение по типу рутины
+ */
+const BASE_POINTS = {
+  medication: 5,
+  habit: 3,
+  task: 3,
+};
+
+/**
+ * Окно выполнения рутины
+ * @param {number|null} graceMinutes - grace_period_minutes рутины
+ * @returns {number} Минуты после запланированного момента
+ */
+export const getGraceMinutes = (graceMinutes) => graceMinutes ?? config.business.gracePeriod;
+
+/**
+ * Классификация выполнения
+ * "Вовремя" — в первые onTimeWindow минут (но не дольше окна выполнения рутины)
+ * @param {Object} params - Параметры
+ * @param {Date} params.dueAt - Запланированный момент
+ * @param {Date} params.completedAt - Момент выполнения
+ * @param {number|null} params.graceMinutes - Окно выполнения рутины
+ * @returns {string} on_time, late или missed
+ */
+export const getCompletionStatus = ({ dueAt, completedAt, graceMinutes = null }) => {
+  const grace = getGraceMinutes(graceMinutes);
+  const onTime = Math.min(config.business.onTimeWindow, grace);
+  const minutesLate = (completedAt.getTime() - dueAt.getTime()) / 60000;
+
+  if (minutesLate <= onTime) return 'on_time';
+  if (minutesLate <= grace) return 'late';
+  return 'missed';
+};
+
+/**
+ * Очки за выполнение с учетом пунктуальности
+ * Опоздание — половина базовых очков, выполнение после окна — без очков
+ * @param {string} routineType - Тип рутины
+ * @param {string} completionStatus - Статус выполнения
+ * @returns {number}
+ */
+export const getCompletionPoints = (routineType, completionStatus) => {
+  const base = BASE_POINTS[routineType] || BASE_POINTS.habit;
+
+  if (completionStatus === 'late') return Math.floor(base / 2);
+  if (completionStatus === 'missed') return 0;
+  return base;
+};
+
+/**
+ * Процент пунктуальности: доля выполненных вовремя среди классифицированных
+ * @param {Object} counts - { on_time, late, missed }
+ * @returns {number} Процент (0-100)
+ */
+export const getPunctualityPercent = ({ on_time: onTime = 0, late = 0, missed = 0 }) => {
+  const total = onTime + late + missed;
+  return total > 0 ? Math.round((onTime / total) * 100) : 0;
+};
+
+export default {
+  COMPLETION_STATUSES,
+  getGraceMinutes,
+  getCompletionStatus,
+  getCompletionPoints,
+  getPunctualityPercent,
+};
@@ -0,0 +1,446 @@
+/**
+ * Жизненный цикл напоминаний
+ * Все переходы состояний (выполнение, пропуск, отсрочка, удаление и пауза рутины,
+ * смена часового пояса, удаление аккаунта) проходят через этот сервис, чтобы статус в БД
+ * и задачи в очередях BullMQ оставались согласованными
+ * @module services/reminderLifecycle
+ */
+
+import { config } from '../config/index.js';
+import { logger } from '../config/logger.js';
+import * as db from './databaseService.js';
+import * as gamification from './gamificationService.js';
+import { getStaleReminders, shiftScheduleTimes } from './scheduleService.js';
+import { getCompletionStatus } from './punctualityService.js';
+import { removeUserExports } from './exportService.js';
+import { getCurrentPolicy } from './consentService.js';
+import { getTimezoneShift, resolveTimezone, toDateString, toUtcDate } from '../utils/time.js';
+import {
+  backgroundQueue,
+  cancelReminderJobs,
+  postponeReminder as schedulePostponedReminder,
+} from '../scheduler/reminderQueue.js';
+
+/**
+ * Финальные статусы напоминания (дальнейшие переходы невозможны)
+ */
+export const FINAL_STATUSES = ['completed', 'skipped', 'cancelled', 'missed'];
+
+/**
+ * Проверка, обработано ли напоминание
+ * @param {Object} reminder - Напоминание из БД
+ * @returns {boolean}
+ */
+export const isFinal = (reminder) => FINAL_STATUSES.includes(reminder.status);
+
+/**
+ * Снятие задач из очередей для списка напоминаний
+ * Ошибка очереди не откатывает изменения в БД: воркеры все равно
+ * пропускают напоминания в финальном статусе
+ * @param {Array<string>} reminderIds - ID напоминаний
+ */
+const cancelJobsFor = async (reminderIds) => {
+  for (const reminderId of reminderIds) {
+    try {
+      await cancelReminderJobs(reminderId);
+    } catch (error) {
+      logger.error('Ошибка отмены задач напоминания:', { reminderId, error: error.message });
+    }
+  }
+};
+
+// ============================================
+// НАПОМИНАНИЯ
+// ============================================
+
+/**
+ * Выполнение напоминания
+ * Пунктуальность (on_time, late, missed) считается от запланированного момента
+ * с учетом окна выполнения рутины
+ * @param {Object} reminder - Напоминание из БД (с полями рутины и часовым поясом)
+ * @param {Object} options - Источник подтверждения
+ * @param {string} options.source - Источник события (bot, miniapp)
+ * @param {string} options.confirmationMethod - Способ подтверждения (push, miniapp, command)
+ * @returns {Promise<Object>} Результат геймификации и статус выполнения
+ */
+export const completeReminder = async (reminder, { source = 'bot', confirmationMethod = 'push' } = {}) => {
+  await cancelJobsFor([reminder.reminder_id]);
+
+  const completedAt = new Date();
+  const completionStatus = getCompletionStatus({
+    dueAt: toUtcDate(toDateString(reminder.scheduled_date), reminder.scheduled_time, reminder.timezone),
+    completedAt,
+    graceMinutes: reminder.grace_period_minutes,
+  });
+
+  await db.updateReminder(reminder.reminder_id, {
+    status: 'completed',
+    completed_at: completedAt,
+    confirmation_method: confirmationMethod,
+    completion_status: completionStatus,
+  });
+
+  await db.createEvent({
+    reminder_id: reminder.reminder_id,
+    user_id: reminder.user_id,
+    routine_id: reminder.routine_id,
+    event_type: 'completed',
+    event_source: source,
+    metadata: { completion_status: completionStatus },
+  });
+
+  const result = await gamification.handleCompletion(
+    reminder.user_id,
+    reminder.reminder_id,
+    reminder.type,
+    completionStatus
+  );
+
+  return { ...result, completionStatus };
+};
+
+/**
+ * Пропуск напоминания
+ * @param {Object} reminder - Напоминание из БД
+ * @param {Object} options - Параметры
+ * @param {string} options.source - Источник события (bot, miniapp, system)
+ * @param {string} options.eventType - Тип события (skipped, auto_skipped)
+ */
+export const skipReminder = async (reminder, { source = 'bot', eventType = 'skipped' } = {}) => {
+  await cancelJobsFor([reminder.reminder_id]);
+
+  await db.updateReminder(reminder.reminder_id, {
+    status: 'skipped',
+  });
+
+  await db.createEvent({
+    reminder_id: reminder.reminder_id,
+    user_id: reminder.user_id,
+    routine_id: reminder.routine_id,
+    event_type: eventType,
+    event_source: source,
+  });
+
+  await gamification.handleSkip(reminder.user_id);
+};
+
+/**
+ * Отсрочка напоминания
+ * Проверку лимита отсрочек выполняет вызывающий код
+ * @param {Object} reminder - Напоминание из БД (с полями рутины)
+ * @param {number} minutes - Минуты отсрочки
+ * @param {Object} options - Параметры
+ * @param {string} options.source - Источник события (bot, miniapp)
+ * @returns {Promise<Date>} Время повторной отправки
+ */
+export const postponeReminder = async (reminder, minutes, { source = 'bot' } = {}) => {
+  const postponeCount = reminder.postpone_count + 1;
+
+  await db.updateReminder(reminder.reminder_id, {
+    status: 'postponed',
+    postpone_count: postponeCount,
+  });
+
+  const sendAt = await schedulePostponedReminder(reminder, minutes);
+
+  await db.createEvent({
+    reminder_id: reminder.reminder_id,
+    user_id: reminder.user_id,
+    routine_id: reminder.routine_id,
+    event_type: 'snoozed',
+    event_source: source,
+    metadata: { minutes, postpone_count: postponeCount },
+  });
+
+  return sendAt;
+};
+
+// ============================================
+// РУТИНЫ
+// ============================================
+
+/**
+ * Удаление рутины с отменой будущих напоминаний
+ * @param {string} routineId - ID рутины
+ * @returns {Promise<Object>} Количество отмененных напоминаний
+ */
+export const deleteRoutine = async (routineId) => {
+  const { cancelledReminderIds } = await db.deleteRoutine(routineId);
+  await cancelJobsFor(cancelledReminderIds);
+
+  return { cancelled: cancelledReminderIds.length };
+};
+
+/**
+ * Приостановка рутины с отменой будущих напоминаний
+ * @param {string} routineId - ID рутины
+ * @param {Object} options - Параметры
+ * @param {string|null} options.until - Дата автоматического возобновления (YYYY-MM-DD)
+ * @returns {Promise<Object>} Количество отмененных напоминаний
+ */
+export const pauseRoutine = async (routineId, { until = null } = {}) => {
+  const { cancelledReminderIds } = await db.pauseRoutine(routineId, until);
+  await cancelJobsFor(cancelledReminderIds);
+
+  return { cancelled: cancelledReminderIds.length };
+};
+
+/**
+ * Возобновление рутины: отмененные слоты будут созданы заново генератором
+ * @param {Object} routine - Рутина из БД
+ */
+export const resumeRoutine = async (routine) => {
+  await db.resumeRoutine(routine.routine_id);
+
+  await backgroundQueue.add('generate-reminders', {
+    type: 'generate-reminders',
+    data: { userId: routine.user_id, routineId: routine.routine_id },
+  });
+
+  logger.info('Рутина возобновлена', { routineId: routine.routine_id });
+};
+
+/**
+ * Перепланирование рутины после изменения расписания
+ * Еще не наступившие напоминания, которых нет в новом расписании, отменяются вместе с задачами;
+ * совпадающие слоты остаются, недостающие создает генератор. Прошедшие напоминания не трогаем
+ * @param {Object} routine - Рутина из БД
+ * @returns {Promise<Object>} Количество отмененных напоминаний
+ */
+export const rescheduleRoutine = async (routine) => {
+  const schedules = await db.getRoutineSchedules(routine.routine_id);
+  const upcoming = await db.getUpcomingReminders(routine.routine_id);
+  const stale = routine.is_active ? getStaleReminders(schedules, upcoming) : upcoming;
+
+  const cancelledReminderIds = await db.cancelReminders(stale.map(r => r.reminder_id));
+  await cancelJobsFor(cancelledReminderIds);
+
+  if (routine.is_active) {
+    await backgroundQueue.add('generate-reminders', {
+      type: 'generate-reminders',
+      data: { userId: routine.user_id, routineId: routine.routine_id },
+    });
+  }
+
+  logger.info('Рутина перепланирована', {
+    routineId: routine.routine_id,
+    cancelled: cancelledReminderIds.length,
+  });
+
+  return { cancelled: cancelledReminderIds.length };
+};
+
+// ============================================
+// АККАУНТ
+// ============================================
+
+/**
+ * Включение режима отпуска с отменой всех будущих напоминаний
+ * @param {number} userId - ID пользователя
+ * @param {Object} options - Параметры
+ * @param {string|null} options.until - Дата возвращения (YYYY-MM-DD), без даты — до ручного выключения
+ * @returns {Promise<Object>} Количество отмененных напоминаний
+ */
+export const startVacation = async (userId, { until = null } = {}) => {
+  const { cancelledReminderIds } = await db.startVacation(userId, until);
+  await cancelJobsFor(cancelledReminderIds);
+
+  return { cancelled: cancelledReminderIds.length };
+};
+
+/**
+ * Выключение режима отпуска: напоминания всех активных рутин генерируются заново
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>} Количество возобновленных рутин
+ */
+export const endVacation = async (userId) => {
+  await db.endVacation(userId);
+
+  const routines = await db.getUserRoutines(userId);
+  for (const routine of routines) {
+    await backgroundQueue.add('generate-reminders', {
+      type: 'generate-reminders',
+      data: { userId, routineId: routine.routine_id },
+    });
+  }
+
+  return { routines: routines.length };
+};
+
+/**
+ * Режимы смены часового пояса:
+ * local — сохранить локальное время (08:00 остается 08:00 в новом поясе),
+ * absolute — сохранить абсолютное время (важно для лекарств со строгим интервалом)
+ */
+export const TIMEZONE_MODES = ['local', 'absolute'];
+
+/**
+ * Смена часового пояса с перепланированием будущих напоминаний
+ * Еще не наступившие напоминания отменяются вместе с задачами и создаются генератором заново:
+ * в режиме local — на те же локальные слоты в новом поясе, в режиме absolute —
+ * на слоты, сдвинутые на разницу поясов. Отправленные и отложенные напоминания не трогаем
+ * @param {Object} user - Пользователь из БД
+ * @param {string} timezone - Новый часовой пояс
+ * @param {Object} options - Параметры
+ * @param {string} options.mode - Режим (local, absolute)
+ * @param {string} options.source - Источник события (bot, miniapp)
+ * @returns {Promise<Object>} Сдвиг в минутах и количество перепланированных напоминаний
+ */
+export const changeTimezone = async (user, timezone, { mode = 'local', source = 'bot' } = {}) => {
+  const from = resolveTimezone(user.timezone);
+  if (from === timezone) {
+    return { changed: false, shiftMinutes: 0, rescheduled: 0 };
+  }
+
+  const shiftMinutes = getTimezoneShift(from, timezone);
+
+  // Будущие напоминания выбираем до смены пояса, пока их моменты считаются по старому
+  const upcoming = await db.getUpcomingUserReminders(user.user_id);
+  const cancelledReminderIds = await db.cancelReminders(upcoming.map(r => r.reminder_id));
+  await cancelJobsFor(cancelledReminderIds);
+
+  const routines = await db.getUserRoutines(user.user_id);
+
+  if (mode === 'absolute' && shiftMinutes !== 0) {
+    for (const routine of routines) {
+      const schedules = await db.getRoutineSchedules(routine.routine_id);
+      for (const schedule of schedules) {
+        const updates = shiftScheduleTimes(schedule, shiftMinutes);
+        if (Object.keys(updates).length > 0) {
+          await db.updateSchedule(schedule.schedule_id, updates);
+        }
+      }
+    }
+  }
+
+  await db.updateUser(user.user_id, { timezone });
+
+  await db.createEvent({
+    user_id: user.user_id,
+    event_type: 'timezone_changed',
+    event_source: source,
+    metadata: { from, to: timezone, mode, shift_minutes: shiftMinutes },
+  });
+
+  for (const routine of routines) {
+    await backgroundQueue.add('generate-reminders', {
+      type: 'generate-reminders',
+      data: { userId: user.user_id, routineId: routine.routine_id },
+    });
+  }
+
+  logger.info('Часовой пояс изменен', {
+    userId: user.user_id,
+    from,
+    to: timezone,
+    mode,
+    rescheduled: cancelledReminderIds.length,
+  });
+
+  return { changed: true, shiftMinutes, rescheduled: cancelledReminderIds.length };
+};
+
+/**
+ * Удаление аккаунта с отменой всех будущих напоминаний
+ * Данные хранятся config.privacy.dataRetentionDays дней (аккаунт можно восстановить),
+ * затем удаляются фоновой задачей cleanup-old-data. Архивы экспорта удаляются сразу
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Object>} Количество отмененных напоминаний и дата окончательного удаления
+ */
+export const deleteAccount = async (userId) => {
+  const { cancelledReminderIds } = await db.softDeleteUser(userId);
+  await cancelJobsFor(cancelledReminderIds);
+
+  try {
+    await removeUserExports(userId);
+  } catch (error) {
+    // Оставшиеся архивы удалит задача истечения ссылок или окончательное удаление
+    logger.error('Ошибка удаления архивов экспорта:', { userId, error: error.message });
+  }
+
+  const purgeAt = new Date(Date.now() + config.privacy.dataRetentionDays * 24 * 60 * 60 * 1000);
+  logger.info('Аккаунт удален', { userId, cancelled: cancelledReminderIds.length, purgeAt });
+
+  return { cancelled: cancelledReminderIds.length, purgeAt };
+};
+
+/**
+ * Восстановление удаленного аккаунта
+ * Напоминания активных рутин генерируются заново, сессии мини-приложения не возвращаются
+ * @param {Object} userData - Данные пользователя от Max API
+ * @returns {Promise<Object|null>} { user, routines } или null, если срок хранения истек
+ */
+export const restoreAccount = async (userData) => {
+  const user = await db.restoreUser(userData, config.privacy.dataRetentionDays);
+  if (!user) return null;
+
+  const routines = await db.getUserRoutines(user.user_id);
+  for (const routine of routines) {
+    await backgroundQueue.add('generate-reminders', {
+      type: 'generate-reminders',
+      data: { userId: user.user_id, routineId: routine.routine_id },
+    });
+  }
+
+  return { user, routines: routines.length };
+};
+
+/**
+ * Согласие с действующей версией политики
+ * После отзыва согласия напоминания активных рутин генерируются заново
+ * @param {Object} user - Пользователь из БД
+ * @param {string} source - Источник (bot, miniapp)
+ * @returns {Promise<Object>} { user, policy, resumed }
+ */
+export const grantConsent = async (user, source) => {
+  const policy = getCurrentPolicy();
+  const updated = await db.grantConsent(user.user_id, policy, source);
+
+  let resumed = 0;
+  if (user.consent_withdrawn_at) {
+    const routines = await db.getUserRoutines(user.user_id);
+    for (const routine of routines) {
+      await backgroundQueue.add('generate-reminders', {
+        type: 'generate-reminders',
+        data: { userId: user.user_id, routineId: routine.routine_id },
+      });
+    }
+    resumed = routines.length;
+  }
+
+  return { user: updated, policy, resumed };
+};
+
+/**
+ * Отзыв согласия на обработку данных
+ * Данные сохраняются, но будущие напоминания и их задачи отменяются
+ * @param {number} userId - ID пользователя
+ * @param {string} source - Источник (bot, miniapp)
+ * @returns {Promise<Object>} Количество отмененных напоминаний
+ */
+export const withdrawConsent = async (userId, source) => {
+  const { cancelledReminderIds } = await db.withdrawConsent(userId, source);
+  await cancelJobsFor(cancelledReminderIds);
+
+  return { cancelled: cancelledReminderIds.length };
+};
+
+export default {
+  FINAL_STATUSES,
+  isFinal,
+  completeReminder,
+  skipReminder,
+  postponeReminder,
+  deleteRoutine,
+  pauseRoutine,
+  resumeRoutine,
+  rescheduleRoutine,
+  startVacation,
+  endVacation,
+  TIMEZONE_MODES,
+  changeTimezone,
+  deleteAccount,
+  restoreAccount,
+  grantConsent,
+  withdrawConsent,
+};
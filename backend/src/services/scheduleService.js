@@ -0,0 +1,465 @@
+/**
+ * Сервис расписаний
+ * Определяет, в какие дни и в какое время должна срабатывать рутина
+ * @module services/scheduleService
+ */
+
+import moment from 'moment-timezone';
+import rrulePkg from 'rrule';
+import { normalizeTime, shiftTime, toDateString } from '../utils/time.js';
+
+const { rrulestr, RRule } = rrulePkg;
+
+/**
+ * Максимальное количество приёмов в день
+ */
+export const MAX_TIMES_PER_DAY = 6;
+
+/**
+ * Единицы интервала для расписания "каждые N дней/недель"
+ */
+export const INTERVAL_UNITS = ['day', 'week'];
+
+/**
+ * Максимальная длина интервала и цикла (в днях)
+ */
+export const MAX_CYCLE_DAYS = 365;
+
+/**
+ * Максимальное количество исключенных дат (exdates)
+ */
+export const MAX_EXDATES = 366;
+
+/**
+ * Допустимые частоты RRULE: напоминания планируются по дням,
+ * поэтому правила чаще раза в день (HOURLY и т.п.) не принимаем
+ */
+const RRULE_ALLOWED_FREQS = [RRule.YEARLY, RRule.MONTHLY, RRule.WEEKLY, RRule.DAILY];
+
+/**
+ * Кэш разобранных RRULE (правило + опорная дата)
+ */
+const rruleCache = new Map();
+const RRULE_CACHE_LIMIT = 1000;
+
+/**
+ * Разбор JSONB поля (pg возвращает объект, но на всякий случай поддерживаем строку)
+ * @param {*} value - Значение поля
+ * @returns {Array}
+ */
+const parseJsonArray = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Количество дней от опорной даты до указанной даты
+ * Считается по календарным датам, без учета переходов на летнее время
+ * @param {Date|string} anchorDate - Опорная дата
+ * @param {moment.Moment} date - Локальная дата пользователя
+ * @returns {number|null} Разница в днях (null, если опорной даты нет)
+ */
+const daysSinceAnchor = (anchorDate, date) => {
+  const anchor = toDateString(anchorDate);
+  if (!anchor) return null;
+  return moment.utc(date.format('YYYY-MM-DD')).diff(moment.utc(anchor), 'days');
+};
+
+/**
+ * Попадает ли дата в интервальное расписание (каждые N дней или недель)
+ * Для недельного интервала дни недели берутся из custom_days, иначе — день недели опорной даты
+ * @param {Object} schedule - Расписание из БД
+ * @param {moment.Moment} date - Локальная дата пользователя
+ * @returns {boolean}
+ */
+const matchesInterval = (schedule, date) => {
+  const days = daysSinceAnchor(schedule.anchor_date, date);
+  const every = Number(schedule.interval_value);
+  if (days === null || days < 0 || !every) return false;
+
+  if (schedule.interval_unit === 'week') {
+    const anchor = moment.utc(toDateString(schedule.anchor_date));
+    const weeks = moment.utc(date.format('YYYY-MM-DD')).startOf('isoWeek')
+      .diff(anchor.clone().startOf('isoWeek'), 'weeks');
+    const customDays = parseJsonArray(schedule.custom_days).map(Number);
+    const weekDays = customDays.length > 0 ? customDays : [anchor.isoWeekday()];
+    return weeks % every === 0 && weekDays.includes(date.isoWeekday());
+  }
+
+  return days % every === 0;
+};
+
+/**
+ * Попадает ли дата в дни приёма циклического расписания (X дней приём / Y дней перерыв)
+ * Цикл начинается с опорной даты (первый день приёма)
+ * @param {Object} schedule - Расписание из БД
+ * @param {moment.Moment} date - Локальная дата пользователя
+ * @returns {boolean}
+ */
+const matchesCycle = (schedule, date) => {
+  const days = daysSinceAnchor(schedule.anchor_date, date);
+  const onDays = Number(schedule.cycle_on_days);
+  const offDays = Number(schedule.cycle_off_days);
+  if (days === null || days < 0 || !onDays) return false;
+
+  return days % (onDays + (offDays || 0)) < onDays;
+};
+
+/**
+ * Разбор RRULE (RFC 5545)
+ * Время "плавающее": даты правила трактуются как локальные даты пользователя,
+ * DTSTART по умолчанию — опорная дата расписания
+ * @param {string} rruleString - Правило (FREQ=...;BYDAY=... или многострочный вариант с RRULE:/EXDATE:)
+ * @param {Date|string} anchorDate - Опорная дата
+ * @returns {Object} RRuleSet
+ * @throws {Error} Некорректное правило или частота чаще раза в день
+ */
+export const parseRrule = (rruleString, anchorDate = null) => {
+  const anchor = toDateString(anchorDate) || '1970-01-01';
+  const source = String(rruleString).trim();
+
+  // Короткая форма "FREQ=..." -> "RRULE:FREQ=..."; без DTSTART отсчет идет от опорной даты
+  const body = /^(RRULE|EXRULE|RDATE|EXDATE|DTSTART)/im.test(source) ? source : `RRULE:${source}`;
+  const withStart = /DTSTART/i.test(body)
+    ? body
+    : `DTSTART:${anchor.replace(/-/g, '')}T000000Z\n${body}`;
+
+  let ruleSet;
+  try {
+    ruleSet = rrulestr(withStart, { forceset: true });
+  } catch (error) {
+    throw new Error('Некорректное правило повторения (RRULE)');
+  }
+
+  const rules = ruleSet.rrules();
+  if (rules.length === 0 || rules.some(rule => !RRULE_ALLOWED_FREQS.includes(rule.options.freq))) {
+    throw new Error('RRULE должно повторяться не чаще раза в день (DAILY, WEEKLY, MONTHLY, YEARLY)');
+  }
+
+  return ruleSet;
+};
+
+/**
+ * Попадает ли дата в RRULE расписания
+ * @param {Object} schedule - Расписание из БД
+ * @param {moment.Moment} date - Локальная дата пользователя
+ * @returns {boolean}
+ */
+const matchesRrule = (schedule, date) => {
+  const dateStr = date.format('YYYY-MM-DD');
+  if (!schedule.rrule) return false;
+
+  const cacheKey = `${toDateString(schedule.anchor_date)}|${schedule.rrule}`;
+  let ruleSet = rruleCache.get(cacheKey);
+  if (!ruleSet) {
+    try {
+      ruleSet = parseRrule(schedule.rrule, schedule.anchor_date);
+    } catch (error) {
+      return false;
+    }
+    if (rruleCache.size >= RRULE_CACHE_LIMIT) rruleCache.clear();
+    rruleCache.set(cacheKey, ruleSet);
+  }
+
+  const dayStart = moment.utc(dateStr);
+  const occurrences = ruleSet.between(dayStart.toDate(), dayStart.clone().endOf('day').toDate(), true);
+  return occurrences.length > 0;
+};
+
+/**
+ * Нормализация списка времени: HH:MM, без дубликатов, по возрастанию
+ * @param {Array<string>} times - Список времени
+ * @returns {Array<string>}
+ */
+export const normalizeTimes = (times) => {
+  const normalized = (times || [])
+    .filter(Boolean)
+    .map(normalizeTime);
+  return [...new Set(normalized)].sort();
+};
+
+/**
+ * Нормализация списка дат: YYYY-MM-DD, без дубликатов, по возрастанию
+ * @param {Array<Date|string>} dates - Список дат
+ * @returns {Array<string>}
+ */
+export const normalizeDates = (dates) => {
+  const normalized = (dates || [])
+    .filter(Boolean)
+    .map(toDateString);
+  return [...new Set(normalized)].sort();
+};
+
+/**
+ * Типы расписаний, у которых может быть отдельное время на выходные (time_weekends)
+ */
+const WEEKEND_TIME_TYPES = ['weekdays', 'weekends'];
+
+/**
+ * Все слоты времени расписания для указанного дня недели
+ * specific_times (несколько приёмов в день) имеют приоритет над time_weekdays/time_weekends
+ * @param {Object} schedule - Расписание из БД
+ * @param {number} dayOfWeek - День недели (1=Пн, 7=Вс)
+ * @returns {Array<string>} Время слотов (HH:MM)
+ */
+export const getTimesForDay = (schedule, dayOfWeek) => {
+  const specificTimes = normalizeTimes(parseJsonArray(schedule.specific_times));
+  const isWeekend = dayOfWeek >= 6;
+
+  if (specificTimes.length > 0) {
+    return specificTimes;
+  }
+
+  if (WEEKEND_TIME_TYPES.includes(schedule.schedule_type) && isWeekend) {
+    return normalizeTimes([schedule.time_weekends || schedule.time_weekdays]);
+  }
+
+  return normalizeTimes([schedule.time_weekdays]);
+};
+
+/**
+ * Слоты напоминаний расписания на конкретную дату
+ * @param {Object} schedule - Расписание из БД
+ * @param {moment.Moment} date - Локальная дата пользователя
+ * @returns {Array<string>} Время слотов (HH:MM), пустой массив если день не подходит
+ */
+export const getSlotsForDate = (schedule, date) => {
+  const dayOfWeek = date.isoWeekday(); // 1=Пн, 7=Вс
+
+  // Расписание закончилось (end_date включительно) или дата исключена (exdates)
+  const dateStr = date.format('YYYY-MM-DD');
+  const endDate = toDateString(schedule.end_date);
+  if (endDate && dateStr > endDate) {
+    return [];
+  }
+
+  if (parseJsonArray(schedule.exdates).map(toDateString).includes(dateStr)) {
+    return [];
+  }
+
+  switch (schedule.schedule_type) {
+    case 'daily':
+    case 'weekdays':
+      return getTimesForDay(schedule, dayOfWeek);
+
+    case 'weekends':
+      return dayOfWeek >= 6 ? getTimesForDay(schedule, dayOfWeek) : [];
+
+    case 'custom': {
+      const customDays = parseJsonArray(schedule.custom_days).map(Number);
+      return customDays.includes(dayOfWeek) ? getTimesForDay(schedule, dayOfWeek) : [];
+    }
+
+    case 'interval':
+      return matchesInterval(schedule, date) ? getTimesForDay(schedule, dayOfWeek) : [];
+
+    case 'cyclic':
+      return matchesCycle(schedule, date) ? getTimesForDay(schedule, dayOfWeek) : [];
+
+    case 'rrule':
+      return matchesRrule(schedule, date) ? getTimesForDay(schedule, dayOfWeek) : [];
+
+    default:
+      return [];
+  }
+};
+
+/**
+ * Приведение поля расписания к сравнимому виду
+ * @param {string} key - Имя поля
+ * @param {*} value - Значение
+ * @returns {string|null}
+ */
+const normalizeScheduleField = (key, value) => {
+  switch (key) {
+    case 'specific_times':
+      return JSON.stringify(normalizeTimes(parseJsonArray(value)));
+    case 'exdates':
+      return JSON.stringify(normalizeDates(parseJsonArray(value)));
+    case 'custom_days':
+      return JSON.stringify(parseJsonArray(value).map(Number).sort());
+    default:
+      break;
+  }
+
+  if (value === undefined || value === null || value === '') return null;
+
+  if (['time_weekdays', 'time_weekends'].includes(key)) return normalizeTime(value);
+  if (['end_date', 'anchor_date'].includes(key)) return toDateString(value);
+  return String(value);
+};
+
+/**
+ * Поля расписания, которые действительно меняются
+ * @param {Object} current - Текущее расписание из БД
+ * @param {Object} updates - Новые значения полей
+ * @returns {Array<string>} Имена измененных полей
+ */
+export const diffSchedule = (current, updates) => {
+  return Object.keys(updates).filter(
+    key => normalizeScheduleField(key, current[key]) !== normalizeScheduleField(key, updates[key])
+  );
+};
+
+/**
+ * Проверка согласованности расписания (после слияния с изменениями)
+ * @param {Object} schedule - Поля расписания
+ * @returns {string|null} Текст ошибки или null
+ */
+export const getScheduleError = (schedule) => {
+  if (!schedule.time_weekdays && normalizeTimes(parseJsonArray(schedule.specific_times)).length === 0) {
+    return 'Укажите время напоминания';
+  }
+
+  switch (schedule.schedule_type) {
+    case 'custom':
+      return parseJsonArray(schedule.custom_days).length > 0 ? null : 'Выберите дни недели';
+
+    case 'interval':
+      if (!Number(schedule.interval_value) || !INTERVAL_UNITS.includes(schedule.interval_unit)) {
+        return 'Укажите интервал повторения';
+      }
+      return null;
+
+    case 'cyclic':
+      if (!Number(schedule.cycle_on_days) || Number.isNaN(Number(schedule.cycle_off_days))) {
+        return 'Укажите количество дней приёма и перерыва';
+      }
+      if (Number(schedule.cycle_on_days) + Number(schedule.cycle_off_days) > MAX_CYCLE_DAYS) {
+        return `Цикл не может быть длиннее ${MAX_CYCLE_DAYS} дней`;
+      }
+      return null;
+
+    case 'rrule':
+      return schedule.rrule ? null : 'Укажите правило повторения (RRULE)';
+
+    default:
+      return null;
+  }
+};
+
+/**
+ * Будущие напоминания, которых нет в новом расписании
+ * Совпадающие слоты сохраняются вместе с задачами в очереди
+ * @param {Array<Object>} schedules - Расписания рутины
+ * @param {Array<Object>} reminders - Предстоящие напоминания рутины
+ * @returns {Array<Object>} Напоминания, которые нужно отменить
+ */
+export const getStaleReminders = (schedules, reminders) => {
+  return reminders.filter(reminder => {
+    const date = moment(toDateString(reminder.scheduled_date), 'YYYY-MM-DD');
+    const time = normalizeTime(reminder.scheduled_time);
+    return !schedules.some(schedule => getSlotsForDate(schedule, date).includes(time));
+  });
+};
+
+/**
+ * Дата окончания курса заданной длины
+ * День начала входит в курс: курс 10 дней с 1-го числа заканчивается 10-го
+ * @param {Date|string} startDate - Дата начала (YYYY-MM-DD)
+ * @param {number} days - Длительность курса в днях
+ * @returns {string} Дата окончания (YYYY-MM-DD)
+ */
+export const getCourseEndDate = (startDate, days) => {
+  return moment.utc(toDateString(startDate))
+    .add(Number(days) - 1, 'days')
+    .format('YYYY-MM-DD');
+};
+
+/**
+ * Процент выполнения (адгерентность)
+ * @param {Object} stats - Статистика рутины ({ total, completed })
+ * @returns {number} Процент от 0 до 100
+ */
+export const getAdherencePercent = ({ total, completed }) => {
+  if (!total) return 0;
+  return Math.round((completed / total) * 100);
+};
+
+/**
+ * Подготовка полей расписания из списка времени
+ * Первое время сохраняется в time_weekdays для обратной совместимости
+ * @param {Array<string>} times - Список времени
+ * @returns {Object} Поля time_weekdays и specific_times
+ */
+export const buildTimeFields = (times) => {
+  const normalized = normalizeTimes(times);
+  return {
+    time_weekdays: normalized[0] || null,
+    specific_times: normalized.length > 1 ? normalized : null,
+  };
+};
+
+/**
+ * Сдвиг времени приёмов расписания (смена часового пояса с сохранением абсолютного времени)
+ * Дни недели и даты не сдвигаются: приём, перешедший через полночь, остается в тех же днях
+ * @param {Object} schedule - Расписание из БД
+ * @param {number} minutes - Сдвиг в минутах
+ * @returns {Object} Поля для обновления расписания (пустой объект, если сдвига нет)
+ */
+export const shiftScheduleTimes = (schedule, minutes) => {
+  if (!minutes) return {};
+
+  const updates = {};
+
+  if (schedule.specific_times?.length) {
+    Object.assign(updates, buildTimeFields(schedule.specific_times.map(time => shiftTime(time, minutes))));
+  } else if (schedule.time_weekdays) {
+    updates.time_weekdays = shiftTime(schedule.time_weekdays, minutes);
+  }
+
+  if (schedule.time_weekends) {
+    updates.time_weekends = shiftTime(schedule.time_weekends, minutes);
+  }
+
+  return updates;
+};
+
+/**
+ * Нумерация слотов в списке напоминаний на день
+ * Добавляет slot_index/slot_total для рутин с несколькими приёмами
+ * @param {Array<Object>} reminders - Напоминания (отсортированы по времени)
+ * @returns {Array<Object>}
+ */
+export const numberSlots = (reminders) => {
+  const totals = {};
+  reminders.forEach(r => {
+    totals[r.routine_id] = (totals[r.routine_id] || 0) + 1;
+  });
+
+  const counters = {};
+  return reminders.map(r => {
+    counters[r.routine_id] = (counters[r.routine_id] || 0) + 1;
+    return {
+      ...r,
+      slot_index: counters[r.routine_id],
+      slot_total: totals[r.routine_id],
+    };
+  });
+};
+
+export default {
+  MAX_TIMES_PER_DAY,
+  INTERVAL_UNITS,
+  MAX_CYCLE_DAYS,
+  MAX_EXDATES,
+  parseRrule,
+  normalizeTimes,
+  normalizeDates,
+  getTimesForDay,
+  getSlotsForDate,
+  diffSchedule,
+  getScheduleError,
+  getStaleReminders,
+  getCourseEndDate,
+  getAdherencePercent,
+  buildTimeFields,
+  shiftScheduleTimes,
+  numberSlots,
+};
@@ -0,0 +1,254 @@
+/**
+ * Сессии мини-приложения
+ * Каждый вход — отдельная сессия (устройство). Access-токен действует, пока сессия не отозвана;
+ * refresh-токен одноразовый: при обновлении выдается новый, а повторное предъявление старого
+ * считается кражей и отзывает сессию
+ * @module services/sessionService
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { config } from '../config/index.js';
+import { logger } from '../config/logger.js';
+import * as db from './databaseService.js';
+
+/**
+ * Как часто обновлять время последнего использования сессии (в минутах)
+ */
+const TOUCH_INTERVAL_MINUTES = 5;
+
+/**
+ * Время истечения JWT
+ * @param {string} token - JWT
+ * @returns {Date}
+ */
+const getExpiry = (token) => new Date(jwt.decode(token).exp * 1000);
+
+/**
+ * Оставшееся время жизни access-токена (в секундах)
+ * @param {string} token - JWT
+ * @returns {number}
+ */
+const getExpiresIn = (token) => Math.max(0, Math.round((getExpiry(token).getTime() - Date.now()) / 1000));
+
+/**
+ * Выпуск пары токенов для сессии
+ * refresh-токен получает уникальный jti, чтобы два обновления в одну секунду не дали одинаковый токен
+ * @param {Object} user - Пользователь из БД
+ * @param {string} sessionId - ID сессии
+ * @returns {Object} { token, refreshToken }
+ */
+const signTokens = (user, sessionId) => ({
+  token: jwt.sign(
+    { userId: user.user_id, username: user.username, sid: sessionId },
+    config.jwt.secret,
+    { expiresIn: config.jwt.expiresIn }
+  ),
+  refreshToken: jwt.sign(
+    { userId: user.user_id, type: 'refresh', sid: sessionId },
+    config.jwt.secret,
+    { expiresIn: config.jwt.refreshExpiresIn, jwtid: crypto.randomUUID() }
+  ),
+});
+
+/**
+ * Создание сессии при входе
+ * @param {Object} user - Пользователь из БД
+ * @param {Object} client - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { sessionId, token, refreshToken, expiresIn }
+ */
+export const createSession = async (user, { ipAddress, userAgent } = {}) => {
+  const sessionId = crypto.randomUUID();
+  const tokens = signTokens(user, sessionId);
+
+  await db.query(
+    `INSERT INTO sessions (session_id, user_id, token, refresh_token, expires_at, refresh_expires_at, ip_address, user_agent)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [
+      sessionId,
+      user.user_id,
+      tokens.token,
+      tokens.refreshToken,
+      getExpiry(tokens.token),
+      getExpiry(tokens.refreshToken),
+      ipAddress || null,
+      userAgent || null,
+    ]
+  );
+
+  logger.info('Сессия мини-приложения создана', { userId: user.user_id, sessionId });
+  return { sessionId, ...tokens, expiresIn: getExpiresIn(tokens.token) };
+};
+
+/**
+ * Активная сессия по access-токену
+ * @param {string} token - Access-токен (подпись уже проверена)
+ * @returns {Promise<Object|null>} Сессия или null, если она отозвана или токен заменен при обновлении
+ */
+export const findActiveSession = async (token) => {
+  const result = await db.query(
+    `SELECT * FROM sessions
+     WHERE token = $1 AND is_revoked = false AND expires_at > CURRENT_TIMESTAMP`,
+    [token]
+  );
+  const session = result.rows[0];
+  if (!session) return null;
+
+  // Время последнего использования обновляем не на каждый запрос
+  await db.query(
+    `UPDATE sessions SET last_used_at = CURRENT_TIMESTAMP
+     WHERE session_id = $1 AND last_used_at < CURRENT_TIMESTAMP - $2 * INTERVAL '1 minute'`,
+    [session.session_id, TOUCH_INTERVAL_MINUTES]
+  );
+
+  return session;
+};
+
+/**
+ * Сессия, к которой относится refresh-токен
+ * Токены, выпущенные до ротации, не содержат sid и ищутся по значению
+ * @param {Object} decoded - Расшифрованный refresh-токен
+ * @param {string} refreshToken - refresh-токен
+ * @returns {Promise<Object|null>}
+ */
+const findSessionForRefresh = async (decoded, refreshToken) => {
+  const result = decoded.sid
+    ? await db.query('SELECT * FROM sessions WHERE session_id = $1 AND user_id = $2', [decoded.sid, decoded.userId])
+    : await db.query(
+      'SELECT * FROM sessions WHERE refresh_token = $1 OR previous_refresh_token = $1',
+      [refreshToken]
+    );
+  return result.rows[0] || null;
+};
+
+/**
+ * Обновление токенов с ротацией refresh-токена
+ * Предыдущий refresh-токен принимается еще config.auth.refreshReuseGrace секунд (параллельные
+ * запросы мини-приложения) и возвращает уже выпущенную пару; позже — это повторное
+ * использование, и сессия отзывается
+ * @param {string} refreshToken - refresh-токен
+ * @param {Object} client - { ipAddress, userAgent }
+ * @returns {Promise<Object>} { status: 'ok', sessionId, token, refreshToken, expiresIn }
+ *   или { status: 'invalid' | 'revoked' | 'reuse' }
+ * @throws {Error} Если подпись токена неверна или он истек
+ */
+export const rotateSession = async (refreshToken, { ipAddress, userAgent } = {}) => {
+  const decoded = jwt.verify(refreshToken, config.jwt.secret);
+  if (decoded.type !== 'refresh') return { status: 'invalid' };
+
+  const session = await findSessionForRefresh(decoded, refreshToken);
+  if (!session || session.is_revoked) return { status: 'revoked' };
+
+  if (session.refresh_token === refreshToken) {
+    const user = await db.getUserById(session.user_id);
+    if (!user) return { status: 'revoked' };
+
+    const tokens = signTokens(user, session.session_id);
+    const updated = await db.query(
+      `UPDATE sessions
+       SET token = $1, refresh_token = $2, previous_refresh_token = $3, rotated_at = CURRENT_TIMESTAMP,
+           expires_at = $4, refresh_expires_at = $5, last_used_at = CURRENT_TIMESTAMP,
+           ip_address = COALESCE($6, ip_address), user_agent = COALESCE($7, user_agent)
+       WHERE session_id = $8 AND refresh_token = $3 AND is_revoked = false`,
+      [
+        tokens.token,
+        tokens.refreshToken,
+        refreshToken,
+        getExpiry(tokens.token),
+        getExpiry(tokens.refreshToken),
+        ipAddress || null,
+        userAgent || null,
+        session.session_id,
+      ]
+    );
+
+    // Параллельный запрос успел обновить сессию — повторяем уже как предыдущий токен
+    if (updated.rowCount === 0) {
+      return rotateSession(refreshToken, { ipAddress, userAgent });
+    }
+
+    return { status: 'ok', sessionId: session.session_id, ...tokens, expiresIn: getExpiresIn(tokens.token) };
+  }
+
+  const graceUntil = session.rotated_at
+    ? new Date(session.rotated_at).getTime() + config.auth.refreshReuseGrace * 1000
+    : 0;
+
+  if (session.previous_refresh_token === refreshToken && Date.now() <= graceUntil) {
+    return {
+      status: 'ok',
+      sessionId: session.session_id,
+      token: session.token,
+      refreshToken: session.refresh_token,
+      expiresIn: getExpiresIn(session.token),
+    };
+  }
+
+  await revokeSession(session.user_id, session.session_id, 'reuse');
+  logger.warn('Повторное использование refresh-токена, сессия отозвана', {
+    userId: session.user_id,
+    sessionId: session.session_id,
+  });
+  return { status: 'reuse' };
+};
+
+/**
+ * Активные сессии пользователя (устройства)
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<Array>}
+ */
+export const getActiveSessions = async (userId) => {
+  const result = await db.query(
+    `SELECT session_id, ip_address, user_agent, created_at, last_used_at
+     FROM sessions
+     WHERE user_id = $1
+       AND is_revoked = false
+       AND COALESCE(refresh_expires_at, expires_at) > CURRENT_TIMESTAMP
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+  return result.rows;
+};
+
+/**
+ * Отзыв одной сессии пользователя
+ * @param {number} userId - ID пользователя
+ * @param {string} sessionId - ID сессии
+ * @param {string} reason - Причина (logout, reuse)
+ * @returns {Promise<boolean>} false, если сессия не найдена или уже отозвана
+ */
+export const revokeSession = async (userId, sessionId, reason = 'logout') => {
+  const result = await db.query(
+    `UPDATE sessions
+     SET is_revoked = true, revoked_at = CURRENT_TIMESTAMP, revoke_reason = $3
+     WHERE session_id = $1 AND user_id = $2 AND is_revoked = false`,
+    [sessionId, userId, reason]
+  );
+  return result.rowCount > 0;
+};
+
+/**
+ * Выход на всех устройствах
+ * @param {number} userId - ID пользователя
+ * @returns {Promise<number>} Количество отозванных сессий
+ */
+export const revokeAllSessions = async (userId) => {
+  const result = await db.query(
+    `UPDATE sessions
+     SET is_revoked = true, revoked_at = CURRENT_TIMESTAMP, revoke_reason = 'logout_all'
+     WHERE user_id = $1 AND is_revoked = false`,
+    [userId]
+  );
+
+  logger.info('Все сессии пользователя отозваны', { userId, count: result.rowCount });
+  return result.rowCount;
+};
+
+export default {
+  createSession,
+  findActiveSession,
+  rotateSession,
+  getActiveSessions,
+  revokeSession,
+  revokeAllSessions,
+};
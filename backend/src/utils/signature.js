@@ -0,0 +1,131 @@
+/**
+ * Подписи для авторизации мини-приложения
+ * Одноразовые коды подписываются HMAC, чтобы отбрасывать подобранные коды без обращения к Redis;
+ * init-data из Max WebApp проверяется по схеме платформы (HMAC-SHA256 от токена бота)
+ * @module utils/signature
+ */
+
+import crypto from 'crypto';
+
+/**
+ * Длина случайной части кода и подписи (в hex-символах)
+ */
+const NONCE_LENGTH = 24;
+const SIGNATURE_LENGTH = 16;
+
+/**
+ * Формат одноразового кода
+ */
+const CODE_PATTERN = new RegExp(`^[0-9a-f]{${NONCE_LENGTH + SIGNATURE_LENGTH}}$`);
+
+/**
+ * Ключ, из которого выводится секрет проверки init-data
+ */
+const WEB_APP_KEY = 'WebAppData';
+
+/**
+ * HMAC-SHA256
+ * @param {string|Buffer} key - Ключ
+ * @param {string} data - Данные
+ * @returns {Buffer}
+ */
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+/**
+ * Сравнение строк за постоянное время
+ * @param {string} a - Строка
+ * @param {string} b - Строка
+ * @returns {boolean}
+ */
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+/**
+ * Создание подписанного одноразового кода
+ * @param {string} secret - Секрет подписи
+ * @returns {string} Код: случайная часть и подпись (hex)
+ */
+export const createSignedCode = (secret) => {
+  const nonce = crypto.randomBytes(NONCE_LENGTH / 2).toString('hex');
+  const signature = hmac(secret, nonce).toString('hex').slice(0, SIGNATURE_LENGTH);
+  return `${nonce}${signature}`;
+};
+
+/**
+ * Проверка подписи одноразового кода
+ * @param {string} code - Код
+ * @param {string} secret - Секрет подписи
+ * @returns {boolean}
+ */
+export const verifySignedCode = (code, secret) => {
+  if (typeof code !== 'string' || !CODE_PATTERN.test(code)) return false;
+
+  const nonce = code.slice(0, NONCE_LENGTH);
+  const expected = hmac(secret, nonce).toString('hex').slice(0, SIGNATURE_LENGTH);
+  return safeEqual(code.slice(NONCE_LENGTH), expected);
+};
+
+/**
+ * Строка для проверки init-data: пары key=value без hash, по алфавиту, через перевод строки
+ * @param {URLSearchParams} params - Параметры init-data
+ * @returns {string}
+ */
+const getDataCheckString = (params) => [...params.entries()]
+  .filter(([key]) => key !== 'hash')
+  .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+  .map(([key, value]) => `${key}=${value}`)
+  .join('\n');
+
+/**
+ * Подпись init-data (так же ее считает платформа)
+ * @param {string} initData - Строка init-data без hash
+ * @param {string} botToken - Токен бота
+ * @returns {string} hash (hex)
+ */
+export const signInitData = (initData, botToken) => {
+  const secretKey = hmac(WEB_APP_KEY, botToken);
+  return hmac(secretKey, getDataCheckString(new URLSearchParams(initData))).toString('hex');
+};
+
+/**
+ * Проверка init-data, переданной платформой при открытии мини-приложения
+ * @param {string} initData - Строка init-data (query string)
+ * @param {string} botToken - Токен бота
+ * @param {Object} options - Параметры
+ * @param {number} options.maxAge - Максимальный возраст данных (в секундах)
+ * @param {Date} options.now - Текущее время
+ * @returns {Object|null} { userId, user, authDate } или null, если данные недействительны
+ */
+export const verifyInitData = (initData, botToken, { maxAge, now = new Date() } = {}) => {
+  if (typeof initData !== 'string' || !initData || !botToken) return null;
+
+  const params = new URLSearchParams(initData);
+  const hash = params.get('hash');
+  if (!hash || !safeEqual(hash.toLowerCase(), signInitData(initData, botToken))) return null;
+
+  const authDate = Number(params.get('auth_date'));
+  if (!Number.isInteger(authDate) || authDate <= 0) return null;
+  if (maxAge && now.getTime() / 1000 - authDate > maxAge) return null;
+
+  let user;
+  try {
+    user = JSON.parse(params.get('user') || 'null');
+  } catch {
+    return null;
+  }
+
+  const userId = Number(user?.id ?? user?.user_id);
+  if (!Number.isSafeInteger(userId) || userId <= 0) return null;
+
+  return { userId, user, authDate: new Date(authDate * 1000) };
+};
+
+export default {
+  createSignedCode,
+  verifySignedCode,
+  signInitData,
+  verifyInitData,
+};
@@ -0,0 +1,171 @@
+/**
+ * Работа со временем в часовом поясе пользователя
+ * Все даты и время напоминаний хранятся как локальное время пользователя,
+ * а в очередь попадают уже абсолютные моменты (UTC)
+ * @module utils/time
+ */
+
+import moment from 'moment-timezone';
+import { config } from '../config/index.js';
+
+/**
+ * Проверка и нормализация IANA часового пояса
+ * @param {string} timezone - Часовой пояс пользователя
+ * @returns {string} Валидный часовой пояс (или пояс по умолчанию)
+ */
+export const resolveTimezone = (timezone) => {
+  if (timezone && moment.tz.zone(timezone)) {
+    return timezone;
+  }
+  return config.business.defaultTimezone;
+};
+
+/**
+ * Текущий момент в часовом поясе пользователя
+ * @param {string} timezone - Часовой пояс
+ * @param {Date} now - Точка отсчета (по умолчанию текущее время)
+ * @returns {moment.Moment}
+ */
+export const getLocalNow = (timezone, now = new Date()) => {
+  return moment(now).tz(resolveTimezone(timezone));
+};
+
+/**
+ * Локальная дата пользователя
+ * @param {string} timezone - Часовой пояс
+ * @param {Date} now - Точка отсчета
+ * @returns {string} Дата (YYYY-MM-DD)
+ */
+export const getLocalDate = (timezone, now = new Date()) => {
+  return getLocalNow(timezone, now).format('YYYY-MM-DD');
+};
+
+/**
+ * "Сегодня" для пользователя
+ * @param {Object} user - Объект пользователя (нужно поле timezone)
+ * @returns {string} Дата (YYYY-MM-DD)
+ */
+export const getUserToday = (user) => getLocalDate(user?.timezone);
+
+/**
+ * Нормализация времени до HH:MM (PostgreSQL TIME приходит как HH:MM:SS)
+ * @param {string} time - Время
+ * @returns {string} Время (HH:MM)
+ */
+export const normalizeTime = (time) => String(time).substring(0, 5);
+
+/**
+ * Нормализация даты из БД до YYYY-MM-DD
+ * pg возвращает DATE как Date на полночь в поясе сервера
+ * @param {Date|string} value - Дата
+ * @returns {string|null} Дата (YYYY-MM-DD)
+ */
+export const toDateString = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return moment(value).format('YYYY-MM-DD');
+  }
+  return String(value).substring(0, 10);
+};
+
+/**
+ * Сдвиг календарной даты на N дней
+ * @param {Date|string} dateStr - Дата (YYYY-MM-DD)
+ * @param {number} days - Количество дней (может быть отрицательным)
+ * @returns {string} Дата (YYYY-MM-DD)
+ */
+export const addDays = (dateStr, days) => {
+  return moment.utc(toDateString(dateStr)).add(days, 'days').format('YYYY-MM-DD');
+};
+
+/**
+ * Перевод локальной даты и времени пользователя в абсолютный момент
+ * Несуществующее время (переход на летнее время) сдвигается вперед,
+ * неоднозначное (переход на зимнее) берется по первому вхождению
+ * @param {string} dateStr - Дата (YYYY-MM-DD)
+ * @param {string} time - Время (HH:MM или HH:MM:SS)
+ * @param {string} timezone - Часовой пояс
+ * @returns {Date} Абсолютный момент
+ */
+export const toUtcDate = (dateStr, time, timezone) => {
+  return moment.tz(
+    `${dateStr} ${normalizeTime(time)}`,
+    'YYYY-MM-DD HH:mm',
+    resolveTimezone(timezone)
+  ).toDate();
+};
+
+/**
+ * Разница смещений двух часовых поясов на заданный момент
+ * @param {string} fromTimezone - Исходный часовой пояс
+ * @param {string} toTimezone - Новый часовой пояс
+ * @param {Date} now - Точка отсчета
+ * @returns {number} Сдвиг локального времени в минутах (положительный — на восток)
+ */
+export const getTimezoneShift = (fromTimezone, toTimezone, now = new Date()) => {
+  return getLocalNow(toTimezone, now).utcOffset() - getLocalNow(fromTimezone, now).utcOffset();
+};
+
+/**
+ * Сдвиг времени суток на N минут с переходом через полночь
+ * @param {string} time - Время (HH:MM или HH:MM:SS)
+ * @param {number} minutes - Сдвиг в минутах (может быть отрицательным)
+ * @returns {string} Время (HH:MM)
+ */
+export const shiftTime = (time, minutes) => {
+  return moment.utc(normalizeTime(time), 'HH:mm').add(minutes, 'minutes').format('HH:mm');
+};
+
+/**
+ * Проверка тихих часов в часовом поясе пользователя
+ * @param {Object} user - Данные пользователя
+ * @param {Date} now - Точка отсчета
+ * @returns {boolean}
+ */
+export const isQuietHours = (user, now = new Date()) => {
+  if (!user?.quiet_hours_start || !user?.quiet_hours_end) return false;
+
+  const start = normalizeTime(user.quiet_hours_start);
+  const end = normalizeTime(user.quiet_hours_end);
+  const currentTime = getLocalNow(user.timezone, now).format('HH:mm');
+
+  if (start <= end) {
+    return currentTime >= start && currentTime < end;
+  }
+
+  // Переход через полночь
+  return currentTime >= start || currentTime < end;
+};
+
+/**
+ * Момент окончания тихих часов в часовом поясе пользователя
+ * @param {Object} user - Данные пользователя
+ * @param {Date} now - Точка отсчета
+ * @returns {Date} Абсолютный момент окончания
+ */
+export const getEndOfQuietHours = (user, now = new Date()) => {
+  const localNow = getLocalNow(user.timezone, now);
+  let endTime = toUtcDate(localNow.format('YYYY-MM-DD'), user.quiet_hours_end, user.timezone);
+
+  if (endTime <= now) {
+    const tomorrow = localNow.clone().add(1, 'day').format('YYYY-MM-DD');
+    endTime = toUtcDate(tomorrow, user.quiet_hours_end, user.timezone);
+  }
+
+  return endTime;
+};
+
+export default {
+  resolveTimezone,
+  getLocalNow,
+  getLocalDate,
+  getUserToday,
+  normalizeTime,
+  toDateString,
+  addDays,
+  toUtcDate,
+  getTimezoneShift,
+  shiftTime,
+  isQuietHours,
+  getEndOfQuietHours,
+};
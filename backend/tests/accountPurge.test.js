@@ -0,0 +1,155 @@
+/**
+ * Тесты для удаления, восстановления и окончательной очистки аккаунтов
+ * @module tests/accountPurge
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+import { createTestDatabase } from './helpers/database.js';
+
+const testDb = await createTestDatabase();
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+  query: testDb.query,
+  getClient: testDb.getClient,
+}));
+
+jest.unstable_mockModule('../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logWebhook: jest.fn(),
+  logMessageSent: jest.fn(),
+  logApiError: jest.fn(),
+  logBusinessEvent: jest.fn(),
+}));
+
+// Мокаем Redis и очереди BullMQ: задачи хранятся в памяти,
+// обработчики воркеров доступны по имени очереди
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  redisClient: {},
+  bullRedis: {},
+  bullSubscriber: {},
+  default: {},
+}));
+
+const queues = {};
+const processors = {};
+
+jest.unstable_mockModule('bullmq', () => {
+  class Queue {
+    constructor(name) {
+      this.add = jest.fn(async (jobName, data, opts = {}) => ({ id: opts.jobId, name: jobName, data, opts }));
+      this.getJob = jest.fn();
+      this.remove = jest.fn();
+      queues[name] = this;
+    }
+  }
+
+  class Worker {
+    constructor(name, processor) {
+      this.on = jest.fn();
+      processors[name] = processor;
+    }
+  }
+
+  return { Queue, Worker, Job: class {} };
+});
+
+jest.unstable_mockModule('../src/services/maxApi.js', () => ({
+  sendTextMessage: jest.fn(),
+  sendMessageWithKeyboard: jest.fn(),
+  createPayload: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/services/exportService.js', () => ({
+  removeUserExports: jest.fn(),
+  expireExports: jest.fn(),
+  runExport: jest.fn(),
+}));
+
+const { config } = await import('../src/config/index.js');
+const { removeUserExports } = await import('../src/services/exportService.js');
+const lifecycle = await import('../src/services/reminderLifecycle.js');
+const { query } = testDb;
+
+const retentionDays = config.privacy.dataRetentionDays;
+
+/**
+ * Пользователь с рутиной; deletedDaysAgo задает удаленный аккаунт
+ * @param {number} userId - ID пользователя
+ * @param {number|null} deletedDaysAgo - Сколько дней назад удален
+ */
+const addUser = async (userId, deletedDaysAgo = null) => {
+  await query(
+    `INSERT INTO users (user_id, first_name, is_active, deleted_at)
+     VALUES ($1, 'Анна', $2, CURRENT_TIMESTAMP - $3 * INTERVAL '1 day')`,
+    [userId, deletedDaysAgo === null, deletedDaysAgo]
+  );
+  await query(
+    "INSERT INTO routines (user_id, type, title) VALUES ($1, 'habit', 'Зарядка')",
+    [userId]
+  );
+};
+
+const userIds = async () => {
+  const result = await query('SELECT user_id FROM users ORDER BY user_id');
+  return result.rows.map(row => Number(row.user_id));
+};
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  await query('DELETE FROM users');
+});
+
+describe('Account restore', () => {
+  it('should restore an account deleted within the retention period', async () => {
+    await addUser(1001);
+    await lifecycle.deleteAccount(1001);
+    await query(
+      "UPDATE users SET deleted_at = CURRENT_TIMESTAMP - ($2::int - 1) * INTERVAL '1 day' WHERE user_id = $1",
+      [1001, retentionDays]
+    );
+
+    const result = await lifecycle.restoreAccount({ user_id: 1001, first_name: 'Анна' });
+
+    expect(result.routines).toBe(1);
+    expect(result.user).toMatchObject({ is_active: true, deleted_at: null, first_name: 'Анна' });
+
+    const jobs = queues.background.add.mock.calls.filter(([name]) => name === 'generate-reminders');
+    expect(jobs).toHaveLength(1);
+    expect(Number(jobs[0][1].data.userId)).toBe(1001);
+  });
+
+  it('should refuse to restore an account after the retention period', async () => {
+    await addUser(1001, retentionDays + 1);
+
+    const result = await lifecycle.restoreAccount({ user_id: 1001, first_name: 'Анна' });
+
+    expect(result).toBeNull();
+    const user = await query('SELECT is_active, deleted_at FROM users WHERE user_id = $1', [1001]);
+    expect(user.rows[0].is_active).toBe(false);
+    expect(user.rows[0].deleted_at).not.toBeNull();
+    expect(queues.background.add).not.toHaveBeenCalled();
+  });
+});
+
+describe('Account purge', () => {
+  it('should purge only accounts deleted before the retention period', async () => {
+    await addUser(1001);
+    await addUser(1002, retentionDays - 1);
+    await addUser(1003, retentionDays + 1);
+
+    const result = await processors.background({ id: 'test', data: { type: 'cleanup-old-data', data: {} } });
+
+    expect(result).toEqual({ purged: 1 });
+    expect(await userIds()).toEqual([1001, 1002]);
+    expect(removeUserExports).toHaveBeenCalledTimes(1);
+    expect(Number(removeUserExports.mock.calls[0][0])).toBe(1003);
+
+    const routines = await query('SELECT user_id FROM routines WHERE user_id = $1', [1003]);
+    expect(routines.rows).toEqual([]);
+  });
+});
@@ -0,0 +1,74 @@
+/**
+ * Тесты для реестра версий политики конфиденциальности
+ * @module tests/consent
+ */
+
+import fs from 'fs';
+import { describe, it, expect } from '@jest/globals';
+import {
+  PRIVACY_POLICIES,
+  hashPolicyText,
+  getCurrentPolicy,
+  getPolicy,
+  needsConsent,
+  allowsReminders,
+} from '../src/services/consentService.js';
+
+const latest = PRIVACY_POLICIES[PRIVACY_POLICIES.length - 1];
+
+describe('Privacy policy registry', () => {
+  it('should register the current text of docs/privacy-policy.md', () => {
+    // Изменили политику — добавьте новую версию в PRIVACY_POLICIES
+    const text = fs.readFileSync(new URL('../../docs/privacy-policy.md', import.meta.url), 'utf-8');
+    expect(hashPolicyText(text)).toBe(latest.hash);
+  });
+
+  it('should keep versions unique and ordered by effective date', () => {
+    const versions = PRIVACY_POLICIES.map(policy => policy.version);
+    expect(new Set(versions).size).toBe(versions.length);
+
+    const dates = PRIVACY_POLICIES.map(policy => policy.effectiveDate);
+    expect([...dates].sort()).toEqual(dates);
+  });
+
+  it('should ignore line endings when hashing', () => {
+    expect(hashPolicyText('a\r\nb\r\n')).toBe(hashPolicyText('a\nb\n'));
+  });
+});
+
+describe('Current policy', () => {
+  const policies = [
+    { version: '1.0', effectiveDate: '2026-02-12' },
+    { version: '1.1', effectiveDate: '2026-10-19' },
+  ];
+
+  it('should pick the latest version in force', () => {
+    expect(getCurrentPolicy(new Date('2026-10-18T23:59:00Z'), policies).version).toBe('1.0');
+    expect(getCurrentPolicy(new Date('2026-10-19T00:00:00Z'), policies).version).toBe('1.1');
+  });
+
+  it('should find a version by number', () => {
+    expect(getPolicy(latest.version)).toBe(latest);
+    expect(getPolicy('0.1')).toBeNull();
+  });
+});
+
+describe('Consent check', () => {
+  const now = new Date(`${latest.effectiveDate}T12:00:00Z`);
+
+  it('should require consent for an outdated version', () => {
+    expect(needsConsent({ gdpr_consent: true, privacy_version: '1.0' }, now)).toBe(latest.version !== '1.0');
+    expect(needsConsent({ gdpr_consent: true, privacy_version: latest.version }, now)).toBe(false);
+  });
+
+  it('should require consent after withdrawal', () => {
+    expect(needsConsent({ gdpr_consent: false, privacy_version: latest.version }, now)).toBe(true);
+  });
+});
+
+describe('Reminders consent rule', () => {
+  it('should keep reminders under an outdated version until consent is withdrawn', () => {
+    expect(allowsReminders({ gdpr_consent: true, privacy_version: '1.0', consent_withdrawn_at: null })).toBe(true);
+    expect(allowsReminders({ gdpr_consent: false, privacy_version: '1.0', consent_withdrawn_at: new Date() })).toBe(false);
+  });
+});
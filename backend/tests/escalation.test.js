@@ -0,0 +1,66 @@
+/**
+ * Тесты для политик эскалации
+ * @module tests/escalation
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as escalation from '../src/services/escalationService.js';
+
+const medication = { type: 'medication', priority: 1, escalation_policy: null };
+const criticalMedication = { type: 'medication', priority: 3, escalation_policy: null };
+
+describe('Escalation policies', () => {
+  describe('Default policy', () => {
+    it('should keep global timings for medications', () => {
+      const policy = escalation.resolveEscalationPolicy(medication);
+
+      expect(escalation.getEscalationStep(policy, medication, 1)).toEqual({ level: 1, delay: 15, autoSkip: false });
+      expect(escalation.getEscalationStep(policy, medication, 2)).toEqual({ level: 2, delay: 30, autoSkip: false });
+      expect(escalation.getEscalationStep(policy, medication, 3)).toEqual({ level: 3, delay: 15, autoSkip: true });
+      expect(escalation.getEscalationStep(policy, medication, 4)).toBeNull();
+    });
+
+    it('should nudge habits once without auto-skip', () => {
+      const habit = { type: 'habit', priority: 1 };
+      const policy = escalation.resolveEscalationPolicy(habit);
+
+      expect(escalation.getEscalationStep(policy, habit, 1)).toMatchObject({ delay: 15 });
+      expect(escalation.getEscalationStep(policy, habit, 2)).toBeNull();
+    });
+  });
+
+  describe('Policy resolution', () => {
+    it('should apply user policy, then routine policy', () => {
+      const userPolicy = { intervals: [10, 10, 10], autoSkipAfter: 20 };
+      const routine = { ...medication, escalation_policy: { autoSkip: false } };
+      const policy = escalation.resolveEscalationPolicy(routine, userPolicy);
+
+      expect(policy).toMatchObject({ intervals: [10, 10, 10], autoSkip: false, autoSkipAfter: 20 });
+      expect(escalation.getEscalationStep(policy, routine, 4)).toBeNull();
+      expect(escalation.getElapsedMinutes(policy, 3)).toBe(30);
+    });
+
+    it('should not auto-skip high priority medications unless allowed', () => {
+      const policy = escalation.resolveEscalationPolicy(criticalMedication, { autoSkipHighPriority: false });
+
+      expect(escalation.canAutoSkip(policy, criticalMedication)).toBe(false);
+      expect(escalation.canAutoSkip(policy, medication)).toBe(true);
+      expect(escalation.getEscalationStep(policy, criticalMedication, 3)).toBeNull();
+    });
+  });
+
+  describe('Validation', () => {
+    it('should accept partial policies', () => {
+      expect(escalation.getEscalationPolicyError({ autoSkip: false })).toBeNull();
+      expect(escalation.getEscalationPolicyError({ intervals: [], autoSkipAfter: 60 })).toBeNull();
+    });
+
+    it('should reject invalid policies', () => {
+      expect(escalation.getEscalationPolicyError([])).not.toBeNull();
+      expect(escalation.getEscalationPolicyError({ intervals: [15, 0] })).not.toBeNull();
+      expect(escalation.getEscalationPolicyError({ intervals: [5, 5, 5, 5, 5, 5] })).not.toBeNull();
+      expect(escalation.getEscalationPolicyError({ autoSkip: 'yes' })).not.toBeNull();
+      expect(escalation.getEscalationPolicyError({ levels: 3 })).not.toBeNull();
+    });
+  });
+});
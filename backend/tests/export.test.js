@@ -0,0 +1,81 @@
+/**
+ * Тесты для экспорта данных пользователя
+ * @module tests/export
+ */
+
+import zlib from 'zlib';
+import { describe, it, expect } from '@jest/globals';
+import { crc32, createZip } from '../src/utils/zip.js';
+import { buildExportArchive, toCsv } from '../src/services/exportService.js';
+
+/**
+ * Чтение файлов архива по локальным заголовкам
+ */
+const readZip = (buffer) => {
+  const files = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034B50) {
+    const compressedSize = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.subarray(offset + 30, offset + 30 + nameLength).toString('utf-8');
+    const start = offset + 30 + nameLength;
+    const content = zlib.inflateRawSync(buffer.subarray(start, start + compressedSize));
+    files[name] = { content: content.toString('utf-8'), crc: buffer.readUInt32LE(offset + 14) };
+    offset = start + compressedSize;
+  }
+  return files;
+};
+
+describe('ZIP archive', () => {
+  it('should compute standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xCBF43926);
+  });
+
+  it('should pack files with UTF-8 content', () => {
+    const archive = createZip([
+      { name: 'a.txt', content: 'привет' },
+      { name: 'b.txt', content: Buffer.from('world') },
+    ]);
+    const files = readZip(archive);
+
+    expect(Object.keys(files)).toEqual(['a.txt', 'b.txt']);
+    expect(files['a.txt'].content).toBe('привет');
+    expect(files['a.txt'].crc).toBe(crc32(Buffer.from('привет')));
+    expect(archive.readUInt32LE(archive.length - 22)).toBe(0x06054B50);
+  });
+});
+
+describe('Export CSV', () => {
+  it('should quote values and serialize objects and dates', () => {
+    const csv = toCsv([
+      { title: 'Витамин D, 2000 МЕ', custom_days: [1, 3], created_at: new Date('2026-02-12T05:00:00Z') },
+      { title: 'Магний', custom_days: null, note: 'вечером' },
+    ]);
+
+    expect(csv.startsWith('\uFEFF')).toBe(true);
+    const lines = csv.slice(1).trim().split('\n');
+    expect(lines[0]).toBe('title,custom_days,created_at,note');
+    expect(lines[1]).toBe('"Витамин D, 2000 МЕ","[1,3]",2026-02-12T05:00:00.000Z,');
+    expect(lines[2]).toBe('Магний,,,вечером');
+  });
+});
+
+describe('Export archive', () => {
+  it('should contain JSON with all sections and CSV for non-empty ones', () => {
+    const archive = buildExportArchive({
+      profile: [{ user_id: 1, first_name: 'Анна' }],
+      routines: [{ routine_id: 'r1', title: 'Магний' }],
+      reminders: [],
+    }, new Date('2026-02-12T10:00:00Z'));
+    const files = readZip(archive);
+
+    expect(Object.keys(files)).toEqual(['data.json', 'profile.csv', 'routines.csv']);
+
+    const json = JSON.parse(files['data.json'].content);
+    expect(json.generated_at).toBe('2026-02-12T10:00:00.000Z');
+    expect(json.profile.first_name).toBe('Анна');
+    expect(json.routines).toHaveLength(1);
+    expect(json.reminders).toEqual([]);
+    expect(json.achievements).toEqual([]);
+  });
+});
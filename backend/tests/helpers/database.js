@@ -0,0 +1,41 @@
+/**
+ * Тестовая база PostgreSQL в памяти (PGlite) со схемой из миграций
+ * Нужна там, где логика живет в SQL (функции серии, условия выборок)
+ * @module tests/helpers/database
+ */
+
+import fs from 'fs';
+import { PGlite } from '@electric-sql/pglite';
+import { uuid_ossp } from '@electric-sql/pglite/contrib/uuid_ossp';
+
+const MIGRATIONS_DIR = new URL('../../src/migrations/', import.meta.url);
+
+/**
+ * Создание базы и применение всех миграций по порядку
+ * В PGlite нет расширения pgcrypto; схема его функции не использует
+ * @returns {Promise<Object>} { db, query, getClient } — query и getClient совместимы с config/database.js
+ */
+export const createTestDatabase = async () => {
+  const db = new PGlite({ extensions: { uuid_ossp } });
+
+  const files = fs.readdirSync(MIGRATIONS_DIR).filter(file => file.endsWith('.sql')).sort();
+  for (const file of files) {
+    const sql = fs.readFileSync(new URL(file, MIGRATIONS_DIR), 'utf-8')
+      .replace('CREATE EXTENSION IF NOT EXISTS "pgcrypto";', '');
+    await db.exec(sql);
+  }
+
+  const query = async (text, params = []) => {
+    const result = await db.query(text, params);
+    return { rows: result.rows, rowCount: result.affectedRows || result.rows.length };
+  };
+
+  // Одно соединение: транзакции сервисов выполняются последовательно
+  const getClient = async () => ({ query, release: () => {} });
+
+  return { db, query, getClient };
+};
+
+export default {
+  createTestDatabase,
+};
@@ -0,0 +1,59 @@
+/**
+ * Тесты для разбора текстового ввода в диалогах бота
+ * @module tests/inputParser
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as input from '../src/bot/inputParser.js';
+
+describe('Input parser', () => {
+  describe('parseText', () => {
+    it('should trim and collapse whitespace', () => {
+      expect(input.parseText('  Магний   500 мг \n', 100)).toBe('Магний 500 мг');
+    });
+
+    it('should reject empty and too long input', () => {
+      expect(input.parseText('   ', 100)).toBeNull();
+      expect(input.parseText('а'.repeat(51), input.MAX_DOSAGE_LENGTH)).toBeNull();
+    });
+  });
+
+  describe('parseTimes', () => {
+    it('should parse different time formats', () => {
+      expect(input.parseTimes('7:45')).toEqual(['07:45']);
+      expect(input.parseTimes('в 21.30')).toEqual(['21:30']);
+      expect(input.parseTimes('8')).toEqual(['08:00']);
+    });
+
+    it('should parse several times sorted and without duplicates', () => {
+      expect(input.parseTimes('20:00, 8:00 и 8.00')).toEqual(['08:00', '20:00']);
+    });
+
+    it('should reject invalid times', () => {
+      expect(input.parseTimes('25:00')).toBeNull();
+      expect(input.parseTimes('7:60')).toBeNull();
+      expect(input.parseTimes('утром')).toBeNull();
+      expect(input.parseTimes('1, 2, 3, 4, 5, 6, 7')).toBeNull();
+    });
+  });
+
+  describe('parseWeekdays', () => {
+    it('should parse abbreviations, full names and numbers', () => {
+      expect(input.parseWeekdays('пн, ср, пт')).toEqual([1, 3, 5]);
+      expect(input.parseWeekdays('Вторник и четверг')).toEqual([2, 4]);
+      expect(input.parseWeekdays('7 1')).toEqual([1, 7]);
+    });
+
+    it('should parse ranges and groups', () => {
+      expect(input.parseWeekdays('пн-пт')).toEqual([1, 2, 3, 4, 5]);
+      expect(input.parseWeekdays('пт — пн')).toEqual([1, 5, 6, 7]);
+      expect(input.parseWeekdays('выходные, ср')).toEqual([3, 6, 7]);
+    });
+
+    it('should reject unknown days', () => {
+      expect(input.parseWeekdays('завтра')).toBeNull();
+      expect(input.parseWeekdays('пн-xx')).toBeNull();
+      expect(input.parseWeekdays('')).toBeNull();
+    });
+  });
+});
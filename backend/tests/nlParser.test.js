@@ -0,0 +1,74 @@
+/**
+ * Тесты для разбора фраз на естественном языке
+ * @module tests/nlParser
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import { parseRoutineRequest } from '../src/bot/nlParser.js';
+
+describe('Natural language routine parser', () => {
+  it('should parse daily routine with exact time', () => {
+    expect(parseRoutineRequest('напоминай пить магний каждый день в 21:00')).toEqual({
+      type: 'medication',
+      title: 'Пить магний',
+      schedule_type: 'daily',
+      times: ['21:00'],
+    });
+  });
+
+  it('should parse dosage, weekdays and part of day', () => {
+    expect(parseRoutineRequest('аспирин 100мг по понедельникам и средам в 9 утра')).toEqual({
+      type: 'medication',
+      title: 'Аспирин',
+      dosage: '100 мг',
+      schedule_type: 'custom',
+      custom_days: [1, 3],
+      times: ['09:00'],
+    });
+  });
+
+  it('should parse several times and evening hours', () => {
+    const result = parseRoutineRequest('Напомни мне выпить стакан воды в 8 и 3 дня, 9 вечера');
+    expect(result).toMatchObject({ type: 'habit', title: 'Выпить стакан воды', times: ['08:00', '15:00', '21:00'] });
+  });
+
+  it('should parse intervals', () => {
+    expect(parseRoutineRequest('полить цветы через день в 10:00')).toMatchObject({
+      schedule_type: 'interval',
+      interval_value: 2,
+      interval_unit: 'day',
+      times: ['10:00'],
+    });
+    expect(parseRoutineRequest('напомни оплатить интернет раз в 2 недели')).toMatchObject({
+      type: 'task',
+      title: 'Оплатить интернет',
+      schedule_type: 'interval',
+      interval_value: 2,
+      interval_unit: 'week',
+    });
+  });
+
+  it('should use default times for "N раз в день" and day parts', () => {
+    expect(parseRoutineRequest('омега-3 2 раза в день')).toMatchObject({
+      title: 'Омега-3',
+      schedule_type: 'daily',
+      times: ['08:00', '20:00'],
+    });
+    expect(parseRoutineRequest('зарядка каждое утро')).toMatchObject({
+      type: 'habit',
+      title: 'Зарядка',
+      schedule_type: 'daily',
+      times: ['08:00'],
+    });
+  });
+
+  it('should keep only title when schedule is not specified', () => {
+    expect(parseRoutineRequest('напомни позвонить маме')).toEqual({ type: 'task', title: 'Позвонить маме' });
+  });
+
+  it('should ignore regular messages', () => {
+    expect(parseRoutineRequest('привет')).toBeNull();
+    expect(parseRoutineRequest('в 9 утра')).toBeNull();
+    expect(parseRoutineRequest('')).toBeNull();
+  });
+});
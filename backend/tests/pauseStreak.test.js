@@ -0,0 +1,186 @@
+/**
+ * Тесты для дней паузы и расчета серии (SQL-функции is_paused_day и calculate_streak)
+ * @module tests/pauseStreak
+ */
+
+import { jest, describe, it, expect, beforeAll, beforeEach } from '@jest/globals';
+import { createTestDatabase } from './helpers/database.js';
+
+const testDb = await createTestDatabase();
+
+jest.unstable_mockModule('../src/config/database.js', () => ({
+  query: testDb.query,
+  getClient: testDb.getClient,
+}));
+
+jest.unstable_mockModule('../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+const db = await import('../src/services/databaseService.js');
+const { query } = testDb;
+
+const userId = 123456;
+let habit;
+let medication;
+
+/**
+ * Дата относительно сегодняшнего дня пользователя (YYYY-MM-DD)
+ * @param {number} days - Смещение в днях
+ */
+const day = async (days) => {
+  const result = await query('SELECT (user_local_date($1) + $2::int)::text AS date', [userId, days]);
+  return result.rows[0].date;
+};
+
+const addReminder = async (routineId, days, status = 'completed') => {
+  await query(
+    `INSERT INTO reminders (routine_id, user_id, scheduled_date, scheduled_time, status)
+     VALUES ($1, $2, user_local_date($2) + $3::int, '08:00', $4)`,
+    [routineId, userId, days, status]
+  );
+};
+
+const addPause = async (routineId, startDays, endDays = null) => {
+  await query(
+    `INSERT INTO pause_periods (user_id, routine_id, start_date, end_date)
+     VALUES ($1, $2, user_local_date($1) + $3::int, user_local_date($1) + $4::int)`,
+    [userId, routineId, startDays, endDays]
+  );
+};
+
+const isPausedDay = async (days) => {
+  const result = await query('SELECT is_paused_day($1, user_local_date($1) + $2::int) AS paused', [userId, days]);
+  return result.rows[0].paused;
+};
+
+const getStreak = async () => {
+  const result = await query('SELECT * FROM calculate_streak($1)', [userId]);
+  return result.rows[0];
+};
+
+beforeAll(async () => {
+  await query("INSERT INTO users (user_id, timezone) VALUES ($1, 'Asia/Yekaterinburg')", [userId]);
+  const routines = await query(
+    `INSERT INTO routines (user_id, type, title)
+     VALUES ($1, 'habit', 'Зарядка'), ($1, 'medication', 'Витамин D')
+     RETURNING routine_id`,
+    [userId]
+  );
+  [habit, medication] = routines.rows.map(row => row.routine_id);
+});
+
+beforeEach(async () => {
+  await query('DELETE FROM reminders');
+  await query('DELETE FROM pause_periods');
+});
+
+describe('Paused day', () => {
+  it('should treat every vacation day as paused, even with reminders', async () => {
+    await addPause(null, -3, -2);
+    await addReminder(habit, -3, 'skipped');
+
+    expect(await isPausedDay(-3)).toBe(true);
+    expect(await isPausedDay(-2)).toBe(true);
+    expect(await isPausedDay(-1)).toBe(false);
+  });
+
+  it('should treat an open vacation as paused until today', async () => {
+    await addPause(null, -2);
+
+    expect(await isPausedDay(-3)).toBe(false);
+    expect(await isPausedDay(-2)).toBe(true);
+    expect(await isPausedDay(0)).toBe(true);
+  });
+
+  it('should treat a routine pause as paused only without other reminders that day', async () => {
+    await addPause(habit, -3, -2);
+    await addReminder(habit, -3, 'cancelled');
+    await addReminder(medication, -2, 'skipped');
+
+    expect(await isPausedDay(-3)).toBe(true);
+    expect(await isPausedDay(-2)).toBe(false);
+  });
+});
+
+describe('Streak with pauses', () => {
+  it('should break the streak on a missed day', async () => {
+    await addReminder(habit, -3);
+    await addReminder(habit, -1);
+    await addReminder(habit, 0);
+
+    expect(await getStreak()).toEqual({ current_streak: 2, max_streak: 2 });
+  });
+
+  it('should not break the streak on vacation days', async () => {
+    await addReminder(habit, -4);
+    await addPause(null, -3, -2);
+    await addReminder(habit, -1);
+    await addReminder(habit, 0);
+
+    expect(await getStreak()).toEqual({ current_streak: 3, max_streak: 3 });
+  });
+
+  it('should break the streak when another routine had a reminder on a paused day', async () => {
+    await addReminder(habit, -2);
+    await addPause(habit, -1, -1);
+    await addReminder(medication, -1, 'skipped');
+    await addReminder(habit, 0);
+
+    expect(await getStreak()).toEqual({ current_streak: 1, max_streak: 1 });
+  });
+});
+
+describe('Pause periods', () => {
+  it('should open a vacation period up to the day before return', async () => {
+    await db.startVacation(userId, await day(5));
+
+    const result = await query('SELECT start_date::text, end_date::text FROM pause_periods WHERE user_id = $1', [userId]);
+    expect(result.rows).toEqual([{ start_date: await day(0), end_date: await day(4) }]);
+  });
+
+  it('should move the return date instead of opening a second vacation', async () => {
+    await db.startVacation(userId, await day(5));
+    await db.startVacation(userId, await day(10));
+
+    const result = await query('SELECT end_date::text FROM pause_periods WHERE user_id = $1', [userId]);
+    expect(result.rows).toEqual([{ end_date: await day(9) }]);
+  });
+
+  it('should close a routine pause on resume and keep its past days', async () => {
+    await addPause(habit, -5);
+
+    await db.resumeRoutine(habit);
+
+    const result = await query('SELECT end_date::text FROM pause_periods WHERE routine_id = $1', [habit]);
+    expect(result.rows).toEqual([{ end_date: await day(-1) }]);
+  });
+
+  it('should drop a pause started and ended the same day', async () => {
+    await db.pauseRoutine(habit);
+    await db.resumeRoutine(habit);
+
+    const result = await query('SELECT * FROM pause_periods WHERE routine_id = $1', [habit]);
+    expect(result.rows).toEqual([]);
+  });
+
+  it('should cancel open reminders from today when a routine is paused', async () => {
+    await addReminder(habit, -1, 'pending');
+    await addReminder(habit, 0, 'pending');
+    await addReminder(habit, 1, 'pending');
+
+    const { cancelledReminderIds } = await db.pauseRoutine(habit, await day(3));
+
+    expect(cancelledReminderIds).toHaveLength(2);
+    const result = await query(
+      'SELECT status FROM reminders WHERE routine_id = $1 ORDER BY scheduled_date',
+      [habit]
+    );
+    expect(result.rows.map(row => row.status)).toEqual(['pending', 'cancelled', 'cancelled']);
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Тесты для пунктуальности выполнения
+ * @module tests/punctuality
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as punctuality from '../src/services/punctualityService.js';
+
+const dueAt = new Date('2026-02-12T05:00:00Z');
+const after = (minutes) => new Date(dueAt.getTime() + minutes * 60 * 1000);
+
+describe('Completion status', () => {
+  it('should classify by on-time window and grace period', () => {
+    expect(punctuality.getCompletionStatus({ dueAt, completedAt: after(-10), graceMinutes: 120 })).toBe('on_time');
+    expect(punctuality.getCompletionStatus({ dueAt, completedAt: after(30), graceMinutes: 120 })).toBe('on_time');
+    expect(punctuality.getCompletionStatus({ dueAt, completedAt: after(31), graceMinutes: 120 })).toBe('late');
+    expect(punctuality.getCompletionStatus({ dueAt, completedAt: after(120), graceMinutes: 120 })).toBe('late');
+    expect(punctuality.getCompletionStatus({ dueAt, completedAt: after(121), graceMinutes: 120 })).toBe('missed');
+  });
+
+  it('should shrink on-time window to a short grace period', () => {
+    expect(punctuality.getCompletionStatus({ dueAt, completedAt: after(15), graceMinutes: 15 })).toBe('on_time');
+    expect(punctuality.getCompletionStatus({ dueAt, completedAt: after(16), graceMinutes: 15 })).toBe('missed');
+  });
+
+  it('should fall back to default grace period', () => {
+    expect(punctuality.getCompletionStatus({ dueAt, completedAt: after(90), graceMinutes: null })).toBe('late');
+  });
+});
+
+describe('Punctuality points', () => {
+  it('should reward punctual completions', () => {
+    expect(punctuality.getCompletionPoints('medication', 'on_time')).toBe(5);
+    expect(punctuality.getCompletionPoints('medication', 'late')).toBe(2);
+    expect(punctuality.getCompletionPoints('habit', 'late')).toBe(1);
+    expect(punctuality.getCompletionPoints('task', 'missed')).toBe(0);
+  });
+
+  it('should compute punctuality percent', () => {
+    expect(punctuality.getPunctualityPercent({ on_time: 8, late: 1, missed: 1 })).toBe(80);
+    expect(punctuality.getPunctualityPercent({ on_time: 0, late: 0, missed: 0 })).toBe(0);
+  });
+});
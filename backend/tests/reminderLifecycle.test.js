@@ -0,0 +1,330 @@
+/**
+ * Тесты для жизненного цикла напоминаний
+ * @module tests/reminderLifecycle
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+// Мокаем БД: транзакции используют тот же query, что и одиночные запросы
+jest.unstable_mockModule('../src/config/database.js', () => ({
+  query: jest.fn(),
+  getClient: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logWebhook: jest.fn(),
+  logMessageSent: jest.fn(),
+  logApiError: jest.fn(),
+  logBusinessEvent: jest.fn(),
+}));
+
+// Мокаем Redis и очереди BullMQ: задачи хранятся в памяти,
+// обработчики воркеров доступны по имени очереди
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  redisClient: {},
+  bullRedis: {},
+  bullSubscriber: {},
+  default: {},
+}));
+
+const queues = {};
+const processors = {};
+
+jest.unstable_mockModule('bullmq', () => {
+  class Queue {
+    constructor(name) {
+      this.jobs = new Map();
+      this.add = jest.fn(async (jobName, data, opts = {}) => {
+        if (this.jobs.has(opts.jobId)) return this.jobs.get(opts.jobId);
+        const job = { id: opts.jobId, name: jobName, data, opts };
+        this.jobs.set(opts.jobId, job);
+        return job;
+      });
+      this.getJob = jest.fn(async (jobId) => this.jobs.get(jobId));
+      this.remove = jest.fn(async (jobId) => {
+        this.jobs.delete(jobId);
+      });
+      queues[name] = this;
+    }
+  }
+
+  class Worker {
+    constructor(name, processor) {
+      this.on = jest.fn();
+      processors[name] = processor;
+    }
+  }
+
+  return { Queue, Worker, Job: class {} };
+});
+
+jest.unstable_mockModule('../src/services/maxApi.js', () => ({
+  sendTextMessage: jest.fn(),
+  sendMessageWithKeyboard: jest.fn(),
+  createPayload: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/services/gamificationService.js', () => ({
+  handleCompletion: jest.fn(async () => ({ points: 10 })),
+  handleSkip: jest.fn(),
+}));
+
+jest.unstable_mockModule('../src/services/exportService.js', () => ({
+  removeUserExports: jest.fn(),
+  expireExports: jest.fn(),
+  runExport: jest.fn(),
+}));
+
+const { query, getClient } = await import('../src/config/database.js');
+const maxApi = await import('../src/services/maxApi.js');
+const gamification = await import('../src/services/gamificationService.js');
+const { removeUserExports } = await import('../src/services/exportService.js');
+const lifecycle = await import('../src/services/reminderLifecycle.js');
+
+const reminder = (overrides = {}) => ({
+  reminder_id: 'r1',
+  user_id: 123456,
+  routine_id: 'rt1',
+  title: 'Витамин D',
+  type: 'medication',
+  priority: 1,
+  status: 'sent',
+  scheduled_date: '2026-02-12',
+  scheduled_time: '08:00:00',
+  timezone: 'Europe/Moscow',
+  grace_period_minutes: 120,
+  postpone_count: 0,
+  ...overrides,
+});
+
+/**
+ * Задачи напоминания в очередях: отправка, перенос после тихих часов, отсрочка и эскалации
+ * @param {string} reminderId - ID напоминания
+ */
+const queueJobs = async (reminderId) => {
+  await queues.reminders.add('send-reminder', {}, { jobId: `reminder:${reminderId}` });
+  await queues.reminders.add('send-reminder', {}, { jobId: `reminder:${reminderId}:quiet` });
+  await queues.reminders.add('send-reminder', {}, { jobId: `reminder:${reminderId}:postponed` });
+  await queues.escalation.add('escalate-reminder', {}, { jobId: `escalation:${reminderId}:1` });
+  await queues.escalation.add('escalate-reminder', {}, { jobId: `escalation:${reminderId}:2` });
+};
+
+const jobIdsOf = (reminderId) => [
+  ...queues.reminders.jobs.keys(),
+  ...queues.escalation.jobs.keys(),
+].filter(jobId => jobId.includes(`:${reminderId}`));
+
+const findQuery = (text) => query.mock.calls.find(([sql]) => sql.includes(text));
+
+/**
+ * Ответы БД: отмененные напоминания возвращает UPDATE ... SET status = 'cancelled',
+ * остальные выборки задаются фрагментом SQL в rows
+ */
+const mockDb = ({ reminder: current = null, cancelled = [], rows = {} } = {}) => {
+  query.mockImplementation(async (sql) => {
+    const match = Object.keys(rows).find(text => sql.includes(text));
+    if (match) return { rows: rows[match] };
+    if (sql.includes("SET status = 'cancelled'")) {
+      return { rows: cancelled.map(reminderId => ({ reminder_id: reminderId })) };
+    }
+    if (sql.includes('FROM reminders r')) return { rows: current ? [current] : [] };
+    if (sql.includes('RETURNING user_id')) return { rows: [{ user_id: 123456 }] };
+    return { rows: [{}], rowCount: 1 };
+  });
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  query.mockReset();
+  getClient.mockResolvedValue({ query, release: jest.fn() });
+  Object.values(queues).forEach(queue => queue.jobs.clear());
+});
+
+describe('Reminder transitions', () => {
+  it('should complete a reminder and remove its queued jobs', async () => {
+    mockDb();
+    await queueJobs('r1');
+
+    const result = await lifecycle.completeReminder(reminder(), { source: 'miniapp' });
+
+    expect(jobIdsOf('r1')).toEqual([]);
+    expect(queues.reminders.remove).toHaveBeenCalledWith('reminder:r1:recovery');
+
+    const [sql, params] = findQuery('UPDATE reminders SET');
+    expect(sql).toContain('status = $1');
+    expect(params[0]).toBe('completed');
+    expect(params[params.length - 1]).toBe('r1');
+
+    const [, eventParams] = findQuery('INSERT INTO events');
+    expect(eventParams.slice(3, 5)).toEqual(['completed', 'miniapp']);
+    expect(gamification.handleCompletion).toHaveBeenCalledWith(123456, 'r1', 'medication', result.completionStatus);
+  });
+
+  it('should skip a reminder and remove its queued jobs', async () => {
+    mockDb();
+    await queueJobs('r1');
+
+    await lifecycle.skipReminder(reminder());
+
+    expect(jobIdsOf('r1')).toEqual([]);
+
+    const [, params] = findQuery('UPDATE reminders SET');
+    expect(params).toEqual(['skipped', 'r1']);
+
+    const [, eventParams] = findQuery('INSERT INTO events');
+    expect(eventParams.slice(3, 5)).toEqual(['skipped', 'bot']);
+    expect(gamification.handleSkip).toHaveBeenCalledWith(123456);
+  });
+
+  it('should keep the database change when the queue is unavailable', async () => {
+    mockDb();
+    queues.reminders.remove.mockRejectedValueOnce(new Error('Redis недоступен'));
+
+    await lifecycle.skipReminder(reminder());
+
+    expect(findQuery('UPDATE reminders SET')[1]).toEqual(['skipped', 'r1']);
+  });
+
+  it('should auto-skip through the lifecycle when escalation runs out', async () => {
+    const current = reminder({ escalation_policy: { intervals: [15], autoSkip: true, autoSkipAfter: 60 } });
+    mockDb({ reminder: current });
+    await queueJobs('r1');
+
+    const result = await processors.escalation({ id: 'test', data: { reminderId: 'r1', level: 2 } });
+
+    expect(result).toEqual({ autoSkipped: true });
+    expect(jobIdsOf('r1')).toEqual([]);
+    expect(findQuery('UPDATE reminders SET')[1]).toEqual(['skipped', 'r1']);
+
+    const [, eventParams] = findQuery('INSERT INTO events');
+    expect(eventParams.slice(3, 5)).toEqual(['auto_skipped', 'system']);
+    expect(gamification.handleSkip).toHaveBeenCalledWith(123456);
+    expect(maxApi.sendTextMessage).toHaveBeenCalledWith(123456, expect.stringContaining('Витамин D'), expect.any(Object));
+  });
+});
+
+describe('Routine transitions', () => {
+  it('should delete a routine and remove jobs of its cancelled reminders', async () => {
+    mockDb({ cancelled: ['r1', 'r2'] });
+    await queueJobs('r1');
+    await queueJobs('r2');
+    await queueJobs('r3');
+
+    const result = await lifecycle.deleteRoutine('rt1');
+
+    expect(result).toEqual({ cancelled: 2 });
+    expect(findQuery('SET deleted_at = CURRENT_TIMESTAMP, is_active = false')[1]).toEqual(['rt1']);
+    expect(findQuery("SET status = 'cancelled'")[1]).toEqual(['rt1']);
+    expect(jobIdsOf('r1')).toEqual([]);
+    expect(jobIdsOf('r2')).toEqual([]);
+    expect(jobIdsOf('r3')).toHaveLength(5);
+  });
+
+  it('should pause a routine and remove jobs of its cancelled reminders', async () => {
+    mockDb({ cancelled: ['r1'] });
+    await queueJobs('r1');
+
+    const result = await lifecycle.pauseRoutine('rt1', { until: '2026-03-01' });
+
+    expect(result).toEqual({ cancelled: 1 });
+    expect(findQuery('SET is_active = false, paused_until = $2')[1]).toEqual(['rt1', '2026-03-01']);
+    expect(findQuery("SET status = 'cancelled'")[1]).toEqual(['rt1']);
+    expect(jobIdsOf('r1')).toEqual([]);
+  });
+});
+
+describe('Account deletion', () => {
+  it('should soft-delete the user and remove jobs of all cancelled reminders', async () => {
+    mockDb({ cancelled: ['r1', 'r2'] });
+    await queueJobs('r1');
+    await queueJobs('r2');
+
+    const result = await lifecycle.deleteAccount(123456);
+
+    expect(result.cancelled).toBe(2);
+    expect(findQuery('deleted_at = CURRENT_TIMESTAMP')[1]).toEqual([123456]);
+    expect(findQuery("SET status = 'cancelled'")[1]).toEqual([123456]);
+    expect(findQuery("revoke_reason = 'account_deleted'")).toBeDefined();
+    expect(jobIdsOf('r1')).toEqual([]);
+    expect(jobIdsOf('r2')).toEqual([]);
+    expect(removeUserExports).toHaveBeenCalledWith(123456);
+  });
+});
+
+describe('Pause and vacation', () => {
+  const generatedRoutines = () => queues.background.add.mock.calls
+    .filter(([name]) => name === 'generate-reminders')
+    .map(([, job]) => job.data.routineId);
+
+  it('should resume a routine and queue reminder generation', async () => {
+    mockDb();
+
+    await lifecycle.resumeRoutine({ routine_id: 'rt1', user_id: 123456 });
+
+    expect(findQuery('SET is_active = true, paused_until = NULL')[1]).toEqual(['rt1']);
+    expect(generatedRoutines()).toEqual(['rt1']);
+  });
+
+  it('should start a vacation and remove jobs of all cancelled reminders', async () => {
+    mockDb({ cancelled: ['r1', 'r2'] });
+    await queueJobs('r1');
+    await queueJobs('r2');
+
+    const result = await lifecycle.startVacation(123456, { until: '2026-03-01' });
+
+    expect(result).toEqual({ cancelled: 2 });
+    expect(findQuery('SET on_vacation = true, vacation_until = $2')[1]).toEqual([123456, '2026-03-01']);
+    expect(jobIdsOf('r1')).toEqual([]);
+    expect(jobIdsOf('r2')).toEqual([]);
+  });
+
+  it('should end a vacation and regenerate reminders of active routines', async () => {
+    mockDb({ rows: { 'SELECT * FROM routines WHERE user_id': [{ routine_id: 'rt1' }, { routine_id: 'rt2' }] } });
+
+    const result = await lifecycle.endVacation(123456);
+
+    expect(result).toEqual({ routines: 2 });
+    expect(findQuery('SET on_vacation = false, vacation_until = NULL')[1]).toEqual([123456]);
+    expect(generatedRoutines()).toEqual(['rt1', 'rt2']);
+  });
+
+  it('should finish expired vacations and pauses in the resume-paused job', async () => {
+    const user = { user_id: 123456, timezone: 'Europe/Moscow' };
+    const routine = { routine_id: 'rt1', user_id: 123456, icon: '💪', title: 'Зарядка', timezone: 'Europe/Moscow', on_vacation: false };
+    mockDb({
+      rows: {
+        'WHERE on_vacation = true': [user],
+        'WHERE rt.is_active = false': [routine],
+        'SELECT * FROM routines WHERE user_id': [],
+      },
+    });
+
+    const result = await processors.background({ id: 'test', data: { type: 'resume-paused', data: {} } });
+
+    expect(result).toEqual({ vacations: 1, routines: 1 });
+    expect(findQuery('SET on_vacation = false')[1]).toEqual([123456]);
+    expect(findQuery('SET is_active = true, paused_until = NULL')[1]).toEqual(['rt1']);
+
+    const events = query.mock.calls
+      .filter(([sql]) => sql.includes('INSERT INTO events'))
+      .map(([, params]) => params[3]);
+    expect(events).toEqual(['vacation_ended', 'resumed']);
+    expect(maxApi.sendTextMessage).toHaveBeenCalledTimes(2);
+  });
+
+  it('should not announce a resumed routine while the user is on vacation', async () => {
+    const routine = { routine_id: 'rt1', user_id: 123456, icon: '💪', title: 'Зарядка', on_vacation: true };
+    mockDb({ rows: { 'WHERE on_vacation = true': [], 'WHERE rt.is_active = false': [routine] } });
+
+    const result = await processors.background({ id: 'test', data: { type: 'resume-paused', data: {} } });
+
+    expect(result).toEqual({ vacations: 0, routines: 1 });
+    expect(maxApi.sendTextMessage).not.toHaveBeenCalled();
+  });
+});
@@ -3,17 +3,80 @@
  * @module tests/reminders
  */
 
-import { describe, it, expect, beforeEach } from '@jest/globals';
+import { jest, describe, it, expect, beforeEach, afterEach } from '@jest/globals';
 import moment from 'moment-timezone';
 
 // Мокаем БД
-jest.mock('../src/config/database.js', () => ({
+jest.unstable_mockModule('../src/config/database.js', () => ({
   query: jest.fn(),
   getClient: jest.fn(),
 }));
 
-import { query } from '../src/config/database.js';
-import * as db from '../src/services/databaseService.js';
+jest.unstable_mockModule('../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+  logWebhook: jest.fn(),
+  logMessageSent: jest.fn(),
+  logApiError: jest.fn(),
+  logBusinessEvent: jest.fn(),
+}));
+
+// Мокаем Redis и очереди BullMQ: задачи хранятся в памяти,
+// обработчики воркеров доступны по имени очереди.
+// Как и BullMQ, очередь не принимает задачу с уже существующим jobId
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  redisClient: {},
+  bullRedis: {},
+  bullSubscriber: {},
+  default: {},
+}));
+
+const queues = {};
+const processors = {};
+
+jest.unstable_mockModule('bullmq', () => {
+  class Queue {
+    constructor(name) {
+      this.jobs = new Map();
+      this.add = jest.fn(async (jobName, data, opts = {}) => {
+        if (this.jobs.has(opts.jobId)) return this.jobs.get(opts.jobId);
+        const job = { id: opts.jobId, name: jobName, data, opts, state: 'delayed' };
+        job.getState = async () => job.state;
+        this.jobs.set(opts.jobId, job);
+        return job;
+      });
+      this.getJob = jest.fn(async (jobId) => this.jobs.get(jobId));
+      this.remove = jest.fn(async (jobId) => {
+        this.jobs.delete(jobId);
+      });
+      queues[name] = this;
+    }
+  }
+
+  class Worker {
+    constructor(name, processor) {
+      this.on = jest.fn();
+      processors[name] = processor;
+    }
+  }
+
+  return { Queue, Worker, Job: class {} };
+});
+
+jest.unstable_mockModule('../src/services/maxApi.js', () => ({
+  sendTextMessage: jest.fn(),
+  sendMessageWithKeyboard: jest.fn(),
+  createPayload: jest.fn((action, data = {}) => [action, ...Object.values(data)].join('|')),
+}));
+
+const { query } = await import('../src/config/database.js');
+const db = await import('../src/services/databaseService.js');
+const { sendMessageWithKeyboard } = await import('../src/services/maxApi.js');
+const { postponeReminder } = await import('../src/scheduler/reminderQueue.js');
 
 describe('Reminders Logic', () => {
   beforeEach(() => {
@@ -133,6 +196,232 @@ describe('Reminders Logic', () => {
   });
 });
 
+describe('Reminder recovery', () => {
+  const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+  const reminder = (overrides = {}) => ({
+    reminder_id: 'r1',
+    user_id: 123456,
+    routine_id: 'rt1',
+    title: 'Витамин D',
+    type: 'medication',
+    icon: '💊',
+    scheduled_time: '08:00:00',
+    grace_period_minutes: 60,
+    due_at: minutesAgo(10),
+    ...overrides,
+  });
+
+  /**
+   * Ответы БД: неотправленные напоминания и отправленные без отметки с истекшим окном
+   */
+  const mockDb = ({ pending = [], expired = [] }) => {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes("WHERE r.status IN ('pending', 'postponed')")) return { rows: pending };
+      if (sql.includes("SET status = 'missed'")) return { rows: expired };
+      return { rows: [{}] };
+    });
+  };
+
+  const runRecovery = () => processors.background({ id: 'test', data: { type: 'recover-reminders', data: {} } });
+
+  const findQuery = (text) => query.mock.calls.find(([sql]) => sql.includes(text));
+
+  beforeEach(() => {
+    query.mockReset();
+    queues.reminders.jobs.clear();
+    queues.reminders.add.mockClear();
+    queues.reminders.remove.mockClear();
+    queues.escalation.remove.mockClear();
+  });
+
+  it('should requeue a reminder still inside its grace window with the recovery suffix', async () => {
+    mockDb({ pending: [reminder()] });
+
+    const result = await runRecovery();
+
+    expect(result).toEqual({ checked: 1, requeued: 1, missed: 0 });
+    expect(queues.reminders.remove).toHaveBeenCalledWith('reminder:r1:recovery');
+    expect(queues.reminders.add).toHaveBeenCalledWith(
+      'send-reminder',
+      expect.objectContaining({ reminderId: 'r1' }),
+      expect.objectContaining({ jobId: 'reminder:r1:recovery', delay: 0 })
+    );
+    expect(findQuery('UPDATE reminders SET')).toBeUndefined();
+    expect(findQuery('INSERT INTO events')).toBeUndefined();
+  });
+
+  it('should use the default grace period when the routine has none', async () => {
+    // По умолчанию окно 120 минут: 90 минут назад — еще можно отправить
+    mockDb({ pending: [reminder({ grace_period_minutes: null, due_at: minutesAgo(90) })] });
+
+    const result = await runRecovery();
+
+    expect(result.requeued).toBe(1);
+    expect(result.missed).toBe(0);
+  });
+
+  it('should mark a reminder past its grace window as missed and log an event', async () => {
+    mockDb({ pending: [reminder({ due_at: minutesAgo(90) })] });
+
+    const result = await runRecovery();
+
+    expect(result).toEqual({ checked: 1, requeued: 0, missed: 1 });
+    expect(queues.reminders.add).not.toHaveBeenCalled();
+
+    const [, updateParams] = findQuery('UPDATE reminders SET');
+    expect(updateParams).toEqual(['missed', 'missed', 'r1']);
+
+    const [, eventParams] = findQuery('INSERT INTO events');
+    expect(eventParams.slice(0, 5)).toEqual(['r1', 123456, 'rt1', 'missed', 'system']);
+    expect(JSON.parse(eventParams[5]).grace_period_minutes).toBe(60);
+  });
+
+  it('should skip a reminder that still has a live job', async () => {
+    mockDb({ pending: [reminder()] });
+    await queues.reminders.add('send-reminder', {}, { jobId: 'reminder:r1:quiet' });
+    queues.reminders.add.mockClear();
+
+    const result = await runRecovery();
+
+    expect(result).toEqual({ checked: 1, requeued: 0, missed: 0 });
+    expect(queues.reminders.add).not.toHaveBeenCalled();
+    expect(queues.reminders.remove).not.toHaveBeenCalled();
+    expect(findQuery('UPDATE reminders SET')).toBeUndefined();
+  });
+
+  it('should requeue when the only job has already completed', async () => {
+    mockDb({ pending: [reminder()] });
+    const job = await queues.reminders.add('send-reminder', {}, { jobId: 'reminder:r1' });
+    job.state = 'completed';
+    queues.reminders.add.mockClear();
+
+    const result = await runRecovery();
+
+    expect(result.requeued).toBe(1);
+    expect(queues.reminders.remove).toHaveBeenCalledWith('reminder:r1');
+    expect(queues.reminders.add).toHaveBeenCalledTimes(1);
+  });
+
+  it('should cancel escalations of sent reminders whose window has expired', async () => {
+    mockDb({
+      expired: [{ reminder_id: 'r2', user_id: 123456, routine_id: 'rt1', due_at: minutesAgo(200), grace_period_minutes: 120 }],
+    });
+
+    const result = await runRecovery();
+
+    expect(result).toEqual({ checked: 1, requeued: 0, missed: 1 });
+
+    const [, markParams] = findQuery("SET status = 'missed'");
+    expect(markParams[1]).toBe(120);
+    expect(queues.escalation.remove).toHaveBeenCalledWith('escalation:r2:1');
+
+    const [, eventParams] = findQuery('INSERT INTO events');
+    expect(eventParams[0]).toBe('r2');
+    expect(eventParams[3]).toBe('missed');
+  });
+});
+
+describe('Reminder worker', () => {
+  beforeEach(() => {
+    query.mockReset();
+    sendMessageWithKeyboard.mockClear();
+  });
+
+  it('should skip the job when the user no longer exists', async () => {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM reminders r')) return { rows: [{ reminder_id: 'r1', status: 'pending' }] };
+      if (sql.includes('FROM users')) return { rows: [] };
+      return { rows: [{}] };
+    });
+
+    const result = await processors.reminders({
+      id: 'test',
+      data: { reminderId: 'r1', userId: 123456, title: 'Витамин D', type: 'medication' },
+    });
+
+    expect(result).toEqual({ skipped: true, reason: 'user_not_found' });
+    expect(sendMessageWithKeyboard).not.toHaveBeenCalled();
+  });
+
+  it('should skip the job when the user has withdrawn consent', async () => {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM reminders r')) return { rows: [{ reminder_id: 'r1', status: 'pending' }] };
+      if (sql.includes('FROM users')) return { rows: [{ user_id: 123456, consent_withdrawn_at: new Date() }] };
+      return { rows: [{}] };
+    });
+
+    const result = await processors.reminders({
+      id: 'test',
+      data: { reminderId: 'r1', userId: 123456, title: 'Витамин D', type: 'medication' },
+    });
+
+    expect(result).toEqual({ skipped: true, reason: 'consent_withdrawn' });
+    expect(sendMessageWithKeyboard).not.toHaveBeenCalled();
+  });
+
+  it('should offer 5/15/30/60-minute postpone buttons', async () => {
+    query.mockImplementation(async (sql) => {
+      if (sql.includes('FROM reminders r')) {
+        return { rows: [{ reminder_id: 'r1', user_id: 123456, status: 'pending', type: 'medication', priority: 2 }] };
+      }
+      if (sql.includes('FROM users')) return { rows: [{ user_id: 123456, timezone: 'Europe/Moscow' }] };
+      return { rows: [{}] };
+    });
+
+    const result = await processors.reminders({
+      id: 'test',
+      data: { reminderId: 'r1', userId: 123456, title: 'Витамин D', type: 'medication' },
+    });
+
+    expect(result).toEqual({ sent: true });
+    const [, , buttons] = sendMessageWithKeyboard.mock.calls[0];
+    expect(buttons[1].map(button => button.payload)).toEqual(['p|r1|5', 'p|r1|15', 'p|r1|30', 'p|r1|60']);
+  });
+});
+
+describe('Reminder postpone', () => {
+  const now = new Date('2026-02-12T08:00:00Z').getTime();
+  const reminder = { reminder_id: 'r1', user_id: 123456, routine_id: 'rt1', title: 'Витамин D', type: 'medication' };
+
+  beforeEach(async () => {
+    jest.spyOn(Date, 'now').mockReturnValue(now);
+    queues.reminders.jobs.clear();
+    queues.escalation.jobs.clear();
+
+    // Напоминание отправлено, первая эскалация ждет в очереди
+    await queues.reminders.add('send-reminder', {}, { jobId: 'reminder:r1' });
+    await queues.escalation.add('escalate-reminder', {}, { jobId: 'escalation:r1:1' });
+    queues.reminders.add.mockClear();
+    queues.escalation.remove.mockClear();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should cancel escalations and queue a postponed send in N minutes', async () => {
+    const sendAt = await postponeReminder(reminder, 15);
+
+    expect(sendAt).toEqual(new Date(now + 15 * 60 * 1000));
+    expect(queues.escalation.remove).toHaveBeenCalledWith('escalation:r1:1');
+    expect(queues.escalation.jobs.has('escalation:r1:1')).toBe(false);
+    expect(queues.reminders.jobs.has('reminder:r1')).toBe(false);
+
+    const job = queues.reminders.jobs.get('reminder:r1:postponed');
+    expect(job.data.reminderId).toBe('r1');
+    expect(job.opts.delay).toBe(15 * 60 * 1000);
+  });
+
+  it('should requeue the postponed send on a second postpone', async () => {
+    await postponeReminder(reminder, 5);
+    await postponeReminder(reminder, 30);
+
+    expect(queues.reminders.add).toHaveBeenCalledTimes(2);
+    expect(queues.reminders.jobs.get('reminder:r1:postponed').opts.delay).toBe(30 * 60 * 1000);
+  });
+});
+
 describe('Schedule Logic', () => {
   describe('Daily schedule', () => {
     it('should create reminders for every day', () => {
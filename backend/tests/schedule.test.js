@@ -0,0 +1,282 @@
+/**
+ * Тесты для расписаний рутин
+ * @module tests/schedule
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import moment from 'moment-timezone';
+import * as scheduleService from '../src/services/scheduleService.js';
+
+// 2026-02-12 — четверг, 2026-02-14 — суббота
+const thursday = moment('2026-02-12', 'YYYY-MM-DD');
+const saturday = moment('2026-02-14', 'YYYY-MM-DD');
+
+describe('Schedule slots', () => {
+  describe('Daily schedule', () => {
+    it('should create one slot per day', () => {
+      const schedule = { schedule_type: 'daily', time_weekdays: '08:00:00' };
+
+      expect(scheduleService.getSlotsForDate(schedule, thursday)).toEqual(['08:00']);
+      expect(scheduleService.getSlotsForDate(schedule, saturday)).toEqual(['08:00']);
+    });
+  });
+
+  describe('Multiple doses per day', () => {
+    it('should create a slot for each specific time', () => {
+      const schedule = {
+        schedule_type: 'daily',
+        time_weekdays: '08:00:00',
+        specific_times: ['20:00', '08:00'],
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, thursday)).toEqual(['08:00', '20:00']);
+    });
+
+    it('should build schedule fields from times', () => {
+      expect(scheduleService.buildTimeFields(['20:00', '08:00', '08:00'])).toEqual({
+        time_weekdays: '08:00',
+        specific_times: ['08:00', '20:00'],
+      });
+      expect(scheduleService.buildTimeFields(['09:30'])).toEqual({
+        time_weekdays: '09:30',
+        specific_times: null,
+      });
+    });
+
+    it('should number slots per routine', () => {
+      const reminders = scheduleService.numberSlots([
+        { routine_id: 'a', scheduled_time: '08:00:00' },
+        { routine_id: 'b', scheduled_time: '09:00:00' },
+        { routine_id: 'a', scheduled_time: '20:00:00' },
+      ]);
+
+      expect(reminders[0]).toMatchObject({ slot_index: 1, slot_total: 2 });
+      expect(reminders[1]).toMatchObject({ slot_index: 1, slot_total: 1 });
+      expect(reminders[2]).toMatchObject({ slot_index: 2, slot_total: 2 });
+    });
+  });
+
+  describe('Weekdays schedule', () => {
+    it('should use weekend time on weekends', () => {
+      const schedule = {
+        schedule_type: 'weekdays',
+        time_weekdays: '07:00:00',
+        time_weekends: '09:00:00',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, thursday)).toEqual(['07:00']);
+      expect(scheduleService.getSlotsForDate(schedule, saturday)).toEqual(['09:00']);
+    });
+  });
+
+  describe('Weekends schedule', () => {
+    it('should fire only on Saturday and Sunday', () => {
+      const schedule = {
+        schedule_type: 'weekends',
+        time_weekdays: '10:00:00',
+        time_weekends: '11:00:00',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, thursday)).toEqual([]);
+      expect(scheduleService.getSlotsForDate(schedule, saturday)).toEqual(['11:00']);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-15', 'YYYY-MM-DD'))).toEqual(['11:00']);
+    });
+
+    it('should fall back to weekday time without time_weekends', () => {
+      const schedule = { schedule_type: 'weekends', time_weekdays: '10:00:00' };
+
+      expect(scheduleService.getSlotsForDate(schedule, saturday)).toEqual(['10:00']);
+    });
+  });
+
+  describe('Custom schedule', () => {
+    it('should respect custom days', () => {
+      const schedule = {
+        schedule_type: 'custom',
+        custom_days: [1, 3, 5], // Пн, Ср, Пт
+        time_weekdays: '08:00:00',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, thursday)).toEqual([]);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-13', 'YYYY-MM-DD'))).toEqual(['08:00']);
+    });
+  });
+
+  describe('Interval schedule', () => {
+    it('should fire every N days from anchor date', () => {
+      const schedule = {
+        schedule_type: 'interval',
+        interval_value: 2,
+        interval_unit: 'day',
+        anchor_date: '2026-02-10',
+        time_weekdays: '08:00:00',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, thursday)).toEqual(['08:00']);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-13', 'YYYY-MM-DD'))).toEqual([]);
+      expect(scheduleService.getSlotsForDate(schedule, saturday)).toEqual(['08:00']);
+      // До опорной даты напоминаний нет
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-08', 'YYYY-MM-DD'))).toEqual([]);
+    });
+
+    it('should fire on anchor weekday every N weeks', () => {
+      // Понедельник 2026-02-09, раз в 2 недели
+      const schedule = {
+        schedule_type: 'interval',
+        interval_value: 2,
+        interval_unit: 'week',
+        anchor_date: '2026-02-09',
+        time_weekdays: '09:00:00',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-09', 'YYYY-MM-DD'))).toEqual(['09:00']);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-16', 'YYYY-MM-DD'))).toEqual([]);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-23', 'YYYY-MM-DD'))).toEqual(['09:00']);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-24', 'YYYY-MM-DD'))).toEqual([]);
+    });
+  });
+
+  describe('Cyclic schedule', () => {
+    it('should alternate on and off periods', () => {
+      // 21 день приём / 7 дней перерыв с 2026-01-01
+      const schedule = {
+        schedule_type: 'cyclic',
+        cycle_on_days: 21,
+        cycle_off_days: 7,
+        anchor_date: '2026-01-01',
+        time_weekdays: '08:00:00',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-01-21', 'YYYY-MM-DD'))).toEqual(['08:00']);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-01-22', 'YYYY-MM-DD'))).toEqual([]);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-01-28', 'YYYY-MM-DD'))).toEqual([]);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-01-29', 'YYYY-MM-DD'))).toEqual(['08:00']);
+    });
+  });
+
+  describe('RRULE schedule', () => {
+    it('should expand RRULE by user local dates', () => {
+      // Первая суббота месяца
+      const schedule = {
+        schedule_type: 'rrule',
+        rrule: 'FREQ=MONTHLY;BYDAY=1SA',
+        anchor_date: '2026-01-01',
+        time_weekdays: '10:00:00',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-07', 'YYYY-MM-DD'))).toEqual(['10:00']);
+      expect(scheduleService.getSlotsForDate(schedule, saturday)).toEqual([]);
+    });
+
+    it('should skip exdates', () => {
+      const schedule = {
+        schedule_type: 'rrule',
+        rrule: 'RRULE:FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR',
+        exdates: ['2026-02-12'],
+        anchor_date: '2026-01-01',
+        time_weekdays: '08:00:00',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, thursday)).toEqual([]);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-13', 'YYYY-MM-DD'))).toEqual(['08:00']);
+      expect(scheduleService.getSlotsForDate(schedule, saturday)).toEqual([]);
+    });
+
+    it('should reject rules more frequent than daily', () => {
+      expect(() => scheduleService.parseRrule('FREQ=HOURLY;INTERVAL=2')).toThrow();
+      expect(() => scheduleService.parseRrule('not a rule')).toThrow();
+      expect(() => scheduleService.parseRrule('FREQ=DAILY;INTERVAL=2')).not.toThrow();
+    });
+  });
+
+  describe('End date', () => {
+    it('should stop creating slots after end_date', () => {
+      const schedule = {
+        schedule_type: 'daily',
+        time_weekdays: '08:00:00',
+        end_date: '2026-02-13',
+      };
+
+      expect(scheduleService.getSlotsForDate(schedule, thursday)).toEqual(['08:00']);
+      expect(scheduleService.getSlotsForDate(schedule, moment('2026-02-13', 'YYYY-MM-DD'))).toEqual(['08:00']);
+      expect(scheduleService.getSlotsForDate(schedule, saturday)).toEqual([]);
+    });
+
+    it('should include the start day in course length', () => {
+      expect(scheduleService.getCourseEndDate('2026-02-12', 10)).toBe('2026-02-21');
+      expect(scheduleService.getCourseEndDate('2026-02-28', 1)).toBe('2026-02-28');
+      expect(scheduleService.getCourseEndDate('2026-02-25', 5)).toBe('2026-03-01');
+    });
+  });
+
+  describe('Schedule editing', () => {
+    const current = {
+      schedule_type: 'daily',
+      time_weekdays: '08:00:00',
+      time_weekends: null,
+      specific_times: null,
+      end_date: null,
+    };
+
+    it('should detect only changed fields', () => {
+      expect(scheduleService.diffSchedule(current, {
+        time_weekdays: '08:00',
+        specific_times: null,
+      })).toEqual([]);
+      expect(scheduleService.diffSchedule(current, {
+        time_weekdays: '09:00',
+        end_date: '2026-03-01',
+      })).toEqual(['time_weekdays', 'end_date']);
+    });
+
+    it('should keep matching reminders and cancel stale ones', () => {
+      const next = { ...current, time_weekdays: '09:00', specific_times: ['08:00', '20:00'] };
+      const reminders = [
+        { reminder_id: 'a', scheduled_date: '2026-02-12', scheduled_time: '08:00:00' },
+        { reminder_id: 'b', scheduled_date: '2026-02-12', scheduled_time: '09:00:00' },
+        { reminder_id: 'c', scheduled_date: '2026-02-12', scheduled_time: '20:00:00' },
+      ];
+
+      expect(scheduleService.getStaleReminders([next], reminders).map(r => r.reminder_id)).toEqual(['b']);
+    });
+
+    it('should report inconsistent schedules', () => {
+      expect(scheduleService.getScheduleError(current)).toBeNull();
+      expect(scheduleService.getScheduleError({ ...current, schedule_type: 'interval' })).not.toBeNull();
+      expect(scheduleService.getScheduleError({ ...current, schedule_type: 'custom', custom_days: [] })).not.toBeNull();
+      expect(scheduleService.getScheduleError({ ...current, time_weekdays: null })).not.toBeNull();
+    });
+  });
+
+  describe('Timezone change', () => {
+    it('should shift all dose times keeping them sorted', () => {
+      const schedule = {
+        schedule_type: 'weekdays',
+        time_weekdays: '08:00:00',
+        time_weekends: '10:00:00',
+        specific_times: ['08:00', '22:00'],
+      };
+
+      expect(scheduleService.shiftScheduleTimes(schedule, 240)).toEqual({
+        time_weekdays: '02:00',
+        specific_times: ['02:00', '12:00'],
+        time_weekends: '14:00',
+      });
+    });
+
+    it('should not change schedule without shift', () => {
+      expect(scheduleService.shiftScheduleTimes({ time_weekdays: '08:00:00' }, 0)).toEqual({});
+      expect(scheduleService.shiftScheduleTimes({ time_weekdays: '08:00:00' }, -60)).toEqual({
+        time_weekdays: '07:00',
+      });
+    });
+  });
+
+  describe('Course adherence', () => {
+    it('should round adherence percent', () => {
+      expect(scheduleService.getAdherencePercent({ total: 30, completed: 27 })).toBe(90);
+      expect(scheduleService.getAdherencePercent({ total: 3, completed: 2 })).toBe(67);
+      expect(scheduleService.getAdherencePercent({ total: 0, completed: 0 })).toBe(0);
+    });
+  });
+});
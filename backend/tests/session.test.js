@@ -0,0 +1,172 @@
+/**
+ * Тесты для ротации refresh-токенов сессий мини-приложения
+ * @module tests/session
+ */
+
+import jwt from 'jsonwebtoken';
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+jest.unstable_mockModule('../src/config/index.js', () => ({
+  config: {
+    jwt: {
+      secret: 'test-secret-key',
+      expiresIn: '7d',
+      refreshExpiresIn: '30d',
+    },
+    auth: {
+      refreshReuseGrace: 30,
+    },
+  },
+}));
+
+jest.unstable_mockModule('../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../src/services/databaseService.js', () => ({
+  query: jest.fn(),
+  getUserById: jest.fn(),
+}));
+
+const db = await import('../src/services/databaseService.js');
+const { createSession, rotateSession } = await import('../src/services/sessionService.js');
+
+/**
+ * Таблица sessions в памяти (одна сессия) с теми же условиями, что и в SQL
+ */
+let stored;
+let beforeRotate;
+
+const sessionsTable = async (sql, params) => {
+  if (sql.includes('INSERT INTO sessions')) {
+    const [session_id, user_id, token, refresh_token] = params;
+    stored = {
+      session_id,
+      user_id,
+      token,
+      refresh_token,
+      previous_refresh_token: null,
+      rotated_at: null,
+      is_revoked: false,
+      revoke_reason: null,
+    };
+    return { rows: [], rowCount: 1 };
+  }
+
+  if (sql.includes('SELECT * FROM sessions WHERE session_id')) {
+    const [sessionId, userId] = params;
+    const found = stored && stored.session_id === sessionId && stored.user_id === userId;
+    return { rows: found ? [{ ...stored }] : [] };
+  }
+
+  if (sql.includes('SET token = $1')) {
+    // Параллельный запрос может успеть обновить сессию между чтением и записью
+    if (beforeRotate) {
+      beforeRotate();
+      beforeRotate = null;
+    }
+
+    const [token, refreshToken, previous, , , , , sessionId] = params;
+    if (stored.session_id !== sessionId || stored.refresh_token !== previous || stored.is_revoked) {
+      return { rows: [], rowCount: 0 };
+    }
+    Object.assign(stored, {
+      token,
+      refresh_token: refreshToken,
+      previous_refresh_token: previous,
+      rotated_at: new Date(),
+    });
+    return { rows: [], rowCount: 1 };
+  }
+
+  if (sql.includes('SET is_revoked = true')) {
+    const [sessionId, , reason] = params;
+    if (stored.session_id !== sessionId || stored.is_revoked) return { rows: [], rowCount: 0 };
+    Object.assign(stored, { is_revoked: true, revoke_reason: reason });
+    return { rows: [], rowCount: 1 };
+  }
+
+  throw new Error(`Неожиданный запрос: ${sql}`);
+};
+
+const rotationCount = () => db.query.mock.calls.filter(([sql]) => sql.includes('SET token = $1')).length;
+
+describe('Session rotation', () => {
+  const user = { user_id: 123456, username: 'anna' };
+  let login;
+
+  beforeEach(async () => {
+    stored = null;
+    beforeRotate = null;
+    db.query.mockReset();
+    db.query.mockImplementation(sessionsTable);
+    db.getUserById.mockResolvedValue(user);
+
+    login = await createSession(user, { userAgent: 'test' });
+  });
+
+  it('should issue a new refresh token and remember the previous one', async () => {
+    const result = await rotateSession(login.refreshToken);
+
+    expect(result.status).toBe('ok');
+    expect(result.sessionId).toBe(login.sessionId);
+    expect(result.refreshToken).not.toBe(login.refreshToken);
+    expect(stored.refresh_token).toBe(result.refreshToken);
+    expect(stored.previous_refresh_token).toBe(login.refreshToken);
+    expect(stored.token).toBe(result.token);
+  });
+
+  it('should return the current pair for the previous token within the grace window', async () => {
+    const first = await rotateSession(login.refreshToken);
+    const second = await rotateSession(login.refreshToken);
+
+    expect(second).toMatchObject({ status: 'ok', token: first.token, refreshToken: first.refreshToken });
+    expect(rotationCount()).toBe(1);
+    expect(stored.is_revoked).toBe(false);
+  });
+
+  it('should revoke the session when the previous token is reused after the grace window', async () => {
+    const rotated = await rotateSession(login.refreshToken);
+    stored.rotated_at = new Date(Date.now() - 31 * 1000);
+
+    const reuse = await rotateSession(login.refreshToken);
+
+    expect(reuse).toEqual({ status: 'reuse' });
+    expect(stored.is_revoked).toBe(true);
+    expect(stored.revoke_reason).toBe('reuse');
+
+    // Украденная пара тоже больше не действует
+    expect(await rotateSession(rotated.refreshToken)).toEqual({ status: 'revoked' });
+  });
+
+  it('should retry as the previous token when a concurrent request rotated first', async () => {
+    const concurrent = {
+      token: jwt.sign({ userId: user.user_id, sid: login.sessionId }, 'test-secret-key', { expiresIn: '7d' }),
+      refreshToken: 'concurrent-refresh',
+    };
+    beforeRotate = () => Object.assign(stored, {
+      token: concurrent.token,
+      refresh_token: concurrent.refreshToken,
+      previous_refresh_token: login.refreshToken,
+      rotated_at: new Date(),
+    });
+
+    const result = await rotateSession(login.refreshToken);
+
+    expect(result).toMatchObject({ status: 'ok', ...concurrent });
+    expect(rotationCount()).toBe(1);
+    expect(stored.is_revoked).toBe(false);
+  });
+
+  it('should reject an access token and a revoked session', async () => {
+    expect(await rotateSession(login.token)).toEqual({ status: 'invalid' });
+
+    stored.is_revoked = true;
+    expect(await rotateSession(login.refreshToken)).toEqual({ status: 'revoked' });
+  });
+});
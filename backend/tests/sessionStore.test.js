@@ -0,0 +1,195 @@
+/**
+ * Тесты для машины состояний диалогов бота поверх Redis
+ * @module tests/sessionStore
+ */
+
+import { jest, describe, it, expect, beforeEach } from '@jest/globals';
+
+/**
+ * Redis в памяти: get/setex/del с истечением ключей по часам теста
+ */
+const store = new Map();
+let now = 0;
+
+const redisClient = {
+  get: jest.fn(async (key) => {
+    const entry = store.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      store.delete(key);
+      return null;
+    }
+    return entry.value;
+  }),
+  setex: jest.fn(async (key, ttl, value) => {
+    store.set(key, { value, expiresAt: now + ttl * 1000 });
+    return 'OK';
+  }),
+  del: jest.fn(async (key) => (store.delete(key) ? 1 : 0)),
+};
+
+jest.unstable_mockModule('../src/config/redis.js', () => ({
+  redisClient,
+  default: redisClient,
+}));
+
+jest.unstable_mockModule('../src/config/logger.js', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../src/config/index.js', () => ({
+  config: {
+    bot: {
+      sessionTtl: 600,
+    },
+  },
+}));
+
+const { createDialog } = await import('../src/bot/sessionStore.js');
+
+const STATES = {
+  TITLE: 'title',
+  TIME: 'time',
+  CONFIRM: 'confirm',
+};
+
+const userId = 123456;
+const key = `bot:session:add:${userId}`;
+
+describe('Dialog state machine', () => {
+  let dialog;
+
+  beforeEach(() => {
+    store.clear();
+    now = 0;
+    jest.clearAllMocks();
+    dialog = createDialog('add', { states: STATES, ttl: 60 });
+  });
+
+  it('should start a dialog with empty history', async () => {
+    const session = await dialog.start(userId, STATES.TITLE, { type: 'habit' });
+
+    expect(session).toEqual({ state: 'title', data: { type: 'habit' }, history: [] });
+    expect(await dialog.get(userId)).toEqual(session);
+    expect(redisClient.setex).toHaveBeenCalledWith(key, 60, expect.any(String));
+  });
+
+  it('should reject unknown states', async () => {
+    await expect(dialog.start(userId, 'unknown')).rejects.toThrow('Неизвестное состояние диалога add');
+
+    await dialog.start(userId, STATES.TITLE);
+    await expect(dialog.transition(userId, 'unknown')).rejects.toThrow('unknown');
+    expect((await dialog.get(userId)).state).toBe('title');
+  });
+
+  it('should merge data and remember previous states on transition', async () => {
+    await dialog.start(userId, STATES.TITLE, { type: 'habit' });
+    await dialog.transition(userId, STATES.TIME, { title: 'Зарядка' });
+    const session = await dialog.transition(userId, STATES.CONFIRM, { time: '08:00' });
+
+    expect(session).toEqual({
+      state: 'confirm',
+      data: { type: 'habit', title: 'Зарядка', time: '08:00' },
+      history: ['title', 'time'],
+    });
+  });
+
+  it('should not repeat the state in history when staying in it', async () => {
+    await dialog.start(userId, STATES.TITLE);
+    await dialog.transition(userId, STATES.TIME);
+    const session = await dialog.transition(userId, STATES.TIME, { time: '09:00' });
+
+    expect(session.history).toEqual(['title']);
+  });
+
+  it('should go back to the previous state', async () => {
+    await dialog.start(userId, STATES.TITLE, { type: 'habit' });
+    await dialog.transition(userId, STATES.TIME, { title: 'Зарядка' });
+    await dialog.transition(userId, STATES.CONFIRM, { time: '08:00' });
+
+    const previous = await dialog.back(userId, { time: undefined });
+    expect(previous.state).toBe('time');
+    expect(previous.history).toEqual(['title']);
+
+    // Поле со значением undefined удаляется при сохранении
+    expect((await dialog.get(userId)).data).toEqual({ type: 'habit', title: 'Зарядка' });
+
+    expect((await dialog.back(userId)).state).toBe('title');
+    expect(await dialog.back(userId)).toBeNull();
+  });
+
+  it('should update data without changing the state', async () => {
+    await dialog.start(userId, STATES.TITLE, { type: 'habit' });
+    await dialog.transition(userId, STATES.TIME);
+
+    const session = await dialog.update(userId, { icon: '💪' });
+
+    expect(session).toEqual({
+      state: 'time',
+      data: { type: 'habit', icon: '💪' },
+      history: ['title'],
+    });
+  });
+
+  it('should delete the session on finish', async () => {
+    await dialog.start(userId, STATES.TITLE);
+    await dialog.finish(userId);
+
+    expect(store.has(key)).toBe(false);
+    expect(await dialog.get(userId)).toBeNull();
+  });
+
+  it('should keep dialogs of different users and names apart', async () => {
+    const other = createDialog('settings', { states: STATES, ttl: 60 });
+
+    await dialog.start(userId, STATES.TITLE, { type: 'habit' });
+    await dialog.start(userId + 1, STATES.TIME);
+    await other.start(userId, STATES.CONFIRM);
+
+    expect((await dialog.get(userId)).state).toBe('title');
+    expect((await dialog.get(userId + 1)).state).toBe('time');
+    expect((await other.get(userId)).state).toBe('confirm');
+  });
+
+  it('should drop a corrupted session', async () => {
+    store.set(key, { value: '{broken', expiresAt: now + 60 * 1000 });
+
+    expect(await dialog.get(userId)).toBeNull();
+    expect(redisClient.del).toHaveBeenCalledWith(key);
+  });
+
+  describe('Expiry', () => {
+    it('should expire an abandoned dialog after the TTL', async () => {
+      await dialog.start(userId, STATES.TITLE);
+
+      now += 60 * 1000;
+
+      expect(await dialog.get(userId)).toBeNull();
+      expect(await dialog.transition(userId, STATES.TIME)).toBeNull();
+      expect(await dialog.update(userId, { title: 'Зарядка' })).toBeNull();
+      expect(await dialog.back(userId)).toBeNull();
+    });
+
+    it('should extend the TTL on every step', async () => {
+      await dialog.start(userId, STATES.TITLE);
+
+      now += 50 * 1000;
+      await dialog.transition(userId, STATES.TIME);
+
+      now += 50 * 1000;
+      expect((await dialog.get(userId)).state).toBe('time');
+    });
+
+    it('should use the configured TTL by default', async () => {
+      const defaultDialog = createDialog('default', { states: STATES });
+      await defaultDialog.start(userId, STATES.TITLE);
+
+      expect(redisClient.setex).toHaveBeenCalledWith(`bot:session:default:${userId}`, 600, expect.any(String));
+    });
+  });
+});
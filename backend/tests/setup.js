@@ -41,27 +41,51 @@ jest.mock('../src/config/index.js', () => ({
         maxTotalButtons: 210,
       },
     },
+    bot: {
+      sessionTtl: 86400,
+      onboardingTtl: 604800,
+    },
     business: {
       escalation: {
         initial: 0,
         firstReminder: 15,
         secondReminder: 45,
         autoSkip: 60,
+        maxNudges: 5,
       },
       maxPostpones: 2,
+      postponeOptions: [5, 15, 30, 60],
+      maxPostponeMinutes: 240,
       gracePeriod: 120,
+      onTimeWindow: 30,
       reminderDaysAhead: 30,
+      reminderTopUpCron: '0 3 * * *',
+      reminderRecoveryCron: '*/10 * * * *',
+      courseFinishCron: '0 * * * *',
+      pauseResumeCron: '*/15 * * * *',
       defaultQuietHours: {
         start: '23:00',
         end: '08:00',
       },
       defaultTimezone: 'Europe/Moscow',
     },
+    privacy: {
+      dataRetentionDays: 30,
+      purgeCron: '0 3 * * *',
+      exportTtlDays: 7,
+      exportExpiryCron: '30 * * * *',
+    },
     jwt: {
       secret: 'test-secret-key',
       expiresIn: '7d',
       refreshExpiresIn: '30d',
     },
+    auth: {
+      miniAppUrl: 'https://app.habitmax.test',
+      codeTtl: 300,
+      initDataMaxAge: 86400,
+      refreshReuseGrace: 30,
+    },
   },
   validateConfig: jest.fn(),
   getPublicConfig: jest.fn(),
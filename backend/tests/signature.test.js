@@ -0,0 +1,76 @@
+/**
+ * Тесты для подписей авторизации мини-приложения
+ * @module tests/signature
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as signature from '../src/utils/signature.js';
+
+const SECRET = 'test-secret-key';
+const BOT_TOKEN = 'test-bot-token';
+
+/**
+ * init-data, подписанная так же, как ее подписывает платформа
+ */
+const buildInitData = (fields) => {
+  const params = new URLSearchParams(fields);
+  params.set('hash', signature.signInitData(params.toString(), BOT_TOKEN));
+  return params.toString();
+};
+
+describe('Signed one-time codes', () => {
+  it('should accept a freshly signed code', () => {
+    const code = signature.createSignedCode(SECRET);
+    expect(code).toMatch(/^[0-9a-f]{40}$/);
+    expect(signature.verifySignedCode(code, SECRET)).toBe(true);
+  });
+
+  it('should issue different codes', () => {
+    expect(signature.createSignedCode(SECRET)).not.toBe(signature.createSignedCode(SECRET));
+  });
+
+  it('should reject forged and malformed codes', () => {
+    const code = signature.createSignedCode(SECRET);
+    const forged = code.slice(0, -1) + (code.endsWith('0') ? '1' : '0');
+
+    expect(signature.verifySignedCode(forged, SECRET)).toBe(false);
+    expect(signature.verifySignedCode(code, 'other-secret')).toBe(false);
+    expect(signature.verifySignedCode('12345', SECRET)).toBe(false);
+    expect(signature.verifySignedCode(null, SECRET)).toBe(false);
+  });
+});
+
+describe('WebApp init-data', () => {
+  const now = new Date('2026-02-12T10:00:00Z');
+  const authDate = String(now.getTime() / 1000 - 60);
+  const user = JSON.stringify({ id: 123456, first_name: 'Анна' });
+
+  it('should return user for valid init-data', () => {
+    const initData = buildInitData({ auth_date: authDate, query_id: 'q1', user });
+    const result = signature.verifyInitData(initData, BOT_TOKEN, { maxAge: 3600, now });
+
+    expect(result.userId).toBe(123456);
+    expect(result.user.first_name).toBe('Анна');
+  });
+
+  it('should reject tampered init-data', () => {
+    const initData = buildInitData({ auth_date: authDate, user })
+      .replace('123456', '654321');
+    expect(signature.verifyInitData(initData, BOT_TOKEN, { maxAge: 3600, now })).toBeNull();
+  });
+
+  it('should reject init-data signed with another token', () => {
+    const initData = buildInitData({ auth_date: authDate, user });
+    expect(signature.verifyInitData(initData, 'other-token', { maxAge: 3600, now })).toBeNull();
+  });
+
+  it('should reject stale init-data', () => {
+    const initData = buildInitData({ auth_date: authDate, user });
+    expect(signature.verifyInitData(initData, BOT_TOKEN, { maxAge: 30, now })).toBeNull();
+  });
+
+  it('should reject init-data without hash or user', () => {
+    expect(signature.verifyInitData(`auth_date=${authDate}`, BOT_TOKEN, { now })).toBeNull();
+    expect(signature.verifyInitData(buildInitData({ auth_date: authDate }), BOT_TOKEN, { now })).toBeNull();
+  });
+});
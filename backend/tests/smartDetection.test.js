@@ -0,0 +1,72 @@
+/**
+ * Тесты для распознавания фраз о выполнении, пропуске и отсрочке
+ * @module tests/smartDetection
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as smart from '../src/bot/smartDetection.js';
+
+const reminders = [
+  { reminder_id: 'r1', title: 'Лизиноприл от давления', type: 'medication' },
+  { reminder_id: 'r2', title: 'Витамин D', type: 'medication' },
+  { reminder_id: 'r3', title: 'Стакан воды', type: 'habit' },
+  { reminder_id: 'r4', title: 'Позвонить маме', type: 'task' },
+];
+
+const ids = (list) => list.map(r => r.reminder_id);
+
+describe('Smart detection', () => {
+  describe('detectIntent', () => {
+    it('should detect postpone with duration', () => {
+      expect(smart.detectIntent('отложи на 20 минут')).toMatchObject({ intent: 'postpone', query: '', minutes: 20 });
+      expect(smart.detectIntent('Напомни через полчаса')).toMatchObject({ intent: 'postpone', minutes: 30 });
+      expect(smart.detectIntent('отложи витамины на 2 часа')).toMatchObject({ query: 'витамины', minutes: 120 });
+      expect(smart.detectIntent('позже')).toMatchObject({ intent: 'postpone', minutes: 15 });
+    });
+
+    it('should detect skip and completion', () => {
+      expect(smart.detectIntent('пропустил витамины')).toMatchObject({ intent: 'skip', query: 'витамины' });
+      expect(smart.detectIntent('я уже выпил таблетку от давления')).toMatchObject({
+        intent: 'complete',
+        query: 'таблетку от давления',
+        explicit: true,
+      });
+      expect(smart.detectIntent('позвонила маме')).toMatchObject({
+        intent: 'complete',
+        query: 'позвонила маме',
+        explicit: false,
+      });
+    });
+
+    it('should ignore other phrases', () => {
+      expect(smart.detectIntent('футбол каждый вечер')).toBeNull();
+      expect(smart.detectIntent('напоминай пить магний в 21:00')).toBeNull();
+    });
+  });
+
+  describe('matchReminders', () => {
+    it('should prefer title matches over generic type words', () => {
+      expect(ids(smart.matchReminders(reminders, 'таблетку от давления'))).toEqual(['r1']);
+    });
+
+    it('should match word forms and typos', () => {
+      expect(ids(smart.matchReminders(reminders, 'витамины'))).toEqual(['r2']);
+      expect(ids(smart.matchReminders(reminders, 'воду'))).toEqual(['r3']);
+      expect(ids(smart.matchReminders(reminders, 'позвонила маме'))).toEqual(['r4']);
+      expect(ids(smart.matchReminders(reminders, 'витамни'))).toEqual(['r2']);
+    });
+
+    it('should return several candidates for generic words', () => {
+      expect(ids(smart.matchReminders(reminders, 'таблетку'))).toEqual(['r1', 'r2']);
+      expect(ids(smart.matchReminders(reminders, ''))).toEqual(['r1', 'r2', 'r3', 'r4']);
+      expect(smart.matchReminders(reminders, 'пробежка')).toEqual([]);
+    });
+  });
+
+  it('should validate snooze duration', () => {
+    expect(smart.isValidSnooze(20)).toBe(true);
+    expect(smart.isValidSnooze(0)).toBe(false);
+    expect(smart.isValidSnooze(241)).toBe(false);
+    expect(smart.isValidSnooze(NaN)).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Тесты для работы со временем в часовом поясе пользователя
+ * @module tests/time
+ */
+
+import { describe, it, expect } from '@jest/globals';
+import * as time from '../src/utils/time.js';
+
+describe('Timezone utils', () => {
+  describe('resolveTimezone', () => {
+    it('should keep valid IANA timezone', () => {
+      expect(time.resolveTimezone('Asia/Vladivostok')).toBe('Asia/Vladivostok');
+    });
+
+    it('should fall back to default timezone', () => {
+      expect(time.resolveTimezone('Mars/Olympus')).toBe('Europe/Moscow');
+      expect(time.resolveTimezone(null)).toBe('Europe/Moscow');
+    });
+  });
+
+  describe('toUtcDate', () => {
+    it('should convert Vladivostok 08:00 to 22:00 UTC of previous day', () => {
+      const date = time.toUtcDate('2026-02-12', '08:00:00', 'Asia/Vladivostok');
+      expect(date.toISOString()).toBe('2026-02-11T22:00:00.000Z');
+    });
+
+    it('should respect DST transitions', () => {
+      // Берлин: 29 марта 2026 переход на летнее время
+      const before = time.toUtcDate('2026-03-28', '08:00', 'Europe/Berlin');
+      const after = time.toUtcDate('2026-03-29', '08:00', 'Europe/Berlin');
+
+      expect(before.toISOString()).toBe('2026-03-28T07:00:00.000Z');
+      expect(after.toISOString()).toBe('2026-03-29T06:00:00.000Z');
+    });
+  });
+
+  describe('getLocalDate', () => {
+    it('should return user local date instead of server date', () => {
+      const now = new Date('2026-02-11T20:00:00Z');
+
+      expect(time.getLocalDate('Asia/Vladivostok', now)).toBe('2026-02-12');
+      expect(time.getLocalDate('Europe/Moscow', now)).toBe('2026-02-11');
+    });
+  });
+
+  describe('addDays', () => {
+    it('should shift calendar dates across month boundaries', () => {
+      expect(time.addDays('2026-02-27', 3)).toBe('2026-03-02');
+      expect(time.addDays('2026-03-01', -1)).toBe('2026-02-28');
+    });
+  });
+
+  describe('Timezone change', () => {
+    it('should compute shift between timezones', () => {
+      const now = new Date('2026-02-11T12:00:00Z');
+      expect(time.getTimezoneShift('Europe/Moscow', 'Asia/Novosibirsk', now)).toBe(240);
+      expect(time.getTimezoneShift('Europe/Moscow', 'Europe/Kaliningrad', now)).toBe(-60);
+      expect(time.getTimezoneShift('Asia/Kolkata', 'Europe/Moscow', now)).toBe(-150);
+    });
+
+    it('should shift time across midnight', () => {
+      expect(time.shiftTime('08:00:00', 240)).toBe('12:00');
+      expect(time.shiftTime('22:00', 240)).toBe('02:00');
+      expect(time.shiftTime('00:30', -60)).toBe('23:30');
+    });
+  });
+
+  describe('Quiet hours', () => {
+    const user = {
+      timezone: 'Asia/Vladivostok',
+      quiet_hours_start: '23:00:00',
+      quiet_hours_end: '08:00:00',
+    };
+
+    it('should detect quiet hours in user timezone', () => {
+      // 07:30 во Владивостоке
+      expect(time.isQuietHours(user, new Date('2026-02-11T21:30:00Z'))).toBe(true);
+      // 08:30 во Владивостоке
+      expect(time.isQuietHours(user, new Date('2026-02-11T22:30:00Z'))).toBe(false);
+    });
+
+    it('should compute end of quiet hours in user timezone', () => {
+      const end = time.getEndOfQuietHours(user, new Date('2026-02-11T14:00:00Z'));
+      expect(end.toISOString()).toBe('2026-02-11T22:00:00.000Z');
+    });
+  });
+});
@@ -12,6 +12,7 @@ import RewardsPage from './pages/RewardsPage';
 import SettingsPage from './pages/SettingsPage';
 import AuthPage from './pages/AuthPage';
 import AddRoutinePage from './pages/AddRoutinePage';
+import ConsentPage from './pages/ConsentPage';
 
 // Components
 import ProtectedRoute from './components/ProtectedRoute';
@@ -95,9 +96,17 @@ const App: React.FC = () => {
               </ProtectedRoute>
             }
           />
+          <Route
+            path="/consent"
+            element={
+              <ProtectedRoute>
+                <ConsentPage />
+              </ProtectedRoute>
+            }
+          />
         </Routes>
 
-        {isAuthenticated && location.pathname !== '/auth' && (
+        {isAuthenticated && location.pathname !== '/auth' && location.pathname !== '/consent' && (
           <Tabbar className="bottom-nav">
             <Tabbar.Item
               icon="📅"
@@ -24,6 +24,13 @@ api.interceptors.request.use(
   }
 );
 
+// Ответ 403 из-за отсутствия согласия с политикой (сессия при этом действительна)
+export const isConsentRequired = (error: unknown): boolean => {
+  if (!axios.isAxiosError(error)) return false;
+  const data = error.response?.data as { code?: string } | undefined;
+  return error.response?.status === 403 && data?.code === 'CONSENT_REQUIRED';
+};
+
 // Интерцептор ответов для обработки ошибок и обновления токена
 api.interceptors.response.use(
   (response) => response,
@@ -44,8 +51,10 @@ api.interceptors.response.use(
           const response = await axios.post('/api/auth/refresh', { refreshToken });
           
           if (response.data.success) {
-            const { token: newToken } = response.data.data;
+            // refresh-токен одноразовый: сохраняем новый вместе с access-токеном
+            const { token: newToken, refreshToken: newRefreshToken } = response.data.data;
             Cookies.set('token', newToken, { expires: 7 });
+            Cookies.set('refreshToken', newRefreshToken, { expires: 30 });
             
             // Повторяем оригинальный запрос
             originalRequest.headers.Authorization = `Bearer ${newToken}`;
@@ -63,6 +72,13 @@ api.interceptors.response.use(
       }
     }
 
+    // Новая редакция политики или отозванное согласие — сначала согласие
+    if (isConsentRequired(error)) {
+      if (window.location.pathname !== '/consent') {
+        window.location.href = '/consent';
+      }
+    }
+
     return Promise.reject(error);
   }
 );
@@ -70,9 +86,31 @@ api.interceptors.response.use(
 // API методы
 export const authApi = {
   exchange: (code: string) => api.post('/auth/exchange', { code }),
+  exchangeInitData: (initData: string) => api.post('/auth/exchange', { initData }),
   refresh: (refreshToken: string) => api.post('/auth/refresh', { refreshToken }),
 };
 
+export const exportApi = {
+  getLatest: () => api.get('/export'),
+  request: () => api.post('/export'),
+};
+
+export const consentApi = {
+  get: () => api.get('/consent'),
+  accept: () => api.post('/consent'),
+  withdraw: () => api.delete('/consent'),
+};
+
+export const accountApi = {
+  delete: () => api.delete('/account'),
+};
+
+export const sessionsApi = {
+  getAll: () => api.get('/sessions'),
+  revoke: (id: string) => api.delete(`/sessions/${id}`),
+  revokeAll: () => api.delete('/sessions'),
+};
+
 export const routinesApi = {
   getAll: () => api.get('/routines'),
   create: (data: any) => api.post('/routines', data),
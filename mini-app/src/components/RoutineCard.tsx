@@ -7,8 +7,9 @@ interface RoutineCardProps {
   icon: string;
   title: string;
   subtitle?: string;
+  slotLabel?: string;
   time: string;
-  status: 'pending' | 'sent' | 'completed' | 'skipped' | 'postponed';
+  status: 'pending' | 'sent' | 'completed' | 'skipped' | 'postponed' | 'missed';
   canPostpone?: boolean;
   onComplete: () => void;
   onPostpone?: () => void;
@@ -19,6 +20,7 @@ const RoutineCard: React.FC<RoutineCardProps> = ({
   icon,
   title,
   subtitle,
+  slotLabel,
   time,
   status,
   canPostpone = true,
@@ -27,7 +29,7 @@ const RoutineCard: React.FC<RoutineCardProps> = ({
   onSkip,
 }) => {
   const isCompleted = status === 'completed';
-  const isSkipped = status === 'skipped';
+  const isSkipped = status === 'skipped' || status === 'missed';
   const isPending = status === 'pending' || status === 'sent';
 
   return (
@@ -43,6 +45,7 @@ const RoutineCard: React.FC<RoutineCardProps> = ({
         <div className="routine-title">{title}</div>
         <div className="routine-subtitle">
           {subtitle ? `${subtitle} • ` : ''}{time}
+          {slotLabel ? ` • ${slotLabel}` : ''}
         </div>
       </div>
 
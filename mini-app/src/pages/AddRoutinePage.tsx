@@ -15,7 +15,7 @@ interface Template {
   isPopular: boolean;
 }
 
-type Step = 'type' | 'template' | 'custom' | 'schedule' | 'time' | 'confirm';
+type Step = 'type' | 'template' | 'custom' | 'schedule' | 'rule' | 'time' | 'course' | 'confirm';
 
 const routineTypes = [
   { value: 'medication', label: '💊 Лекарство', description: 'Отслеживание приёма лекарств' },
@@ -26,9 +26,26 @@ const routineTypes = [
 const scheduleTypes = [
   { value: 'daily', label: '📆 Каждый день' },
   { value: 'weekdays', label: '📅 Будни / Выходные' },
+  { value: 'weekends', label: '🏖 Только выходные' },
   { value: 'custom', label: '🗓 Выбрать дни' },
+  { value: 'interval', label: '🔄 Раз в несколько дней' },
+  { value: 'cyclic', label: '💊 Курс: приём / перерыв' },
 ];
 
+const intervalOptions = [
+  { value: 2, unit: 'day', label: 'Через день' },
+  { value: 3, unit: 'day', label: 'Раз в 3 дня' },
+  { value: 2, unit: 'week', label: 'Раз в 2 недели' },
+];
+
+const cycleOptions = [
+  { on: 21, off: 7 },
+  { on: 24, off: 4 },
+  { on: 14, off: 7 },
+];
+
+const courseOptions = [5, 7, 10, 14, 30];
+
 const timeOptions = [
   { value: '06:00', label: '🌅 06:00' },
   { value: '07:00', label: '🌅 07:00' },
@@ -41,6 +58,8 @@ const timeOptions = [
   { value: '22:00', label: '🌃 22:00' },
 ];
 
+const MAX_TIMES_PER_DAY = 6;
+
 const AddRoutinePage: React.FC = () => {
   const navigate = useNavigate();
   const queryClient = useQueryClient();
@@ -54,7 +73,14 @@ const AddRoutinePage: React.FC = () => {
     dosage: '',
     scheduleType: 'daily',
     time: '08:00',
+    times: [] as string[],
+    intervalValue: 2,
+    intervalUnit: 'day' as 'day' | 'week',
+    cycleOnDays: 21,
+    cycleOffDays: 7,
+    courseDays: 0,
   });
+  const [multiTime, setMultiTime] = useState(false);
 
   const { data: templates } = useQuery(
     ['templates', routineData.type],
@@ -98,14 +124,58 @@ const AddRoutinePage: React.FC = () => {
 
   const handleScheduleSelect = (scheduleType: string) => {
     setRoutineData({ ...routineData, scheduleType });
+    setStep(scheduleType === 'interval' || scheduleType === 'cyclic' ? 'rule' : 'time');
+  };
+
+  const handleIntervalSelect = (intervalValue: number, intervalUnit: 'day' | 'week') => {
+    setRoutineData({ ...routineData, intervalValue, intervalUnit });
     setStep('time');
   };
 
+  const handleCycleSelect = (cycleOnDays: number, cycleOffDays: number) => {
+    setRoutineData({ ...routineData, cycleOnDays, cycleOffDays });
+    setStep('time');
+  };
+
+  const getScheduleLabel = () => {
+    if (routineData.scheduleType === 'interval') {
+      return intervalOptions.find(
+        (o) => o.value === routineData.intervalValue && o.unit === routineData.intervalUnit
+      )?.label;
+    }
+    if (routineData.scheduleType === 'cyclic') {
+      return `${routineData.cycleOnDays} дн. приём / ${routineData.cycleOffDays} дн. перерыв`;
+    }
+    return scheduleTypes.find((s) => s.value === routineData.scheduleType)?.label;
+  };
+
+  // Для лекарств после времени спрашиваем длительность курса
+  const nextAfterTime = (): Step => (routineData.type === 'medication' ? 'course' : 'confirm');
+
   const handleTimeSelect = (time: string) => {
-    setRoutineData({ ...routineData, time });
+    setRoutineData({ ...routineData, time, times: [time] });
+    setStep(nextAfterTime());
+  };
+
+  const handleCourseSelect = (courseDays: number) => {
+    setRoutineData({ ...routineData, courseDays });
     setStep('confirm');
   };
 
+  const handleTimeToggle = (time: string) => {
+    const selected = routineData.times.includes(time)
+      ? routineData.times.filter((t) => t !== time)
+      : [...routineData.times, time].slice(0, MAX_TIMES_PER_DAY);
+    setRoutineData({ ...routineData, times: selected.sort() });
+  };
+
+  const handleMultiTimeToggle = () => {
+    setMultiTime(!multiTime);
+    setRoutineData({ ...routineData, times: [] });
+  };
+
+  const selectedTimes = routineData.times.length > 0 ? routineData.times : [routineData.time];
+
   const handleCreate = () => {
     createMutation.mutate({
       type: routineData.type,
@@ -115,7 +185,18 @@ const AddRoutinePage: React.FC = () => {
       dosage: routineData.dosage,
       schedule: {
         type: routineData.scheduleType,
-        time: routineData.time,
+        times: selectedTimes,
+        ...(routineData.scheduleType === 'interval' && {
+          intervalValue: routineData.intervalValue,
+          intervalUnit: routineData.intervalUnit,
+        }),
+        ...(routineData.scheduleType === 'cyclic' && {
+          cycleOnDays: routineData.cycleOnDays,
+          cycleOffDays: routineData.cycleOffDays,
+        }),
+        ...(routineData.courseDays > 0 && {
+          courseDays: routineData.courseDays,
+        }),
       },
     });
   };
@@ -251,24 +332,125 @@ const AddRoutinePage: React.FC = () => {
           </>
         );
 
+      case 'rule':
+        return (
+          <>
+            <Typography variant="subtitle" style={{ marginBottom: 16 }}>
+              {routineData.scheduleType === 'interval' ? 'Как часто?' : 'Схема курса'}
+            </Typography>
+            {routineData.scheduleType === 'cyclic' && (
+              <Typography variant="caption" color="secondary" style={{ marginBottom: 12, display: 'block' }}>
+                Дни приёма / дни перерыва. Отсчёт начнётся с сегодняшнего дня.
+              </Typography>
+            )}
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+              {routineData.scheduleType === 'interval'
+                ? intervalOptions.map((option) => (
+                    <Button
+                      key={`${option.value}${option.unit}`}
+                      variant="secondary"
+                      size="large"
+                      block
+                      onClick={() => handleIntervalSelect(option.value, option.unit as 'day' | 'week')}
+                    >
+                      {option.label}
+                    </Button>
+                  ))
+                : cycleOptions.map((option) => (
+                    <Button
+                      key={`${option.on}/${option.off}`}
+                      variant="secondary"
+                      size="large"
+                      block
+                      onClick={() => handleCycleSelect(option.on, option.off)}
+                    >
+                      {option.on} дн. приём / {option.off} дн. перерыв
+                    </Button>
+                  ))}
+            </div>
+          </>
+        );
+
       case 'time':
         return (
           <>
             <Typography variant="subtitle" style={{ marginBottom: 16 }}>
-              Выберите время
+              {multiTime ? 'Выберите время приёмов' : 'Выберите время'}
             </Typography>
+            <Button
+              variant={multiTime ? 'primary' : 'secondary'}
+              size="medium"
+              block
+              style={{ marginBottom: 12 }}
+              onClick={handleMultiTimeToggle}
+            >
+              🔁 Несколько приёмов в день
+            </Button>
             <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
-              {timeOptions.map((time) => (
+              {timeOptions.map((time) => {
+                const isSelected = multiTime
+                  ? routineData.times.includes(time.value)
+                  : routineData.time === time.value;
+
+                return (
+                  <Button
+                    key={time.value}
+                    variant={isSelected ? 'primary' : 'secondary'}
+                    size="medium"
+                    block
+                    onClick={() =>
+                      multiTime ? handleTimeToggle(time.value) : handleTimeSelect(time.value)
+                    }
+                  >
+                    {multiTime && isSelected ? `✓ ${time.label}` : time.label}
+                  </Button>
+                );
+              })}
+            </div>
+            {multiTime && (
+              <Button
+                variant="primary"
+                size="large"
+                block
+                style={{ marginTop: 16 }}
+                disabled={routineData.times.length === 0}
+                onClick={() => setStep(nextAfterTime())}
+              >
+                Продолжить ({routineData.times.length})
+              </Button>
+            )}
+          </>
+        );
+
+      case 'course':
+        return (
+          <>
+            <Typography variant="subtitle" style={{ marginBottom: 16 }}>
+              Сколько длится курс?
+            </Typography>
+            <Typography variant="caption" color="secondary" style={{ marginBottom: 12, display: 'block' }}>
+              После окончания придут итоги, а рутина переместится в архив.
+            </Typography>
+            <div style={{ display: 'flex', flexDirection: 'column', gap: 8 }}>
+              {courseOptions.map((days) => (
                 <Button
-                  key={time.value}
-                  variant={routineData.time === time.value ? 'primary' : 'secondary'}
-                  size="medium"
+                  key={days}
+                  variant="secondary"
+                  size="large"
                   block
-                  onClick={() => handleTimeSelect(time.value)}
+                  onClick={() => handleCourseSelect(days)}
                 >
-                  {time.label}
+                  {days} дн.
                 </Button>
               ))}
+              <Button
+                variant="secondary"
+                size="large"
+                block
+                onClick={() => handleCourseSelect(0)}
+              >
+                ♾ Без срока
+              </Button>
             </div>
           </>
         );
@@ -299,15 +481,23 @@ const AddRoutinePage: React.FC = () => {
                     Расписание
                   </Typography>
                   <Typography variant="body">
-                    {scheduleTypes.find((s) => s.value === routineData.scheduleType)?.label}
+                    {getScheduleLabel()}
                   </Typography>
                 </div>
                 <div>
                   <Typography variant="caption" color="secondary">
-                    Время
+                    {selectedTimes.length > 1 ? 'Приёмы' : 'Время'}
                   </Typography>
-                  <Typography variant="body">{routineData.time}</Typography>
+                  <Typography variant="body">{selectedTimes.join(', ')}</Typography>
                 </div>
+                {routineData.courseDays > 0 && (
+                  <div>
+                    <Typography variant="caption" color="secondary">
+                      Курс
+                    </Typography>
+                    <Typography variant="body">{routineData.courseDays} дн.</Typography>
+                  </div>
+                )}
               </div>
             </Panel>
             <div style={{ display: 'flex', gap: 12 }}>
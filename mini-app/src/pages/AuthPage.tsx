@@ -4,6 +4,13 @@ import { MaxUI, Panel, Typography, Button, Input } from '@maxhub/max-ui';
 import { useAuthStore } from '../stores/authStore';
 import { authApi } from '../api/client';
 
+// Мост Max WebApp (есть, только если приложение открыто из Max)
+declare global {
+  interface Window {
+    WebApp?: { initData?: string };
+  }
+}
+
 const AuthPage: React.FC = () => {
   const navigate = useNavigate();
   const { setAuth, isAuthenticated } = useAuthStore();
@@ -18,14 +25,20 @@ const AuthPage: React.FC = () => {
     }
   }, [isAuthenticated, navigate]);
 
-  // Получаем код из URL (deeplink)
+  // Получаем код из URL (deeplink) или init-data из Max
   useEffect(() => {
     const params = new URLSearchParams(window.location.search);
     const authCode = params.get('code') || params.get('start');
     if (authCode && authCode.startsWith('app_auth_')) {
-      const userId = authCode.replace('app_auth_', '');
-      setCode(userId);
-      handleAuth(userId);
+      const value = authCode.replace('app_auth_', '');
+      setCode(value);
+      handleAuth(value);
+      return;
+    }
+
+    const initData = window.WebApp?.initData;
+    if (initData) {
+      exchange(() => authApi.exchangeInitData(initData));
     }
   }, []);
 
@@ -35,11 +48,15 @@ const AuthPage: React.FC = () => {
       return;
     }
 
+    await exchange(() => authApi.exchange(authCode.trim()));
+  };
+
+  const exchange = async (request: () => Promise<{ data: any }>) => {
     setIsLoading(true);
     setError('');
 
     try {
-      const response = await authApi.exchange(authCode);
+      const response = await request();
       
       if (response.data.success) {
         const { token, refreshToken, user } = response.data.data;
@@ -0,0 +1,103 @@
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from 'react-query';
+import { Panel, Typography, Button } from '@maxhub/max-ui';
+import { consentApi } from '../api/client';
+
+interface ConsentState {
+  policy: {
+    version: string;
+    effectiveDate: string;
+    changes: string[];
+    url: string;
+  };
+  required: boolean;
+  acceptedVersion: string | null;
+  consentedAt: string | null;
+  withdrawnAt: string | null;
+}
+
+// Дата вступления в силу (YYYY-MM-DD) без сдвига часового пояса
+const formatEffectiveDate = (value: string): string =>
+  value.split('-').reverse().join('.');
+
+const ConsentPage: React.FC = () => {
+  const navigate = useNavigate();
+  const queryClient = useQueryClient();
+
+  const { data, isLoading } = useQuery<ConsentState>(
+    'consent',
+    () => consentApi.get().then((res) => res.data.data)
+  );
+
+  const acceptMutation = useMutation(() => consentApi.accept(), {
+    onSuccess: () => {
+      queryClient.invalidateQueries();
+      navigate('/');
+    },
+  });
+
+  if (isLoading || !data) {
+    return (
+      <div className="loading-screen">
+        <div className="loading-spinner" />
+      </div>
+    );
+  }
+
+  const { policy } = data;
+
+  return (
+    <div className="page" style={{ display: 'flex', flexDirection: 'column', justifyContent: 'center' }}>
+      <Panel style={{ textAlign: 'center', marginBottom: 16 }}>
+        <div style={{ fontSize: 64, marginBottom: 16 }}>🔒</div>
+        <Typography variant="header" style={{ marginBottom: 8 }}>
+          {data.withdrawnAt ? 'Согласие отозвано' : 'Политика конфиденциальности обновлена'}
+        </Typography>
+        <Typography variant="body" color="secondary">
+          {data.withdrawnAt
+            ? 'Напоминания отключены. Чтобы продолжить, дайте согласие на обработку данных снова'
+            : `С ${formatEffectiveDate(policy.effectiveDate)} действует версия ${policy.version}`}
+        </Typography>
+      </Panel>
+
+      {!data.withdrawnAt && policy.changes.length > 0 && (
+        <Panel style={{ marginBottom: 16 }}>
+          <Typography variant="subtitle" style={{ marginBottom: 8 }}>
+            Что изменилось
+          </Typography>
+          <ul style={{ paddingLeft: 20, margin: 0, color: 'var(--max-text-secondary)', fontSize: 14 }}>
+            {policy.changes.map((change) => (
+              <li key={change}>{change}</li>
+            ))}
+          </ul>
+        </Panel>
+      )}
+
+      <Panel>
+        <a
+          href={policy.url}
+          target="_blank"
+          rel="noopener noreferrer"
+          style={{ color: 'var(--max-primary)', fontSize: 14, display: 'block', marginBottom: 16 }}
+        >
+          📄 Текст политики
+        </a>
+        <Button
+          variant="primary"
+          size="large"
+          block
+          disabled={acceptMutation.isLoading}
+          onClick={() => acceptMutation.mutate()}
+        >
+          ✅ Принимаю
+        </Button>
+        <Typography variant="caption" color="secondary" style={{ marginTop: 12, display: 'block' }}>
+          Выгрузить или удалить данные можно в чате с ботом: /export, /delete
+        </Typography>
+      </Panel>
+    </div>
+  );
+};
+
+export default ConsentPage;
@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { useQuery, useMutation, useQueryClient } from 'react-query';
 import { MaxUI, Panel, Typography, Button, Switch, Select } from '@maxhub/max-ui';
-import { settingsApi } from '../api/client';
+import { accountApi, consentApi, exportApi, routinesApi, sessionsApi, settingsApi } from '../api/client';
 import { useThemeStore } from '../stores/themeStore';
 import { useAuthStore } from '../stores/authStore';
 
@@ -12,6 +12,56 @@ interface Settings {
     end: string;
   };
   notifications: boolean;
+  vacation: {
+    enabled: boolean;
+    until: string | null;
+  };
+  escalationPolicy: EscalationPolicy | null;
+}
+
+interface EscalationPolicy {
+  intervals?: number[];
+  autoSkip?: boolean;
+  autoSkipAfter?: number;
+  autoSkipHighPriority?: boolean;
+}
+
+interface RoutineEscalation {
+  id: string;
+  icon: string;
+  title: string;
+  customEscalationPolicy: EscalationPolicy | null;
+}
+
+interface Session {
+  id: string;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  current: boolean;
+}
+
+interface DataExport {
+  id: string;
+  status: 'pending' | 'processing' | 'ready' | 'failed' | 'expired';
+  requestedAt: string;
+  expiresAt: string | null;
+  url: string | null;
+}
+
+type TimezoneMode = 'local' | 'absolute';
+
+interface TimezoneUpdate {
+  timezone: string;
+  timezoneMode: TimezoneMode;
+}
+
+interface VacationUpdate {
+  vacation: {
+    enabled: boolean;
+    days?: number;
+  };
 }
 
 const timezones = [
@@ -20,6 +70,7 @@ const timezones = [
   { value: 'Europe/Samara', label: 'Самара (UTC+4)' },
   { value: 'Asia/Yekaterinburg', label: 'Екатеринбург (UTC+5)' },
   { value: 'Asia/Omsk', label: 'Омск (UTC+6)' },
+  { value: 'Asia/Novosibirsk', label: 'Новосибирск (UTC+7)' },
   { value: 'Asia/Krasnoyarsk', label: 'Красноярск (UTC+7)' },
   { value: 'Asia/Irkutsk', label: 'Иркутск (UTC+8)' },
   { value: 'Asia/Yakutsk', label: 'Якутск (UTC+9)' },
@@ -28,17 +79,89 @@ const timezones = [
   { value: 'Asia/Kamchatka', label: 'Камчатка (UTC+12)' },
 ];
 
+const timezoneModes = [
+  { value: 'local', label: 'По местному времени' },
+  { value: 'absolute', label: 'По абсолютному времени' },
+];
+
+// Режимы повторов совпадают с кнопками бота; автопропуск важных лекарств настраивается отдельно
+const escalationPresets: Record<string, EscalationPolicy | null> = {
+  standard: null,
+  soft: { intervals: [30], autoSkip: false },
+  strict: { intervals: [10, 20, 30], autoSkip: true, autoSkipAfter: 30 },
+  off: { intervals: [], autoSkip: false },
+};
+
+const escalationOptions = [
+  { value: 'standard', label: 'Стандартный' },
+  { value: 'soft', label: 'Мягкий: один повтор через 30 мин' },
+  { value: 'strict', label: 'Настойчивый: три повтора и автопропуск' },
+  { value: 'off', label: 'Без повторов' },
+  { value: 'custom', label: 'Свои настройки' },
+];
+
+const routineEscalationOptions = [
+  { value: 'inherit', label: 'Как для всех рутин' },
+  ...escalationOptions.filter((option) => option.value !== 'standard'),
+];
+
+const getPresetKey = (policy: EscalationPolicy | null, fallback: string) => {
+  if (!policy) return fallback;
+  const { autoSkipHighPriority, ...rest } = policy;
+  const found = Object.entries(escalationPresets).find(
+    ([, preset]) => JSON.stringify(preset || {}) === JSON.stringify(rest)
+  );
+  return found ? found[0] : 'custom';
+};
+
 const timeOptions = [
   '20:00', '21:00', '22:00', '23:00', '00:00',
   '05:00', '06:00', '07:00', '08:00', '09:00', '10:00',
 ];
 
+const vacationOptions = [
+  { value: '3', label: '3 дня' },
+  { value: '7', label: 'Неделя' },
+  { value: '14', label: '2 недели' },
+  { value: '0', label: 'Пока не выключу' },
+];
+
+const formatDate = (date: string) => date.split('-').reverse().join('.');
+
+const formatDateTime = (value: string) =>
+  new Date(value).toLocaleString('ru-RU', {
+    day: '2-digit',
+    month: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
+
+// Краткое название устройства по User-Agent
+const describeDevice = (userAgent: string | null) => {
+  if (!userAgent) return 'Неизвестное устройство';
+  const os = /Android/i.test(userAgent) ? 'Android'
+    : /iPhone|iPad|iOS/i.test(userAgent) ? 'iOS'
+    : /Windows/i.test(userAgent) ? 'Windows'
+    : /Mac OS/i.test(userAgent) ? 'macOS'
+    : /Linux/i.test(userAgent) ? 'Linux'
+    : null;
+  const browser = /YaBrowser/i.test(userAgent) ? 'Яндекс Браузер'
+    : /Edg\//i.test(userAgent) ? 'Edge'
+    : /Chrome/i.test(userAgent) ? 'Chrome'
+    : /Firefox/i.test(userAgent) ? 'Firefox'
+    : /Safari/i.test(userAgent) ? 'Safari'
+    : null;
+  return [browser, os].filter(Boolean).join(', ') || 'Неизвестное устройство';
+};
+
 const SettingsPage: React.FC = () => {
   const queryClient = useQueryClient();
   const { theme, setTheme, toggleTheme } = useThemeStore();
   const { clearAuth } = useAuthStore();
   
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  const [vacationDays, setVacationDays] = useState('7');
+  const [timezoneMode, setTimezoneMode] = useState<TimezoneMode>('local');
 
   const { data, isLoading } = useQuery<Settings>(
     'settings',
@@ -48,8 +171,55 @@ const SettingsPage: React.FC = () => {
     }
   );
 
+  const { data: routines } = useQuery<RoutineEscalation[]>(
+    'routines',
+    () => routinesApi.getAll().then((res) => res.data.data)
+  );
+
+  const { data: sessions } = useQuery<Session[]>(
+    'sessions',
+    () => sessionsApi.getAll().then((res) => res.data.data)
+  );
+
+  const { data: dataExport } = useQuery<DataExport | null>(
+    'export',
+    () => exportApi.getLatest().then((res) => res.data.data),
+    {
+      // Пока архив готовится, проверяем статус
+      refetchInterval: (latest) =>
+        latest?.status === 'pending' || latest?.status === 'processing' ? 5000 : false,
+    }
+  );
+
+  const exportMutation = useMutation(() => exportApi.request(), {
+    onSuccess: () => {
+      queryClient.invalidateQueries('export');
+    },
+  });
+
+  const isExporting = dataExport?.status === 'pending' || dataExport?.status === 'processing';
+
+  const revokeSessionMutation = useMutation(
+    (id: string) => sessionsApi.revoke(id),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('sessions');
+      },
+    }
+  );
+
+  const routineMutation = useMutation(
+    ({ id, escalationPolicy }: { id: string; escalationPolicy: EscalationPolicy | null }) =>
+      routinesApi.update(id, { escalationPolicy }),
+    {
+      onSuccess: () => {
+        queryClient.invalidateQueries('routines');
+      },
+    }
+  );
+
   const updateMutation = useMutation(
-    (newSettings: Partial<Settings>) => settingsApi.update(newSettings),
+    (newSettings: Partial<Settings> | TimezoneUpdate | VacationUpdate) => settingsApi.update(newSettings),
     {
       onSuccess: () => {
         queryClient.invalidateQueries('settings');
@@ -58,7 +228,7 @@ const SettingsPage: React.FC = () => {
   );
 
   const handleTimezoneChange = (timezone: string) => {
-    updateMutation.mutate({ timezone });
+    updateMutation.mutate({ timezone, timezoneMode });
   };
 
   const handleQuietHoursChange = (type: 'start' | 'end', value: string) => {
@@ -71,7 +241,83 @@ const SettingsPage: React.FC = () => {
     });
   };
 
-  const handleLogout = () => {
+  const handleVacationToggle = () => {
+    if (data?.vacation?.enabled) {
+      updateMutation.mutate({ vacation: { enabled: false } });
+      return;
+    }
+    const days = Number(vacationDays);
+    updateMutation.mutate({
+      vacation: {
+        enabled: true,
+        ...(days > 0 && { days }),
+      },
+    });
+  };
+
+  const autoSkipHighPriority = data?.escalationPolicy?.autoSkipHighPriority ?? true;
+
+  const handleEscalationPreset = (preset: string) => {
+    const policy = escalationPresets[preset];
+    if (policy === undefined) return;
+    if (policy) {
+      updateMutation.mutate({ escalationPolicy: { ...policy, autoSkipHighPriority } });
+    } else {
+      updateMutation.mutate({ escalationPolicy: autoSkipHighPriority ? null : { autoSkipHighPriority } });
+    }
+  };
+
+  const handleHighPriorityToggle = () => {
+    updateMutation.mutate({
+      escalationPolicy: { ...(data?.escalationPolicy || {}), autoSkipHighPriority: !autoSkipHighPriority },
+    });
+  };
+
+  const handleRoutineEscalation = (id: string, preset: string) => {
+    if (preset === 'inherit') {
+      routineMutation.mutate({ id, escalationPolicy: null });
+    } else if (escalationPresets[preset] !== undefined) {
+      routineMutation.mutate({ id, escalationPolicy: escalationPresets[preset] });
+    }
+  };
+
+  const handleLogout = async () => {
+    // Завершаем сессию на сервере; локальный выход не зависит от ответа
+    const current = sessions?.find((session) => session.current);
+    if (current) {
+      await sessionsApi.revoke(current.id).catch(() => undefined);
+    }
+    clearAuth();
+    window.location.href = '/auth';
+  };
+
+  const deleteAccountMutation = useMutation(() => accountApi.delete(), {
+    onSuccess: (res) => {
+      const purgeAt = new Date(res.data.data.purgeAt).toLocaleDateString('ru-RU');
+      alert(`Аккаунт удалён. До ${purgeAt} его можно восстановить, написав боту.`);
+      clearAuth();
+      window.location.href = '/auth';
+    },
+    onError: () => {
+      alert('Не удалось удалить аккаунт. Попробуйте позже.');
+      setShowDeleteConfirm(false);
+    },
+  });
+
+  const withdrawConsentMutation = useMutation(() => consentApi.withdraw(), {
+    onSuccess: () => {
+      window.location.href = '/consent';
+    },
+  });
+
+  const handleWithdrawConsent = () => {
+    if (!window.confirm('Отозвать согласие на обработку данных? Напоминания отключатся, данные сохранятся.')) return;
+    withdrawConsentMutation.mutate();
+  };
+
+  const handleLogoutEverywhere = async () => {
+    if (!window.confirm('Выйти на всех устройствах, включая это?')) return;
+    await sessionsApi.revokeAll().catch(() => undefined);
     clearAuth();
     window.location.href = '/auth';
   };
@@ -128,6 +374,16 @@ const SettingsPage: React.FC = () => {
           options={timezones}
           block
         />
+        <Typography variant="caption" color="secondary" style={{ margin: '12px 0', display: 'block' }}>
+          При смене пояса напоминания сохранят местное время (08:00 останется 08:00)
+          или абсолютное — для лекарств со строгим интервалом
+        </Typography>
+        <Select
+          value={timezoneMode}
+          onChange={(value: string) => setTimezoneMode(value as TimezoneMode)}
+          options={timezoneModes}
+          block
+        />
       </Panel>
 
       {/* Quiet Hours */}
@@ -165,6 +421,92 @@ const SettingsPage: React.FC = () => {
         </div>
       </Panel>
 
+      {/* Vacation */}
+      <Panel style={{ marginBottom: 16 }}>
+        <Typography variant="subtitle" style={{ marginBottom: 12 }}>
+          Режим отпуска
+        </Typography>
+        <div
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginBottom: data?.vacation?.enabled ? 0 : 12,
+          }}
+        >
+          <div>
+            <Typography variant="body">Приостановить напоминания</Typography>
+            <Typography variant="caption" color="secondary">
+              {data?.vacation?.enabled
+                ? data.vacation.until
+                  ? `До ${formatDate(data.vacation.until)}`
+                  : 'Пока не выключите'
+                : 'Серия не прервётся'}
+            </Typography>
+          </div>
+          <Switch
+            checked={!!data?.vacation?.enabled}
+            onChange={handleVacationToggle}
+          />
+        </div>
+        {!data?.vacation?.enabled && (
+          <Select
+            value={vacationDays}
+            onChange={(value: string) => setVacationDays(value)}
+            options={vacationOptions}
+            block
+          />
+        )}
+      </Panel>
+
+      {/* Escalation */}
+      <Panel style={{ marginBottom: 16 }}>
+        <Typography variant="subtitle" style={{ marginBottom: 12 }}>
+          Повторные напоминания
+        </Typography>
+        <Typography variant="caption" color="secondary" style={{ marginBottom: 12, display: 'block' }}>
+          Если напоминание не отмечено, оно повторится, а затем может быть отмечено как пропущенное
+        </Typography>
+        <Select
+          value={getPresetKey(data?.escalationPolicy || null, 'standard')}
+          onChange={(value: string) => handleEscalationPreset(value)}
+          options={escalationOptions}
+          block
+        />
+        <div
+          style={{
+            display: 'flex',
+            justifyContent: 'space-between',
+            alignItems: 'center',
+            marginTop: 12,
+          }}
+        >
+          <div>
+            <Typography variant="body">Автопропуск важных лекарств</Typography>
+            <Typography variant="caption" color="secondary">
+              Для лекарств с высоким приоритетом
+            </Typography>
+          </div>
+          <Switch
+            checked={autoSkipHighPriority}
+            onChange={handleHighPriorityToggle}
+          />
+        </div>
+        {routines?.map((routine) => (
+          <div key={routine.id} style={{ marginTop: 12 }}>
+            <Typography variant="caption" color="secondary">
+              {routine.icon} {routine.title}
+            </Typography>
+            <Select
+              value={getPresetKey(routine.customEscalationPolicy, 'inherit')}
+              onChange={(value: string) => handleRoutineEscalation(routine.id, value)}
+              options={routineEscalationOptions}
+              block
+            />
+          </div>
+        ))}
+      </Panel>
+
       {/* Data Export */}
       <Panel style={{ marginBottom: 16 }}>
         <Typography variant="subtitle" style={{ marginBottom: 12 }}>
@@ -175,16 +517,92 @@ const SettingsPage: React.FC = () => {
           size="medium"
           block
           style={{ marginBottom: 8 }}
-          onClick={() => {
-            // TODO: Реализовать экспорт
-            alert('Функция в разработке');
-          }}
+          disabled={isExporting || exportMutation.isLoading}
+          onClick={() => exportMutation.mutate()}
         >
-          📤 Экспорт данных (GDPR)
+          {isExporting ? '⏳ Архив готовится...' : '📤 Экспорт данных (GDPR)'}
         </Button>
-        <Typography variant="caption" color="secondary">
-          Скачать все ваши данные в формате JSON
+        {dataExport?.status === 'ready' && dataExport.url && (
+          <div style={{ marginBottom: 8 }}>
+            <a
+              href={dataExport.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              style={{ color: 'var(--max-primary)', fontSize: 13 }}
+            >
+              📥 Скачать архив
+            </a>
+            {dataExport.expiresAt && (
+              <Typography variant="caption" color="secondary">
+                Ссылка действительна до {formatDateTime(dataExport.expiresAt)}
+              </Typography>
+            )}
+          </div>
+        )}
+        {dataExport?.status === 'failed' && (
+          <Typography variant="caption" color="danger" style={{ marginBottom: 8, display: 'block' }}>
+            Не удалось подготовить архив, попробуйте ещё раз
+          </Typography>
+        )}
+        <Typography variant="caption" color="secondary" style={{ marginBottom: 12, display: 'block' }}>
+          Архив со всеми вашими данными (JSON и CSV). Ссылка придёт и в чат с ботом
+        </Typography>
+        <Button
+          variant="secondary"
+          size="medium"
+          block
+          disabled={withdrawConsentMutation.isLoading}
+          onClick={handleWithdrawConsent}
+        >
+          🚫 Отозвать согласие на обработку данных
+        </Button>
+      </Panel>
+
+      {/* Sessions */}
+      <Panel style={{ marginBottom: 16 }}>
+        <Typography variant="subtitle" style={{ marginBottom: 12 }}>
+          Устройства
         </Typography>
+        {sessions?.map((session) => (
+          <div
+            key={session.id}
+            style={{
+              display: 'flex',
+              justifyContent: 'space-between',
+              alignItems: 'center',
+              marginBottom: 12,
+            }}
+          >
+            <div>
+              <Typography variant="body">
+                {describeDevice(session.userAgent)}
+              </Typography>
+              <Typography variant="caption" color="secondary">
+                {session.current
+                  ? 'Это устройство'
+                  : `Активность: ${formatDateTime(session.lastUsedAt)}`}
+              </Typography>
+            </div>
+            {!session.current && (
+              <Button
+                variant="secondary"
+                size="small"
+                disabled={revokeSessionMutation.isLoading}
+                onClick={() => revokeSessionMutation.mutate(session.id)}
+              >
+                Выйти
+              </Button>
+            )}
+          </div>
+        ))}
+        <Button
+          variant="secondary"
+          size="medium"
+          block
+          onClick={handleLogoutEverywhere}
+        >
+          Выйти на всех устройствах
+        </Button>
       </Panel>
 
       {/* About */}
@@ -237,18 +655,15 @@ const SettingsPage: React.FC = () => {
       ) : (
         <Panel style={{ border: '2px solid var(--max-danger)' }}>
           <Typography variant="body" color="danger" style={{ marginBottom: 12 }}>
-            ⚠️ Вы уверены? Это действие необратимо!
+            ⚠️ Вы уверены? Напоминания отключатся, а по истечении срока хранения данные будут удалены безвозвратно.
           </Typography>
           <div style={{ display: 'flex', gap: 12 }}>
             <Button
               variant="danger"
               size="medium"
               style={{ flex: 1 }}
-              onClick={() => {
-                // TODO: Реализовать удаление
-                alert('Функция в разработке');
-                setShowDeleteConfirm(false);
-              }}
+              disabled={deleteAccountMutation.isLoading}
+              onClick={() => deleteAccountMutation.mutate()}
             >
               Да, удалить
             </Button>
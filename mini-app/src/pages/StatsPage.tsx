@@ -33,6 +33,13 @@ interface CompletionStats {
   rate: number;
 }
 
+interface PunctualityStats {
+  onTime: number;
+  late: number;
+  missed: number;
+  rate: number;
+}
+
 interface StreakStats {
   current: number;
   max: number;
@@ -50,6 +57,7 @@ interface StatsData {
   streak: StreakStats;
   level: LevelInfo;
   completion: CompletionStats;
+  punctuality: PunctualityStats;
   achievements: { total: number };
   chart: ChartData[];
 }
@@ -85,7 +93,7 @@ const StatsPage: React.FC = () => {
     );
   }
 
-  const { streak, level, completion, achievements, chart } = data;
+  const { streak, level, completion, punctuality, achievements, chart } = data;
 
   // Форматируем данные для графика
   const chartData = chart.map((day) => ({
@@ -196,6 +204,42 @@ const StatsPage: React.FC = () => {
         </div>
       </Panel>
 
+      {/* Punctuality */}
+      <Panel style={{ marginBottom: 16 }}>
+        <Typography variant="subtitle" style={{ marginBottom: 12 }}>
+          Пунктуальность
+        </Typography>
+        <div className="grid grid-3">
+          <div className="stat-card">
+            <div className="stat-value" style={{ color: 'var(--max-success)' }}>
+              {punctuality.onTime}
+            </div>
+            <div className="stat-label">Вовремя</div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-value" style={{ color: 'var(--max-warning)' }}>
+              {punctuality.late}
+            </div>
+            <div className="stat-label">С опозданием</div>
+          </div>
+          <div className="stat-card">
+            <div className="stat-value" style={{ color: 'var(--max-danger)' }}>
+              {punctuality.missed}
+            </div>
+            <div className="stat-label">Упущено</div>
+          </div>
+        </div>
+        <div style={{ marginTop: 12 }}>
+          <ProgressBar
+            value={punctuality.onTime}
+            max={punctuality.onTime + punctuality.late + punctuality.missed}
+            label="Выполнено вовремя"
+            showPercentage
+            color={punctuality.rate >= 80 ? 'success' : punctuality.rate >= 50 ? 'warning' : 'primary'}
+          />
+        </div>
+      </Panel>
+
       {/* Weekly Chart */}
       {chartData.length > 0 && (
         <Panel style={{ marginBottom: 16 }}>
@@ -15,8 +15,12 @@ interface Reminder {
   icon: string;
   dosage?: string;
   time: string;
-  status: 'pending' | 'sent' | 'completed' | 'skipped' | 'postponed';
+  status: 'pending' | 'sent' | 'completed' | 'skipped' | 'postponed' | 'missed';
   canPostpone: boolean;
+  slot: {
+    index: number;
+    total: number;
+  };
 }
 
 const TodayPage: React.FC = () => {
@@ -150,6 +154,11 @@ const TodayPage: React.FC = () => {
               icon={reminder.icon}
               title={reminder.title}
               subtitle={reminder.dosage}
+              slotLabel={
+                reminder.slot?.total > 1
+                  ? `приём ${reminder.slot.index}/${reminder.slot.total}`
+                  : undefined
+              }
               time={reminder.time.substring(0, 5)}
               status={reminder.status}
               canPostpone={reminder.canPostpone}
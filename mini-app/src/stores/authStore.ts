@@ -1,7 +1,7 @@
 import { create } from 'zustand';
 import { persist } from 'zustand/middleware';
 import Cookies from 'js-cookie';
-import { api } from '../api/client';
+import { api, consentApi, isConsentRequired } from '../api/client';
 
 interface User {
   id: number;
@@ -61,8 +61,8 @@ export const useAuthStore = create<AuthState>()(
         try {
           api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
           
-          // Проверяем валидность токена через запрос к API
-          const response = await api.get('/settings');
+          // Проверяем валидность токена через раздел, доступный без согласия с политикой
+          const response = await consentApi.get();
           
           if (response.data.success) {
             set({ token, refreshToken, isAuthenticated: true, isLoading: false });
@@ -74,6 +74,12 @@ export const useAuthStore = create<AuthState>()(
             }
           }
         } catch (error) {
+          // Сессия действительна, не хватает только согласия — токен не обновляем
+          if (isConsentRequired(error)) {
+            set({ token, refreshToken, isAuthenticated: true, isLoading: false });
+            return;
+          }
+
           // Пробуем обновить токен
           const refreshed = await get().refreshAccessToken();
           if (!refreshed) {
@@ -93,10 +99,11 @@ export const useAuthStore = create<AuthState>()(
           const response = await api.post('/auth/refresh', { refreshToken });
           
           if (response.data.success) {
-            const { token } = response.data.data;
+            const { token, refreshToken: newRefreshToken } = response.data.data;
             Cookies.set('token', token, { expires: 7 });
+            Cookies.set('refreshToken', newRefreshToken, { expires: 30 });
             api.defaults.headers.common['Authorization'] = `Bearer ${token}`;
-            set({ token, isAuthenticated: true });
+            set({ token, refreshToken: newRefreshToken, isAuthenticated: true });
             return true;
           }
         } catch (error) {